@@ -0,0 +1,160 @@
+import { toCsv } from './csv.js';
+
+export const MAX_ANALYTICS_DAYS = 92;
+export const DEFAULT_ANALYTICS_DAYS = 7;
+export const ANALYTICS_GROUPINGS = Object.freeze(['route', 'company', 'bus', 'day']);
+
+const REPORTED_PAYMENT_METHODS = ['cash', 'tpa', 'tpa_dinheiro', 'referencia'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Angola has no daylight saving time, so a calendar day is always UTC+1.
+const ANGOLA_OFFSET_MS = 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const GROUP_COLUMNS = {
+  route: ['route_id', 'origin_city', 'destination_city'],
+  company: ['company_id', 'company_name'],
+  bus: ['bus_id', 'license_plate', 'company_name'],
+  day: ['day'],
+};
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+export function angolaDate(value) {
+  return new Date(new Date(value).getTime() + ANGOLA_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+function startOfAngolaDate(date, label) {
+  if (!DATE_PATTERN.test(String(date))) throw new Error(`${label} must use YYYY-MM-DD format`);
+  const start = new Date(`${date}T00:00:00.000+01:00`);
+  if (!Number.isFinite(start.getTime()) || angolaDate(start) !== date) {
+    throw new Error(`${label} is not a valid date`);
+  }
+  return start;
+}
+
+// Ranges are whole Angola calendar days by trip departure, `to` included.
+// Without a range the last seven days up to today are reported.
+export function resolveAnalyticsRange({ from, to, now = new Date() } = {}) {
+  const toDate = to || angolaDate(now);
+  const end = new Date(startOfAngolaDate(toDate, 'to').getTime() + DAY_MS);
+  const fromDate = from || angolaDate(end.getTime() - DEFAULT_ANALYTICS_DAYS * DAY_MS);
+  const start = startOfAngolaDate(fromDate, 'from');
+
+  if (start >= end) throw new Error('from must not be after to');
+  if (end - start > MAX_ANALYTICS_DAYS * DAY_MS) {
+    throw new Error(`Analytics ranges can cover at most ${MAX_ANALYTICS_DAYS} days`);
+  }
+  return { from: start, to: end, fromDate, toDate };
+}
+
+function groupFields(fact, groupBy) {
+  if (groupBy === 'day') return { day: angolaDate(fact.departure_time) };
+  return Object.fromEntries(GROUP_COLUMNS[groupBy].map((column) => [column, fact[column] ?? null]));
+}
+
+function emptyTotals() {
+  return {
+    trips: 0,
+    sellableSeats: 0,
+    occupiedSeats: 0,
+    ticketsSold: 0,
+    counterTickets: 0,
+    mobileTickets: 0,
+    leadHours: 0,
+    counterCents: 0,
+    mobileCents: 0,
+    methodCents: new Map(REPORTED_PAYMENT_METHODS.map((method) => [method, 0])),
+  };
+}
+
+function addFact(totals, fact) {
+  totals.trips += 1;
+  totals.sellableSeats += Number(fact.sellable_seats) || 0;
+  totals.occupiedSeats += Number(fact.occupied_seats) || 0;
+  totals.ticketsSold += Number(fact.tickets_sold) || 0;
+  totals.counterTickets += Number(fact.counter_tickets) || 0;
+  totals.mobileTickets += Number(fact.mobile_tickets) || 0;
+  totals.leadHours += Number(fact.lead_time_hours_total) || 0;
+  totals.counterCents += toCents(fact.counter_revenue_usd) || 0;
+  totals.mobileCents += toCents(fact.mobile_revenue_usd) || 0;
+  for (const [method, amount] of Object.entries(fact.revenue_by_method || {})) {
+    totals.methodCents.set(method, (totals.methodCents.get(method) || 0) + (toCents(amount) || 0));
+  }
+}
+
+function finishTotals(totals) {
+  const revenueByMethod = Object.fromEntries(
+    [...totals.methodCents].map(([method, cents]) => [method, cents / 100])
+  );
+  return {
+    trips: totals.trips,
+    sellable_seats: totals.sellableSeats,
+    occupied_seats: totals.occupiedSeats,
+    load_factor: totals.sellableSeats > 0
+      ? Math.round((totals.occupiedSeats / totals.sellableSeats) * 10000) / 10000
+      : 0,
+    tickets_sold: totals.ticketsSold,
+    counter_tickets: totals.counterTickets,
+    mobile_tickets: totals.mobileTickets,
+    revenue_usd: (totals.counterCents + totals.mobileCents) / 100,
+    counter_revenue_usd: totals.counterCents / 100,
+    mobile_revenue_usd: totals.mobileCents / 100,
+    revenue_by_method: revenueByMethod,
+    average_lead_time_hours: totals.ticketsSold > 0
+      ? Math.round((totals.leadHours / totals.ticketsSold) * 10) / 10
+      : null,
+  };
+}
+
+// Groups the per-trip facts of get_trip_sales_facts(). Load factor is seats
+// taken over sellable seats (capacity minus the co-pilot seat); lead time is
+// the average hours between sale and departure per ticket.
+export function aggregateSalesFacts(facts = [], groupBy = 'route') {
+  if (!ANALYTICS_GROUPINGS.includes(groupBy)) {
+    throw new Error(`group_by must be one of: ${ANALYTICS_GROUPINGS.join(', ')}`);
+  }
+
+  const groups = new Map();
+  const overall = emptyTotals();
+  for (const fact of facts) {
+    const fields = groupFields(fact, groupBy);
+    const key = JSON.stringify(Object.values(fields));
+    if (!groups.has(key)) groups.set(key, { fields, totals: emptyTotals() });
+    addFact(groups.get(key).totals, fact);
+    addFact(overall, fact);
+  }
+
+  const rows = [...groups.values()].map(({ fields, totals }) => ({ ...fields, ...finishTotals(totals) }));
+  if (groupBy === 'day') rows.sort((a, b) => a.day.localeCompare(b.day));
+  else rows.sort((a, b) => b.revenue_usd - a.revenue_usd || b.tickets_sold - a.tickets_sold);
+
+  return { rows, totals: finishTotals(overall) };
+}
+
+export function salesAnalyticsToCsv(rows, groupBy) {
+  const methods = [...new Set([
+    ...REPORTED_PAYMENT_METHODS,
+    ...rows.flatMap((row) => Object.keys(row.revenue_by_method || {})),
+  ])];
+  const columns = [
+    ...GROUP_COLUMNS[groupBy],
+    'trips',
+    'sellable_seats',
+    'occupied_seats',
+    'load_factor',
+    'tickets_sold',
+    'counter_tickets',
+    'mobile_tickets',
+    'revenue_usd',
+    'counter_revenue_usd',
+    'mobile_revenue_usd',
+    ...methods.map((method) => `revenue_${method}_usd`),
+    'average_lead_time_hours',
+  ];
+  return toCsv(columns, rows.map((row) => ({
+    ...row,
+    ...Object.fromEntries(methods.map((method) => [`revenue_${method}_usd`, row.revenue_by_method?.[method] ?? 0])),
+  })));
+}
@@ -0,0 +1,62 @@
+export const DEFAULT_BOARDING_OPENS_MINUTES_BEFORE = 60;
+export const DEFAULT_BOARDING_CLOSES_MINUTES_AFTER = 30;
+
+const BOARDABLE_TICKET_STATUSES = new Set(['active', 'pending']);
+
+// Reasons are stable codes for the scanning devices; messages are what the
+// device shows to the driver or inspector.
+export const BOARDING_REJECT_MESSAGES = Object.freeze({
+  not_found: 'Ticket not found',
+  invalid_code: 'Ticket code is not valid',
+  expired_code: 'Ticket code has expired',
+  unsigned_code: 'Ticket code is not signed',
+  cancelled: 'Ticket was cancelled',
+  already_used: 'Ticket already used',
+  not_paid: 'Ticket is not paid',
+  wrong_trip: 'Ticket is for another trip',
+  too_early: 'Boarding is not open yet for this ticket',
+  too_late: 'Boarding has closed for this ticket',
+});
+
+export function resolveBoardingWindow({ opensMinutesBefore, closesMinutesAfter } = {}) {
+  const opens = Number(opensMinutesBefore);
+  const closes = Number(closesMinutesAfter);
+  return {
+    opensMinutesBefore: Number.isFinite(opens) && opens >= 0 ? opens : DEFAULT_BOARDING_OPENS_MINUTES_BEFORE,
+    closesMinutesAfter: Number.isFinite(closes) && closes >= 0 ? closes : DEFAULT_BOARDING_CLOSES_MINUTES_AFTER,
+  };
+}
+
+export function rejectBoardingScan(reason) {
+  return { accepted: false, reason, message: BOARDING_REJECT_MESSAGES[reason] };
+}
+
+// Decides whether a scanned ticket may board the scanned trip. Tickets sold on
+// an overlapping sibling trip of the same bus board too, since they share its
+// seats. The window is measured from ticketDepartureTime: when the ticket's
+// own trip leaves the passenger's stop, which is when that passenger boards.
+export function evaluateBoardingScan({
+  ticket,
+  scanTripId,
+  siblingTripIds = [],
+  ticketDepartureTime,
+  now = new Date(),
+  window = resolveBoardingWindow(),
+}) {
+  if (!ticket) return rejectBoardingScan('not_found');
+  if (ticket.status === 'cancelled' || ticket.status === 'refunded') return rejectBoardingScan('cancelled');
+  if (ticket.status === 'used') return rejectBoardingScan('already_used');
+  if (!BOARDABLE_TICKET_STATUSES.has(ticket.status)) return rejectBoardingScan('cancelled');
+  if (ticket.payment_status !== 'paid') return rejectBoardingScan('not_paid');
+  if (ticket.trip_id !== scanTripId && !siblingTripIds.includes(ticket.trip_id)) {
+    return rejectBoardingScan('wrong_trip');
+  }
+
+  const departure = new Date(ticketDepartureTime).getTime();
+  const current = new Date(now).getTime();
+  if (!Number.isFinite(departure)) throw new Error('Ticket departure time is required');
+  if (current < departure - window.opensMinutesBefore * 60 * 1000) return rejectBoardingScan('too_early');
+  if (current > departure + window.closesMinutesAfter * 60 * 1000) return rejectBoardingScan('too_late');
+
+  return { accepted: true, reason: null, message: 'Boarding accepted' };
+}
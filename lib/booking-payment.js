@@ -1,3 +1,6 @@
+import { CURRENCY_DECIMALS, currencyUnit } from './currency.js';
+import { isSellableLayoutSeat } from './seat-layout.js';
+
 export const CASH_LIKE_PAYMENT_METHODS = Object.freeze([
   'cash',
   'tpa',
@@ -24,10 +27,16 @@ export function normalizeSeatNumber(value) {
   return Number.isInteger(seatNumber) ? seatNumber : null;
 }
 
-export function isSellableSeatNumber(value, capacity) {
+// Pass the bus seat layout when one is known so disabled or missing seat
+// numbers are rejected. A plain capacity keeps the 2..capacity range check.
+export function isSellableSeatNumber(value, capacityOrLayout) {
   const seatNumber = normalizeSeatNumber(value);
-  const busCapacity = Number(capacity);
-  return seatNumber !== null && Number.isInteger(busCapacity) && seatNumber >= 2 && seatNumber <= busCapacity;
+  if (seatNumber === null) return false;
+  if (capacityOrLayout && typeof capacityOrLayout === 'object') {
+    return isSellableLayoutSeat(capacityOrLayout, seatNumber);
+  }
+  const busCapacity = Number(capacityOrLayout);
+  return Number.isInteger(busCapacity) && seatNumber >= 2 && seatNumber <= busCapacity;
 }
 
 // Counter payments are already settled when the agent confirms the sale. Old
@@ -38,7 +47,9 @@ export function resolveBookingPaymentStatus(paymentMethod, requestedStatus = 'pe
   return VALID_PAYMENT_STATUSES.has(requestedStatus) ? requestedStatus : 'pending';
 }
 
-export function normalizePaymentSplits(splits, expectedAmount) {
+// Split amounts are counted in the tendered currency, so expectedAmount must
+// be the price converted into it. They may be off by one unit of it.
+export function normalizePaymentSplits(splits, expectedAmount, currency = 'USD') {
   if (splits == null) return [];
   if (!Array.isArray(splits) || splits.length === 0) {
     throw new Error('Split payment must contain at least one part');
@@ -54,8 +65,10 @@ export function normalizePaymentSplits(splits, expectedAmount) {
   });
 
   const total = normalized.reduce((sum, split) => sum + split.amount, 0);
-  if (Math.abs(total - Number(expectedAmount)) > 0.01) {
-    throw new Error(`Split payment total must equal ${Number(expectedAmount).toFixed(2)}`);
+  if (Math.abs(total - Number(expectedAmount)) > currencyUnit(currency)) {
+    throw new Error(
+      `Split payment total must equal ${Number(expectedAmount).toFixed(CURRENCY_DECIMALS[currency])} ${currency}`
+    );
   }
 
   return normalized;
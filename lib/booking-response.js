@@ -4,26 +4,50 @@ export function resolveIdempotencyKey({ headerValue, ticketNumber, paymentRefere
     .find(Boolean) || null;
 }
 
+function normalizeAtomicTicketRow(row) {
+  return {
+    id: row.ticket_id,
+    ticket_number: row.ticket_number,
+    trip_id: row.trip_id,
+    passenger_id: row.passenger_id,
+    booked_by: row.booked_by,
+    seat_number: Number(row.seat_number),
+    seat_class: row.seat_class,
+    price_paid_usd: Number(row.price_paid_usd),
+    payment_reference: row.payment_reference,
+    payment_status: row.payment_status,
+    payment_method: row.payment_method,
+    qr_code_data: row.qr_code_data,
+    status: row.status,
+  };
+}
+
 export function normalizeAtomicBookingResult(row) {
   if (!row) throw new Error('Atomic booking returned no ticket');
 
   return {
     idempotent: Boolean(row.was_idempotent),
-    ticket: {
-      id: row.ticket_id,
-      ticket_number: row.ticket_number,
-      trip_id: row.trip_id,
-      passenger_id: row.passenger_id,
-      booked_by: row.booked_by,
-      seat_number: Number(row.seat_number),
-      seat_class: row.seat_class,
-      price_paid_usd: Number(row.price_paid_usd),
-      payment_reference: row.payment_reference,
-      payment_status: row.payment_status,
-      payment_method: row.payment_method,
-      qr_code_data: row.qr_code_data,
-      status: row.status,
-    },
+    ticket: normalizeAtomicTicketRow(row),
+  };
+}
+
+// A basket is committed or recovered as a whole, so every row carries the same
+// was_idempotent flag. Mixed flags mean the RPC contract was broken.
+export function normalizeAtomicBasketResult(rows) {
+  if (!Array.isArray(rows) || !rows.length) {
+    throw new Error('Atomic booking returned no tickets');
+  }
+
+  const idempotent = Boolean(rows[0].was_idempotent);
+  if (rows.some((row) => Boolean(row.was_idempotent) !== idempotent)) {
+    throw new Error('Atomic booking returned a partially recovered basket');
+  }
+
+  const tickets = rows.map(normalizeAtomicTicketRow);
+  return {
+    idempotent,
+    tickets,
+    totalAmount: Number(tickets.reduce((sum, ticket) => sum + ticket.price_paid_usd, 0).toFixed(2)),
   };
 }
 
@@ -34,5 +58,7 @@ export function bookingErrorStatus(error) {
   if (error?.code === 'P0002') return 404;
   if (error?.code === '55000') return 409;
   if (error?.code === 'PGRST202' || error?.code === '42883') return 503;
+  if (error?.code === 'payment_provider_error') return 502;
+  if (error?.code === 'ticket_qr_signing_failed') return 503;
   return 500;
 }
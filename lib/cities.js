@@ -0,0 +1,160 @@
+export const DEFAULT_CITY_SUGGESTIONS = 10;
+
+// How a name matches a query, best first.
+const EXACT = 0;
+const PREFIX = 1;
+const WORD = 2;
+const TYPO = 3;
+
+// Lower case, without accents or punctuation: "Huíla" and "huila" are the
+// same place, and so are "N'dalatando" and "ndalatando".
+export function normalizePlaceName(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Edits (insertions, deletions, substitutions and swaps of two neighbouring
+// letters) turning one name into the other. Stops counting past `max`.
+export function editDistance(left, right, max = Infinity) {
+  if (Math.abs(left.length - right.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: right.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= left.length; i += 1) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= right.length; j += 1) {
+      const cost = left[i - 1] === right[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && left[i - 1] === right[j - 2] && left[i - 2] === right[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[right.length];
+}
+
+function allowedTypos(query) {
+  if (query.length >= 8) return 2;
+  return query.length >= 4 ? 1 : 0;
+}
+
+// EXACT, PREFIX, WORD (a later word starts with the query), TYPO (the name, or
+// its start while the passenger is still typing, is a typo or two away) or
+// null. Both sides are normalized.
+function scoreName(name, query) {
+  if (!name || !query) return null;
+  if (name === query) return EXACT;
+  if (name.startsWith(query)) return PREFIX;
+  if (name.split(' ').some((word) => word.startsWith(query))) return WORD;
+  const typos = allowedTypos(query);
+  if (typos && (
+    editDistance(name, query, typos) <= typos ||
+    editDistance(name.slice(0, query.length), query, typos) <= typos
+  )) {
+    return TYPO;
+  }
+  return null;
+}
+
+function activeStationsByCity(stations) {
+  const byCity = new Map();
+  for (const station of stations || []) {
+    if (station.is_active === false) continue;
+    if (!byCity.has(station.city_id)) byCity.set(station.city_id, []);
+    byCity.get(station.city_id).push(station);
+  }
+  return byCity;
+}
+
+// The best way a city answers the query: its name, an alias, its province or
+// one of its stations. A station match only covers that station.
+function matchCity(city, stations, query) {
+  const candidates = [
+    { match: 'name', value: city.name, stations },
+    ...(city.aliases || []).map((alias) => ({ match: 'alias', value: alias, stations })),
+    { match: 'province', value: city.province, stations },
+    ...stations.flatMap((station) => [station.name, ...(station.aliases || [])]
+      .map((value) => ({ match: 'station', value, stations: [station] }))),
+  ];
+  let best = null;
+  for (const candidate of candidates) {
+    const score = scoreName(normalizePlaceName(candidate.value), query);
+    if (score !== null && (!best || score < best.score)) best = { ...candidate, score };
+  }
+  return best;
+}
+
+function describeCity(city, stations) {
+  return {
+    id: city.id,
+    name: city.name,
+    province: city.province,
+    latitude: city.latitude == null ? null : Number(city.latitude),
+    longitude: city.longitude == null ? null : Number(city.longitude),
+    aliases: city.aliases || [],
+    stations: stations.map((station) => ({
+      id: station.id,
+      name: station.name,
+      latitude: station.latitude == null ? null : Number(station.latitude),
+      longitude: station.longitude == null ? null : Number(station.longitude),
+    })),
+  };
+}
+
+function rankCities({ cities = [], stations = [] }, query) {
+  const stationsByCity = activeStationsByCity(stations);
+  const byName = (left, right) => left.name.localeCompare(right.name, 'pt');
+  const activeCities = cities.filter((city) => city.is_active !== false);
+  if (!query) {
+    return [...activeCities].sort(byName)
+      .map((city) => ({ city: describeCity(city, stationsByCity.get(city.id) || []) }));
+  }
+
+  const ranked = [];
+  for (const city of activeCities) {
+    const cityStations = stationsByCity.get(city.id) || [];
+    const best = matchCity(city, cityStations, query);
+    if (!best) continue;
+    ranked.push({
+      city: { ...describeCity(city, cityStations), match: best.match, matched: best.value },
+      score: best.score,
+      stationIds: best.stations.map((station) => station.id),
+    });
+  }
+  return ranked.sort((left, right) => left.score - right.score || byName(left.city, right.city));
+}
+
+// Active cities answering what a passenger typed, best match first, then by
+// name. Accents and case are ignored and a typo or two (depending on the
+// length of the query) is forgiven. Without a query, every active city by
+// name. Each result says what matched: `match` is `name`, `alias`, `province`
+// or `station`, and `matched` the name that did.
+export function searchCities(catalogue, query, { limit = DEFAULT_CITY_SUGGESTIONS } = {}) {
+  return rankCities(catalogue || {}, normalizePlaceName(query))
+    .slice(0, limit)
+    .map(({ city }) => city);
+}
+
+// Station ids a searched place stands for: every station of the cities
+// matching it best (a city, its alias or its province), or only the matching
+// station. null when the catalogue has no such place, so the caller can fall
+// back to matching route names.
+export function resolvePlaceStations(catalogue, place) {
+  if (!catalogue || !normalizePlaceName(place)) return null;
+  const matches = rankCities(catalogue, normalizePlaceName(place));
+  if (!matches.length) return null;
+  const stationIds = matches
+    .filter((match) => match.score === matches[0].score)
+    .flatMap((match) => match.stationIds);
+  return stationIds.length ? [...new Set(stationIds)] : null;
+}
@@ -0,0 +1,149 @@
+// `error` is returned by quotes and bookings; `message` is the Portuguese
+// text the app shows from /api/validate-coupon.
+export const COUPON_REJECTIONS = Object.freeze({
+  not_found: { status: 404, error: 'Coupon not found', message: 'Cupom inválido ou inexistente' },
+  inactive: { status: 409, error: 'Coupon is not active', message: 'Este cupom está inactivo' },
+  not_started: { status: 409, error: 'Coupon is not valid yet', message: 'Este cupom ainda não é válido' },
+  expired: { status: 409, error: 'Coupon has expired', message: 'Este cupom expirou' },
+  exhausted: {
+    status: 409,
+    error: 'Coupon has reached its usage limit',
+    message: 'Este cupom atingiu o limite de utilizações',
+  },
+  passenger_limit: {
+    status: 409,
+    error: 'Passenger has already used this coupon the maximum number of times',
+    message: 'Já utilizou este cupom o número máximo de vezes',
+  },
+  not_applicable: {
+    status: 400,
+    error: 'Coupon does not apply to these trips or seats',
+    message: 'Este cupom não se aplica a estas viagens',
+  },
+  min_spend: {
+    status: 400,
+    error: 'Basket is below the coupon minimum spend',
+    message: 'O valor mínimo para este cupom não foi atingido',
+  },
+});
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+export function normalizeCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function restricts(list) {
+  return Array.isArray(list) && list.length > 0;
+}
+
+// Checks that do not depend on the basket. `usage` counts live redemptions
+// (see get_coupon_usage); the per-passenger cap is only checked when the
+// passenger is known.
+export function checkCouponAvailability(coupon, { usage = {}, now = Date.now() } = {}) {
+  if (!coupon) return 'not_found';
+  if (!coupon.is_active) return 'inactive';
+  if (coupon.starts_at && new Date(coupon.starts_at).getTime() > now) return 'not_started';
+  if (coupon.ends_at && new Date(coupon.ends_at).getTime() <= now) return 'expired';
+  if (coupon.max_redemptions != null && Number(usage.total || 0) >= Number(coupon.max_redemptions)) {
+    return 'exhausted';
+  }
+  if (
+    coupon.max_redemptions_per_passenger != null &&
+    usage.passenger != null &&
+    Number(usage.passenger) >= Number(coupon.max_redemptions_per_passenger)
+  ) {
+    return 'passenger_limit';
+  }
+  return null;
+}
+
+export function isLineEligible(coupon, line, trip) {
+  const bus = Array.isArray(trip?.buses) ? trip.buses[0] : trip?.buses;
+  if (restricts(coupon.route_ids) && !coupon.route_ids.includes(trip?.route_id)) return false;
+  if (restricts(coupon.company_ids) && !coupon.company_ids.includes(bus?.company_id)) return false;
+  if (restricts(coupon.seat_classes) && !coupon.seat_classes.includes(line.seat_class)) return false;
+  return true;
+}
+
+// Applies a coupon to a basket priced without discount by priceBasket. A
+// percentage comes off each eligible seat; a fixed amount is spread over the
+// eligible seats in proportion to their price, the rounding remainder going
+// to the most expensive one. book_mobile_basket_atomic_v3 applies the same
+// rule, so a quote and the booked tickets agree to the cent.
+export function applyCouponToBasket({ coupon, basket, tripsById, usage = {}, now = Date.now() }) {
+  const unavailable = checkCouponAvailability(coupon, { usage, now });
+  if (unavailable) return { valid: false, reason: unavailable };
+
+  const eligible = basket.lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => isLineEligible(coupon, line, tripsById.get(line.trip_id)));
+  if (!eligible.length) return { valid: false, reason: 'not_applicable' };
+  if (basket.subtotal_usd + 0.005 < Number(coupon.min_spend_usd || 0)) {
+    return { valid: false, reason: 'min_spend' };
+  }
+
+  const discountCents = new Map();
+  if (coupon.discount_type === 'fixed') {
+    const eligibleCents = eligible.reduce((sum, { line }) => sum + toCents(line.unit_price_usd), 0);
+    const totalCents = Math.min(toCents(coupon.discount_amount_usd), eligibleCents);
+    if (eligibleCents > 0) {
+      for (const { line, index } of eligible) {
+        discountCents.set(index, Math.floor((toCents(line.unit_price_usd) * totalCents) / eligibleCents));
+      }
+      const largest = eligible.reduce((max, entry) =>
+        (toCents(entry.line.unit_price_usd) > toCents(max.line.unit_price_usd) ? entry : max), eligible[0]);
+      const remainder = totalCents - [...discountCents.values()].reduce((sum, cents) => sum + cents, 0);
+      discountCents.set(largest.index, discountCents.get(largest.index) + remainder);
+    }
+  } else {
+    const percentage = Number(coupon.discount_percentage) || 0;
+    for (const { line, index } of eligible) {
+      const price = roundMoney(line.unit_price_usd * (1 - percentage / 100));
+      discountCents.set(index, toCents(line.unit_price_usd) - toCents(price));
+    }
+  }
+
+  const lines = basket.lines.map((line, index) => {
+    const discount = (discountCents.get(index) || 0) / 100;
+    return { ...line, discount_usd: discount, price_usd: roundMoney(line.unit_price_usd - discount) };
+  });
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.price_usd, 0));
+  return {
+    valid: true,
+    basket: {
+      ...basket,
+      discount_percentage: coupon.discount_type === 'fixed' ? 0 : Number(coupon.discount_percentage) || 0,
+      lines,
+      discount_usd: roundMoney(basket.subtotal_usd - total),
+      total_usd: total,
+      coupon_code: coupon.code,
+    },
+  };
+}
+
+export function describeCoupon(coupon) {
+  return {
+    code: coupon.code,
+    discount_type: coupon.discount_type || 'percentage',
+    discount_percentage: coupon.discount_type === 'fixed' ? null : Number(coupon.discount_percentage) || 0,
+    discount_amount_usd: coupon.discount_type === 'fixed' ? Number(coupon.discount_amount_usd) : null,
+    min_spend_usd: Number(coupon.min_spend_usd || 0),
+    starts_at: coupon.starts_at || null,
+    ends_at: coupon.ends_at || null,
+  };
+}
+
+// book_mobile_basket_atomic_v3 raises the same English messages, so a coupon
+// refused by the database maps back to its reason.
+export function couponRejectionReason(error) {
+  const entry = Object.entries(COUPON_REJECTIONS)
+    .find(([, rejection]) => rejection.error === error?.message);
+  return entry ? entry[0] : null;
+}
@@ -0,0 +1,17 @@
+// Spreadsheet apps evaluate cells starting with = + - @, so those are quoted
+// with a leading apostrophe so a name or city typed by a user cannot run a
+// formula when the export is opened.
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,93 @@
+// Amounts are stored in USD and converted with exchange_rates for display and
+// for counting money at the counter.
+export const DEFAULT_CURRENCY = 'AOA';
+
+// Kwanzas are whole: there are no cêntimos in circulation. round_currency()
+// and currency_unit() in supabase-migration-currencies.sql use the same table.
+export const CURRENCY_DECIMALS = Object.freeze({
+  AOA: 0,
+  USD: 2,
+});
+
+export const SUPPORTED_CURRENCIES = Object.freeze(Object.keys(CURRENCY_DECIMALS));
+
+export function normalizeCurrency(value, fallback = DEFAULT_CURRENCY) {
+  const currency = String(value || '').trim().toUpperCase();
+  if (!currency) return fallback;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return currency;
+}
+
+export function roundCurrency(amount, currency) {
+  const factor = 10 ** CURRENCY_DECIMALS[currency];
+  return Math.round(Number(amount) * factor) / factor;
+}
+
+// The smallest amount a tender can be off by.
+export function currencyUnit(currency) {
+  return 1 / 10 ** CURRENCY_DECIMALS[currency];
+}
+
+export function convertFromUsd(amountUsd, { currency, rate }) {
+  if (amountUsd == null) return null;
+  return roundCurrency(Number(amountUsd) * Number(rate), currency);
+}
+
+// Total of several amounts converted one by one, so it matches the sum of
+// the converted amounts shown next to it.
+export function convertTotal(amountsUsd, pricing) {
+  return roundCurrency(
+    amountsUsd.reduce((sum, amountUsd) => sum + convertFromUsd(amountUsd, pricing), 0),
+    pricing.currency
+  );
+}
+
+// USD value of each tendered part: proportional, with the last part taking the
+// rounding so the shares add up to totalUsd. book_agent_ticket_atomic writes
+// its ledger rows the same way.
+export function allocateUsdShares(amounts, totalUsd) {
+  const tendered = amounts.reduce((sum, amount) => sum + Number(amount), 0);
+  const totalCents = Math.round(Number(totalUsd) * 100);
+  let allocatedCents = 0;
+  return amounts.map((amount, index) => {
+    const cents = index === amounts.length - 1
+      ? totalCents - allocatedCents
+      : Math.round((totalCents * Number(amount)) / tendered);
+    allocatedCents += cents;
+    return cents / 100;
+  });
+}
+
+// Trips keep their *_usd fields; price and base_price are in `currency`.
+export function convertTripPrices(trips, pricing) {
+  return trips.map((trip) => ({
+    ...trip,
+    currency: pricing.currency,
+    exchange_rate: pricing.rate,
+    price: convertFromUsd(trip.price_usd, pricing),
+    base_price: convertFromUsd(trip.base_price_usd ?? trip.price_usd, pricing),
+  }));
+}
+
+// Adds the requested currency to a basket priced by priceBasket. Totals are
+// the sums of the converted lines, so what the app shows always adds up.
+export function convertBasket(basket, pricing) {
+  const lines = basket.lines.map((line) => ({
+    ...line,
+    unit_price: convertFromUsd(line.unit_price_usd, pricing),
+    price: convertFromUsd(line.price_usd, pricing),
+  }));
+  const subtotal = convertTotal(basket.lines.map((line) => line.unit_price_usd), pricing);
+  const total = convertTotal(basket.lines.map((line) => line.price_usd), pricing);
+  return {
+    ...basket,
+    currency: pricing.currency,
+    exchange_rate: pricing.rate,
+    lines,
+    subtotal,
+    discount: roundCurrency(subtotal - total, pricing.currency),
+    total,
+  };
+}
@@ -0,0 +1,34 @@
+import { isCashLikePayment, normalizePaymentSplits } from './booking-payment.js';
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+// The new fare is the destination trip's current price. A positive difference
+// is collected at the counter, a negative one is refunded. Unpaid tickets just
+// take the new price and settle it when they are paid.
+export function computeExchangeFare({ pricePaid, newPrice, paymentStatus }) {
+  const differenceCents = toCents(newPrice) - toCents(pricePaid);
+  const settlesNow = paymentStatus === 'paid';
+  return {
+    from_price_usd: toCents(pricePaid) / 100,
+    to_price_usd: toCents(newPrice) / 100,
+    fare_difference_usd: differenceCents / 100,
+    collect_usd: settlesNow && differenceCents > 0 ? differenceCents / 100 : 0,
+    refund_usd: settlesNow && differenceCents < 0 ? -differenceCents / 100 : 0,
+  };
+}
+
+// Collection of a fare difference follows the counter booking rules: cash-like
+// methods only, and a TPA & Dinheiro split must add up to the difference.
+// amount is the difference converted into the tendered currency.
+export function buildExchangeCollection({ paymentMethod, splits = null, amount, currency = 'USD' }) {
+  if (!(Number(amount) > 0)) return [];
+  if (!isCashLikePayment(paymentMethod)) {
+    throw new Error('A fare difference must be collected with cash, TPA or TPA & Dinheiro');
+  }
+  if (paymentMethod === 'tpa_dinheiro' && splits != null) {
+    return normalizePaymentSplits(splits, amount, currency);
+  }
+  return [{ method: paymentMethod, amount: Number(amount) }];
+}
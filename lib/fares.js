@@ -0,0 +1,44 @@
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function roundPrice(value) {
+  return value == null ? null : roundMoney(value);
+}
+
+// Rows of get_trip_fares keyed by trip id. A segment without a fare keeps a
+// null price.
+export function indexTripFares(rows = []) {
+  return new Map(rows.map((row) => [row.trip_id, {
+    seat_class: row.seat_class,
+    base_price_usd: roundPrice(row.base_price_usd),
+    fare_usd: roundPrice(row.fare_usd),
+    fare_rules: Array.isArray(row.applied_rules) ? row.applied_rules : [],
+  }]));
+}
+
+// Trips leave the API priced at their fare: price_usd is what a seat costs
+// now, base_price_usd the trips.price_usd it was computed from. A trip with
+// no fare row (rules not installed yet) keeps its base price.
+export function applyTripFares(trips, faresByTrip) {
+  return trips.map((trip) => {
+    const fare = faresByTrip.get(trip.id);
+    const basePrice = trip.price_usd == null ? null : roundMoney(trip.price_usd);
+    return {
+      ...trip,
+      price_usd: fare ? fare.fare_usd : basePrice,
+      base_price_usd: fare ? fare.base_price_usd : basePrice,
+      fare_rules: fare ? fare.fare_rules : [],
+    };
+  });
+}
+
+// Search sorts by trips.price_usd in the database; re-sort the page once the
+// fares are known so "cheapest first" stays true.
+export function sortTripsByFare(trips, { ascending = true } = {}) {
+  const direction = ascending ? 1 : -1;
+  return [...trips].sort((left, right) =>
+    direction * (Number(left.price_usd) - Number(right.price_usd)) ||
+    String(left.departure_time).localeCompare(String(right.departure_time))
+  );
+}
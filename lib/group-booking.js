@@ -0,0 +1,97 @@
+import { normalizePaymentSplits, normalizeSeatNumber } from './booking-payment.js';
+
+export const MAX_GROUP_BOOKING_PASSENGERS = 20;
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+// Normalizes the passengers array of a group agent sale into the ordered item
+// list committed by book_agent_group_atomic(). As with the mobile basket, the
+// order is part of the idempotency contract: a retry must list the same
+// passengers and seats in the same order.
+export function normalizeGroupPassengers(passengers, copilotSeatNumber = 1) {
+  if (!Array.isArray(passengers) || !passengers.length) {
+    throw new Error('A group booking needs at least one passenger');
+  }
+  if (passengers.length > MAX_GROUP_BOOKING_PASSENGERS) {
+    throw new Error(`A group booking may contain at most ${MAX_GROUP_BOOKING_PASSENGERS} passengers`);
+  }
+
+  const seats = new Set();
+  const ticketNumbers = new Set();
+  return passengers.map((passenger, index) => {
+    const position = index + 1;
+    const passengerId = String(passenger?.passengerId || '').trim();
+    const seatNumber = normalizeSeatNumber(passenger?.seatNumber);
+    if (!passengerId || passenger?.seatNumber == null) {
+      throw new Error(`Passenger ${position} needs a passengerId and seatNumber`);
+    }
+    if (seatNumber === null) {
+      throw new Error(`Passenger ${position} seat number must be an integer`);
+    }
+    if (seatNumber === copilotSeatNumber) {
+      throw new Error(`Seat ${seatNumber} is reserved for the co-pilot`);
+    }
+    if (seats.has(seatNumber)) {
+      throw new Error(`Seat ${seatNumber} is repeated in the group`);
+    }
+    seats.add(seatNumber);
+
+    const ticketNumber = String(passenger.ticketNumber || '').trim() || null;
+    if (ticketNumber) {
+      if (ticketNumbers.has(ticketNumber)) {
+        throw new Error(`Ticket number ${ticketNumber} is repeated in the group`);
+      }
+      ticketNumbers.add(ticketNumber);
+    }
+
+    const companionName = String(passenger.companionName || '').trim() || null;
+    const companionPhone = String(passenger.companionPhone || '').trim() || null;
+    if (companionPhone && !companionName) {
+      throw new Error(`Passenger ${position} companion phone requires a companion name`);
+    }
+
+    return {
+      passenger_id: passengerId,
+      seat_number: seatNumber,
+      seat_class: passenger.seatClass || null,
+      ticket_number: ticketNumber,
+      companion_name: companionName,
+      companion_phone: companionPhone,
+    };
+  });
+}
+
+// A group pays once. The combined cash/TPA parts are spread over the tickets
+// in order, so every ticket still carries ledger rows that add up to its own
+// price and the existing per-ticket reports keep balancing. Splits and prices
+// are both in the tendered currency.
+export function allocateGroupSplits(splits, prices, currency = 'USD') {
+  const priceCents = prices.map(toCents);
+  const totalCents = priceCents.reduce((sum, cents) => sum + cents, 0);
+  const parts = normalizePaymentSplits(splits, totalCents / 100, currency)
+    .map((part) => ({ method: part.method, cents: toCents(part.amount) }));
+
+  // normalizePaymentSplits allows one unit of rounding; absorb it in the last part.
+  parts[parts.length - 1].cents += totalCents - parts.reduce((sum, part) => sum + part.cents, 0);
+
+  let partIndex = 0;
+  return priceCents.map((cents) => {
+    const allocation = [];
+    let remaining = cents;
+    while (remaining > 0 && partIndex < parts.length) {
+      const part = parts[partIndex];
+      const taken = Math.min(part.cents, remaining);
+      if (taken > 0) {
+        const previous = allocation.find((entry) => entry.method === part.method);
+        if (previous) previous.cents += taken;
+        else allocation.push({ method: part.method, cents: taken });
+      }
+      part.cents -= taken;
+      remaining -= taken;
+      if (part.cents <= 0) partIndex += 1;
+    }
+    return allocation.map((entry) => ({ method: entry.method, amount: entry.cents / 100 }));
+  });
+}
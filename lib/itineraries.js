@@ -0,0 +1,166 @@
+export const DEFAULT_CONNECTION_SETTINGS = Object.freeze({
+  min_layover_minutes: 30,
+  max_layover_minutes: 360,
+  max_legs: 3,
+});
+
+const MINUTE_MS = 60 * 1000;
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function routeOf(trip) {
+  return (Array.isArray(trip?.routes) ? trip.routes[0] : trip?.routes) || {};
+}
+
+function minutesBetween(from, to) {
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / MINUTE_MS);
+}
+
+// Same rule as the trip search filters: the place is part of the city or the
+// province name, ignoring case.
+export function matchesPlace(trip, side, place) {
+  const query = String(place || '').trim().toLowerCase();
+  if (!query) return true;
+  const route = routeOf(trip);
+  return [route[`${side}_city`], route[`${side}_province`]]
+    .some((name) => String(name || '').toLowerCase().includes(query));
+}
+
+function layoverAllowed(layover, settings) {
+  return layover >= settings.min_layover_minutes && layover <= settings.max_layover_minutes;
+}
+
+// connection_settings row with the defaults for anything missing.
+export function normalizeConnectionSettings(row = null) {
+  const settings = { ...DEFAULT_CONNECTION_SETTINGS };
+  for (const key of Object.keys(settings)) {
+    const value = Number(row?.[key]);
+    if (row?.[key] != null && Number.isInteger(value)) settings[key] = value;
+  }
+  return settings;
+}
+
+// A search may ask for shorter layovers or fewer legs than configured, never
+// for more: booking checks the configured limits.
+export function narrowConnectionSettings(settings, { minLayover, maxLayover, maxLegs } = {}) {
+  const narrowed = { ...settings };
+  const minutes = (value) => (value == null || value === '' ? null : parseInt(value, 10));
+  const min = minutes(minLayover);
+  const max = minutes(maxLayover);
+  const legs = minutes(maxLegs);
+  if (Number.isInteger(min)) narrowed.min_layover_minutes = Math.max(settings.min_layover_minutes, min);
+  if (Number.isInteger(max)) narrowed.max_layover_minutes = Math.min(settings.max_layover_minutes, max);
+  if (Number.isInteger(legs)) narrowed.max_legs = Math.min(settings.max_legs, Math.max(legs, 1));
+  return narrowed;
+}
+
+function describeItinerary(legs) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  return {
+    trip_ids: legs.map((trip) => trip.id),
+    legs,
+    transfers: legs.slice(1).map((trip, index) => ({
+      city: routeOf(trip).origin_city,
+      layover_minutes: minutesBetween(legs[index].arrival_time, trip.departure_time),
+    })),
+    departure_time: first.departure_time,
+    arrival_time: last.arrival_time,
+    duration_minutes: minutesBetween(first.departure_time, last.arrival_time),
+    price_usd: roundMoney(legs.reduce((sum, trip) => sum + Number(trip.price_usd), 0)),
+  };
+}
+
+// Chains trips into itineraries from the first legs to the destination. A
+// connection changes bus in the city the previous leg arrives in, after a
+// layover within the settings, and never passes through a city twice. Every
+// leg must have a seat for each passenger. Direct trips are itineraries with
+// one leg. With `destinationRouteIds` (routes arriving at the stations the
+// destination resolved to) a journey ends on one of those routes instead of
+// on a matching city name.
+export function findItineraries({
+  firstLegs,
+  trips,
+  destination,
+  destinationRouteIds = null,
+  passengers = 1,
+  settings = DEFAULT_CONNECTION_SETTINGS,
+}) {
+  const hasSeats = (trip) => Number(trip.available_seats) >= passengers;
+  const arrives = (trip) => (destinationRouteIds
+    ? destinationRouteIds.includes(trip.route_id)
+    : matchesPlace(trip, 'destination', destination));
+  const departuresByCity = new Map();
+  for (const trip of trips) {
+    if (!hasSeats(trip)) continue;
+    const city = routeOf(trip).origin_city;
+    if (!departuresByCity.has(city)) departuresByCity.set(city, []);
+    departuresByCity.get(city).push(trip);
+  }
+
+  const itineraries = [];
+  const extend = (legs, visitedCities) => {
+    const last = legs[legs.length - 1];
+    if (arrives(last)) {
+      itineraries.push(describeItinerary(legs));
+      return;
+    }
+    if (legs.length >= settings.max_legs) return;
+
+    const transferCity = routeOf(last).destination_city;
+    for (const next of departuresByCity.get(transferCity) || []) {
+      const nextCity = routeOf(next).destination_city;
+      if (!layoverAllowed(minutesBetween(last.arrival_time, next.departure_time), settings)) continue;
+      if (visitedCities.has(nextCity)) continue;
+      extend([...legs, next], new Set([...visitedCities, nextCity]));
+    }
+  };
+
+  for (const first of firstLegs) {
+    if (!hasSeats(first)) continue;
+    const route = routeOf(first);
+    extend([first], new Set([route.origin_city, route.destination_city]));
+  }
+  return itineraries;
+}
+
+// Why trips booked in this order as one journey do not connect, or null. Same
+// rules as findItineraries.
+export function connectionError(trips, settings = DEFAULT_CONNECTION_SETTINGS) {
+  if (trips.length > settings.max_legs) {
+    return `A journey may have at most ${settings.max_legs} legs`;
+  }
+  const cities = new Set([routeOf(trips[0]).origin_city]);
+  for (let index = 1; index < trips.length; index += 1) {
+    const previous = trips[index - 1];
+    const next = trips[index];
+    const transferCity = routeOf(previous).destination_city;
+    if (routeOf(next).origin_city !== transferCity) {
+      return `Trip ${next.id} does not leave from ${transferCity}`;
+    }
+    if (!layoverAllowed(minutesBetween(previous.arrival_time, next.departure_time), settings)) {
+      return `The layover in ${transferCity} must be between ${settings.min_layover_minutes} and ` +
+        `${settings.max_layover_minutes} minutes`;
+    }
+    cities.add(transferCity);
+    if (cities.has(routeOf(next).destination_city)) {
+      return `The journey passes through ${routeOf(next).destination_city} twice`;
+    }
+  }
+  return null;
+}
+
+// Shortest journey first, then cheapest; `price` swaps the two.
+export function rankItineraries(itineraries, sort = 'duration') {
+  const byDuration = (left, right) => left.duration_minutes - right.duration_minutes;
+  const byPrice = (left, right) => left.price_usd - right.price_usd;
+  const [primary, secondary] = sort === 'price' ? [byPrice, byDuration] : [byDuration, byPrice];
+  return [...itineraries].sort((left, right) =>
+    primary(left, right) ||
+    secondary(left, right) ||
+    left.trip_ids.length - right.trip_ids.length ||
+    String(left.departure_time).localeCompare(String(right.departure_time))
+  );
+}
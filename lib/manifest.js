@@ -0,0 +1,159 @@
+import { toCsv } from './csv.js';
+import { scheduleStops, stopRangeLabel } from './route-stops.js';
+
+export const THERMAL_LINE_WIDTH = 48; // 80mm paper, font A
+export const MANIFEST_TIME_ZONE = 'Africa/Luanda';
+
+const CSV_COLUMNS = [
+  'seat_number',
+  'passenger_name',
+  'phone',
+  'ticket_number',
+  'segment',
+  'departure_time',
+  'boarding_status',
+  'payment_status',
+  'payment_method',
+];
+
+function fullName(profile) {
+  return [profile?.first_name, profile?.last_name]
+    .map((part) => String(part || '').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+export function tripSegmentLabel(trip) {
+  const route = Array.isArray(trip?.routes) ? trip.routes[0] : trip?.routes;
+  if (!route) return null;
+  return `${route.origin_city} - ${route.destination_city}`;
+}
+
+// Label and boarding time of a ticket bought between two stops of the route,
+// or null for a whole-trip ticket.
+function ticketStops(ticket, trip, stops) {
+  if (ticket.origin_stop == null || !trip || !stops?.length) return null;
+  const label = stopRangeLabel(stops, ticket);
+  const boarding = scheduleStops(trip.departure_time, stops)
+    .find((stop) => stop.stop_order === ticket.origin_stop);
+  return label && boarding ? { segment: label, departure_time: boarding.departure_time } : null;
+}
+
+// One row per occupied seat across the trip and its overlapping segments. A
+// companion travelling on someone else's purchase replaces the buyer's name,
+// and their phone when they gave one. A ticket between intermediate stops
+// shows those stops and the time the bus leaves the first one.
+export function buildManifestRows({
+  tickets = [],
+  profilesById = new Map(),
+  companionsByTicket = new Map(),
+  tripsById = new Map(),
+  stopsByRoute = new Map(),
+}) {
+  return tickets
+    .map((ticket) => {
+      const profile = profilesById.get(ticket.passenger_id);
+      const companion = companionsByTicket.get(ticket.id);
+      const trip = tripsById.get(ticket.trip_id);
+      const stops = ticketStops(ticket, trip, stopsByRoute.get(trip?.route_id));
+      return {
+        seat_number: Number(ticket.seat_number),
+        ticket_id: ticket.id,
+        ticket_number: ticket.ticket_number || null,
+        trip_id: ticket.trip_id,
+        segment: stops?.segment || tripSegmentLabel(trip),
+        departure_time: stops?.departure_time || trip?.departure_time || null,
+        passenger_name: companion?.name || fullName(profile) || null,
+        phone: companion?.phone || profile?.phone_number || null,
+        is_companion: Boolean(companion),
+        boarding_status: ticket.status === 'used' ? 'boarded' : 'not_boarded',
+        boarded_at: ticket.boarded_at || null,
+        payment_status: ticket.payment_status,
+        payment_method: ticket.payment_method || null,
+      };
+    })
+    .sort((a, b) =>
+      a.seat_number - b.seat_number ||
+      String(a.departure_time).localeCompare(String(b.departure_time))
+    );
+}
+
+export function summarizeManifest(rows) {
+  return {
+    passengers: rows.length,
+    boarded: rows.filter((row) => row.boarding_status === 'boarded').length,
+    paid: rows.filter((row) => row.payment_status === 'paid').length,
+    unpaid: rows.filter((row) => row.payment_status !== 'paid').length,
+  };
+}
+
+export function manifestToCsv(rows) {
+  return toCsv(CSV_COLUMNS, rows);
+}
+
+export function formatManifestTime(value, timeZone = MANIFEST_TIME_ZONE) {
+  if (!value) return '';
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(new Date(value))
+      .map((part) => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+function fit(text, width) {
+  const value = String(text ?? '');
+  return value.length > width ? value.slice(0, width) : value.padEnd(width);
+}
+
+function center(text, width) {
+  const value = String(text ?? '').slice(0, width);
+  return ' '.repeat(Math.floor((width - value.length) / 2)) + value;
+}
+
+// Plain monospaced text for 80mm ESC/POS printers: seat, name and flags on the
+// first line of each passenger, phone and ticket number on the second.
+export function manifestToThermalText(
+  { title, departureTime, busPlate, rows, printedAt = new Date() },
+  width = THERMAL_LINE_WIDTH
+) {
+  const rule = '-'.repeat(width);
+  const summary = summarizeManifest(rows);
+  const lines = [
+    center('PASSENGER MANIFEST', width),
+    center(title || '', width),
+    center(formatManifestTime(departureTime), width),
+    busPlate ? center(`Bus ${busPlate}`, width) : null,
+    rule,
+    `${fit('SEAT', 5)}${fit('PASSENGER', width - 15)}${fit('PAY', 5)}${fit('BRD', 5)}`,
+    rule,
+  ].filter((line) => line !== null);
+
+  for (const row of rows) {
+    lines.push(
+      fit(String(row.seat_number), 5) +
+      fit(row.passenger_name || '-', width - 15) +
+      fit(row.payment_status === 'paid' ? 'PAID' : 'DUE', 5) +
+      fit(row.boarding_status === 'boarded' ? 'YES' : '', 5)
+    );
+    const details = [row.phone, row.ticket_number, row.segment].filter(Boolean).join('  ');
+    if (details) lines.push(`${' '.repeat(5)}${fit(details, width - 5)}`);
+  }
+
+  lines.push(
+    rule,
+    `Passengers: ${summary.passengers}  Boarded: ${summary.boarded}`,
+    `Paid: ${summary.paid}  Due: ${summary.unpaid}`,
+    `Printed ${formatManifestTime(printedAt)}`,
+    ''
+  );
+  return lines.map((line) => line.trimEnd()).join('\n');
+}
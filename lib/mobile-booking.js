@@ -0,0 +1,87 @@
+import { normalizeSeatNumber } from './booking-payment.js';
+import { normalizeStopRange } from './route-stops.js';
+
+export const MAX_MOBILE_BASKET_SEATS = 20;
+export const MOBILE_PAYMENT_METHOD = 'referencia';
+
+// App baskets are only paid by reference, which gives every unpaid basket a
+// payment deadline and lets the expiry sweep release its seats. Older builds
+// send no method.
+export function normalizeMobilePaymentMethod(value) {
+  const method = String(value ?? '').trim() || MOBILE_PAYMENT_METHOD;
+  if (method !== MOBILE_PAYMENT_METHOD) {
+    throw new Error('Mobile bookings are paid by reference');
+  }
+  return method;
+}
+
+// A leg is one trip, or a connection of several trips booked together
+// (`outboundLegs`/`returnLegs`: [{ trip, seats }], in travel order). Every trip
+// of a connection carries the same passengers, so it needs as many seats.
+function journeyLegs(leg, connections, trip, seats) {
+  if (!Array.isArray(connections) || !connections.length) {
+    return [{ leg, trip, seats }];
+  }
+  const parts = connections.map((connection) => ({ leg, trip: connection?.trip, seats: connection?.seats }));
+  const tripIds = new Set();
+  for (const part of parts) {
+    if (!part.trip?.id || !Array.isArray(part.seats) || !part.seats.length) {
+      throw new Error(`Every ${leg} connection needs a trip and seats`);
+    }
+    if (tripIds.has(part.trip.id)) {
+      throw new Error(`Trip ${part.trip.id} is repeated on the ${leg} leg`);
+    }
+    tripIds.add(part.trip.id);
+    if (part.seats.length !== parts[0].seats.length) {
+      throw new Error(`Every ${leg} connection needs the same number of seats`);
+    }
+  }
+  return parts;
+}
+
+// Flattens the outbound/return request shape of /api/mobile/booking into the
+// ordered item list committed by book_mobile_basket_atomic(). The order is part
+// of the idempotency contract: a retry must send the same seats in the same
+// order to recover the original tickets.
+export function buildMobileBasketItems({
+  outboundTrip,
+  outboundSeats,
+  outboundLegs = null,
+  returnTrip,
+  returnSeats,
+  returnLegs = null,
+}) {
+  const legs = journeyLegs('outbound', outboundLegs, outboundTrip, outboundSeats);
+  if (Array.isArray(returnLegs) && returnLegs.length) {
+    legs.push(...journeyLegs('return', returnLegs));
+  } else if (returnTrip && Array.isArray(returnSeats) && returnSeats.length) {
+    legs.push({ leg: 'return', trip: returnTrip, seats: returnSeats });
+  }
+
+  const items = [];
+  for (const { leg, trip, seats } of legs) {
+    if (!trip?.id || !Array.isArray(seats) || !seats.length) {
+      throw new Error(`The ${leg} trip and seats are required`);
+    }
+
+    // A trip object with originStop/destinationStop buys that segment.
+    const stopRange = normalizeStopRange(trip) || {};
+    const seen = new Set();
+    for (const value of seats) {
+      const seatNumber = normalizeSeatNumber(value);
+      if (seatNumber === null) {
+        throw new Error('Seat numbers must be integers');
+      }
+      if (seen.has(seatNumber)) {
+        throw new Error(`Seat ${seatNumber} is repeated on the ${leg} trip`);
+      }
+      seen.add(seatNumber);
+      items.push({ leg, trip_id: trip.id, seat_number: seatNumber, ...stopRange });
+    }
+  }
+
+  if (items.length > MAX_MOBILE_BASKET_SEATS) {
+    throw new Error(`A booking may contain at most ${MAX_MOBILE_BASKET_SEATS} seats`);
+  }
+  return items;
+}
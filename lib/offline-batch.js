@@ -0,0 +1,29 @@
+import { bookingErrorStatus } from './booking-response.js';
+
+export const MAX_OFFLINE_BATCH_SALES = 50;
+
+export const OFFLINE_SALE_STATUSES = Object.freeze([
+  'created',
+  'recovered',
+  'seat_conflict',
+  'rejected',
+  'failed',
+]);
+
+// A seat conflict can be resold on another seat, a rejection will never
+// succeed as sent, and a failure is transient: the terminal keeps that sale
+// queued and uploads it again with the same idempotency key.
+export function classifyOfflineSaleError(error) {
+  const status = bookingErrorStatus(error);
+  if (status === 409 && /seat/i.test(error?.message || '')) return 'seat_conflict';
+  if (status >= 500) return 'failed';
+  return 'rejected';
+}
+
+export function summarizeOfflineSaleResults(results) {
+  const summary = Object.fromEntries(OFFLINE_SALE_STATUSES.map((status) => [status, 0]));
+  for (const result of results) {
+    summary[result.status] += 1;
+  }
+  return summary;
+}
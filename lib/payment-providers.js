@@ -0,0 +1,250 @@
+import { randomInt, randomUUID } from 'node:crypto';
+
+import { signPaymentWebhook } from './payment-webhook.js';
+
+export const DEFAULT_MULTICAIXA_ENTITY = '1219';
+export const DEFAULT_PAYMENT_API_URL = 'https://payments-nawabus.vercel.app/api/create-payment';
+export const PAYMENT_PROVIDER_TIMEOUT_MS = 8000;
+export const REFERENCE_STATUSES = Object.freeze(['pending', 'paid', 'expired', 'refunded']);
+
+// Every provider exposes the same three operations:
+//
+//   createReference({ amount, currency, ticketIds, idempotencyKey,
+//                     passengerName, passengerEmail, expiresAt })
+//     -> { reference, entity, expiresAt }
+//   getReferenceStatus(reference)
+//     -> { reference, status, amount, transactionId, paidAt }
+//   refund({ reference, amount, currency, idempotencyKey })
+//     -> { refundId, status }
+//
+// Failures throw with error.code = 'payment_provider_error' so callers can
+// tell a provider outage from a database error.
+export function paymentProviderError(message, cause) {
+  const error = new Error(message);
+  error.code = 'payment_provider_error';
+  if (cause) error.cause = cause;
+  return error;
+}
+
+function normalizeStatus(value) {
+  const status = String(value || '').trim().toLowerCase();
+  if (['paid', 'completed', 'success'].includes(status)) return 'paid';
+  return REFERENCE_STATUSES.includes(status) ? status : 'pending';
+}
+
+// MULTICAIXA references issued through the payments service. Status and refund
+// live next to create-payment unless their URLs are configured explicitly.
+export function createMulticaixaProvider({
+  apiUrl = DEFAULT_PAYMENT_API_URL,
+  statusUrl = new URL('payment-status', apiUrl).toString(),
+  refundUrl = new URL('refund-payment', apiUrl).toString(),
+  entity = DEFAULT_MULTICAIXA_ENTITY,
+  fetchImpl = fetch,
+  timeoutMs = PAYMENT_PROVIDER_TIMEOUT_MS,
+} = {}) {
+  async function call(url, { method = 'POST', body, idempotencyKey } = {}) {
+    let response;
+    try {
+      response = await fetchImpl(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (networkError) {
+      throw paymentProviderError('Payment provider is unreachable', networkError);
+    }
+    if (!response.ok) {
+      throw paymentProviderError(`Payment provider responded with HTTP ${response.status}`);
+    }
+    try {
+      return await response.json();
+    } catch (parseError) {
+      throw paymentProviderError('Payment provider returned an invalid response', parseError);
+    }
+  }
+
+  return {
+    name: 'multicaixa',
+    entity,
+
+    async createReference({ amount, currency = 'USD', ticketIds = [], idempotencyKey, passengerName, passengerEmail, expiresAt }) {
+      const data = await call(apiUrl, {
+        idempotencyKey,
+        body: {
+          ticket_id: ticketIds[0],
+          ticket_ids: ticketIds,
+          amount,
+          currency,
+          passenger_name: passengerName,
+          passenger_email: passengerEmail,
+          expires_at: expiresAt || undefined,
+        },
+      });
+      const reference = data?.reference_number || data?.reference;
+      if (!reference) throw paymentProviderError('Payment provider did not return a reference');
+      return {
+        reference: String(reference),
+        entity: String(data.entity || entity),
+        expiresAt: data.expires_at || expiresAt || null,
+      };
+    },
+
+    async getReferenceStatus(reference) {
+      const url = new URL(statusUrl);
+      url.searchParams.set('reference', reference);
+      const data = await call(url.toString(), { method: 'GET' });
+      return {
+        reference: String(data?.reference_number || data?.reference || reference),
+        status: normalizeStatus(data?.status),
+        amount: data?.amount == null ? null : Number(data.amount),
+        transactionId: data?.transaction_id || null,
+        paidAt: data?.paid_at || null,
+      };
+    },
+
+    async refund({ reference, amount, currency = 'USD', idempotencyKey }) {
+      const data = await call(refundUrl, {
+        idempotencyKey,
+        body: { reference_number: reference, amount, currency },
+      });
+      return {
+        refundId: data?.refund_id || data?.id || null,
+        status: String(data?.status || 'pending').toLowerCase(),
+      };
+    },
+  };
+}
+
+// In-process provider for local runs and end-to-end tests without network.
+// pay() marks a reference paid and returns the signed webhook the real
+// provider would send, ready to POST to /api/payments/webhook.
+export function createMockPaymentProvider({
+  entity = '99999',
+  webhookSecret = '',
+  now = () => Date.now(),
+} = {}) {
+  const references = new Map();
+  const byIdempotencyKey = new Map();
+  const refunds = new Map();
+
+  function find(reference) {
+    const entry = references.get(String(reference));
+    if (!entry) throw paymentProviderError(`Unknown payment reference ${reference}`);
+    return entry;
+  }
+
+  return {
+    name: 'mock',
+    entity,
+    references,
+
+    async createReference({ amount, currency = 'USD', ticketIds = [], idempotencyKey, expiresAt = null }) {
+      if (idempotencyKey && byIdempotencyKey.has(idempotencyKey)) {
+        const existing = references.get(byIdempotencyKey.get(idempotencyKey));
+        return { reference: existing.reference, entity, expiresAt: existing.expiresAt };
+      }
+      let reference;
+      do {
+        reference = String(randomInt(100000000, 1000000000));
+      } while (references.has(reference));
+
+      references.set(reference, {
+        reference,
+        amount: Math.round(Number(amount) * 100) / 100,
+        currency,
+        ticketIds: [...ticketIds],
+        expiresAt,
+        status: 'pending',
+        transactionId: null,
+        paidAt: null,
+      });
+      if (idempotencyKey) byIdempotencyKey.set(idempotencyKey, reference);
+      return { reference, entity, expiresAt };
+    },
+
+    async getReferenceStatus(reference) {
+      const entry = find(reference);
+      if (entry.status === 'pending' && entry.expiresAt && new Date(entry.expiresAt).getTime() <= now()) {
+        entry.status = 'expired';
+      }
+      return {
+        reference: entry.reference,
+        status: entry.status,
+        amount: entry.amount,
+        transactionId: entry.transactionId,
+        paidAt: entry.paidAt,
+      };
+    },
+
+    async refund({ reference, amount, currency = 'USD', idempotencyKey }) {
+      const entry = find(reference);
+      if (entry.status !== 'paid' && entry.status !== 'refunded') {
+        throw paymentProviderError(`Payment reference ${reference} has not been paid`);
+      }
+      const key = idempotencyKey || randomUUID();
+      if (!refunds.has(key)) {
+        refunds.set(key, { refundId: `mock-refund-${refunds.size + 1}`, reference: entry.reference, amount, currency });
+      }
+      return { refundId: refunds.get(key).refundId, status: 'refunded' };
+    },
+
+    pay(reference, { amount } = {}) {
+      const entry = find(reference);
+      entry.status = 'paid';
+      entry.transactionId = entry.transactionId || `mock-${randomUUID()}`;
+      entry.paidAt = entry.paidAt || new Date(now()).toISOString();
+
+      const rawBody = JSON.stringify({
+        reference_number: entry.reference,
+        transaction_id: entry.transactionId,
+        status: 'paid',
+        amount: amount ?? entry.amount,
+        paid_at: entry.paidAt,
+      });
+      const timestamp = String(Math.floor(now() / 1000));
+      return {
+        rawBody,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Payment-Timestamp': timestamp,
+          'X-Payment-Signature': webhookSecret ? `sha256=${signPaymentWebhook(rawBody, timestamp, webhookSecret)}` : '',
+        },
+      };
+    },
+  };
+}
+
+// Retries provider outages only; a database or validation error is raised at
+// once. Idempotency keys make a retried create or refund safe.
+export async function withPaymentProviderRetry(operation, { attempts = 3, delayMs = 250 } = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error?.code !== 'payment_provider_error' || attempt >= attempts) throw error;
+      await new Promise((resolve) => setTimeout(resolve, delayMs * attempt));
+    }
+  }
+}
+
+export function createPaymentProvider(env = process.env, { fetchImpl = fetch } = {}) {
+  const name = String(env.PAYMENT_PROVIDER || 'multicaixa').trim().toLowerCase();
+  if (name === 'mock') {
+    return createMockPaymentProvider({ webhookSecret: env.PAYMENT_WEBHOOK_SECRET || '' });
+  }
+  if (name === 'multicaixa') {
+    const apiUrl = env.PAYMENT_API_URL || DEFAULT_PAYMENT_API_URL;
+    return createMulticaixaProvider({
+      apiUrl,
+      statusUrl: env.PAYMENT_STATUS_URL || undefined,
+      refundUrl: env.PAYMENT_REFUND_URL || undefined,
+      entity: env.MULTICAIXA_ENTITY || DEFAULT_MULTICAIXA_ENTITY,
+      fetchImpl,
+    });
+  }
+  throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+}
@@ -0,0 +1,69 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const PAYMENT_WEBHOOK_TOLERANCE_SECONDS = 300;
+export const PAID_WEBHOOK_STATUSES = Object.freeze(['paid', 'completed', 'success']);
+
+// The provider signs "<timestamp>.<raw body>" with the shared secret and sends
+// the hex HMAC-SHA256 in X-Payment-Signature, optionally as "sha256=<hex>".
+// The timestamp bounds how long a captured notification can be replayed.
+export function signPaymentWebhook(rawBody, timestamp, secret) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+export function verifyPaymentWebhook({
+  rawBody,
+  timestamp,
+  signature,
+  secret,
+  now = Date.now(),
+  toleranceSeconds = PAYMENT_WEBHOOK_TOLERANCE_SECONDS,
+}) {
+  if (!secret) return { valid: false, reason: 'not_configured' };
+  if (!rawBody || !timestamp || !signature) return { valid: false, reason: 'missing_signature' };
+
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+    return { valid: false, reason: 'stale_timestamp' };
+  }
+
+  const expected = Buffer.from(signPaymentWebhook(rawBody, timestamp, secret), 'hex');
+  const received = Buffer.from(String(signature).replace(/^sha256=/i, ''), 'hex');
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+  return { valid: true };
+}
+
+// Accepts the field names of the payments service that issues the references
+// (reference_number, transaction_id) and their shorter aliases.
+export function normalizePaymentWebhookEvent(body) {
+  const reference = String(body?.reference_number ?? body?.reference ?? '').trim();
+  const transactionId = String(body?.transaction_id ?? body?.event_id ?? '').trim();
+  const status = String(body?.status ?? '').trim().toLowerCase();
+  const amount = Number(body?.amount);
+
+  if (!reference) throw new Error('reference_number is required');
+  if (!transactionId) throw new Error('transaction_id is required');
+  if (!status) throw new Error('status is required');
+  if (PAID_WEBHOOK_STATUSES.includes(status) && (!Number.isFinite(amount) || amount <= 0)) {
+    throw new Error('amount must be a positive number');
+  }
+
+  let paidAt = null;
+  if (body?.paid_at != null) {
+    paidAt = new Date(body.paid_at);
+    if (!Number.isFinite(paidAt.getTime())) throw new Error('paid_at must be a valid date');
+  }
+
+  return {
+    reference,
+    transactionId,
+    status,
+    amount: Math.round(amount * 100) / 100,
+    paid: PAID_WEBHOOK_STATUSES.includes(status),
+    paidAt: paidAt?.toISOString() || null,
+  };
+}
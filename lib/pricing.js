@@ -0,0 +1,130 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const QUOTE_TTL_SECONDS = 10 * 60;
+
+const SELLABLE_TRIP_STATUSES = new Set(['scheduled', 'boarding']);
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// Mirrors the availability checks of the booking RPCs so a quote is never
+// issued for a trip the database would refuse to sell.
+export function assertTripSellable(trip, now = Date.now()) {
+  if (!trip) throw new Error('Trip not found');
+
+  const bus = Array.isArray(trip.buses) ? trip.buses[0] : trip.buses;
+  const route = Array.isArray(trip.routes) ? trip.routes[0] : trip.routes;
+  if (!SELLABLE_TRIP_STATUSES.has(trip.status) || bus?.is_active === false || route?.is_active === false) {
+    throw new Error('Trip is not available for sale');
+  }
+  if (trip.departure_time && new Date(trip.departure_time).getTime() <= now) {
+    throw new Error('Trip has already departed');
+  }
+
+  const price = Number(trip.price_usd);
+  if (trip.price_usd == null || !Number.isFinite(price) || price < 0) {
+    throw new Error('Trip has no sale price');
+  }
+}
+
+// Prices each basket seat from the trip row loaded by the server, whose
+// price_usd is already the fare (see applyTripFares) of the item's segment
+// when it has one. Client supplied prices and seat classes are never read
+// here.
+export function priceBasket({ items, tripsById, discountPercentage = 0, now = Date.now() }) {
+  const discount = Number(discountPercentage) || 0;
+  if (discount < 0 || discount > 100) {
+    throw new Error('Discount must be between 0 and 100 percent');
+  }
+
+  const lines = items.map((item) => {
+    const trip = tripsById.get(item.trip_id);
+    assertTripSellable(trip, now);
+
+    const unitPrice = roundMoney(trip.price_usd);
+    const price = roundMoney(unitPrice * (1 - discount / 100));
+    return {
+      leg: item.leg,
+      trip_id: item.trip_id,
+      seat_number: item.seat_number,
+      ...(item.origin_stop != null
+        ? { origin_stop: item.origin_stop, destination_stop: item.destination_stop }
+        : {}),
+      seat_class: trip.seat_class || 'economy',
+      unit_price_usd: unitPrice,
+      discount_usd: roundMoney(unitPrice - price),
+      price_usd: price,
+      fare_rules: trip.fare_rules || [],
+    };
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.unit_price_usd, 0));
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.price_usd, 0));
+  return {
+    currency: 'USD',
+    discount_percentage: discount,
+    lines,
+    subtotal_usd: subtotal,
+    discount_usd: roundMoney(subtotal - total),
+    total_usd: total,
+  };
+}
+
+function signPayload(encodedPayload, secret) {
+  return createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+export function signQuote(quote, secret, { now = Date.now(), ttlSeconds = QUOTE_TTL_SECONDS } = {}) {
+  if (!secret) throw new Error('Quote signing secret is not configured');
+
+  const expiresAt = new Date(now + ttlSeconds * 1000).toISOString();
+  const payload = { ...quote, expires_at: expiresAt };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    quote: payload,
+    token: `${encodedPayload}.${signPayload(encodedPayload, secret)}`,
+  };
+}
+
+export function verifyQuote(token, secret, now = Date.now()) {
+  if (!secret) return { valid: false, reason: 'not_configured' };
+
+  const [encodedPayload, signature, extra] = String(token || '').split('.');
+  if (!encodedPayload || !signature || extra !== undefined) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const expected = Buffer.from(signPayload(encodedPayload, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  let quote;
+  try {
+    quote = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (!quote?.expires_at || new Date(quote.expires_at).getTime() <= now) {
+    return { valid: false, reason: 'expired' };
+  }
+  return { valid: true, quote };
+}
+
+// A quote only confirms the basket it was issued for: same seats and
+// segments in the same order and the same coupon. Anything else is a tampered
+// or reused token.
+export function quoteMatchesBasket(quote, items, couponCode = null) {
+  const lines = quote?.lines || [];
+  if (lines.length !== items.length) return false;
+  if ((quote.coupon_code || null) !== (couponCode || null)) return false;
+  return items.every((item, index) =>
+    lines[index].trip_id === item.trip_id &&
+    Number(lines[index].seat_number) === item.seat_number &&
+    (lines[index].origin_stop ?? null) === (item.origin_stop ?? null) &&
+    (lines[index].destination_stop ?? null) === (item.destination_stop ?? null)
+  );
+}
@@ -0,0 +1,23 @@
+import { timingSafeEqual } from 'node:crypto';
+
+export const EXPIRY_SWEEP_BATCH_SIZE = 200;
+// Keeps one invocation well inside a serverless time limit; whatever is left
+// is picked up by the next run.
+export const MAX_EXPIRY_SWEEP_BATCHES = 5;
+
+// Vercel cron and similar schedulers send "Authorization: Bearer <secret>".
+export function hasCronSecret(authorizationHeader, secret) {
+  if (!secret || !authorizationHeader?.startsWith('Bearer ')) return false;
+  const received = Buffer.from(authorizationHeader.slice(7));
+  const expected = Buffer.from(secret);
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+export function summarizeExpiredTickets(rows = []) {
+  return {
+    tickets: rows.length,
+    references: new Set(rows.map((row) => row.payment_reference).filter(Boolean)).size,
+    passengers: new Set(rows.map((row) => row.passenger_id).filter(Boolean)).size,
+    trips: new Set(rows.map((row) => row.trip_id)).size,
+  };
+}
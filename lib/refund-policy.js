@@ -0,0 +1,101 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used when no operator policy matches: a full refund until departure and
+// nothing afterwards, which is what the counter did before policies existed.
+export const DEFAULT_REFUND_POLICY = Object.freeze({
+  id: null,
+  name: 'default',
+  fee_usd: 0,
+  tiers: Object.freeze([
+    Object.freeze({ min_hours_before: 0, refund_percentage: 100 }),
+  ]),
+});
+
+const SCOPE_FIELDS = [
+  ['company_id', 'companyId'],
+  ['route_id', 'routeId'],
+  ['seat_class', 'seatClass'],
+  ['payment_method', 'paymentMethod'],
+];
+
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// Tiers are sorted from the earliest cancellation window to the latest. The
+// first tier whose min_hours_before is reached applies; below every tier the
+// ticket is not refundable.
+export function normalizeRefundTiers(tiers) {
+  if (!Array.isArray(tiers) || !tiers.length) {
+    throw new Error('A refund policy needs at least one tier');
+  }
+
+  return tiers
+    .map((tier) => {
+      const minHoursBefore = Number(tier?.min_hours_before);
+      const refundPercentage = Number(tier?.refund_percentage);
+      if (!Number.isFinite(minHoursBefore) || !Number.isFinite(refundPercentage) ||
+          refundPercentage < 0 || refundPercentage > 100) {
+        throw new Error('Refund tiers need min_hours_before and a 0-100 refund_percentage');
+      }
+      return { min_hours_before: minHoursBefore, refund_percentage: refundPercentage };
+    })
+    .sort((a, b) => b.min_hours_before - a.min_hours_before);
+}
+
+// A policy scoped to more of company/route/seat class/payment method wins over
+// a broader one. Unset scope fields match everything. Ties go to the lowest
+// priority number.
+export function selectRefundPolicy(policies = [], scope = {}) {
+  let selected = null;
+  let selectedScore = -1;
+
+  for (const policy of policies) {
+    if (policy?.is_active === false) continue;
+
+    let score = 0;
+    let matches = true;
+    for (const [column, key] of SCOPE_FIELDS) {
+      if (policy[column] == null) continue;
+      if (policy[column] !== scope[key]) {
+        matches = false;
+        break;
+      }
+      score += 1;
+    }
+    if (!matches) continue;
+
+    const priority = Number(policy.priority) || 0;
+    if (score > selectedScore || (score === selectedScore && priority < (Number(selected.priority) || 0))) {
+      selected = policy;
+      selectedScore = score;
+    }
+  }
+
+  return selected || DEFAULT_REFUND_POLICY;
+}
+
+export function computeRefundQuote({ policy = DEFAULT_REFUND_POLICY, departureTime, paidTotal, now = Date.now() }) {
+  const departure = new Date(departureTime).getTime();
+  if (!Number.isFinite(departure)) {
+    throw new Error('Trip departure time is unknown');
+  }
+
+  const hoursBeforeDeparture = (departure - now) / HOUR_MS;
+  const tier = normalizeRefundTiers(policy.tiers)
+    .find((candidate) => hoursBeforeDeparture >= candidate.min_hours_before) || null;
+  const refundPercentage = tier ? tier.refund_percentage : 0;
+  const paid = roundMoney(Math.max(Number(paidTotal) || 0, 0));
+  const gross = roundMoney((paid * refundPercentage) / 100);
+  const fee = refundPercentage > 0 ? roundMoney(Math.min(Number(policy.fee_usd) || 0, gross)) : 0;
+
+  return {
+    policy_id: policy.id || null,
+    policy_name: policy.name || null,
+    hours_before_departure: Math.round(hoursBeforeDeparture * 100) / 100,
+    refund_percentage: refundPercentage,
+    paid_usd: paid,
+    fee_usd: fee,
+    refundable_usd: roundMoney(gross - fee),
+  };
+}
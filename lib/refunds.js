@@ -0,0 +1,58 @@
+import { CURRENCY_DECIMALS, convertFromUsd } from './currency.js';
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+// Net amount collected per payment method from the ticket's ledger rows.
+// Completed rows add, refund rows (stored as negative amounts) subtract.
+export function summarizeTicketLedger(rows = []) {
+  const byMethod = new Map();
+  for (const row of rows) {
+    if (!['completed', 'refunded'].includes(row?.status)) continue;
+    const cents = toCents(row.amount_usd);
+    if (!Number.isFinite(cents)) continue;
+    byMethod.set(row.payment_method, (byMethod.get(row.payment_method) || 0) + cents);
+  }
+
+  const methods = [...byMethod.entries()]
+    .filter(([, cents]) => cents > 0)
+    .map(([method, cents]) => ({ method, amount: cents / 100 }));
+  return {
+    methods,
+    paidTotal: methods.reduce((sum, part) => sum + toCents(part.amount), 0) / 100,
+  };
+}
+
+// A refund goes back through the same channels as the sale, in the same
+// proportion: a 6000 TPA + 4000 cash sale refunded at 50% returns 3000 TPA and
+// 2000 cash. refundAmount is in USD; the parts are handed back in the tender
+// currency, converted at its rate. Rounding units are assigned to the largest
+// original part so the parts always add up to the converted refund exactly.
+export function mirrorRefundSplits(rows, refundAmount, tender = { currency: 'USD', rate: 1 }) {
+  const { methods, paidTotal } = summarizeTicketLedger(rows);
+  const refundCents = toCents(refundAmount);
+  if (!Number.isFinite(refundCents) || refundCents < 0) {
+    throw new Error('Refund amount must be a positive number');
+  }
+  if (refundCents === 0) return [];
+  if (refundCents > toCents(paidTotal)) {
+    throw new Error(`Refund cannot exceed the ${paidTotal.toFixed(2)} collected for this ticket`);
+  }
+
+  const unitsPerAmount = 10 ** CURRENCY_DECIMALS[tender.currency];
+  const refundUnits = Math.round(convertFromUsd(refundCents / 100, tender) * unitsPerAmount);
+  const paidCents = toCents(paidTotal);
+  const parts = methods.map((part) => ({
+    method: part.method,
+    units: Math.floor((toCents(part.amount) * refundUnits) / paidCents),
+    paidCents: toCents(part.amount),
+  }));
+  const remainder = refundUnits - parts.reduce((sum, part) => sum + part.units, 0);
+  const largest = parts.reduce((max, part) => (part.paidCents > max.paidCents ? part : max), parts[0]);
+  largest.units += remainder;
+
+  return parts
+    .filter((part) => part.units > 0)
+    .map((part) => ({ method: part.method, amount: part.units / unitsPerAmount }));
+}
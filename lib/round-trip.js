@@ -0,0 +1,64 @@
+function roundMoney(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+function routeOf(trip) {
+  return (Array.isArray(trip?.routes) ? trip.routes[0] : trip?.routes) || {};
+}
+
+// The return must run back between the same provinces and leave after the
+// outbound arrives. is_round_trip_basket() applies the same test at booking.
+export function isRoundTripPair(outbound, inbound) {
+  if (!outbound || !inbound) return false;
+  const outboundRoute = routeOf(outbound);
+  const returnRoute = routeOf(inbound);
+  return Boolean(outboundRoute.origin_province) &&
+    returnRoute.origin_province === outboundRoute.destination_province &&
+    returnRoute.destination_province === outboundRoute.origin_province &&
+    new Date(inbound.departure_time).getTime() > new Date(outbound.arrival_time).getTime();
+}
+
+// A basket is priced as a round trip when its outbound seats share one trip,
+// its return seats another, and the two make a pair.
+export function isRoundTripBasket(items, tripsById) {
+  const tripIdsByLeg = new Map();
+  for (const item of items) {
+    if (!tripIdsByLeg.has(item.leg)) tripIdsByLeg.set(item.leg, new Set());
+    tripIdsByLeg.get(item.leg).add(item.trip_id);
+  }
+  const outboundIds = [...(tripIdsByLeg.get('outbound') || [])];
+  const returnIds = [...(tripIdsByLeg.get('return') || [])];
+  if (tripIdsByLeg.size !== 2 || outboundIds.length !== 1 || returnIds.length !== 1) return false;
+  return isRoundTripPair(tripsById.get(outboundIds[0]), tripsById.get(returnIds[0]));
+}
+
+// What the 'round_trip' fare rules took off a trip priced as a round trip.
+export function roundTripDiscount(trip) {
+  return (trip.fare_rules || [])
+    .filter((rule) => rule.kind === 'round_trip')
+    .reduce((sum, rule) => roundMoney(sum - Number(rule.amount_usd)), 0);
+}
+
+// Every valid pair of round-trip priced candidates, cheapest first, then by
+// outbound and return departure.
+export function pairRoundTrips(outboundTrips, returnTrips) {
+  const pairs = [];
+  for (const outbound of outboundTrips) {
+    for (const inbound of returnTrips) {
+      if (!isRoundTripPair(outbound, inbound)) continue;
+      pairs.push({
+        outbound_trip_id: outbound.id,
+        return_trip_id: inbound.id,
+        outbound_departure_time: outbound.departure_time,
+        return_departure_time: inbound.departure_time,
+        price_usd: roundMoney(Number(outbound.price_usd) + Number(inbound.price_usd)),
+        round_trip_discount_usd: roundMoney(roundTripDiscount(outbound) + roundTripDiscount(inbound)),
+      });
+    }
+  }
+  return pairs.sort((left, right) =>
+    left.price_usd - right.price_usd ||
+    String(left.outbound_departure_time).localeCompare(String(right.outbound_departure_time)) ||
+    String(left.return_departure_time).localeCompare(String(right.return_departure_time))
+  );
+}
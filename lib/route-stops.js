@@ -0,0 +1,112 @@
+import { normalizePlaceName } from './cities.js';
+
+const MINUTE_MS = 60 * 1000;
+
+function nameMatches(stop, place) {
+  const query = normalizePlaceName(place);
+  return Boolean(query) && [stop.city, stop.province]
+    .some((name) => normalizePlaceName(name).includes(query));
+}
+
+// originStop/destinationStop of a request as the tickets.origin_stop and
+// destination_stop pair, or null when the whole trip is sold.
+export function normalizeStopRange({ originStop = null, destinationStop = null } = {}) {
+  if (originStop == null && destinationStop == null) return null;
+  if (originStop == null || destinationStop == null) {
+    throw new Error('originStop and destinationStop must be given together');
+  }
+  const origin = Number(originStop);
+  const destination = Number(destinationStop);
+  if (!Number.isInteger(origin) || !Number.isInteger(destination) || origin < 0) {
+    throw new Error('Stops must be non-negative integers');
+  }
+  if (origin >= destination) {
+    throw new Error('originStop must come before destinationStop');
+  }
+  return { origin_stop: origin, destination_stop: destination };
+}
+
+// The RPC arguments of a stop range; nothing for a whole trip, so the call
+// also works before the route stops migration.
+export function stopRangeParams(range) {
+  return range
+    ? { p_origin_stop: range.origin_stop, p_destination_stop: range.destination_stop }
+    : {};
+}
+
+// Route stops in order, with the times the trip reaches and leaves each one.
+export function scheduleStops(departureTime, stops = []) {
+  const departure = new Date(departureTime).getTime();
+  return [...stops]
+    .sort((left, right) => left.stop_order - right.stop_order)
+    .map((stop) => ({
+      stop_order: stop.stop_order,
+      city: stop.city,
+      province: stop.province || null,
+      arrival_time: new Date(departure + stop.arrival_offset_minutes * MINUTE_MS).toISOString(),
+      departure_time: new Date(departure + stop.departure_offset_minutes * MINUTE_MS).toISOString(),
+    }));
+}
+
+// When the trip leaves stop `stopOrder`: the trip's own departure for a whole
+// trip ticket, or when the route has no such stop.
+export function stopDepartureTime(departureTime, stops = [], stopOrder = null) {
+  const stop = stopOrder == null ? null : stops.find((candidate) => candidate.stop_order === Number(stopOrder));
+  if (!stop) return departureTime;
+  return new Date(new Date(departureTime).getTime() + stop.departure_offset_minutes * MINUTE_MS).toISOString();
+}
+
+// Every way to ride a route from a stop matching `origin` to a later stop
+// matching `destination`, matched on city or province ignoring accents.
+export function findStopSegments(stops, origin, destination) {
+  const ordered = [...stops].sort((left, right) => left.stop_order - right.stop_order);
+  const segments = [];
+  ordered.forEach((from, index) => {
+    if (!nameMatches(from, origin)) return;
+    for (const to of ordered.slice(index + 1)) {
+      if (nameMatches(to, destination)) {
+        segments.push({ origin_stop: from.stop_order, destination_stop: to.stop_order });
+      }
+    }
+  });
+  return segments;
+}
+
+// "Luanda - Sumbe" for a ticket bought between two stops of the route.
+export function stopRangeLabel(stops, range) {
+  if (!range || range.origin_stop == null) return null;
+  const byOrder = new Map(stops.map((stop) => [stop.stop_order, stop]));
+  const from = byOrder.get(range.origin_stop);
+  const to = byOrder.get(range.destination_stop);
+  if (!from || !to) return null;
+  return `${from.city} - ${to.city}`;
+}
+
+// The segments of `segmentsByRoute` each trip can sell, boarding between
+// `from` and `to` (and after `now`). A trip that leaves the day before may
+// reach an intermediate stop on the requested day.
+export function segmentDepartures({ trips, stopsByRoute, segmentsByRoute, from, to, now = Date.now() }) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const departures = [];
+  for (const trip of trips) {
+    const schedule = scheduleStops(trip.departure_time, stopsByRoute.get(trip.route_id) || []);
+    const byOrder = new Map(schedule.map((stop) => [stop.stop_order, stop]));
+    for (const segment of segmentsByRoute.get(trip.route_id) || []) {
+      const boarding = byOrder.get(segment.origin_stop);
+      const alighting = byOrder.get(segment.destination_stop);
+      const leaves = new Date(boarding.departure_time).getTime();
+      if (leaves < start || leaves > end || leaves <= now) continue;
+      departures.push({
+        trip,
+        origin_stop: segment.origin_stop,
+        destination_stop: segment.destination_stop,
+        boarding: { city: boarding.city, province: boarding.province, departure_time: boarding.departure_time },
+        alighting: { city: alighting.city, province: alighting.province, arrival_time: alighting.arrival_time },
+      });
+    }
+  }
+  return departures.sort((left, right) =>
+    left.boarding.departure_time.localeCompare(right.boarding.departure_time)
+  );
+}
@@ -1,3 +1,5 @@
+import { stopRangeParams } from './route-stops.js';
+
 export const OCCUPYING_TICKET_STATUSES = Object.freeze(['active', 'pending', 'used']);
 
 export function calculateSeatAvailability({
@@ -48,12 +50,14 @@ export function applyAvailabilityRows(trips, availabilityRows = []) {
   });
 }
 
-export async function getTripSeatAvailability(tripIds, client) {
+// With a stop range, availability of that segment of each trip.
+export async function getTripSeatAvailability(tripIds, client, stopRange = null) {
   const uniqueTripIds = [...new Set((tripIds || []).filter(Boolean))];
   if (!uniqueTripIds.length) return [];
 
   const { data, error } = await client.rpc('get_trip_seat_availability', {
     p_trip_ids: uniqueTripIds,
+    ...stopRangeParams(stopRange),
   });
   if (error) throw error;
   return data || [];
@@ -0,0 +1,53 @@
+import { normalizeSeatNumber } from './booking-payment.js';
+
+export const DEFAULT_HOLD_MINUTES = 15;
+export const MAX_HOLD_MINUTES = 30;
+export const MAX_ACTIVE_HOLDS_PER_PASSENGER = 10;
+
+export function normalizeHoldMinutes(value) {
+  if (value == null || value === '') return DEFAULT_HOLD_MINUTES;
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_HOLD_MINUTES
+    ? minutes
+    : null;
+}
+
+// Accepts the single-seat shape used by the booking endpoint as well as a seat
+// list. Duplicates collapse to one hold; any non-integer seat rejects the set.
+export function normalizeHoldSeatNumbers({ seatNumber, seatNumbers } = {}) {
+  const requested = seatNumbers != null ? seatNumbers : [seatNumber];
+  if (!Array.isArray(requested) || !requested.length) return null;
+
+  const normalized = requested.map(normalizeSeatNumber);
+  if (normalized.some((seat) => seat === null)) return null;
+  return [...new Set(normalized)];
+}
+
+export function isActiveHold(row, now = Date.now()) {
+  return Boolean(row?.expires_at) && new Date(row.expires_at).getTime() > now;
+}
+
+export function serializeHold(row, now = Date.now()) {
+  const expiresAt = new Date(row.expires_at).getTime();
+  return {
+    id: row.id,
+    trip_id: row.trip_id,
+    seat_number: Number(row.seat_number),
+    origin_stop: row.origin_stop ?? null,
+    destination_stop: row.destination_stop ?? null,
+    expires_at: new Date(expiresAt).toISOString(),
+    expires_in_seconds: Math.max(Math.floor((expiresAt - now) / 1000), 0),
+  };
+}
+
+// Whether a hold keeps the seat of a basket item: same trip and seat, and the
+// item rides within the hold's stops. A hold without stops covers the whole
+// trip; an item without stops needs such a hold.
+export function holdCoversItem(hold, item) {
+  if (hold.trip_id !== item.trip_id || Number(hold.seat_number) !== Number(item.seat_number)) {
+    return false;
+  }
+  if (hold.origin_stop == null) return true;
+  if (item.origin_stop == null) return false;
+  return hold.origin_stop <= item.origin_stop && item.destination_stop <= hold.destination_stop;
+}
@@ -0,0 +1,160 @@
+export const DEFAULT_LAYOUT_COLUMNS = 4;
+export const DEFAULT_AISLE_AFTER_COLUMN = 2;
+
+function toPosition(value, label) {
+  const row = Number(value?.row);
+  const column = Number(value?.column);
+  if (!Number.isInteger(row) || !Number.isInteger(column)) {
+    throw new Error(`${label} needs an integer row and column`);
+  }
+  return { row, column };
+}
+
+// Layout shared by every bus model without a stored layout: the driver and the
+// co-pilot seat (seat 1) in row 0, the door opposite the driver, and passenger
+// seats 2..capacity filled 2+2 from row 1 backwards.
+export function buildDefaultSeatLayout(capacity, copilotSeatNumber = 1) {
+  const busCapacity = Math.max(Number(capacity) || 0, 0);
+  const seats = busCapacity >= copilotSeatNumber
+    ? [{ number: copilotSeatNumber, row: 0, column: 2 }]
+    : [];
+
+  for (let number = 2; number <= busCapacity; number += 1) {
+    const index = number - 2;
+    seats.push({
+      number,
+      row: 1 + Math.floor(index / DEFAULT_LAYOUT_COLUMNS),
+      column: 1 + (index % DEFAULT_LAYOUT_COLUMNS),
+    });
+  }
+
+  return normalizeSeatLayout({
+    rows: seats.length ? Math.max(...seats.map((seat) => seat.row)) + 1 : 1,
+    columns: DEFAULT_LAYOUT_COLUMNS,
+    aisle_after_column: DEFAULT_AISLE_AFTER_COLUMN,
+    driver: { row: 0, column: 1 },
+    doors: [{ row: 0, column: DEFAULT_LAYOUT_COLUMNS }],
+    seats,
+    zones: [],
+  });
+}
+
+// Validates a bus_seat_layouts row (or the same shape built in code) and
+// resolves each seat's class from its own value or the zone covering its row.
+export function normalizeSeatLayout(raw) {
+  const rows = Number(raw?.rows);
+  const columns = Number(raw?.columns);
+  if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(columns) || columns < 1) {
+    throw new Error('Seat layout needs positive integer rows and columns');
+  }
+
+  const inGrid = ({ row, column }) => row >= 0 && row < rows && column >= 1 && column <= columns;
+  const driver = raw.driver ? toPosition(raw.driver, 'Driver') : null;
+  const doors = (raw.doors || []).map((door) => toPosition(door, 'Door'));
+  const zones = (raw.zones || []).map((zone) => ({
+    seat_class: String(zone?.seat_class || ''),
+    from_row: Number(zone?.from_row),
+    to_row: Number(zone?.to_row),
+  }));
+  if (zones.some((zone) => !zone.seat_class || !Number.isInteger(zone.from_row) || !Number.isInteger(zone.to_row))) {
+    throw new Error('Seat zones need a seat_class and integer from_row/to_row');
+  }
+
+  const numbers = new Set();
+  const cells = new Set();
+  const seats = (raw.seats || []).map((value) => {
+    const number = Number(value?.number);
+    const position = toPosition(value, `Seat ${value?.number}`);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error('Seat numbers must be positive integers');
+    }
+    if (!inGrid(position)) {
+      throw new Error(`Seat ${number} is outside the ${rows}x${columns} layout`);
+    }
+    const cell = `${position.row}:${position.column}`;
+    if (numbers.has(number) || cells.has(cell)) {
+      throw new Error(`Seat ${number} is repeated or overlaps another seat`);
+    }
+    numbers.add(number);
+    cells.add(cell);
+
+    const zone = zones.find((candidate) => position.row >= candidate.from_row && position.row <= candidate.to_row);
+    return {
+      number,
+      ...position,
+      seat_class: value.seat_class || zone?.seat_class || null,
+      disabled: Boolean(value.disabled),
+      wheelchair_accessible: Boolean(value.wheelchair_accessible),
+    };
+  });
+
+  return {
+    rows,
+    columns,
+    aisle_after_column: raw.aisle_after_column == null ? null : Number(raw.aisle_after_column),
+    driver,
+    doors,
+    zones,
+    seats: seats.sort((a, b) => a.number - b.number),
+  };
+}
+
+export function isSellableLayoutSeat(layout, seatNumber, copilotSeatNumber = 1) {
+  if (seatNumber === copilotSeatNumber) return false;
+  const seat = layout.seats.find((candidate) => candidate.number === seatNumber);
+  return Boolean(seat) && !seat.disabled;
+}
+
+export function buildSeatMap({ layout, occupiedSeats = [], defaultSeatClass = null, copilotSeatNumber = 1 }) {
+  const occupied = new Set(occupiedSeats.map(Number));
+  const seats = layout.seats.map((seat) => {
+    let status = 'available';
+    if (seat.number === copilotSeatNumber) status = 'reserved';
+    else if (seat.disabled) status = 'disabled';
+    else if (occupied.has(seat.number)) status = 'occupied';
+
+    return {
+      number: seat.number,
+      row: seat.row,
+      column: seat.column,
+      seat_class: seat.seat_class || defaultSeatClass,
+      wheelchair_accessible: seat.wheelchair_accessible,
+      status,
+    };
+  });
+
+  return {
+    rows: layout.rows,
+    columns: layout.columns,
+    aisle_after_column: layout.aisle_after_column,
+    driver: layout.driver,
+    doors: layout.doors,
+    zones: layout.zones,
+    seats,
+    available_seats: seats.filter((seat) => seat.status === 'available').length,
+  };
+}
+
+// Nearest available seats to one that was lost, for reseating an offline sale.
+// Seats of the same class come first, then the closest in the grid.
+export function suggestAlternativeSeats(seatMap, seatNumber, limit = 3) {
+  const requested = seatMap.seats.find((seat) => seat.number === Number(seatNumber));
+  const distance = (seat) => (requested
+    ? Math.abs(seat.row - requested.row) + Math.abs(seat.column - requested.column)
+    : Math.abs(seat.number - Number(seatNumber)));
+
+  return seatMap.seats
+    .filter((seat) => seat.status === 'available' && seat.number !== requested?.number)
+    .map((seat) => ({
+      seat,
+      sameClass: requested ? seat.seat_class === requested.seat_class : true,
+      distance: distance(seat),
+    }))
+    .sort((a, b) =>
+      Number(b.sameClass) - Number(a.sameClass) ||
+      a.distance - b.distance ||
+      a.seat.number - b.seat.number
+    )
+    .slice(0, limit)
+    .map(({ seat }) => seat.number);
+}
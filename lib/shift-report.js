@@ -0,0 +1,245 @@
+import { CURRENCY_DECIMALS, normalizeCurrency } from './currency.js';
+
+export const MAX_SHIFT_REPORT_DAYS = 31;
+export const SHIFT_TIME_ZONE = 'Africa/Luanda';
+
+const REPORTED_PAYMENT_METHODS = ['cash', 'tpa', 'tpa_dinheiro', 'referencia'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+// Smallest units of a currency: cents, or whole kwanzas.
+function toUnits(value, currency) {
+  return Math.round(Number(value) * 10 ** CURRENCY_DECIMALS[currency]);
+}
+
+function fromUnits(units, currency) {
+  return units / 10 ** CURRENCY_DECIMALS[currency];
+}
+
+function parseTime(value, label) {
+  const time = new Date(value);
+  if (value == null || value === '' || !Number.isFinite(time.getTime())) {
+    throw new Error(`${label} must be a valid date`);
+  }
+  return time;
+}
+
+// Midnight of the local day containing `now`, so a first shift without a
+// previous close starts when the counter opens rather than at UTC midnight.
+export function startOfShiftDay(now = new Date(), timeZone = SHIFT_TIME_ZONE) {
+  const instant = new Date(now);
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offset = localAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day) - offset);
+}
+
+// An explicit from/to pair is a historical report. Without one the report
+// covers the open shift: from the agent's last close, or the start of today,
+// up to now.
+export function resolveShiftRange({ from, to, lastClosedAt = null, now = new Date() } = {}) {
+  if (from == null && to == null) {
+    const end = new Date(now);
+    const start = lastClosedAt ? parseTime(lastClosedAt, 'Last shift close') : startOfShiftDay(end);
+    if (start >= end) throw new Error('The current shift has no time to report yet');
+    return { from: start, to: end, open: true };
+  }
+
+  const start = parseTime(from, 'from');
+  const end = to == null ? new Date(now) : parseTime(to, 'to');
+  if (start >= end) throw new Error('from must be before to');
+  if (end - start > MAX_SHIFT_REPORT_DAYS * DAY_MS) {
+    throw new Error(`A shift report can cover at most ${MAX_SHIFT_REPORT_DAYS} days`);
+  }
+  return { from: start, to: end, open: false };
+}
+
+// Cash the drawer should hold in each currency it was tendered in. Rows
+// written before currencies were recorded count as USD.
+function expectedCashByCurrency(rows) {
+  const unitsByCurrency = new Map();
+  for (const row of rows) {
+    if (row.payment_method !== 'cash') continue;
+    const currency = row.currency || 'USD';
+    const units = toUnits(row.tendered_amount ?? row.amount_usd, currency);
+    if (!Number.isFinite(units)) continue;
+    unitsByCurrency.set(currency, (unitsByCurrency.get(currency) || 0) + units);
+  }
+  return Object.fromEntries([...unitsByCurrency.entries()]
+    .sort(([left], [right]) => left.localeCompare(right))
+    .map(([currency, units]) => [currency, fromUnits(units, currency)]));
+}
+
+// Money through each channel during the shift. Positive ledger rows are money
+// collected (sales and exchange top-ups); negative rows are money handed back
+// (refunds and exchange differences). Split TPA & Dinheiro sales are stored as
+// one cash and one TPA row, so they land in those buckets; only legacy unsplit
+// rows stay under tpa_dinheiro. Amounts are USD values, except expected_cash,
+// which counts the drawer per tendered currency.
+export function summarizeShiftLedger(rows = []) {
+  const buckets = new Map(REPORTED_PAYMENT_METHODS.map((method) => [
+    method,
+    { collectedCents: 0, refundedCents: 0, transactions: 0 },
+  ]));
+  for (const row of rows) {
+    const cents = toCents(row.amount_usd);
+    if (!Number.isFinite(cents)) continue;
+    const method = row.payment_method || 'unknown';
+    if (!buckets.has(method)) buckets.set(method, { collectedCents: 0, refundedCents: 0, transactions: 0 });
+    const bucket = buckets.get(method);
+    if (cents >= 0) bucket.collectedCents += cents;
+    else bucket.refundedCents -= cents;
+    bucket.transactions += 1;
+  }
+
+  const byMethod = {};
+  let collectedCents = 0;
+  let refundedCents = 0;
+  for (const [method, bucket] of buckets) {
+    byMethod[method] = {
+      collected_usd: bucket.collectedCents / 100,
+      refunded_usd: bucket.refundedCents / 100,
+      net_usd: (bucket.collectedCents - bucket.refundedCents) / 100,
+      transactions: bucket.transactions,
+    };
+    collectedCents += bucket.collectedCents;
+    refundedCents += bucket.refundedCents;
+  }
+
+  return {
+    by_method: byMethod,
+    totals: {
+      collected_usd: collectedCents / 100,
+      refunded_usd: refundedCents / 100,
+      net_usd: (collectedCents - refundedCents) / 100,
+      transactions: rows.length,
+    },
+    expected_cash_usd: byMethod.cash.net_usd,
+    expected_cash: expectedCashByCurrency(rows),
+  };
+}
+
+// A cancellation that handed money back is a refund; one that did not (an
+// unpaid or non-refundable ticket) is a void.
+export function splitCancellations(cancellations = []) {
+  const refunds = [];
+  const voids = [];
+  for (const cancellation of cancellations) {
+    const ticket = Array.isArray(cancellation.tickets) ? cancellation.tickets[0] : cancellation.tickets;
+    const entry = {
+      cancellation_id: cancellation.id,
+      ticket_id: cancellation.ticket_id,
+      ticket_number: ticket?.ticket_number || null,
+      payment_method: ticket?.payment_method || null,
+      previous_payment_status: cancellation.previous_payment_status,
+      refund_amount_usd: toCents(cancellation.refund_amount_usd) / 100,
+      reason: cancellation.reason || null,
+      cancelled_at: cancellation.created_at,
+    };
+    (entry.refund_amount_usd > 0 ? refunds : voids).push(entry);
+  }
+  return { refunds, voids };
+}
+
+// Multicaixa references are paid later, outside the counter, so they are
+// reported as issued rather than counted as money in the drawer.
+export function summarizeReferenceSales(tickets = []) {
+  const summary = { issued: 0, issued_usd: 0, paid: 0, pending: 0 };
+  let issuedCents = 0;
+  for (const ticket of tickets) {
+    summary.issued += 1;
+    issuedCents += toCents(ticket.price_paid_usd) || 0;
+    if (ticket.payment_status === 'paid') summary.paid += 1;
+    else if (ticket.payment_status === 'pending') summary.pending += 1;
+  }
+  summary.issued_usd = issuedCents / 100;
+  return summary;
+}
+
+export function describeLedgerGap(gap) {
+  return {
+    ticket_id: gap.ticket_id,
+    ticket_number: gap.ticket_number || null,
+    ticket_status: gap.ticket_status,
+    payment_method: gap.payment_method,
+    price_paid_usd: toCents(gap.price_paid_usd) / 100,
+    ledger_total_usd: toCents(gap.ledger_total_usd) / 100,
+    issue: Number(gap.completed_rows) > 0 ? 'amount_mismatch' : 'missing_ledger',
+    sold_at: gap.sold_at,
+  };
+}
+
+// The cash counted in each currency against what the ledger expects. Every
+// currency the drawer should hold must be declared; declaring one with
+// nothing expected records a surplus.
+export function reconcileShiftCash(expectedCash = {}, declaredCash) {
+  if (declaredCash == null || typeof declaredCash !== 'object' || Array.isArray(declaredCash)) {
+    throw new Error('declared_cash must give the amount counted in each currency');
+  }
+  const declared = new Map(Object.entries(declaredCash).map(([currency, amount]) => [
+    normalizeCurrency(currency),
+    amount,
+  ]));
+
+  const reconciled = {};
+  for (const currency of [...new Set([...Object.keys(expectedCash), ...declared.keys()])].sort()) {
+    const expectedUnits = toUnits(expectedCash[currency] ?? 0, currency);
+    const amount = declared.get(currency);
+    if (amount === undefined) {
+      if (expectedUnits === 0) continue;
+      throw new Error(`declared_cash must include the ${currency} counted`);
+    }
+    const declaredUnits = toUnits(amount, currency);
+    if (amount == null || amount === '' || !Number.isFinite(declaredUnits) || declaredUnits < 0) {
+      throw new Error(`declared_cash.${currency} must be a non-negative amount`);
+    }
+    reconciled[currency] = {
+      expected: fromUnits(expectedUnits, currency),
+      declared: fromUnits(declaredUnits, currency),
+      variance: fromUnits(declaredUnits - expectedUnits, currency),
+    };
+  }
+  return reconciled;
+}
+
+export function buildShiftReport({
+  agentId,
+  range,
+  ledger = [],
+  cancellations = [],
+  referenceTickets = [],
+  gaps = [],
+}) {
+  const ledgerSummary = summarizeShiftLedger(ledger);
+  const { refunds, voids } = splitCancellations(cancellations);
+  return {
+    agent_id: agentId,
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    open_shift: Boolean(range.open),
+    by_method: ledgerSummary.by_method,
+    totals: ledgerSummary.totals,
+    expected_cash_usd: ledgerSummary.expected_cash_usd,
+    expected_cash: ledgerSummary.expected_cash,
+    reference_sales: summarizeReferenceSales(referenceTickets),
+    refunds,
+    voids,
+    ledger_gaps: gaps.map(describeLedgerGap),
+  };
+}
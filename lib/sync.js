@@ -0,0 +1,65 @@
+export const DEFAULT_SYNC_LIMIT = 500;
+export const MAX_SYNC_LIMIT = 1000;
+
+const CURSOR_PATTERN = /^(\d+)\.(\d+)$/;
+
+// Cursors are opaque to terminals: "<transaction id>.<change id>" as returned
+// by get_sync_changes(). Both parts are kept as strings so 64-bit ids survive.
+export function encodeSyncCursor({ txid, id }) {
+  return `${txid}.${id}`;
+}
+
+export function decodeSyncCursor(value) {
+  if (value == null || value === '') return null;
+  const match = CURSOR_PATTERN.exec(String(value).trim());
+  if (!match) throw new Error('Sync cursor is malformed');
+  return { txid: match[1], id: match[2] };
+}
+
+export function normalizeSyncLimit(value) {
+  if (value == null || value === '') return DEFAULT_SYNC_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SYNC_LIMIT) {
+    throw new Error(`limit must be an integer between 1 and ${MAX_SYNC_LIMIT}`);
+  }
+  return limit;
+}
+
+// Many change rows can point at the same entity (a busy trip logs a seat
+// change per ticket). Only the latest state matters, so each entity is
+// reloaded once; a delete wins unless the entity was upserted again after it.
+export function collapseSyncChanges(changes = []) {
+  const latest = new Map();
+  for (const change of changes) {
+    latest.set(`${change.entity}:${change.entity_id}`, change);
+  }
+
+  const collapsed = {
+    trips: [],
+    deletedTrips: [],
+    routes: [],
+    deletedRoutes: [],
+    buses: [],
+    deletedBuses: [],
+    seatTrips: [],
+  };
+  for (const change of latest.values()) {
+    const deleted = change.op === 'delete';
+    if (change.entity === 'trip') collapsed[deleted ? 'deletedTrips' : 'trips'].push(change.entity_id);
+    else if (change.entity === 'route') collapsed[deleted ? 'deletedRoutes' : 'routes'].push(change.entity_id);
+    else if (change.entity === 'bus') collapsed[deleted ? 'deletedBuses' : 'buses'].push(change.entity_id);
+    else if (change.entity === 'trip_seats') collapsed.seatTrips.push(change.entity_id);
+  }
+  return collapsed;
+}
+
+// A terminal keeps a trip only while GET /api/trips would still list it.
+// Anything else gets a tombstone with the reason the trip left the catalogue.
+export function syncTripTombstoneReason(trip, now = Date.now()) {
+  if (!trip) return 'deleted';
+  if (trip.status !== 'scheduled') return trip.status || 'unavailable';
+  if (trip.buses && trip.buses.is_active === false) return 'bus_inactive';
+  if (trip.routes && trip.routes.is_active === false) return 'route_inactive';
+  if (new Date(trip.departure_time).getTime() < now) return 'departed';
+  return null;
+}
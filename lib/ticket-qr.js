@@ -0,0 +1,103 @@
+import { createPrivateKey, createPublicKey, sign, verify } from 'node:crypto';
+
+export const TICKET_QR_PREFIX = 'NB1.';
+export const DEFAULT_QR_VALID_HOURS_AFTER_ARRIVAL = 24;
+
+// ticket id (16) + trip id (16) + seat (uint16) + expiry in epoch seconds (uint32)
+const PAYLOAD_BYTES = 38;
+const SIGNATURE_BYTES = 64;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function uuidToBytes(value, label) {
+  const uuid = String(value || '');
+  if (!UUID_PATTERN.test(uuid)) throw new Error(`${label} must be a UUID`);
+  return Buffer.from(uuid.replace(/-/g, ''), 'hex');
+}
+
+function bytesToUuid(bytes) {
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Accepts a KeyObject, a PEM string or an Ed25519 JWK, so scanners can load the
+// key published by GET /api/tickets/qr-public-key in whichever form they keep.
+function toPublicKey(key) {
+  if (key?.type === 'public') return key;
+  if (key?.type === 'private') return createPublicKey(key);
+  if (key && typeof key === 'object') return createPublicKey({ key, format: 'jwk' });
+  return createPublicKey(key);
+}
+
+export function loadTicketQrKeys(privateKeyPem) {
+  if (!privateKeyPem) return null;
+  const privateKey = createPrivateKey(String(privateKeyPem).replace(/\\n/g, '\n'));
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('TICKET_QR_PRIVATE_KEY must be an Ed25519 private key');
+  }
+  return { privateKey, publicKey: createPublicKey(privateKey) };
+}
+
+export function isSignedTicketQr(code) {
+  return String(code || '').startsWith(TICKET_QR_PREFIX);
+}
+
+// Codes stay valid until a while after the trip arrives, long enough for a
+// late boarding or an inspection on the road, then expire.
+export function ticketQrExpiry(arrivalTime, validHoursAfterArrival = DEFAULT_QR_VALID_HOURS_AFTER_ARRIVAL) {
+  const arrival = new Date(arrivalTime).getTime();
+  if (!arrivalTime || !Number.isFinite(arrival)) throw new Error('Trip arrival time is required');
+  return new Date(arrival + validHoursAfterArrival * 60 * 60 * 1000);
+}
+
+// Compact Ed25519 token: "NB1." + base64url(payload || signature). The
+// signature covers the prefix as well, so a payload cannot be replayed under
+// another token version.
+export function signTicketQr({ ticketId, tripId, seatNumber, expiresAt }, privateKey) {
+  if (!privateKey) throw new Error('Ticket QR signing key is not configured');
+  const seat = Number(seatNumber);
+  const expiresAtSeconds = Math.floor(new Date(expiresAt).getTime() / 1000);
+  if (!Number.isInteger(seat) || seat < 0 || seat > 0xffff) {
+    throw new Error('Seat number must be an integer between 0 and 65535');
+  }
+  if (!Number.isInteger(expiresAtSeconds) || expiresAtSeconds < 0 || expiresAtSeconds > 0xffffffff) {
+    throw new Error('Ticket QR expiry must be a valid date');
+  }
+
+  const payload = Buffer.alloc(PAYLOAD_BYTES);
+  uuidToBytes(ticketId, 'Ticket id').copy(payload, 0);
+  uuidToBytes(tripId, 'Trip id').copy(payload, 16);
+  payload.writeUInt16BE(seat, 32);
+  payload.writeUInt32BE(expiresAtSeconds, 34);
+
+  const signature = sign(null, Buffer.concat([Buffer.from(TICKET_QR_PREFIX), payload]), privateKey);
+  return TICKET_QR_PREFIX + Buffer.concat([payload, signature]).toString('base64url');
+}
+
+export function verifyTicketQr(code, publicKey, now = Date.now()) {
+  if (!publicKey) return { valid: false, reason: 'not_configured' };
+  const token = String(code || '');
+  if (!isSignedTicketQr(token)) return { valid: false, reason: 'malformed' };
+
+  const bytes = Buffer.from(token.slice(TICKET_QR_PREFIX.length), 'base64url');
+  if (bytes.length !== PAYLOAD_BYTES + SIGNATURE_BYTES) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const payload = bytes.subarray(0, PAYLOAD_BYTES);
+  const signature = bytes.subarray(PAYLOAD_BYTES);
+  const signed = Buffer.concat([Buffer.from(TICKET_QR_PREFIX), payload]);
+  if (!verify(null, signed, toPublicKey(publicKey), signature)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  const claims = {
+    ticket_id: bytesToUuid(payload.subarray(0, 16)),
+    trip_id: bytesToUuid(payload.subarray(16, 32)),
+    seat_number: payload.readUInt16BE(32),
+    expires_at: new Date(payload.readUInt32BE(34) * 1000).toISOString(),
+  };
+  if (new Date(claims.expires_at).getTime() <= now) {
+    return { valid: false, reason: 'expired', claims };
+  }
+  return { valid: true, claims };
+}
@@ -5,6 +5,7 @@ import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import {
   isCashLikePayment,
+  isSellableSeatNumber,
   isSupportedBookingPayment,
   normalizeSeatNumber,
   normalizePaymentSplits,
@@ -17,9 +18,117 @@ import {
 } from './lib/seat-availability.js';
 import {
   bookingErrorStatus,
+  normalizeAtomicBasketResult,
   normalizeAtomicBookingResult,
   resolveIdempotencyKey,
 } from './lib/booking-response.js';
+import {
+  MAX_MOBILE_BASKET_SEATS,
+  buildMobileBasketItems,
+  normalizeMobilePaymentMethod,
+} from './lib/mobile-booking.js';
+import { allocateGroupSplits, normalizeGroupPassengers } from './lib/group-booking.js';
+import {
+  MAX_OFFLINE_BATCH_SALES,
+  classifyOfflineSaleError,
+  summarizeOfflineSaleResults,
+} from './lib/offline-batch.js';
+import { evaluateBoardingScan, rejectBoardingScan, resolveBoardingWindow } from './lib/boarding.js';
+import {
+  buildManifestRows,
+  manifestToCsv,
+  manifestToThermalText,
+  summarizeManifest,
+  tripSegmentLabel,
+} from './lib/manifest.js';
+import {
+  collapseSyncChanges,
+  decodeSyncCursor,
+  encodeSyncCursor,
+  normalizeSyncLimit,
+  syncTripTombstoneReason,
+} from './lib/sync.js';
+import {
+  isSignedTicketQr,
+  loadTicketQrKeys,
+  signTicketQr,
+  ticketQrExpiry,
+  verifyTicketQr,
+} from './lib/ticket-qr.js';
+import { mirrorRefundSplits, summarizeTicketLedger } from './lib/refunds.js';
+import { normalizePaymentWebhookEvent, verifyPaymentWebhook } from './lib/payment-webhook.js';
+import { createPaymentProvider, withPaymentProviderRetry } from './lib/payment-providers.js';
+import { applyTripFares, indexTripFares, sortTripsByFare } from './lib/fares.js';
+import { isRoundTripBasket, pairRoundTrips } from './lib/round-trip.js';
+import {
+  connectionError,
+  findItineraries,
+  narrowConnectionSettings,
+  normalizeConnectionSettings,
+  rankItineraries,
+} from './lib/itineraries.js';
+import { DEFAULT_CITY_SUGGESTIONS, resolvePlaceStations, searchCities } from './lib/cities.js';
+import {
+  findStopSegments,
+  normalizeStopRange,
+  scheduleStops,
+  segmentDepartures,
+  stopDepartureTime,
+  stopRangeParams,
+} from './lib/route-stops.js';
+import {
+  DEFAULT_CURRENCY,
+  allocateUsdShares,
+  convertBasket,
+  convertFromUsd,
+  convertTotal,
+  convertTripPrices,
+  normalizeCurrency,
+} from './lib/currency.js';
+import {
+  COUPON_REJECTIONS,
+  applyCouponToBasket,
+  checkCouponAvailability,
+  couponRejectionReason,
+  describeCoupon,
+  normalizeCouponCode,
+} from './lib/coupons.js';
+import {
+  EXPIRY_SWEEP_BATCH_SIZE,
+  MAX_EXPIRY_SWEEP_BATCHES,
+  hasCronSecret,
+  summarizeExpiredTickets,
+} from './lib/reference-expiry.js';
+import {
+  ANALYTICS_GROUPINGS,
+  aggregateSalesFacts,
+  resolveAnalyticsRange,
+  salesAnalyticsToCsv,
+} from './lib/analytics.js';
+import { buildShiftReport, reconcileShiftCash, resolveShiftRange } from './lib/shift-report.js';
+import { computeRefundQuote, selectRefundPolicy } from './lib/refund-policy.js';
+import { buildExchangeCollection, computeExchangeFare } from './lib/exchange.js';
+import {
+  buildDefaultSeatLayout,
+  buildSeatMap,
+  normalizeSeatLayout,
+  suggestAlternativeSeats,
+} from './lib/seat-layout.js';
+import {
+  priceBasket,
+  quoteMatchesBasket,
+  signQuote,
+  verifyQuote,
+} from './lib/pricing.js';
+import {
+  MAX_ACTIVE_HOLDS_PER_PASSENGER,
+  MAX_HOLD_MINUTES,
+  holdCoversItem,
+  isActiveHold,
+  normalizeHoldMinutes,
+  normalizeHoldSeatNumbers,
+  serializeHold,
+} from './lib/seat-holds.js';
 
 dotenv.config();
 
@@ -28,13 +137,29 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// The payment webhook signature covers the exact bytes the provider sent, so
+// keep the raw body for that route.
+app.use(express.json({
+  verify: (req, _res, buffer) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buffer;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Supabase client
 const supabaseUrl = process.env.SUPABASE_URL || 'https://placeholder.supabase.co';
 const supabaseKey = process.env.SUPABASE_ANON_KEY || 'placeholder-key';
 const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
+const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET || '';
+const TICKET_QR_KEYS = loadTicketQrKeys(process.env.TICKET_QR_PRIVATE_KEY);
+// With a signing key, boarding only accepts signed codes unless
+// TICKET_QR_REQUIRE_SIGNED=false keeps older printed tickets working.
+const TICKET_QR_REQUIRE_SIGNED = process.env.TICKET_QR_REQUIRE_SIGNED
+  ? process.env.TICKET_QR_REQUIRE_SIGNED === 'true'
+  : Boolean(TICKET_QR_KEYS);
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || '';
+const CRON_SECRET = process.env.CRON_SECRET || '';
+const paymentProvider = createPaymentProvider(process.env);
 
 const supabase = createClient(supabaseUrl, supabaseKey, {
   auth: {
@@ -62,7 +187,7 @@ function isCopilotSeat(seatNumber) {
   return Number(seatNumber) === COPILOT_SEAT_NUMBER;
 }
 
-async function authenticateAgentRequest(req) {
+async function authenticateRequest(req) {
   const authHeader = req.headers.authorization;
   if (!authHeader?.startsWith('Bearer ')) {
     return { error: 'No access token provided', status: 401 };
@@ -74,18 +199,53 @@ async function authenticateAgentRequest(req) {
     return { error: 'Invalid or expired token', status: 401 };
   }
 
+  return { user };
+}
+
+// Public endpoints that personalise their answer (coupon limits) use the
+// signed-in passenger when a token is sent, and never an id from the request,
+// so no one can probe another passenger's coupon use.
+async function authenticateOptionalPassenger(req) {
+  if (!req.headers.authorization) return { passengerId: null };
+  const auth = await authenticateRequest(req);
+  return auth.error ? auth : { passengerId: auth.user.id };
+}
+
+async function authenticateRoleRequest(req, allowedRoles, deniedError) {
+  const auth = await authenticateRequest(req);
+  if (auth.error) return auth;
+  const { user } = auth;
+
   const { data: profile, error: profileError } = await supabaseAdmin
     .from('profiles')
     .select('role')
     .eq('id', user.id)
     .single();
-  if (profileError || !profile || !['agent', 'admin'].includes(profile.role)) {
-    return { error: 'Unauthorized: Only agents can perform this operation', status: 403 };
+  if (profileError || !profile || !allowedRoles.includes(profile.role)) {
+    return { error: deniedError, status: 403 };
   }
 
   return { user, profile };
 }
 
+function authenticateAgentRequest(req) {
+  return authenticateRoleRequest(
+    req,
+    ['agent', 'admin'],
+    'Unauthorized: Only agents can perform this operation'
+  );
+}
+
+// Drivers and inspectors scan at the bus door; agents and admins may scan at
+// the counter as well.
+function authenticateBoardingRequest(req) {
+  return authenticateRoleRequest(
+    req,
+    ['driver', 'inspector', 'agent', 'admin'],
+    'Unauthorized: Only drivers, inspectors and agents can scan tickets'
+  );
+}
+
 async function legacySharedBusAvailability(trips, client) {
   if (!trips?.length) return trips || [];
 
@@ -142,6 +302,165 @@ async function applySharedBusAvailability(trips, client = supabaseAdmin) {
   }
 }
 
+// Fares of the trips for one seat class (each trip's own class by default),
+// keyed by trip id, as one-way or round-trip legs, and for the segment
+// between two stops when stopRange is given. Until the fare rules migration
+// is installed every trip sells at trips.price_usd.
+async function loadTripFares(tripIds, seatClass = null, { roundTrip = false, stopRange = null } = {}) {
+  if (!tripIds.length) return new Map();
+  const { data, error } = await supabaseAdmin.rpc('get_trip_fares', {
+    p_trip_ids: [...new Set(tripIds)],
+    p_seat_class: seatClass,
+    ...(roundTrip ? { p_round_trip: true } : {}),
+    ...stopRangeParams(stopRange),
+  });
+  if (error) {
+    if (['PGRST202', '42883'].includes(error?.code)) return new Map();
+    throw error;
+  }
+  return indexTripFares(data || []);
+}
+
+// Layover and leg limits for connections. The defaults apply until the
+// connections migration is installed.
+async function loadConnectionSettings() {
+  const { data, error } = await supabaseAdmin
+    .from('connection_settings')
+    .select('min_layover_minutes, max_layover_minutes, max_legs')
+    .maybeSingle();
+  if (error && !['42P01', 'PGRST205'].includes(error.code)) throw error;
+  return normalizeConnectionSettings(data);
+}
+
+// Cities and stations of the place catalogue, or null until the city
+// catalogue migration is installed.
+async function loadCityCatalogue() {
+  const [cities, stations] = await Promise.all([
+    supabaseAdmin
+      .from('cities')
+      .select('id, name, province, aliases, latitude, longitude, is_active'),
+    supabaseAdmin
+      .from('stations')
+      .select('id, city_id, name, aliases, latitude, longitude, is_active'),
+  ]);
+  const error = cities.error || stations.error;
+  if (error) {
+    if (['42P01', 'PGRST205'].includes(error.code)) return null;
+    throw error;
+  }
+  return { cities: cities.data || [], stations: stations.data || [] };
+}
+
+// Ids of the routes leaving from (`side` 'origin') or arriving at
+// ('destination') the stations a searched place stands for, or null when the
+// catalogue does not know the place.
+async function findRoutesServing(catalogue, place, side) {
+  const stationIds = resolvePlaceStations(catalogue, place);
+  if (!stationIds) return null;
+  const { data, error } = await supabaseAdmin
+    .from('routes')
+    .select('id')
+    .in(`${side}_station_id`, stationIds);
+  if (error) throw error;
+  return (data || []).map((route) => route.id);
+}
+
+// Stops of the routes, in order, keyed by route id. Routes without stops, and
+// every route until the route stops migration is installed, have none.
+async function loadRouteStops(routeIds) {
+  const stopsByRoute = new Map();
+  if (!routeIds.length) return stopsByRoute;
+  const { data, error } = await supabaseAdmin
+    .from('route_stops')
+    .select('route_id, stop_order, city, province, arrival_offset_minutes, departure_offset_minutes')
+    .in('route_id', [...new Set(routeIds)])
+    .order('stop_order', { ascending: true });
+  if (error) {
+    if (['42P01', 'PGRST205'].includes(error.code)) return stopsByRoute;
+    throw error;
+  }
+  for (const stop of data || []) {
+    if (!stopsByRoute.has(stop.route_id)) stopsByRoute.set(stop.route_id, []);
+    stopsByRoute.get(stop.route_id).push(stop);
+  }
+  return stopsByRoute;
+}
+
+// Ids of the routes with a stop in `place` (city or province).
+async function findRoutesStoppingAt(place) {
+  const name = String(place).trim();
+  const { data, error } = await supabaseAdmin
+    .from('route_stops')
+    .select('route_id')
+    .or(`city.ilike.%${name}%,province.ilike.%${name}%`);
+  if (error) {
+    if (['42P01', 'PGRST205'].includes(error.code)) return [];
+    throw error;
+  }
+  return [...new Set((data || []).map((stop) => stop.route_id))];
+}
+
+// Currency and rate for amounts in `requested`, or in `fallback` when none was
+// asked for. Until a kwanza rate is configured an omitted currency falls back
+// to USD; explicitly asking for a currency without a rate is refused.
+async function loadExchangeRate(requested, { fallback = DEFAULT_CURRENCY } = {}) {
+  let currency;
+  try {
+    currency = normalizeCurrency(requested, fallback);
+  } catch (currencyError) {
+    throw Object.assign(currencyError, { code: '22023' });
+  }
+  if (currency === 'USD') return { currency, rate: 1 };
+
+  const { data, error } = await supabaseAdmin
+    .from('exchange_rates')
+    .select('rate, effective_from')
+    .eq('currency', currency)
+    .lte('effective_from', new Date().toISOString())
+    .order('effective_from', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error && !['42P01', 'PGRST205'].includes(error.code)) throw error;
+  if (!data) {
+    if (!String(requested || '').trim()) return { currency: 'USD', rate: 1 };
+    throw Object.assign(new Error(`No exchange rate for ${currency}`), { code: '55000' });
+  }
+  return { currency, rate: Number(data.rate) };
+}
+
+// Currency and rate the tickets of a mobile booking are paid in. The first
+// request fixes them, so a recovered basket keeps the amount its reference
+// was (or is about to be) raised for.
+async function fixPaymentCurrency(ticketIds, pricing) {
+  const { error: fixError } = await supabaseAdmin
+    .from('tickets')
+    .update({ payment_currency: pricing.currency, payment_exchange_rate: pricing.rate })
+    .in('id', ticketIds)
+    .is('payment_currency', null);
+  if (fixError) throw fixError;
+
+  const { data, error } = await supabaseAdmin
+    .from('tickets')
+    .select('payment_currency, payment_exchange_rate')
+    .in('id', ticketIds)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.payment_currency
+    ? { currency: data.payment_currency, rate: Number(data.payment_exchange_rate) }
+    : pricing;
+}
+
+// originStop/destinationStop of a query or body as a stop range (null for
+// the whole trip), or { error } when they do not describe a segment.
+function readStopRange(source) {
+  try {
+    return { stopRange: normalizeStopRange(source || {}) };
+  } catch (rangeError) {
+    return { error: rangeError.message };
+  }
+}
+
 function normalizePhoneNumber(phone) {
   const cleaned = String(phone || '').replace(/\D/g, '');
   if (!cleaned) return '';
@@ -434,6 +753,152 @@ app.get('/api/auth/me', async (req, res) => {
   }
 });
 
+// One direction of a trip search: sellable trips with seats left, priced at
+// their fares (round-trip fares when roundTrip is set). Without a date,
+// departureFrom/departureTo bound the departures instead. Returns { trips } or
+// { error: { status, body } }.
+async function searchSellableTrips({
+  origin,
+  destination,
+  date,
+  seatClass,
+  sortField = 'departure_time',
+  sortOrder = { ascending: true },
+  limit = 50,
+  offset = 0,
+  roundTrip = false,
+  departureFrom = null,
+  departureTo = null,
+  routeIds = null,
+  wholeTrip = true,
+}) {
+  let query = supabase
+    .from('trips')
+    .select(`
+      id,
+      route_id,
+      departure_time,
+      arrival_time,
+      price_usd,
+      available_seats,
+      seat_class,
+      status,
+      routes!inner (
+        origin_city,
+        destination_city,
+        origin_province,
+        destination_province,
+        distance_km,
+        estimated_duration_hours
+      ),
+      buses!inner (
+        make,
+        model,
+        license_plate,
+        capacity,
+        amenities,
+        companies!inner (
+          name,
+          logo_url
+        )
+      )
+    `)
+    .eq('status', 'scheduled')
+    // Only surface trips whose bus is still active. When an admin sets
+    // buses.is_active = false, the bus should no longer be purchasable.
+    .eq('buses.is_active', true)
+    // Likewise for a route taken out of service.
+    .eq('routes.is_active', true);
+
+  // Apply filters. Places resolve to the stations of the city catalogue, so
+  // accents, aliases and typos are forgiven and a station (Kikolo, Gamek)
+  // finds only its own routes. A place the catalogue does not know, or any
+  // place before the catalogue is installed, matches either the route's city
+  // or its province — older clients that still send province names keep
+  // working.
+  const catalogue = String(origin || '').trim() || String(destination || '').trim()
+    ? await loadCityCatalogue()
+    : null;
+  let allowedRouteIds = routeIds;
+  const [originRouteIds, destinationRouteIds] = await Promise.all([
+    findRoutesServing(catalogue, origin, 'origin'),
+    findRoutesServing(catalogue, destination, 'destination'),
+  ]);
+  for (const ids of [originRouteIds, destinationRouteIds]) {
+    if (ids) allowedRouteIds = allowedRouteIds ? allowedRouteIds.filter((id) => ids.includes(id)) : ids;
+  }
+  if (!originRouteIds && origin && origin.trim()) {
+    const o = origin.trim();
+    query = query.or(
+      `origin_province.ilike.%${o}%,origin_city.ilike.%${o}%`,
+      { foreignTable: 'routes' }
+    );
+  }
+  if (!destinationRouteIds && destination && destination.trim()) {
+    const d = destination.trim();
+    query = query.or(
+      `destination_province.ilike.%${d}%,destination_city.ilike.%${d}%`,
+      { foreignTable: 'routes' }
+    );
+  }
+  if (date && date.trim()) {
+    const localDate = date.trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(localDate)) {
+      return { error: { status: 400, body: { error: 'Date must use YYYY-MM-DD format' } } };
+    }
+    // Vercel runs in UTC, while terminals search by the Angola calendar day.
+    const startOfDay = new Date(`${localDate}T00:00:00.000+01:00`);
+    const endOfDay = new Date(`${localDate}T23:59:59.999+01:00`);
+    if (Number.isNaN(startOfDay.getTime()) || Number.isNaN(endOfDay.getTime())) {
+      return { error: { status: 400, body: { error: 'Invalid date' } } };
+    }
+
+    query = query
+      .gte('departure_time', startOfDay.toISOString())
+      .lte('departure_time', endOfDay.toISOString());
+  } else if (departureFrom) {
+    const from = new Date(Math.max(new Date(departureFrom).getTime(), Date.now()));
+    query = query.gte('departure_time', from.toISOString());
+    if (departureTo) query = query.lte('departure_time', new Date(departureTo).toISOString());
+  } else {
+    // The terminal's periodic sync intentionally omits a date. Do not send
+    // stale rows that were never moved out of "scheduled" after departure.
+    query = query.gte('departure_time', new Date().toISOString());
+  }
+  if (seatClass && seatClass.trim()) {
+    query = query.eq('seat_class', seatClass.trim());
+  }
+  if (allowedRouteIds) {
+    query = query.in('route_id', allowedRouteIds);
+  }
+
+  query = query.order(sortField, sortOrder);
+  query = query.range(offset, offset + limit - 1);
+
+  const { data: trips, error } = await query;
+
+  if (error) {
+    console.error('Supabase error:', error);
+    return {
+      error: {
+        status: 500,
+        body: { error: 'Database error', details: error.message, code: error.code },
+      },
+    };
+  }
+
+  // Segment searches count seats and price each trip per segment instead.
+  if (!wholeTrip) return { trips: trips || [] };
+
+  const tripsWithSharedAvailability = await applySharedBusAvailability(trips || []);
+  const availableTrips = tripsWithSharedAvailability.filter((trip) => trip.available_seats > 0);
+  const pricedTrips = applyTripFares(
+    availableTrips,
+    await loadTripFares(availableTrips.map((trip) => trip.id), null, { roundTrip })
+  );
+  return { trips: sortField === 'price_usd' ? sortTripsByFare(pricedTrips, sortOrder) : pricedTrips };
+}
+
 // GET /api/trips - Search for trips
 app.get('/api/trips', async (req, res) => {
   try {
@@ -451,106 +916,36 @@ app.get('/api/trips', async (req, res) => {
     console.log('Request URL:', req.url);
     console.log('Search params:', { origin, destination, date, seatClass, sort, order, limit, offset });
 
-    let query = supabase
-      .from('trips')
-      .select(`
-        id,
-        departure_time,
-        arrival_time,
-        price_usd,
-        available_seats,
-        seat_class,
-        status,
-        routes!inner (
-          origin_city,
-          destination_city,
-          origin_province,
-          destination_province,
-          distance_km,
-          estimated_duration_hours
-        ),
-        buses!inner (
-          make,
-          model,
-          license_plate,
-          capacity,
-          amenities,
-          companies!inner (
-            name,
-            logo_url
-          )
-        )
-      `)
-      .eq('status', 'scheduled')
-      // Only surface trips whose bus is still active. When an admin sets
-      // buses.is_active = false, the bus should no longer be purchasable.
-      .eq('buses.is_active', true);
-
-    // Apply filters. Terminals now sell by CITY (Kikolo, Gamek, Benguela...)
-    // so match either the city or the province — older clients that still
-    // send province names keep working.
-    if (origin && origin.trim()) {
-      const o = origin.trim();
-      query = query.or(
-        `origin_province.ilike.%${o}%,origin_city.ilike.%${o}%`,
-        { foreignTable: 'routes' }
-      );
-    }
-    if (destination && destination.trim()) {
-      const d = destination.trim();
-      query = query.or(
-        `destination_province.ilike.%${d}%,destination_city.ilike.%${d}%`,
-        { foreignTable: 'routes' }
-      );
-    }
-    if (date && date.trim()) {
-      const localDate = date.trim();
-      if (!/^\d{4}-\d{2}-\d{2}$/.test(localDate)) {
-        return res.status(400).json({ error: 'Date must use YYYY-MM-DD format' });
-      }
-      // Vercel runs in UTC, while terminals search by the Angola calendar day.
-      const startOfDay = new Date(`${localDate}T00:00:00.000+01:00`);
-      const endOfDay = new Date(`${localDate}T23:59:59.999+01:00`);
-      if (Number.isNaN(startOfDay.getTime()) || Number.isNaN(endOfDay.getTime())) {
-        return res.status(400).json({ error: 'Invalid date' });
-      }
-
-      query = query
-        .gte('departure_time', startOfDay.toISOString())
-        .lte('departure_time', endOfDay.toISOString());
-    } else {
-      // The terminal's periodic sync intentionally omits a date. Do not send
-      // stale rows that were never moved out of "scheduled" after departure.
-      query = query.gte('departure_time', new Date().toISOString());
-    }
-    if (seatClass && seatClass.trim()) {
-      query = query.eq('seat_class', seatClass.trim());
+    let pricing;
+    try {
+      pricing = await loadExchangeRate(req.query.currency);
+    } catch (currencyError) {
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
     }
 
     // Sorting
     const allowedSortFields = new Set(['departure_time', 'arrival_time', 'price_usd', 'seat_class']);
     const sortField = allowedSortFields.has(sort) ? sort : 'departure_time';
     const sortOrder = order.toLowerCase() === 'desc' ? { ascending: false } : { ascending: true };
-    query = query.order(sortField, sortOrder);
 
     // Pagination
     const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 1000);
     const offsetNum = Math.max(parseInt(offset, 10) || 0, 0);
-    query = query.range(offsetNum, offsetNum + limitNum - 1);
-
-    const { data: trips, error, count } = await query;
 
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json({
-        error: 'Database error',
-        details: error.message,
-        code: error.code
-      });
+    const search = await searchSellableTrips({
+      origin,
+      destination,
+      date,
+      seatClass,
+      sortField,
+      sortOrder,
+      limit: limitNum,
+      offset: offsetNum,
+    });
+    if (search.error) {
+      return res.status(search.error.status).json(search.error.body);
     }
-
-    const tripsWithSharedAvailability = await applySharedBusAvailability(trips || []);
-    const sellableTrips = tripsWithSharedAvailability.filter((trip) => trip.available_seats > 0);
+    const sellableTrips = convertTripPrices(search.trips, pricing);
 
     console.log(`Found ${sellableTrips.length} sellable trips`);
 
@@ -565,7 +960,8 @@ app.get('/api/trips', async (req, res) => {
         origin: origin || null,
         destination: destination || null,
         date: date || null,
-        class: seatClass || null
+        class: seatClass || null,
+        currency: pricing.currency
       }
     });
   } catch (error) {
@@ -577,11 +973,309 @@ app.get('/api/trips', async (req, res) => {
   }
 });
 
+// GET /api/trips/round-trip - Search outbound and return trips together
+app.get('/api/trips/round-trip', async (req, res) => {
+  try {
+    const { origin, destination, date, returnDate, class: seatClass, limit = '50' } = req.query;
+
+    if (!String(origin || '').trim() || !String(destination || '').trim() || !date || !returnDate) {
+      return res.status(400).json({ error: 'origin, destination, date and returnDate are required' });
+    }
+    if (String(returnDate).trim() < String(date).trim()) {
+      return res.status(400).json({ error: 'Return date must not be before the departure date' });
+    }
+
+    let pricing;
+    try {
+      pricing = await loadExchangeRate(req.query.currency);
+    } catch (currencyError) {
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+    }
+
+    // Both legs are priced as round-trip legs; a pair that does not qualify
+    // is never offered, so the fares shown are the fares charged.
+    const searchLimit = 200;
+    const [outboundSearch, returnSearch] = await Promise.all([
+      searchSellableTrips({ origin, destination, date, seatClass, limit: searchLimit, roundTrip: true }),
+      searchSellableTrips({
+        origin: destination,
+        destination: origin,
+        date: returnDate,
+        seatClass,
+        limit: searchLimit,
+        roundTrip: true,
+      }),
+    ]);
+    const failedSearch = outboundSearch.error || returnSearch.error;
+    if (failedSearch) {
+      return res.status(failedSearch.status).json(failedSearch.body);
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const allPairs = pairRoundTrips(outboundSearch.trips, returnSearch.trips);
+    const pairedOutbound = new Set(allPairs.map((pair) => pair.outbound_trip_id));
+    const pairedReturn = new Set(allPairs.map((pair) => pair.return_trip_id));
+    const tripsById = new Map([...outboundSearch.trips, ...returnSearch.trips].map((trip) => [trip.id, trip]));
+    const pairs = allPairs.slice(0, limitNum).map((pair) => ({
+      ...pair,
+      currency: pricing.currency,
+      price: convertTotal([
+        tripsById.get(pair.outbound_trip_id).price_usd,
+        tripsById.get(pair.return_trip_id).price_usd,
+      ], pricing),
+      round_trip_discount: convertFromUsd(pair.round_trip_discount_usd, pricing),
+    }));
+
+    res.json({
+      outbound: convertTripPrices(outboundSearch.trips.filter((trip) => pairedOutbound.has(trip.id)), pricing),
+      return: convertTripPrices(returnSearch.trips.filter((trip) => pairedReturn.has(trip.id)), pricing),
+      pairs,
+      pagination: {
+        limit: limitNum,
+        count: pairs.length,
+        total: allPairs.length,
+      },
+      filters: {
+        origin,
+        destination,
+        date,
+        returnDate,
+        class: seatClass || null,
+        currency: pricing.currency,
+      },
+    });
+  } catch (error) {
+    console.error('Round-trip search error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/trips/itineraries - Direct trips and connections through transfer cities
+app.get('/api/trips/itineraries', async (req, res) => {
+  try {
+    const {
+      origin,
+      destination,
+      date,
+      passengers = '1',
+      class: seatClass,
+      sort = 'duration',
+      limit = '20',
+    } = req.query;
+
+    if (!String(origin || '').trim() || !String(destination || '').trim() || !date) {
+      return res.status(400).json({ error: 'origin, destination and date are required' });
+    }
+    const passengerCount = parseInt(passengers, 10);
+    if (!Number.isInteger(passengerCount) || passengerCount < 1 || passengerCount > MAX_MOBILE_BASKET_SEATS) {
+      return res.status(400).json({ error: `passengers must be between 1 and ${MAX_MOBILE_BASKET_SEATS}` });
+    }
+
+    let pricing;
+    try {
+      pricing = await loadExchangeRate(req.query.currency);
+    } catch (currencyError) {
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+    }
+
+    const settings = narrowConnectionSettings(await loadConnectionSettings(), {
+      minLayover: req.query.minLayover,
+      maxLayover: req.query.maxLayover,
+      maxLegs: req.query.maxLegs,
+    });
+    if (settings.min_layover_minutes > settings.max_layover_minutes) {
+      return res.status(400).json({ error: 'minLayover must not exceed maxLayover' });
+    }
+
+    // First legs leave on the requested day; later legs may leave until the
+    // last possible connection, a day per leg plus the longest layover later.
+    const searchLimit = 1000;
+    const firstSearch = await searchSellableTrips({ origin, date, seatClass, limit: searchLimit });
+    if (firstSearch.error) {
+      return res.status(firstSearch.error.status).json(firstSearch.error.body);
+    }
+    let onwardTrips = [];
+    if (settings.max_legs > 1 && firstSearch.trips.length) {
+      const lastArrival = Math.max(...firstSearch.trips.map((trip) => new Date(trip.arrival_time).getTime()));
+      const onwardSearch = await searchSellableTrips({
+        seatClass,
+        limit: searchLimit,
+        departureFrom: new Date(`${String(date).trim()}T00:00:00.000+01:00`),
+        departureTo: new Date(
+          lastArrival + (settings.max_legs - 1) * (24 * 60 + settings.max_layover_minutes) * 60 * 1000
+        ),
+      });
+      if (onwardSearch.error) {
+        return res.status(onwardSearch.error.status).json(onwardSearch.error.body);
+      }
+      onwardTrips = onwardSearch.trips;
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const destinationRouteIds = await findRoutesServing(await loadCityCatalogue(), destination, 'destination');
+    const allItineraries = rankItineraries(findItineraries({
+      firstLegs: firstSearch.trips,
+      trips: onwardTrips,
+      destination,
+      destinationRouteIds,
+      passengers: passengerCount,
+      settings,
+    }), sort === 'price' ? 'price' : 'duration');
+    const itineraries = allItineraries.slice(0, limitNum).map((itinerary) => ({
+      ...itinerary,
+      legs: convertTripPrices(itinerary.legs, pricing),
+      currency: pricing.currency,
+      price: convertTotal(itinerary.legs.map((trip) => trip.price_usd), pricing),
+    }));
+
+    res.json({
+      itineraries,
+      pagination: {
+        limit: limitNum,
+        count: itineraries.length,
+        total: allItineraries.length,
+      },
+      filters: {
+        origin,
+        destination,
+        date,
+        passengers: passengerCount,
+        class: seatClass || null,
+        sort: sort === 'price' ? 'price' : 'duration',
+        currency: pricing.currency,
+        min_layover_minutes: settings.min_layover_minutes,
+        max_layover_minutes: settings.max_layover_minutes,
+        max_legs: settings.max_legs,
+      },
+    });
+  } catch (error) {
+    console.error('Itinerary search error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/trips/segments - Seats between intermediate stops of routes
+app.get('/api/trips/segments', async (req, res) => {
+  try {
+    const { origin, destination, date, passengers = '1', class: seatClass, limit = '50' } = req.query;
+
+    if (!String(origin || '').trim() || !String(destination || '').trim() || !date) {
+      return res.status(400).json({ error: 'origin, destination and date are required' });
+    }
+    const localDate = String(date).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(localDate)) {
+      return res.status(400).json({ error: 'Date must use YYYY-MM-DD format' });
+    }
+    const startOfDay = new Date(`${localDate}T00:00:00.000+01:00`);
+    const endOfDay = new Date(`${localDate}T23:59:59.999+01:00`);
+    if (Number.isNaN(startOfDay.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    const passengerCount = parseInt(passengers, 10);
+    if (!Number.isInteger(passengerCount) || passengerCount < 1 || passengerCount > MAX_MOBILE_BASKET_SEATS) {
+      return res.status(400).json({ error: `passengers must be between 1 and ${MAX_MOBILE_BASKET_SEATS}` });
+    }
+
+    let pricing;
+    try {
+      pricing = await loadExchangeRate(req.query.currency);
+    } catch (currencyError) {
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+    }
+
+    const stopsByRoute = await loadRouteStops(await findRoutesStoppingAt(origin));
+    const segmentsByRoute = new Map();
+    for (const [routeId, stops] of stopsByRoute) {
+      const segments = findStopSegments(stops, origin, destination);
+      if (segments.length) segmentsByRoute.set(routeId, segments);
+    }
+
+    let trips = [];
+    if (segmentsByRoute.size) {
+      // A trip that left the day before may reach the boarding stop today.
+      const search = await searchSellableTrips({
+        seatClass,
+        limit: 1000,
+        routeIds: [...segmentsByRoute.keys()],
+        departureFrom: new Date(startOfDay.getTime() - 24 * 60 * 60 * 1000),
+        departureTo: endOfDay,
+        wholeTrip: false,
+      });
+      if (search.error) {
+        return res.status(search.error.status).json(search.error.body);
+      }
+      trips = search.trips;
+    }
+    const departures = segmentDepartures({ trips, stopsByRoute, segmentsByRoute, from: startOfDay, to: endOfDay });
+
+    // Seats and fares are per segment, so each stop range is asked for once.
+    const departuresByRange = new Map();
+    for (const departure of departures) {
+      const key = `${departure.origin_stop}-${departure.destination_stop}`;
+      if (!departuresByRange.has(key)) departuresByRange.set(key, []);
+      departuresByRange.get(key).push(departure);
+    }
+    const sellable = new Map();
+    for (const rangeDepartures of departuresByRange.values()) {
+      const stopRange = {
+        origin_stop: rangeDepartures[0].origin_stop,
+        destination_stop: rangeDepartures[0].destination_stop,
+      };
+      const tripIds = rangeDepartures.map((departure) => departure.trip.id);
+      const [availabilityRows, fares] = await Promise.all([
+        getTripSeatAvailability(tripIds, supabaseAdmin, stopRange),
+        loadTripFares(tripIds, null, { stopRange }),
+      ]);
+      const seatsByTrip = new Map(availabilityRows.map((row) => [row.trip_id, Number(row.available_seats || 0)]));
+      for (const departure of rangeDepartures) {
+        const availableSeats = seatsByTrip.get(departure.trip.id) || 0;
+        if (fares.get(departure.trip.id)?.fare_usd == null || availableSeats < passengerCount) continue;
+        const [pricedTrip] = applyTripFares([{ ...departure.trip, available_seats: availableSeats }], fares);
+        sellable.set(departure, { ...departure, trip: pricedTrip });
+      }
+    }
+
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const allSegments = departures.filter((departure) => sellable.has(departure)).map((departure) => {
+      const { trip, ...segment } = sellable.get(departure);
+      return { ...trip, ...segment };
+    });
+    const segments = convertTripPrices(allSegments.slice(0, limitNum), pricing);
+
+    res.json({
+      segments,
+      pagination: {
+        limit: limitNum,
+        count: segments.length,
+        total: allSegments.length,
+      },
+      filters: {
+        origin,
+        destination,
+        date: localDate,
+        passengers: passengerCount,
+        class: seatClass || null,
+        currency: pricing.currency,
+      },
+    });
+  } catch (error) {
+    console.error('Segment search error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
 // GET /api/trips/:tripId - Get specific trip details
 app.get('/api/trips/:tripId', async (req, res) => {
   try {
     const { tripId } = req.params;
 
+    let pricing;
+    try {
+      pricing = await loadExchangeRate(req.query.currency);
+    } catch (currencyError) {
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+    }
+
     const { data: trip, error } = await supabase
       .from('trips')
       .select(`
@@ -639,7 +1333,11 @@ app.get('/api/trips/:tripId', async (req, res) => {
     }
 
     const [tripWithSharedAvailability] = await applySharedBusAvailability([trip]);
-    res.json({ trip: tripWithSharedAvailability });
+    const [pricedTrip] = convertTripPrices(
+      applyTripFares([tripWithSharedAvailability], await loadTripFares([trip.id])),
+      pricing
+    );
+    res.json({ trip: pricedTrip });
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({
@@ -649,91 +1347,221 @@ app.get('/api/trips/:tripId', async (req, res) => {
   }
 });
 
-// GET /api/trips/:tripId/booked_seats - Get booked seats for a trip (including sibling trips)
-app.get('/api/trips/:tripId/booked_seats', async (req, res) => {
+// GET /api/trips/:tripId/stops - Stops of the trip's route with their times
+app.get('/api/trips/:tripId/stops', async (req, res) => {
   try {
-    const { tripId } = req.params;
-
-    let availabilityRows;
-    try {
-      availabilityRows = await getTripSeatAvailability([tripId], supabaseAdmin);
-    } catch (error) {
-      if (!['PGRST202', '42883'].includes(error?.code)) throw error;
-
-      const siblingIds = await getSiblingTripIds(tripId);
-      const now = new Date().toISOString();
-      const [{ data: tickets, error: ticketsError }, { data: holds, error: holdsError }] = await Promise.all([
-        supabaseAdmin
-          .from('tickets')
-          .select('seat_number, status')
-          .in('trip_id', siblingIds)
-          .in('status', ['active', 'pending', 'used']),
-        supabaseAdmin
-          .from('online_bookings')
-          .select('seat_number, expires_at')
-          .in('trip_id', siblingIds)
-          .gt('expires_at', now),
-      ]);
-      if (ticketsError || holdsError) throw ticketsError || holdsError;
-      const fallback = calculateSeatAvailability({
-        capacity: 0,
-        ticketRows: tickets || [],
-        holdRows: holds || [],
-        copilotSeatNumber: COPILOT_SEAT_NUMBER,
-      });
-      availabilityRows = [{ trip_id: tripId, occupied_seats: fallback.occupiedSeats }];
-    }
-    if (!availabilityRows.length) {
+    const { data: trip, error } = await supabase
+      .from('trips')
+      .select('id, route_id, departure_time')
+      .eq('id', req.params.tripId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!trip) {
       return res.status(404).json({ error: 'Trip not found' });
     }
 
-    // The co-pilot seat is never sellable, so it is reported as booked to
-    // every client (the Sunmi app picks its seat from whatever is left).
-    // Active online holds are included too, matching booking validation.
-    const bookedSeats = (availabilityRows[0].occupied_seats || []).map(Number);
-    if (!bookedSeats.some(isCopilotSeat)) {
-      bookedSeats.push(COPILOT_SEAT_NUMBER);
-    }
+    const stops = (await loadRouteStops([trip.route_id])).get(trip.route_id) || [];
+    res.json({ trip_id: trip.id, stops: scheduleStops(trip.departure_time, stops) });
+  } catch (error) {
+    console.error('Trip stops error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-    res.json({
-      booked_seats: bookedSeats,
-      reserved_seats: [COPILOT_SEAT_NUMBER]
+// GET /api/trips/:tripId/fare?class=business - Fare of one seat class with the rules applied
+app.get('/api/trips/:tripId/fare', async (req, res) => {
+  try {
+    const seatClass = String(req.query.class || '').trim() || null;
+    const { stopRange, error: stopError } = readStopRange(req.query);
+    if (stopError) {
+      return res.status(400).json({ error: stopError });
+    }
+    const pricing = await loadExchangeRate(req.query.currency);
+    const { data, error } = await supabaseAdmin.rpc('get_trip_fares', {
+      p_trip_ids: [req.params.tripId],
+      p_seat_class: seatClass,
+      ...stopRangeParams(stopRange),
     });
+    if (error) throw error;
 
-  } catch (error) {
-    console.error('Server error:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      details: error.message
+    const fare = indexTripFares(data || []).get(req.params.tripId);
+    if (!fare) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    if (fare.fare_usd == null) {
+      return res.status(404).json({ error: 'No fare between these stops' });
+    }
+    res.json({
+      success: true,
+      trip_id: req.params.tripId,
+      ...stopRange,
+      ...fare,
+      currency: pricing.currency,
+      exchange_rate: pricing.rate,
+      fare: convertFromUsd(fare.fare_usd, pricing),
+      base_price: convertFromUsd(fare.base_price_usd, pricing),
     });
+  } catch (error) {
+    console.error('Trip fare error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Failed to price trip', details: error.message });
   }
 });
 
-// GET /api/routes - Get available routes
-app.get('/api/routes', async (req, res) => {
+// Occupied passenger seats of a trip across its overlapping siblings, holds
+// included, on the segment of stopRange when given. Returns null when the
+// trip does not exist.
+async function getOccupiedSeats(tripId, stopRange = null) {
+  let availabilityRows;
   try {
-    const { active = 'true' } = req.query;
+    availabilityRows = await getTripSeatAvailability([tripId], supabaseAdmin, stopRange);
+  } catch (error) {
+    if (!['PGRST202', '42883'].includes(error?.code)) throw error;
 
-    let query = supabase
-      .from('routes')
-      .select('*')
-      .order('origin_city', { ascending: true });
+    const siblingIds = await getSiblingTripIds(tripId);
+    const now = new Date().toISOString();
+    const [{ data: tickets, error: ticketsError }, { data: holds, error: holdsError }] = await Promise.all([
+      supabaseAdmin
+        .from('tickets')
+        .select('seat_number, status')
+        .in('trip_id', siblingIds)
+        .in('status', ['active', 'pending', 'used']),
+      supabaseAdmin
+        .from('online_bookings')
+        .select('seat_number, expires_at')
+        .in('trip_id', siblingIds)
+        .gt('expires_at', now),
+    ]);
+    if (ticketsError || holdsError) throw ticketsError || holdsError;
+    const fallback = calculateSeatAvailability({
+      capacity: 0,
+      ticketRows: tickets || [],
+      holdRows: holds || [],
+      copilotSeatNumber: COPILOT_SEAT_NUMBER,
+    });
+    availabilityRows = [{ trip_id: tripId, occupied_seats: fallback.occupiedSeats }];
+  }
+  if (!availabilityRows.length) return null;
 
-    if (active === 'true') {
-      query = query.eq('is_active', true);
+  return (availabilityRows[0].occupied_seats || []).map(Number);
+}
+
+// The stored layout of the trip's bus model, or the standard 2+2 layout built
+// from capacity when the model has none (or the layout migration is missing).
+async function loadTripSeatLayout(tripId, capacity) {
+  const { data, error } = await supabaseAdmin.rpc('get_trip_seat_layout', { p_trip_id: tripId });
+  if (error && !['PGRST202', '42883'].includes(error?.code)) throw error;
+
+  if (!error && data) {
+    return { layout: normalizeSeatLayout(data), source: 'bus_model' };
+  }
+  return { layout: buildDefaultSeatLayout(capacity, COPILOT_SEAT_NUMBER), source: 'default' };
+}
+
+// Seats in the request that the trip's bus cannot sell: outside the layout,
+// disabled, or the co-pilot seat. Returns null when the trip does not exist.
+async function findUnsellableSeats(tripId, seatNumbers) {
+  const { data: trip, error } = await supabaseAdmin
+    .from('trips')
+    .select('id, buses (capacity)')
+    .eq('id', tripId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!trip) return null;
+
+  const bus = Array.isArray(trip.buses) ? trip.buses[0] : trip.buses;
+  const { layout, source } = await loadTripSeatLayout(tripId, bus?.capacity);
+  const validator = source === 'bus_model' ? layout : bus?.capacity;
+  return seatNumbers.filter((seatNumber) => !isSellableSeatNumber(seatNumber, validator));
+}
+
+async function validateSellableSeats(tripId, seatNumbers) {
+  const unsellable = await findUnsellableSeats(tripId, seatNumbers);
+  if (!unsellable) {
+    return { status: 404, body: { error: 'Trip not found' } };
+  }
+  if (unsellable.length) {
+    return {
+      status: 400,
+      body: {
+        error: 'Seat is not sellable on this bus',
+        details: `Seats ${unsellable.join(', ')} do not exist in the bus layout or are disabled.`,
+        seats: unsellable,
+      },
+    };
+  }
+  return null;
+}
+
+// A leg booked as several trips must connect the way itinerary search
+// chains them. Returns { status, body } for a bad connection, else null.
+async function validateBasketConnections(basketItems) {
+  const tripIdsByLeg = new Map();
+  for (const item of basketItems) {
+    if (!tripIdsByLeg.has(item.leg)) tripIdsByLeg.set(item.leg, new Set());
+    tripIdsByLeg.get(item.leg).add(item.trip_id);
+  }
+  const connections = [...tripIdsByLeg.values()].filter((tripIds) => tripIds.size > 1);
+  if (!connections.length) return null;
+
+  const { data: trips, error } = await supabaseAdmin
+    .from('trips')
+    .select('id, departure_time, arrival_time, routes (origin_city, destination_city)')
+    .in('id', connections.flatMap((tripIds) => [...tripIds]));
+  if (error) throw error;
+  const tripsById = new Map((trips || []).map((trip) => [trip.id, trip]));
+  const settings = await loadConnectionSettings();
+  for (const tripIds of connections) {
+    const legTrips = [...tripIds].map((tripId) => tripsById.get(tripId));
+    if (legTrips.some((trip) => !trip)) {
+      return { status: 404, body: { error: 'Trip not found' } };
+    }
+    const message = connectionError(legTrips, settings);
+    if (message) {
+      return { status: 400, body: { error: 'Trips do not connect', details: message } };
     }
+  }
+  return null;
+}
 
-    const { data: routes, error } = await query;
+// Mobile baskets can span an outbound and a return trip.
+async function validateSellableBasketSeats(basketItems) {
+  const seatsByTrip = new Map();
+  for (const item of basketItems) {
+    seatsByTrip.set(item.trip_id, [...(seatsByTrip.get(item.trip_id) || []), item.seat_number]);
+  }
+  for (const [tripId, seatNumbers] of seatsByTrip) {
+    const seatError = await validateSellableSeats(tripId, seatNumbers);
+    if (seatError) return seatError;
+  }
+  return null;
+}
 
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json({
-        error: 'Database error',
-        details: error.message
-      });
+// GET /api/trips/:tripId/booked_seats - Get booked seats for a trip (including sibling trips)
+app.get('/api/trips/:tripId/booked_seats', async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { stopRange, error: stopError } = readStopRange(req.query);
+    if (stopError) {
+      return res.status(400).json({ error: stopError });
     }
 
-    res.json({ routes: routes || [] });
+    const bookedSeats = await getOccupiedSeats(tripId, stopRange);
+    if (!bookedSeats) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    // The co-pilot seat is never sellable, so it is reported as booked to
+    // every client (the Sunmi app picks its seat from whatever is left).
+    // Active online holds are included too, matching booking validation.
+    if (!bookedSeats.some(isCopilotSeat)) {
+      bookedSeats.push(COPILOT_SEAT_NUMBER);
+    }
+
+    res.json({
+      booked_seats: bookedSeats,
+      reserved_seats: [COPILOT_SEAT_NUMBER]
+    });
+
   } catch (error) {
     console.error('Server error:', error);
     res.status(500).json({
@@ -743,218 +1571,1082 @@ app.get('/api/routes', async (req, res) => {
   }
 });
 
-// Helper: get all trip IDs that share the same bus and have an overlapping
-// [departure_time, arrival_time] window (sibling trips). Backed by the
-// get_overlapping_trip_ids() Postgres function so every booking surface
-// (this API, agent-web-app, agent-pwa) resolves siblings identically.
-async function getSiblingTripIds(tripId) {
-  const { data: siblings, error } = await supabase
-    .rpc('get_overlapping_trip_ids', { p_trip_id: tripId });
-
-  if (error || !siblings) return [tripId];
-  return siblings.map(s => s.id);
+// The bus layout of a trip merged with live availability, on the segment of
+// stopRange when given. Returns null for a missing or deactivated trip.
+async function loadTripSeatMap(tripId, stopRange = null) {
+  const { data: trip, error } = await supabaseAdmin
+    .from('trips')
+    .select('id, seat_class, buses (make, model, capacity, is_active)')
+    .eq('id', tripId)
+    .maybeSingle();
+  if (error) throw error;
+
+  const bus = Array.isArray(trip?.buses) ? trip.buses[0] : trip?.buses;
+  if (!trip || bus?.is_active === false) return null;
+
+  const [occupiedSeats, { layout, source }] = await Promise.all([
+    getOccupiedSeats(tripId, stopRange),
+    loadTripSeatLayout(tripId, bus?.capacity),
+  ]);
+  return {
+    trip,
+    bus,
+    source,
+    seatMap: buildSeatMap({
+      layout,
+      occupiedSeats: occupiedSeats || [],
+      defaultSeatClass: trip.seat_class || null,
+      copilotSeatNumber: COPILOT_SEAT_NUMBER,
+    }),
+  };
 }
 
-// Helper function to generate reference number
-function generateReferenceCode() {
-  const ts = Date.now().toString();
-  const tail = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return ts.slice(-8) + tail;
-}
+// GET /api/trips/:tripId/seat-map - Bus layout merged with live availability
+app.get('/api/trips/:tripId/seat-map', async (req, res) => {
+  try {
+    const { stopRange, error: stopError } = readStopRange(req.query);
+    if (stopError) {
+      return res.status(400).json({ error: stopError });
+    }
 
-// POST /api/booking - Atomically create or recover an agent booking
-app.post('/api/booking', async (req, res) => {
+    const tripSeatMap = await loadTripSeatMap(req.params.tripId, stopRange);
+    if (!tripSeatMap) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+
+    const { trip, bus, source, seatMap } = tripSeatMap;
+    res.json({
+      trip_id: trip.id,
+      ...stopRange,
+      bus: { make: bus?.make || null, model: bus?.model || null, capacity: bus?.capacity ?? null },
+      layout_source: source,
+      seat_map: seatMap,
+    });
+  } catch (error) {
+    console.error('Seat map error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// GET /api/trips/:tripId/manifest - Passengers on the bus as JSON, CSV or 80mm print
+app.get('/api/trips/:tripId/manifest', async (req, res) => {
   try {
-    const auth = await authenticateAgentRequest(req);
+    const auth = await authenticateRoleRequest(
+      req,
+      ['agent', 'driver', 'admin'],
+      'Unauthorized: Only agents, drivers and admins can view manifests'
+    );
     if (auth.error) {
       return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    const {
-      tripId,
-      passengerId,
-      seatNumber,
-      seatClass,
-      paymentMethod,
-      paymentReference,
-      paymentStatus = 'pending',
-      ticketNumber = null,
-      splits = null,
-      companionName = null,
-      companionPhone = null,
-    } = req.body;
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv', 'print'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, csv or print' });
+    }
 
-    if (!tripId || !passengerId || seatNumber == null || !paymentMethod) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    // Passengers of every overlapping segment ride the same bus, so the
+    // manifest covers all of them.
+    const { tripId } = req.params;
+    const tripIds = await getSiblingTripIds(tripId);
+    const [{ data: trips, error: tripsError }, { data: tickets, error: ticketsError }] = await Promise.all([
+      supabaseAdmin
+        .from('trips')
+        .select('id, route_id, departure_time, arrival_time, routes (origin_city, destination_city), buses (license_plate)')
+        .in('id', tripIds),
+      supabaseAdmin
+        .from('tickets')
+        .select(`
+          id, ticket_number, trip_id, passenger_id, seat_number, origin_stop, destination_stop,
+          status, payment_status, payment_method, boarded_at
+        `)
+        .in('trip_id', tripIds)
+        .in('status', ['active', 'pending', 'used']),
+    ]);
+    if (tripsError || ticketsError) throw tripsError || ticketsError;
+
+    const tripsById = new Map((trips || []).map((trip) => [trip.id, trip]));
+    const trip = tripsById.get(tripId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
     }
 
-    const normalizedSeatNumber = normalizeSeatNumber(seatNumber);
-    if (normalizedSeatNumber === null) {
-      return res.status(400).json({ error: 'Seat number must be an integer' });
+    const ticketRows = tickets || [];
+    const stopsByRoute = ticketRows.some((ticket) => ticket.origin_stop != null)
+      ? await loadRouteStops((trips || []).map((row) => row.route_id))
+      : new Map();
+    const [{ data: profiles, error: profilesError }, { data: companions, error: companionsError }] = await Promise.all([
+      supabaseAdmin
+        .from('profiles')
+        .select('id, first_name, last_name, phone_number')
+        .in('id', [...new Set(ticketRows.map((ticket) => ticket.passenger_id))]),
+      supabaseAdmin
+        .from('ticket_companions')
+        .select('ticket_id, name, phone')
+        .in('ticket_id', ticketRows.map((ticket) => ticket.id)),
+    ]);
+    if (profilesError || companionsError) throw profilesError || companionsError;
+
+    const rows = buildManifestRows({
+      tickets: ticketRows,
+      profilesById: new Map((profiles || []).map((profile) => [profile.id, profile])),
+      companionsByTicket: new Map((companions || []).map((companion) => [companion.ticket_id, companion])),
+      tripsById,
+      stopsByRoute,
+    });
+    const bus = Array.isArray(trip.buses) ? trip.buses[0] : trip.buses;
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="manifest-${tripId}.csv"`);
+      return res.send(manifestToCsv(rows));
+    }
+    if (format === 'print') {
+      res.set('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(manifestToThermalText({
+        title: tripSegmentLabel(trip),
+        departureTime: trip.departure_time,
+        busPlate: bus?.license_plate || null,
+        rows,
+      }));
     }
 
-    if (!isSupportedBookingPayment(paymentMethod)) {
-      return res.status(400).json({ error: 'Unsupported payment method' });
+    res.json({
+      success: true,
+      trip: {
+        id: trip.id,
+        route: tripSegmentLabel(trip),
+        departure_time: trip.departure_time,
+        arrival_time: trip.arrival_time,
+        bus_license_plate: bus?.license_plate || null,
+      },
+      trip_ids: tripIds,
+      summary: summarizeManifest(rows),
+      passengers: rows,
+    });
+  } catch (error) {
+    console.error('Manifest error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// POST /api/trips/:tripId/holds - Lock seats for the authenticated passenger
+// while they complete checkout. Each seat goes through create_seat_hold(),
+// which shares the bus/seat advisory lock with ticket inserts.
+app.post('/api/trips/:tripId/holds', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    if (isCopilotSeat(normalizedSeatNumber)) {
+    const { tripId } = req.params;
+    const seatNumbers = normalizeHoldSeatNumbers(req.body || {});
+    if (!seatNumbers) {
+      return res.status(400).json({ error: 'seatNumber or seatNumbers must contain integer seats' });
+    }
+    if (seatNumbers.some(isCopilotSeat)) {
       return res.status(400).json({
         error: 'Seat reserved for the co-pilot',
-        details: 'Seat ' + COPILOT_SEAT_NUMBER + ' is always reserved for the co-pilot and cannot be sold.',
+        details: `Seat ${COPILOT_SEAT_NUMBER} is always reserved for the co-pilot and cannot be sold.`
       });
     }
 
-    const normalizedTicketNumber = String(ticketNumber || '').trim() || null;
-    const normalizedPaymentReference = String(paymentReference || '').trim() || null;
-    const idempotencyKey = resolveIdempotencyKey({
-      headerValue: req.get('Idempotency-Key'),
-      ticketNumber: normalizedTicketNumber,
-      paymentReference: normalizedPaymentReference,
-    });
-    if (!idempotencyKey) {
+    const seatError = await validateSellableSeats(tripId, seatNumbers);
+    if (seatError) {
+      return res.status(seatError.status).json(seatError.body);
+    }
+
+    // A hold keeps the seat for the segment the passenger is buying.
+    const { stopRange, error: stopError } = readStopRange(req.body);
+    if (stopError) {
+      return res.status(400).json({ error: stopError });
+    }
+
+    const durationMinutes = normalizeHoldMinutes(req.body?.durationMinutes);
+    if (durationMinutes === null) {
       return res.status(400).json({
-        error: 'A stable Idempotency-Key, ticketNumber, or paymentReference is required',
+        error: `durationMinutes must be an integer between 1 and ${MAX_HOLD_MINUTES}`
       });
     }
-    if (idempotencyKey.length > 200) {
-      return res.status(400).json({ error: 'Idempotency key must not exceed 200 characters' });
-    }
 
-    const normalizedCompanionName = String(companionName || '').trim() || null;
-    const normalizedCompanionPhone = String(companionPhone || '').trim() || null;
-    if (normalizedCompanionPhone && !normalizedCompanionName) {
-      return res.status(400).json({ error: 'Companion phone requires a companion name' });
+    const { count: activeHolds, error: countError } = await supabaseAdmin
+      .from('online_bookings')
+      .select('id', { count: 'exact', head: true })
+      .eq('passenger_id', auth.user.id)
+      .gt('expires_at', new Date().toISOString());
+    if (countError) throw countError;
+    if ((activeHolds || 0) + seatNumbers.length > MAX_ACTIVE_HOLDS_PER_PASSENGER) {
+      return res.status(429).json({
+        error: `A passenger may hold at most ${MAX_ACTIVE_HOLDS_PER_PASSENGER} seats at a time`
+      });
     }
 
-    let normalizedSplits = [];
-    if (paymentMethod === 'tpa_dinheiro' && splits != null) {
-      if (!Array.isArray(splits) || !splits.length) {
-        return res.status(400).json({ error: 'Split payment must contain at least one part' });
-      }
-      normalizedSplits = splits.map((split) => ({
-        method: split?.method,
-        amount: Number(split?.amount),
-      }));
-      if (normalizedSplits.some((split) =>
-        !['cash', 'tpa'].includes(split.method) ||
-        !Number.isFinite(split.amount) ||
-        split.amount <= 0
-      )) {
-        return res.status(400).json({
-          error: 'Split payment parts must use cash/TPA and positive amounts',
-        });
+    // Every hold is its own transaction. If a later seat is taken, release the
+    // holds this request already created so the basket is all-or-nothing.
+    const holdIds = [];
+    for (const seatNumber of seatNumbers) {
+      const { data: holdId, error } = await supabaseAdmin.rpc('create_seat_hold', {
+        p_trip_id: tripId,
+        p_passenger_id: auth.user.id,
+        p_seat_number: seatNumber,
+        p_hold_duration_minutes: durationMinutes,
+        ...stopRangeParams(stopRange),
+      });
+      if (error) {
+        await Promise.all(holdIds.map((id) => supabaseAdmin.rpc('release_seat_hold', {
+          p_hold_id: id,
+          p_passenger_id: auth.user.id,
+        })));
+        error.seatNumber = seatNumber;
+        throw error;
       }
+      holdIds.push(holdId);
     }
 
-    // Counter payments commit as paid with their ledger row in the same
-    // database transaction. A reference payment remains in its requested state.
-    const finalPaymentStatus = resolveBookingPaymentStatus(paymentMethod, paymentStatus);
-    const finalReference = normalizedPaymentReference || (
-      isCashLikePayment(paymentMethod)
-        ? 'agent-' + idempotencyKey
-        : generateReferenceCode()
-    );
-
-    const { data, error } = await supabaseAdmin.rpc('book_agent_ticket_atomic_v2', {
-      p_trip_id: tripId,
-      p_passenger_id: passengerId,
-      p_booked_by: auth.user.id,
-      p_seat_number: normalizedSeatNumber,
-      p_payment_method: paymentMethod,
-      p_payment_status: finalPaymentStatus,
-      p_idempotency_key: idempotencyKey,
-      p_seat_class: seatClass || null,
-      p_payment_reference: finalReference,
-      p_ticket_number: normalizedTicketNumber,
-      p_splits: normalizedSplits,
-      p_companion_name: normalizedCompanionName,
-      p_companion_phone: normalizedCompanionPhone,
-    });
-    if (error) throw error;
+    const { data: holds, error: holdsError } = await supabaseAdmin
+      .from('online_bookings')
+      .select('id, trip_id, seat_number, origin_stop, destination_stop, expires_at')
+      .in('id', holdIds)
+      .order('seat_number', { ascending: true });
+    if (holdsError) throw holdsError;
 
-    const atomicRow = Array.isArray(data) ? data[0] : data;
-    const result = normalizeAtomicBookingResult(atomicRow);
-    return res.status(result.idempotent ? 200 : 201).json({
+    res.status(201).json({
       success: true,
-      idempotent: result.idempotent,
-      recovered: result.idempotent,
-      ticket: result.ticket,
+      holds: (holds || []).map((row) => serializeHold(row)),
     });
   } catch (error) {
-    console.error('Booking error:', error);
+    console.error('Create hold error:', error);
     const status = bookingErrorStatus(error);
-    const message = error?.code === '23505' && /seat/i.test(error.message || '')
-      ? 'Seat already taken'
-      : 'Booking failed';
-    return res.status(status).json({ error: message, details: error.message });
+    const message = error?.code === '23505'
+      ? `Seat ${error.seatNumber} is not available`
+      : 'Failed to hold seats';
+    res.status(status).json({ error: message, details: error.message });
   }
 });
 
-// PATCH /api/tickets/:ticketId/mark-paid - Legacy compatibility for older Sunmi builds.
-app.patch('/api/tickets/:ticketId/mark-paid', async (req, res) => {
-  const client = supabase;
+// GET /api/holds - Active holds of the authenticated passenger
+app.get('/api/holds', async (req, res) => {
   try {
-    // Verify authentication
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'No access token provided'
-      });
+    const auth = await authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    const accessToken = authHeader.substring(7);
-    const { data: { user }, error: verifyError } = await supabase.auth.getUser(accessToken);
-
-    if (verifyError || !user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired token'
-      });
+    let query = supabaseAdmin
+      .from('online_bookings')
+      .select('id, trip_id, seat_number, origin_stop, destination_stop, expires_at')
+      .eq('passenger_id', auth.user.id)
+      .gt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true });
+    if (req.query.tripId) {
+      query = query.eq('trip_id', req.query.tripId);
     }
 
-    // Check agent role
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('role')
-      .eq('id', user.id)
-      .single();
+    const { data: holds, error } = await query;
+    if (error) throw error;
 
-    if (profileError || !profile || (!['agent', 'admin'].includes(profile.role))) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized: Only agents can update ticket status'
-      });
-    }
+    res.json({ success: true, holds: (holds || []).map((row) => serializeHold(row)) });
+  } catch (error) {
+    console.error('List holds error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-    const { ticketId } = req.params;
-    const { paymentMethod, splits } = req.body;
+// PATCH /api/holds/:holdId - Extend one of the passenger's live holds
+app.patch('/api/holds/:holdId', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
 
-    if (!ticketId) {
-      return res.status(400).json({ error: 'Missing ticketId' });
+    const durationMinutes = normalizeHoldMinutes(req.body?.durationMinutes);
+    if (durationMinutes === null) {
+      return res.status(400).json({
+        error: `durationMinutes must be an integer between 1 and ${MAX_HOLD_MINUTES}`
+      });
     }
 
-    // Fetch the ticket to get price and trip_id
-    const { data: ticket, error: ticketError } = await client
-      .from('tickets')
-      .select('id, price_paid_usd, trip_id, payment_status, payment_method, booked_by')
-      .eq('id', ticketId)
+    const { data: expiresAt, error } = await supabaseAdmin.rpc('extend_seat_hold', {
+      p_hold_id: req.params.holdId,
+      p_passenger_id: auth.user.id,
+      p_hold_duration_minutes: durationMinutes,
+      p_max_total_minutes: MAX_HOLD_MINUTES,
+    });
+    if (error) throw error;
+
+    const { data: hold, error: holdError } = await supabaseAdmin
+      .from('online_bookings')
+      .select('id, trip_id, seat_number, origin_stop, destination_stop, expires_at')
+      .eq('id', req.params.holdId)
       .single();
+    if (holdError) throw holdError;
 
-    if (ticketError || !ticket) {
-      return res.status(404).json({ error: 'Ticket not found' });
+    res.json({ success: true, hold: serializeHold({ ...hold, expires_at: expiresAt || hold.expires_at }) });
+  } catch (error) {
+    console.error('Extend hold error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Failed to extend hold', details: error.message });
+  }
+});
+
+// DELETE /api/holds/:holdId - Release a hold before it expires
+app.delete('/api/holds/:holdId', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    if (profile.role !== 'admin' && ticket.booked_by !== user.id) {
-      return res.status(403).json({ error: 'Agents can only finalize their own ticket sales' });
+    const { data: released, error } = await supabaseAdmin.rpc('release_seat_hold', {
+      p_hold_id: req.params.holdId,
+      p_passenger_id: auth.user.id,
+    });
+    if (error) throw error;
+    if (!released) {
+      return res.status(404).json({ error: 'Hold not found' });
     }
 
-    const { data: existingTransactions, error: existingError } = await client
-      .from('payment_transactions')
-      .select('id')
-      .eq('ticket_id', ticketId)
-      .eq('status', 'completed');
-    if (existingError) throw existingError;
+    res.json({ success: true, released: true, hold_id: req.params.holdId });
+  } catch (error) {
+    console.error('Release hold error:', error);
+    res.status(500).json({ error: 'Failed to release hold', details: error.message });
+  }
+});
+
+// GET /api/routes - Get available routes
+app.get('/api/routes', async (req, res) => {
+  try {
+    const { active = 'true' } = req.query;
+
+    let query = supabase
+      .from('routes')
+      .select('*')
+      .order('origin_city', { ascending: true });
+
+    if (active === 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: routes, error } = await query;
+
+    if (error) {
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        details: error.message
+      });
+    }
+
+    res.json({ routes: routes || [] });
+  } catch (error) {
+    console.error('Server error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/cities?q=lub - Autocomplete of cities and their stations
+app.get('/api/cities', async (req, res) => {
+  try {
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_CITY_SUGGESTIONS, 1), 100);
+    const catalogue = await loadCityCatalogue();
+    res.json({ cities: searchCities(catalogue, req.query.q, { limit: limitNum }) });
+  } catch (error) {
+    console.error('City search error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+const SYNC_TRIP_COLUMNS = `
+  id,
+  route_id,
+  departure_time,
+  arrival_time,
+  price_usd,
+  available_seats,
+  seat_class,
+  status,
+  routes (
+    is_active,
+    origin_city,
+    destination_city,
+    origin_province,
+    destination_province,
+    distance_km,
+    estimated_duration_hours
+  ),
+  buses (
+    is_active,
+    make,
+    model,
+    license_plate,
+    capacity,
+    amenities,
+    companies (
+      name,
+      logo_url
+    )
+  )
+`;
+
+// GET /api/sync - Trip, route, bus and seat changes since a terminal's cursor
+app.get('/api/sync', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    let cursor;
+    let limit;
+    try {
+      cursor = decodeSyncCursor(req.query.since);
+      limit = normalizeSyncLimit(req.query.limit);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { data: page, error } = await supabaseAdmin.rpc('get_sync_changes', {
+      p_after_txid: cursor?.txid ?? null,
+      p_after_id: cursor?.id ?? 0,
+      p_limit: limit,
+    });
+    if (error) throw error;
+
+    const response = {
+      success: true,
+      full_sync_required: Boolean(page.full_sync_required),
+      has_more: Boolean(page.has_more),
+      cursor: encodeSyncCursor({ txid: page.cursor_txid, id: page.cursor_id }),
+      trips: [],
+      routes: [],
+      buses: [],
+      seats: [],
+      tombstones: [],
+    };
+    if (response.full_sync_required) {
+      return res.json(response);
+    }
+
+    const changes = collapseSyncChanges(page.changes || []);
+    const now = Date.now();
+
+    // A deactivated or reactivated bus or route changes whether each of its
+    // future trips is sellable, so those trips are re-sent with it.
+    const [
+      { data: buses, error: busesError },
+      { data: busTrips, error: busTripsError },
+      { data: routeTrips, error: routeTripsError },
+    ] = await Promise.all([
+      supabaseAdmin
+        .from('buses')
+        .select('id, make, model, license_plate, capacity, amenities, is_active')
+        .in('id', changes.buses),
+      supabaseAdmin
+        .from('trips')
+        .select('id')
+        .in('bus_id', changes.buses)
+        .gte('departure_time', new Date(now).toISOString()),
+      supabaseAdmin
+        .from('trips')
+        .select('id')
+        .in('route_id', changes.routes)
+        .gte('departure_time', new Date(now).toISOString()),
+    ]);
+    if (busesError || busTripsError || routeTripsError) throw busesError || busTripsError || routeTripsError;
+
+    const tripIds = [...new Set([
+      ...changes.trips,
+      ...(busTrips || []).map((trip) => trip.id),
+      ...(routeTrips || []).map((trip) => trip.id),
+    ])];
+    const [{ data: trips, error: tripsError }, { data: routes, error: routesError }] = await Promise.all([
+      supabaseAdmin.from('trips').select(SYNC_TRIP_COLUMNS).in('id', tripIds),
+      supabaseAdmin.from('routes').select('*').in('id', changes.routes),
+    ]);
+    if (tripsError || routesError) throw tripsError || routesError;
+
+    const tripsById = new Map((trips || []).map((trip) => [trip.id, trip]));
+    const liveTrips = [];
+    const removedTripIds = new Set();
+    for (const tripId of [...tripIds, ...changes.deletedTrips]) {
+      const trip = tripsById.get(tripId);
+      const reason = syncTripTombstoneReason(trip, now);
+      if (reason) {
+        removedTripIds.add(tripId);
+        response.tombstones.push({ entity: 'trip', id: tripId, reason });
+      } else {
+        liveTrips.push(trip);
+      }
+    }
+    response.trips = await applySharedBusAvailability(liveTrips);
+
+    const routesById = new Map((routes || []).map((route) => [route.id, route]));
+    for (const routeId of [...changes.routes, ...changes.deletedRoutes]) {
+      const route = routesById.get(routeId);
+      if (!route) response.tombstones.push({ entity: 'route', id: routeId, reason: 'deleted' });
+      else if (route.is_active === false) response.tombstones.push({ entity: 'route', id: routeId, reason: 'inactive' });
+      else response.routes.push(route);
+    }
+
+    const busesById = new Map((buses || []).map((bus) => [bus.id, bus]));
+    for (const busId of [...changes.buses, ...changes.deletedBuses]) {
+      const bus = busesById.get(busId);
+      if (!bus) response.tombstones.push({ entity: 'bus', id: busId, reason: 'deleted' });
+      else if (!bus.is_active) response.tombstones.push({ entity: 'bus', id: busId, reason: 'inactive' });
+      else response.buses.push(bus);
+    }
+
+    const seatTripIds = changes.seatTrips.filter((tripId) => !removedTripIds.has(tripId));
+    const availabilityRows = await getTripSeatAvailability(seatTripIds, supabaseAdmin);
+    response.seats = availabilityRows.map((row) => ({
+      trip_id: row.trip_id,
+      occupied_seats: (row.occupied_seats || []).map(Number),
+      available_seats: Number(row.available_seats || 0),
+    }));
+
+    res.json(response);
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Sync failed', details: error.message });
+  }
+});
+
+// Helper: get all trip IDs that share the same bus and have an overlapping
+// [departure_time, arrival_time] window (sibling trips). Backed by the
+// get_overlapping_trip_ids() Postgres function so every booking surface
+// (this API, agent-web-app, agent-pwa) resolves siblings identically.
+async function getSiblingTripIds(tripId) {
+  const { data: siblings, error } = await supabase
+    .rpc('get_overlapping_trip_ids', { p_trip_id: tripId });
+
+  if (error || !siblings) return [tripId];
+  return siblings.map(s => s.id);
+}
+
+// Helper function to generate reference number
+function generateReferenceCode() {
+  const ts = Date.now().toString();
+  const tail = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  return ts.slice(-8) + tail;
+}
+
+// The booking RPCs write the legacy "TKT-<trip>-<seat>" payload, which anyone
+// can rebuild from a trip id. Right after the commit the API replaces it with
+// a signed token. If that update fails the request fails too, so no client
+// prints the legacy code; the ticket is signed when the idempotent retry comes
+// back through here.
+async function signTicketQrCodes(tickets) {
+  if (!TICKET_QR_KEYS) return tickets;
+  const unsigned = tickets.filter((ticket) => !isSignedTicketQr(ticket.qr_code_data));
+  if (!unsigned.length) return tickets;
+
+  const { data: trips, error: tripsError } = await supabaseAdmin
+    .from('trips')
+    .select('id, arrival_time')
+    .in('id', [...new Set(unsigned.map((ticket) => ticket.trip_id))]);
+  if (tripsError) throw tripsError;
+  const arrivalByTrip = new Map((trips || []).map((trip) => [trip.id, trip.arrival_time]));
+
+  const signedCodes = new Map();
+  await Promise.all(unsigned.map(async (ticket) => {
+    const qrCode = signTicketQr({
+      ticketId: ticket.id,
+      tripId: ticket.trip_id,
+      seatNumber: ticket.seat_number,
+      expiresAt: ticketQrExpiry(arrivalByTrip.get(ticket.trip_id)),
+    }, TICKET_QR_KEYS.privateKey);
+
+    // Only replace the code this request read, so a concurrent exchange that
+    // moved the ticket is not overwritten with a token for the old seat.
+    const { data: signedRows, error } = await supabaseAdmin
+      .from('tickets')
+      .update({ qr_code_data: qrCode })
+      .eq('id', ticket.id)
+      .eq('qr_code_data', ticket.qr_code_data)
+      .select('id');
+    if (error || !signedRows?.length) {
+      console.error('Ticket QR signing error:', error || `ticket ${ticket.id} changed while signing`);
+      throw Object.assign(
+        new Error('Ticket QR code could not be signed; retry with the same Idempotency-Key'),
+        { code: 'ticket_qr_signing_failed' }
+      );
+    }
+    signedCodes.set(ticket.id, qrCode);
+  }));
+
+  return tickets.map((ticket) => (
+    signedCodes.has(ticket.id) ? { ...ticket, qr_code_data: signedCodes.get(ticket.id) } : ticket
+  ));
+}
+
+function saleError(status, body) {
+  return { error: { status, body } };
+}
+
+// Validates one counter sale and builds the book_agent_ticket_atomic_v2
+// arguments. Shared by POST /api/booking and the offline batch upload, so a
+// queued sale is checked exactly like a live one.
+async function prepareAgentSale(sale, { bookedBy, headerIdempotencyKey = null }) {
+  const {
+    tripId,
+    passengerId,
+    seatNumber,
+    seatClass,
+    paymentMethod,
+    paymentReference,
+    paymentStatus = 'pending',
+    ticketNumber = null,
+    splits = null,
+    companionName = null,
+    companionPhone = null,
+    currency = null,
+  } = sale || {};
+
+  if (!tripId || !passengerId || seatNumber == null || !paymentMethod) {
+    return saleError(400, { error: 'Missing required fields' });
+  }
+
+  // originStop/destinationStop sell the segment between two route stops.
+  const { stopRange, error: stopError } = readStopRange(sale);
+  if (stopError) {
+    return saleError(400, { error: stopError });
+  }
+
+  const normalizedSeatNumber = normalizeSeatNumber(seatNumber);
+  if (normalizedSeatNumber === null) {
+    return saleError(400, { error: 'Seat number must be an integer' });
+  }
+
+  if (!isSupportedBookingPayment(paymentMethod)) {
+    return saleError(400, { error: 'Unsupported payment method' });
+  }
+
+  if (isCopilotSeat(normalizedSeatNumber)) {
+    return saleError(400, {
+      error: 'Seat reserved for the co-pilot',
+      details: 'Seat ' + COPILOT_SEAT_NUMBER + ' is always reserved for the co-pilot and cannot be sold.',
+    });
+  }
+
+  const seatError = await validateSellableSeats(tripId, [normalizedSeatNumber]);
+  if (seatError) {
+    return saleError(seatError.status, seatError.body);
+  }
+
+  const normalizedTicketNumber = String(ticketNumber || '').trim() || null;
+  const normalizedPaymentReference = String(paymentReference || '').trim() || null;
+  const idempotencyKey = resolveIdempotencyKey({
+    headerValue: headerIdempotencyKey,
+    ticketNumber: normalizedTicketNumber,
+    paymentReference: normalizedPaymentReference,
+  });
+  if (!idempotencyKey) {
+    return saleError(400, {
+      error: 'A stable Idempotency-Key, ticketNumber, or paymentReference is required',
+    });
+  }
+  if (idempotencyKey.length > 200) {
+    return saleError(400, { error: 'Idempotency key must not exceed 200 characters' });
+  }
+
+  // Terminals count money in the price_usd amounts unless they say otherwise.
+  let tenderCurrency;
+  try {
+    tenderCurrency = normalizeCurrency(currency, 'USD');
+  } catch (currencyError) {
+    return saleError(400, { error: currencyError.message });
+  }
+
+  const normalizedCompanionName = String(companionName || '').trim() || null;
+  const normalizedCompanionPhone = String(companionPhone || '').trim() || null;
+  if (normalizedCompanionPhone && !normalizedCompanionName) {
+    return saleError(400, { error: 'Companion phone requires a companion name' });
+  }
+
+  let normalizedSplits = [];
+  if (paymentMethod === 'tpa_dinheiro' && splits != null) {
+    if (!Array.isArray(splits) || !splits.length) {
+      return saleError(400, { error: 'Split payment must contain at least one part' });
+    }
+    normalizedSplits = splits.map((split) => ({
+      method: split?.method,
+      amount: Number(split?.amount),
+    }));
+    if (normalizedSplits.some((split) =>
+      !['cash', 'tpa'].includes(split.method) ||
+      !Number.isFinite(split.amount) ||
+      split.amount <= 0
+    )) {
+      return saleError(400, {
+        error: 'Split payment parts must use cash/TPA and positive amounts',
+      });
+    }
+  }
+
+  // Counter payments commit as paid with their ledger row in the same
+  // database transaction. A reference payment remains in its requested state.
+  const finalPaymentStatus = resolveBookingPaymentStatus(paymentMethod, paymentStatus);
+  const finalReference = normalizedPaymentReference || (
+    isCashLikePayment(paymentMethod)
+      ? 'agent-' + idempotencyKey
+      : generateReferenceCode()
+  );
+
+  return {
+    idempotencyKey,
+    params: {
+      p_trip_id: tripId,
+      p_passenger_id: passengerId,
+      p_booked_by: bookedBy,
+      p_seat_number: normalizedSeatNumber,
+      p_payment_method: paymentMethod,
+      p_payment_status: finalPaymentStatus,
+      p_idempotency_key: idempotencyKey,
+      p_seat_class: seatClass || null,
+      p_payment_reference: finalReference,
+      p_ticket_number: normalizedTicketNumber,
+      p_splits: normalizedSplits,
+      p_companion_name: normalizedCompanionName,
+      p_companion_phone: normalizedCompanionPhone,
+      p_currency: tenderCurrency,
+      ...stopRangeParams(stopRange),
+    },
+  };
+}
+
+// Group form of POST /api/booking: several passengers on one trip, one
+// combined payment. Every ticket is committed by book_agent_group_atomic() in a
+// single transaction, so the group is sold, or recovered, as a whole.
+async function createGroupAgentBooking(req, res, auth) {
+  const {
+    tripId,
+    passengers,
+    paymentMethod,
+    paymentReference,
+    paymentStatus = 'pending',
+    splits = null,
+    currency = null,
+  } = req.body;
+
+  if (!tripId || !paymentMethod) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (!isSupportedBookingPayment(paymentMethod)) {
+    return res.status(400).json({ error: 'Unsupported payment method' });
+  }
+
+  // The whole group rides the same segment when stops are given.
+  const { stopRange, error: stopError } = readStopRange(req.body);
+  if (stopError) {
+    return res.status(400).json({ error: stopError });
+  }
+
+  let items;
+  try {
+    items = normalizeGroupPassengers(passengers, COPILOT_SEAT_NUMBER);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+
+  const seatError = await validateSellableSeats(tripId, items.map((item) => item.seat_number));
+  if (seatError) {
+    return res.status(seatError.status).json(seatError.body);
+  }
+
+  const normalizedPaymentReference = String(paymentReference || '').trim() || null;
+  const idempotencyKey = resolveIdempotencyKey({
+    headerValue: req.get('Idempotency-Key'),
+    ticketNumber: null,
+    paymentReference: normalizedPaymentReference,
+  });
+  if (!idempotencyKey) {
+    return res.status(400).json({
+      error: 'A stable Idempotency-Key or paymentReference is required',
+    });
+  }
+  if (idempotencyKey.length > 190) {
+    return res.status(400).json({ error: 'Idempotency key must not exceed 190 characters' });
+  }
+
+  let tender;
+  try {
+    tender = await loadExchangeRate(currency, { fallback: 'USD' });
+  } catch (currencyError) {
+    if (!['22023', '55000'].includes(currencyError.code)) throw currencyError;
+    return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+  }
+
+  // One TPA & Dinheiro split covers the group total. It is spread over the
+  // tickets, in the tendered currency, so each ticket's ledger rows still add
+  // up to its own price.
+  if (paymentMethod === 'tpa_dinheiro' && splits != null) {
+    const trip = (await loadPricingTrips([tripId])).get(tripId);
+    if (!trip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    // A passenger's own seat class may carry a different fare, and a segment
+    // has fares of its own.
+    const faresByClass = new Map();
+    for (const seatClass of new Set(items.map((item) => item.seat_class || null))) {
+      const fare = seatClass || stopRange
+        ? (await loadTripFares([tripId], seatClass, { stopRange })).get(tripId)
+        : null;
+      if (stopRange && fare?.fare_usd == null) {
+        return res.status(400).json({ error: 'No fare between these stops' });
+      }
+      faresByClass.set(seatClass, convertFromUsd(fare ? fare.fare_usd : trip.price_usd, tender));
+    }
+    try {
+      const allocation = allocateGroupSplits(
+        splits,
+        items.map((item) => faresByClass.get(item.seat_class || null)),
+        tender.currency
+      );
+      items.forEach((item, index) => { item.splits = allocation[index]; });
+    } catch (splitError) {
+      return res.status(400).json({ error: splitError.message });
+    }
+  }
+
+  const finalPaymentStatus = resolveBookingPaymentStatus(paymentMethod, paymentStatus);
+  const finalReference = normalizedPaymentReference || (
+    isCashLikePayment(paymentMethod)
+      ? 'agent-' + idempotencyKey
+      : generateReferenceCode()
+  );
+
+  const { data, error } = await supabaseAdmin.rpc('book_agent_group_atomic', {
+    p_trip_id: tripId,
+    p_booked_by: auth.user.id,
+    p_idempotency_key: idempotencyKey,
+    p_payment_method: paymentMethod,
+    p_payment_status: finalPaymentStatus,
+    p_items: items,
+    p_payment_reference: finalReference,
+    p_currency: tender.currency,
+    ...stopRangeParams(stopRange),
+  });
+  if (error) throw error;
+
+  const result = normalizeAtomicBasketResult(data);
+  const tickets = await signTicketQrCodes(result.tickets);
+  return res.status(result.idempotent ? 200 : 201).json({
+    success: true,
+    idempotent: result.idempotent,
+    recovered: result.idempotent,
+    groupReference: data[0].group_reference,
+    paymentReference: tickets[0].payment_reference || finalReference,
+    totalAmount: result.totalAmount,
+    tickets,
+  });
+}
+
+// POST /api/booking - Atomically create or recover an agent booking. A
+// passengers array books a group on one trip in the same request.
+app.post('/api/booking', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    if (Array.isArray(req.body.passengers)) {
+      return await createGroupAgentBooking(req, res, auth);
+    }
+
+    const sale = await prepareAgentSale(req.body, {
+      bookedBy: auth.user.id,
+      headerIdempotencyKey: req.get('Idempotency-Key'),
+    });
+    if (sale.error) {
+      return res.status(sale.error.status).json(sale.error.body);
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('book_agent_ticket_atomic_v2', sale.params);
+    if (error) throw error;
+
+    const atomicRow = Array.isArray(data) ? data[0] : data;
+    const result = normalizeAtomicBookingResult(atomicRow);
+    const [ticket] = await signTicketQrCodes([result.ticket]);
+    return res.status(result.idempotent ? 200 : 201).json({
+      success: true,
+      idempotent: result.idempotent,
+      recovered: result.idempotent,
+      ticket,
+    });
+  } catch (error) {
+    console.error('Booking error:', error);
+    const status = bookingErrorStatus(error);
+    const message = error?.code === '23505' && /seat/i.test(error.message || '')
+      ? 'Seat already taken'
+      : 'Booking failed';
+    return res.status(status).json({ error: message, details: error.message });
+  }
+});
+
+async function suggestSeatsForConflict(tripId, seatNumber, stopRange = null) {
+  try {
+    const tripSeatMap = await loadTripSeatMap(tripId, stopRange);
+    return tripSeatMap ? suggestAlternativeSeats(tripSeatMap.seatMap, seatNumber) : [];
+  } catch (error) {
+    console.error('Seat suggestion error:', error);
+    return [];
+  }
+}
+
+// Each queued sale is its own booking transaction with its own idempotency
+// key, so a sale uploaded twice is recovered instead of sold again.
+async function applyOfflineSale(sale, index, auth) {
+  const idempotencyKey = String(sale?.idempotencyKey || '').trim() || null;
+  const result = { index, idempotencyKey };
+  if (!idempotencyKey) {
+    return { ...result, status: 'rejected', error: 'Each offline sale needs its own idempotencyKey' };
+  }
+
+  try {
+    const prepared = await prepareAgentSale(sale, {
+      bookedBy: auth.user.id,
+      headerIdempotencyKey: idempotencyKey,
+    });
+    if (prepared.error) {
+      return { ...result, status: 'rejected', ...prepared.error.body };
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('book_agent_ticket_atomic_v2', prepared.params);
+    if (error) throw error;
+
+    const booking = normalizeAtomicBookingResult(Array.isArray(data) ? data[0] : data);
+    const [ticket] = await signTicketQrCodes([booking.ticket]);
+    return { ...result, status: booking.idempotent ? 'recovered' : 'created', ticket };
+  } catch (error) {
+    const status = classifyOfflineSaleError(error);
+    if (status === 'seat_conflict') {
+      return {
+        ...result,
+        status,
+        error: 'Seat already taken',
+        details: error.message,
+        suggestedSeats: await suggestSeatsForConflict(sale.tripId, sale.seatNumber, readStopRange(sale).stopRange),
+      };
+    }
+    if (status === 'failed') {
+      console.error('Offline sale error:', error);
+    }
+    return {
+      ...result,
+      status,
+      error: status === 'failed' ? 'Booking failed; upload this sale again' : 'Booking rejected',
+      details: error.message,
+    };
+  }
+}
+
+// POST /api/booking/batch - Apply a terminal's queue of offline counter sales
+app.post('/api/booking/batch', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const { sales } = req.body || {};
+    if (!Array.isArray(sales) || !sales.length) {
+      return res.status(400).json({ error: 'sales must be a non-empty array' });
+    }
+    if (sales.length > MAX_OFFLINE_BATCH_SALES) {
+      return res.status(400).json({
+        error: `A batch may contain at most ${MAX_OFFLINE_BATCH_SALES} sales`,
+      });
+    }
+
+    // Sales are applied in the order the terminal queued them, so within one
+    // queue the earlier sale keeps a seat that was sold twice.
+    const results = [];
+    for (const [index, sale] of sales.entries()) {
+      results.push(await applyOfflineSale(sale, index, auth));
+    }
+
+    res.json({
+      success: true,
+      summary: summarizeOfflineSaleResults(results),
+      results,
+    });
+  } catch (error) {
+    console.error('Offline batch error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Batch upload failed', details: error.message });
+  }
+});
+
+// PATCH /api/tickets/:ticketId/mark-paid - Legacy compatibility for older Sunmi builds.
+app.patch('/api/tickets/:ticketId/mark-paid', async (req, res) => {
+  const client = supabase;
+  try {
+    // Verify authentication
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        error: 'No access token provided'
+      });
+    }
+
+    const accessToken = authHeader.substring(7);
+    const { data: { user }, error: verifyError } = await supabase.auth.getUser(accessToken);
+
+    if (verifyError || !user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+
+    // Check agent role
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', user.id)
+      .single();
+
+    if (profileError || !profile || (!['agent', 'admin'].includes(profile.role))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized: Only agents can update ticket status'
+      });
+    }
+
+    const { ticketId } = req.params;
+    const { paymentMethod, splits, currency = null } = req.body;
+
+    if (!ticketId) {
+      return res.status(400).json({ error: 'Missing ticketId' });
+    }
+
+    // Fetch the ticket to get price and trip_id
+    const { data: ticket, error: ticketError } = await client
+      .from('tickets')
+      .select('id, price_paid_usd, trip_id, payment_status, payment_method, booked_by')
+      .eq('id', ticketId)
+      .single();
+
+    if (ticketError || !ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    if (profile.role !== 'admin' && ticket.booked_by !== user.id) {
+      return res.status(403).json({ error: 'Agents can only finalize their own ticket sales' });
+    }
+
+    const { data: existingTransactions, error: existingError } = await client
+      .from('payment_transactions')
+      .select('id')
+      .eq('ticket_id', ticketId)
+      .eq('status', 'completed');
+    if (existingError) throw existingError;
 
     // New bookings are finalized by POST /api/booking. Older Sunmi builds still
     // call this endpoint afterward, so treat an already-paid ticket with a
@@ -963,258 +2655,1305 @@ app.patch('/api/tickets/:ticketId/mark-paid', async (req, res) => {
       if (existingTransactions?.length) {
         return res.json({
           success: true,
-          message: 'Ticket already marked as paid',
-          ticket_id: ticketId,
+          message: 'Ticket already marked as paid',
+          ticket_id: ticketId,
+          already_paid: true,
+        });
+      }
+      return res.status(409).json({
+        error: 'Ticket is paid but its payment transaction is missing',
+        current_status: ticket.payment_status,
+      });
+    }
+
+    if (ticket.payment_status !== 'pending') {
+      return res.status(400).json({
+        error: `Ticket already has status: ${ticket.payment_status}`,
+        current_status: ticket.payment_status
+      });
+    }
+
+    // For split payments (TPA & Dinheiro), `splits` is an array like
+    // [{method:'tpa', amount:6000}, {method:'cash', amount:4000}] and one
+    // transaction row is created per part so reports show exactly what money
+    // went through the TPA vs cash. Parts must sum exactly to the ticket
+    // price so the ledger never disagrees with the sale amount — validated
+    // BEFORE the ticket is marked paid.
+    let tender;
+    try {
+      tender = await loadExchangeRate(currency, { fallback: 'USD' });
+    } catch (currencyError) {
+      if (!['22023', '55000'].includes(currencyError.code)) throw currencyError;
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+    }
+    const tenderedPrice = convertFromUsd(ticket.price_paid_usd, tender);
+
+    let validSplits = [];
+    if (splits != null) {
+      try {
+        validSplits = normalizePaymentSplits(splits, tenderedPrice, tender.currency);
+      } catch (splitError) {
+        return res.status(400).json({ error: splitError.message });
+      }
+    }
+    const splitShares = allocateUsdShares(validSplits.map((split) => split.amount), ticket.price_paid_usd);
+
+    const transactionSeed = randomUUID();
+    const txRows = validSplits.length > 0
+      ? validSplits.map((s, i) => ({
+          ticket_id: ticketId,
+          amount_usd: splitShares[i],
+          currency: tender.currency,
+          tendered_amount: Number(s.amount),
+          exchange_rate: tender.rate,
+          payment_method: s.method,
+          status: 'completed',
+          transaction_id: `agent-${transactionSeed}-${i}`
+        }))
+      : [{
+          ticket_id: ticketId,
+          amount_usd: ticket.price_paid_usd,
+          currency: tender.currency,
+          tendered_amount: tenderedPrice,
+          exchange_rate: tender.rate,
+          payment_method: paymentMethod || 'cash',
+          status: 'completed',
+          transaction_id: `agent-${transactionSeed}`
+        }];
+
+    let insertedTransactionIds = [];
+    if (!existingTransactions?.length) {
+      const { data: insertedTransactions, error: paymentError } = await client
+        .from('payment_transactions')
+        .insert(txRows)
+        .select('id');
+
+      if (paymentError) {
+        // Leave the ticket pending: the app must not print/board it as paid.
+        throw paymentError;
+      }
+      insertedTransactionIds = (insertedTransactions || []).map((row) => row.id);
+    }
+
+    // Publish paid only after the ledger exists. If this final update fails,
+    // remove the rows created by this request so a retry remains clean.
+    const { error: updateError } = await client
+      .from('tickets')
+      .update({ payment_status: 'paid' })
+      .eq('id', ticketId);
+
+    if (updateError) {
+      if (insertedTransactionIds.length) {
+        const { error: cleanupError } = await client
+          .from('payment_transactions')
+          .delete()
+          .in('id', insertedTransactionIds);
+        if (cleanupError) {
+          console.error('Failed to clean payment rows after ticket update failure:', cleanupError);
+        }
+      }
+      throw updateError;
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket marked as paid',
+      ticket_id: ticketId
+    });
+
+  } catch (error) {
+    console.error('Mark paid error:', error);
+    res.status(500).json({ error: 'Failed to mark ticket as paid', details: error.message });
+  }
+});
+
+// POST /api/payment - Removed unsafe legacy simulator. It accepted arbitrary
+// ticket IDs and could mark them paid without authentication or a ledger row.
+app.post('/api/payment', (_req, res) => {
+  res.status(410).json({
+    error: 'This payment endpoint is retired. Use /api/booking or the authenticated mark-paid endpoint.',
+  });
+});
+
+// POST /api/payments/webhook - Settle a MULTICAIXA reference paid at the provider
+app.post('/api/payments/webhook', async (req, res) => {
+  try {
+    const verification = verifyPaymentWebhook({
+      rawBody: req.rawBody,
+      timestamp: req.get('X-Payment-Timestamp'),
+      signature: req.get('X-Payment-Signature'),
+      secret: PAYMENT_WEBHOOK_SECRET,
+    });
+    if (!verification.valid) {
+      return res.status(verification.reason === 'not_configured' ? 503 : 401).json({
+        error: 'Webhook signature is invalid',
+        reason: verification.reason,
+      });
+    }
+
+    let event;
+    try {
+      event = normalizePaymentWebhookEvent(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Pending, failed and expired notifications change nothing; acknowledge
+    // them so the provider stops retrying.
+    if (!event.paid) {
+      return res.json({ success: true, settled: false, status: event.status });
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('settle_payment_reference', {
+      p_payment_reference: event.reference,
+      p_amount: event.amount,
+      p_provider_transaction_id: event.transactionId,
+      p_paid_at: event.paidAt,
+    });
+    if (error) throw error;
+
+    const settlement = Array.isArray(data) ? data[0] : data;
+    res.json({
+      success: true,
+      settled: true,
+      idempotent: Boolean(settlement?.was_idempotent),
+      settlement_id: settlement?.settlement_id,
+      payment_reference: settlement?.payment_reference,
+      amount_usd: Number(settlement?.amount_usd),
+      currency: settlement?.currency,
+      amount: Number(settlement?.tendered_amount),
+      ticket_ids: settlement?.ticket_ids || [],
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Payment settlement failed', details: error.message });
+  }
+});
+
+// POST /api/payments/references/:reference/sync - Settle a reference from the provider's status
+// For notifications that never arrived: asks the provider directly and
+// settles through the same idempotent function as the webhook.
+app.post('/api/payments/references/:reference/sync', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const reference = String(req.params.reference || '').trim();
+    const status = await withPaymentProviderRetry(() => paymentProvider.getReferenceStatus(reference));
+    if (status.status !== 'paid') {
+      return res.json({ success: true, settled: false, provider: paymentProvider.name, status: status.status });
+    }
+    if (!status.transactionId || !(status.amount > 0)) {
+      return res.status(502).json({ error: 'Payment provider reported a paid reference without transaction details' });
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('settle_payment_reference', {
+      p_payment_reference: reference,
+      p_amount: status.amount,
+      p_provider_transaction_id: status.transactionId,
+      p_paid_at: status.paidAt,
+    });
+    if (error) throw error;
+
+    const settlement = Array.isArray(data) ? data[0] : data;
+    res.json({
+      success: true,
+      settled: true,
+      provider: paymentProvider.name,
+      status: status.status,
+      idempotent: Boolean(settlement?.was_idempotent),
+      settlement_id: settlement?.settlement_id,
+      payment_reference: settlement?.payment_reference,
+      amount_usd: Number(settlement?.amount_usd),
+      currency: settlement?.currency,
+      amount: Number(settlement?.tendered_amount),
+      ticket_ids: settlement?.ticket_ids || [],
+    });
+  } catch (error) {
+    console.error('Payment reference sync error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Payment reference sync failed', details: error.message });
+  }
+});
+
+// Cancels pending reference tickets past their payment deadline. Runs from a
+// scheduler holding CRON_SECRET, or on demand by an admin.
+async function expireUnpaidReferenceBookings(req, res) {
+  try {
+    if (!hasCronSecret(req.headers.authorization, CRON_SECRET)) {
+      const auth = await authenticateRoleRequest(
+        req,
+        ['admin'],
+        'Unauthorized: Only admins can expire unpaid bookings'
+      );
+      if (auth.error) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+    }
+
+    const expired = [];
+    for (let batch = 0; batch < MAX_EXPIRY_SWEEP_BATCHES; batch += 1) {
+      const { data, error } = await supabaseAdmin.rpc('expire_overdue_reference_tickets', {
+        p_limit: EXPIRY_SWEEP_BATCH_SIZE,
+      });
+      if (error) throw error;
+      expired.push(...(data || []));
+      if ((data || []).length < EXPIRY_SWEEP_BATCH_SIZE) break;
+    }
+
+    res.json({ success: true, summary: summarizeExpiredTickets(expired), expired });
+  } catch (error) {
+    console.error('Reference expiry error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Reference expiry failed', details: error.message });
+  }
+}
+
+// GET /api/cron/expire-unpaid-bookings - Scheduled sweep of overdue reference tickets
+app.get('/api/cron/expire-unpaid-bookings', expireUnpaidReferenceBookings);
+
+// POST /api/cron/expire-unpaid-bookings - Same sweep, for schedulers that POST
+app.post('/api/cron/expire-unpaid-bookings', expireUnpaidReferenceBookings);
+
+// GET /api/tickets/by-reference/:ref - Look up a ticket by payment_reference
+app.get('/api/tickets/by-reference/:ref', async (req, res) => {
+  try {
+    const { ref } = req.params;
+
+    const { data: tickets, error } = await supabase
+      .from('tickets')
+      .select('id, ticket_number, trip_id, passenger_id, booked_by, seat_number, seat_class, price_paid_usd, payment_reference, payment_status, payment_method, qr_code_data, status')
+      .eq('payment_reference', ref)
+      .limit(2);
+
+    if (error) {
+      return res.status(500).json({ success: false, error: error.message });
+    }
+
+    if (!tickets?.length) {
+      return res.json({ success: false, error: 'Not found' });
+    }
+    if (tickets.length > 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Payment reference matches multiple tickets; use the booking idempotency key',
+        matches: tickets.map((ticket) => ticket.id),
+      });
+    }
+
+    res.json({ success: true, ticket: tickets[0] });
+  } catch (error) {
+    console.error('Ticket by reference error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// PATCH /api/tickets/:ticketId/update-status - Update ticket payment status
+app.patch('/api/tickets/:ticketId/update-status', async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { payment_status } = req.body;
+
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    // The Sunmi legacy client only uses this endpoint to finalize a counter
+    // payment. Cancellations and refunds go through POST /api/tickets/:ticketId/cancel.
+    if (payment_status !== 'paid') {
+      return res.status(400).json({ error: 'This endpoint only supports marking a ticket as paid' });
+    }
+
+    const { data: ticket, error } = await supabaseAdmin
+      .from('tickets')
+      .select('id, booked_by, payment_status, payment_method, price_paid_usd, ticket_number')
+      .eq('id', ticketId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: 'Ticket not found' });
+      }
+      console.error('Supabase error:', error);
+      return res.status(500).json({
+        error: 'Database error',
+        details: error.message
+      });
+    }
+
+    if (auth.profile.role !== 'admin' && ticket.booked_by !== auth.user.id) {
+      return res.status(403).json({ error: 'Agents can only finalize their own ticket sales' });
+    }
+
+    const { data: existingTransactions, error: existingError } = await supabaseAdmin
+      .from('payment_transactions')
+      .select('id')
+      .eq('ticket_id', ticketId)
+      .eq('status', 'completed');
+    if (existingError) throw existingError;
+
+    if (ticket.payment_status === 'paid') {
+      if (existingTransactions?.length) {
+        return res.json({
+          success: true,
           already_paid: true,
+          ticket: {
+            id: ticket.id,
+            payment_status: ticket.payment_status,
+            ticket_number: ticket.ticket_number,
+          },
         });
       }
+
       return res.status(409).json({
         error: 'Ticket is paid but its payment transaction is missing',
         current_status: ticket.payment_status,
       });
     }
 
-    if (ticket.payment_status !== 'pending') {
-      return res.status(400).json({
-        error: `Ticket already has status: ${ticket.payment_status}`,
-        current_status: ticket.payment_status
-      });
+    if (ticket.payment_status !== 'pending') {
+      return res.status(409).json({
+        error: `Ticket already has status: ${ticket.payment_status}`,
+        current_status: ticket.payment_status,
+      });
+    }
+
+    const { data: insertedTransaction, error: paymentError } = await supabaseAdmin
+      .from('payment_transactions')
+      .insert({
+        ticket_id: ticketId,
+        amount_usd: ticket.price_paid_usd,
+        currency: 'USD',
+        tendered_amount: ticket.price_paid_usd,
+        exchange_rate: 1,
+        payment_method: ticket.payment_method || 'cash',
+        status: 'completed',
+        transaction_id: `legacy-${randomUUID()}`,
+      })
+      .select('id')
+      .single();
+    if (paymentError) throw paymentError;
+
+    const { data: updatedRows, error: updateError } = await supabaseAdmin
+      .from('tickets')
+      .update({ payment_status: 'paid' })
+      .eq('id', ticketId)
+      .eq('payment_status', 'pending')
+      .select('id');
+
+    if (updateError || !updatedRows?.length) {
+      await supabaseAdmin
+        .from('payment_transactions')
+        .delete()
+        .eq('id', insertedTransaction.id);
+
+      if (updateError) throw updateError;
+      return res.status(409).json({ error: 'Ticket payment status changed concurrently; retry the request' });
+    }
+
+    res.json({
+      success: true,
+      ticket: {
+        id: ticket.id,
+        payment_status: 'paid',
+        ticket_number: ticket.ticket_number
+      }
+    });
+
+  } catch (error) {
+    console.error('Update ticket status error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// Loads what the refund policy needs: departure time, route/company scope,
+// seat class, payment method and the ledger rows of the sale.
+async function buildTicketRefundQuote(ticketId) {
+  const [
+    { data: ticket, error: ticketError },
+    { data: ledgerRows, error: ledgerError },
+    { data: policies, error: policiesError },
+  ] = await Promise.all([
+    supabaseAdmin
+      .from('tickets')
+      .select(`
+        id,
+        booked_by,
+        status,
+        payment_status,
+        payment_method,
+        payment_reference,
+        seat_class,
+        trips (
+          departure_time,
+          route_id,
+          buses (
+            company_id
+          )
+        )
+      `)
+      .eq('id', ticketId)
+      .maybeSingle(),
+    supabaseAdmin
+      .from('payment_transactions')
+      .select('amount_usd, payment_method, status')
+      .eq('ticket_id', ticketId),
+    supabaseAdmin
+      .from('refund_policies')
+      .select('id, name, company_id, route_id, seat_class, payment_method, tiers, fee_usd, priority, is_active')
+      .eq('is_active', true),
+  ]);
+  if (ticketError || ledgerError || policiesError) throw ticketError || ledgerError || policiesError;
+  if (!ticket) return null;
+
+  const trip = Array.isArray(ticket.trips) ? ticket.trips[0] : ticket.trips;
+  const bus = Array.isArray(trip?.buses) ? trip.buses[0] : trip?.buses;
+  const policy = selectRefundPolicy(policies || [], {
+    companyId: bus?.company_id,
+    routeId: trip?.route_id,
+    seatClass: ticket.seat_class,
+    paymentMethod: ticket.payment_method,
+  });
+  const { paidTotal } = summarizeTicketLedger(ledgerRows || []);
+  const refundQuote = computeRefundQuote({
+    policy,
+    departureTime: trip?.departure_time,
+    paidTotal: ticket.payment_status === 'paid' ? paidTotal : 0,
+  });
+
+  return { ticket, trip, ledgerRows: ledgerRows || [], policy, refundQuote };
+}
+
+// GET /api/tickets/:ticketId/refund-quote - Preview the refund the policy allows
+app.get('/api/tickets/:ticketId/refund-quote', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const quote = await buildTicketRefundQuote(req.params.ticketId);
+    if (!quote) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+
+    const { currency = null } = req.query;
+    let tender;
+    try {
+      tender = await loadExchangeRate(currency, { fallback: 'USD' });
+    } catch (currencyError) {
+      if (!['22023', '55000'].includes(currencyError.code)) throw currencyError;
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+    }
+
+    const { ticket, trip, ledgerRows, refundQuote } = quote;
+    res.json({
+      success: true,
+      ticket_id: ticket.id,
+      cancellable: ['active', 'pending'].includes(ticket.status),
+      departure_time: trip?.departure_time || null,
+      payment_method: ticket.payment_method,
+      refund: {
+        ...refundQuote,
+        currency: tender.currency,
+        exchange_rate: tender.rate,
+        refund_parts: mirrorRefundSplits(ledgerRows, refundQuote.refundable_usd, tender),
+      },
+    });
+  } catch (error) {
+    console.error('Refund quote error:', error);
+    res.status(500).json({ error: 'Failed to quote refund', details: error.message });
+  }
+});
+
+// POST /api/tickets/:ticketId/cancel - Cancel a ticket and refund what the
+// refund policy allows through the channels it was paid with. Agents may
+// cancel their own sales; only admins can approve more than the policy amount.
+app.post('/api/tickets/:ticketId/cancel', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const { ticketId } = req.params;
+    const { reason = null, refund = true, refundAmount = null, currency = null } = req.body || {};
+
+    const quote = await buildTicketRefundQuote(ticketId);
+    if (!quote) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
+    const { ticket, ledgerRows, policy, refundQuote } = quote;
+
+    let requestedRefund = refundQuote.refundable_usd;
+    if (refund === false || ticket.payment_status !== 'paid') {
+      requestedRefund = 0;
+    } else if (refundAmount != null) {
+      requestedRefund = Number(refundAmount);
+      if (requestedRefund > refundQuote.refundable_usd + 0.005 && auth.profile.role !== 'admin') {
+        return res.status(403).json({
+          error: 'Only admins can approve a refund above the policy amount',
+          refundable_usd: refundQuote.refundable_usd,
+        });
+      }
+    }
+
+    // Refund parts are handed back in the currency the agent counts, like a
+    // counter sale.
+    let tender;
+    try {
+      tender = await loadExchangeRate(currency, { fallback: 'USD' });
+    } catch (currencyError) {
+      if (!['22023', '55000'].includes(currencyError.code)) throw currencyError;
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
     }
 
-    // For split payments (TPA & Dinheiro), `splits` is an array like
-    // [{method:'tpa', amount:6000}, {method:'cash', amount:4000}] and one
-    // transaction row is created per part so reports show exactly what money
-    // went through the TPA vs cash. Parts must sum exactly to the ticket
-    // price so the ledger never disagrees with the sale amount — validated
-    // BEFORE the ticket is marked paid.
-    let validSplits = [];
-    if (splits != null) {
+    let refundParts;
+    try {
+      refundParts = mirrorRefundSplits(ledgerRows, requestedRefund, tender);
+    } catch (refundError) {
+      return res.status(400).json({ error: refundError.message });
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('cancel_ticket_atomic_v2', {
+      p_ticket_id: ticketId,
+      p_actor_id: auth.user.id,
+      p_reason: reason,
+      p_refund_parts: refundParts,
+      p_refund_policy: {
+        id: policy.id,
+        name: policy.name,
+        tiers: policy.tiers,
+        fee_usd: Number(policy.fee_usd) || 0,
+        quote: refundQuote,
+      },
+      p_currency: tender.currency,
+    });
+    if (error) throw error;
+
+    const row = Array.isArray(data) ? data[0] : data;
+
+    // The cancellation is committed; a provider failure here leaves the
+    // refund recorded in the ledger for finance to push by hand.
+    let providerRefund;
+    const referenceRefund = row.was_idempotent
+      ? null
+      : refundParts.find((part) => part.method === 'referencia');
+    if (referenceRefund && ticket.payment_reference) {
       try {
-        validSplits = normalizePaymentSplits(splits, ticket.price_paid_usd);
-      } catch (splitError) {
-        return res.status(400).json({ error: splitError.message });
+        providerRefund = await withPaymentProviderRetry(() => paymentProvider.refund({
+          reference: ticket.payment_reference,
+          amount: referenceRefund.amount,
+          currency: tender.currency,
+          idempotencyKey: `refund-${row.cancellation_id}`,
+        }));
+      } catch (providerError) {
+        console.error('Provider refund failed:', providerError);
+        providerRefund = { status: 'failed', error: providerError.message };
       }
     }
 
-    const transactionSeed = randomUUID();
-    const txRows = validSplits.length > 0
-      ? validSplits.map((s, i) => ({
-          ticket_id: ticketId,
-          amount_usd: Number(s.amount),
-          currency: 'USD',
-          payment_method: s.method,
-          status: 'completed',
-          transaction_id: `agent-${transactionSeed}-${i}`
-        }))
-      : [{
-          ticket_id: ticketId,
-          amount_usd: ticket.price_paid_usd,
-          currency: 'USD',
-          payment_method: paymentMethod || 'cash',
-          status: 'completed',
-          transaction_id: `agent-${transactionSeed}`
-        }];
+    res.status(row.was_idempotent ? 200 : 201).json({
+      success: true,
+      idempotent: Boolean(row.was_idempotent),
+      cancellation: {
+        id: row.cancellation_id,
+        ticket_id: row.ticket_id,
+        ticket_status: row.ticket_status,
+        payment_status: row.payment_status,
+        refund_amount_usd: Number(row.refund_amount_usd),
+        currency: row.was_idempotent ? undefined : tender.currency,
+        refund_parts: row.was_idempotent ? undefined : refundParts,
+        refund_policy: row.was_idempotent ? undefined : refundQuote,
+        provider_refund: providerRefund,
+        approved_by: row.approved_by,
+      },
+    });
+  } catch (error) {
+    console.error('Cancel ticket error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Cancellation failed', details: error.message });
+  }
+});
 
-    let insertedTransactionIds = [];
-    if (!existingTransactions?.length) {
-      const { data: insertedTransactions, error: paymentError } = await client
+// POST /api/tickets/:ticketId/exchange - Move a ticket to another seat and/or
+// trip, keeping its ticket number. The fare difference is collected or
+// refunded in the same transaction as the move. The ticket keeps its segment
+// unless originStop/destinationStop name another one.
+app.post('/api/tickets/:ticketId/exchange', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const { ticketId } = req.params;
+    const {
+      newTripId = null,
+      newSeatNumber = null,
+      paymentMethod = null,
+      splits = null,
+      currency = null,
+      idempotencyKey: idempotencyKeyFromBody = null,
+    } = req.body || {};
+
+    const idempotencyKey = String(req.get('Idempotency-Key') || idempotencyKeyFromBody || '').trim();
+    if (!idempotencyKey) {
+      return res.status(400).json({ error: 'A stable Idempotency-Key is required' });
+    }
+    if (idempotencyKey.length > 200) {
+      return res.status(400).json({ error: 'Idempotency key must not exceed 200 characters' });
+    }
+
+    const { stopRange: requestedStopRange, error: stopError } = readStopRange(req.body);
+    if (stopError) {
+      return res.status(400).json({ error: stopError });
+    }
+
+    const [{ data: ticket, error: ticketError }, { data: ledgerRows, error: ledgerError }] = await Promise.all([
+      supabaseAdmin
+        .from('tickets')
+        .select('id, trip_id, seat_number, seat_class, origin_stop, destination_stop, price_paid_usd, payment_status')
+        .eq('id', ticketId)
+        .maybeSingle(),
+      supabaseAdmin
         .from('payment_transactions')
-        .insert(txRows)
-        .select('id');
+        .select('amount_usd, payment_method, status')
+        .eq('ticket_id', ticketId),
+    ]);
+    if (ticketError || ledgerError) throw ticketError || ledgerError;
+    if (!ticket) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
 
-      if (paymentError) {
-        // Leave the ticket pending: the app must not print/board it as paid.
-        throw paymentError;
-      }
-      insertedTransactionIds = (insertedTransactions || []).map((row) => row.id);
+    const targetTripId = newTripId || ticket.trip_id;
+    const targetSeatNumber = normalizeSeatNumber(newSeatNumber ?? ticket.seat_number);
+    if (targetSeatNumber === null) {
+      return res.status(400).json({ error: 'Seat number must be an integer' });
+    }
+    if (isCopilotSeat(targetSeatNumber)) {
+      return res.status(400).json({
+        error: 'Seat reserved for the co-pilot',
+        details: `Seat ${COPILOT_SEAT_NUMBER} is always reserved for the co-pilot and cannot be sold.`
+      });
     }
 
-    // Publish paid only after the ledger exists. If this final update fails,
-    // remove the rows created by this request so a retry remains clean.
-    const { error: updateError } = await client
-      .from('tickets')
-      .update({ payment_status: 'paid' })
-      .eq('id', ticketId);
+    const seatError = await validateSellableSeats(targetTripId, [targetSeatNumber]);
+    if (seatError) {
+      return res.status(seatError.status).json(seatError.body);
+    }
 
-    if (updateError) {
-      if (insertedTransactionIds.length) {
-        const { error: cleanupError } = await client
-          .from('payment_transactions')
-          .delete()
-          .in('id', insertedTransactionIds);
-        if (cleanupError) {
-          console.error('Failed to clean payment rows after ticket update failure:', cleanupError);
-        }
-      }
-      throw updateError;
+    const { data: targetTrip, error: tripError } = await supabaseAdmin
+      .from('trips')
+      .select('id, price_usd')
+      .eq('id', targetTripId)
+      .maybeSingle();
+    if (tripError) throw tripError;
+    if (!targetTrip) {
+      return res.status(404).json({ error: 'Trip not found' });
+    }
+    // The ticket keeps its seat class and pays the target departure's fare
+    // for its segment.
+    const stopRange = requestedStopRange || (ticket.origin_stop == null
+      ? null
+      : { origin_stop: ticket.origin_stop, destination_stop: ticket.destination_stop });
+    const targetFare = (await loadTripFares([targetTripId], ticket.seat_class || null, { stopRange }))
+      .get(targetTripId);
+    if (stopRange && targetFare?.fare_usd == null) {
+      return res.status(400).json({ error: 'No fare between these stops' });
     }
 
-    res.json({
+    const fare = computeExchangeFare({
+      pricePaid: ticket.price_paid_usd,
+      newPrice: targetFare ? targetFare.fare_usd : targetTrip.price_usd,
+      paymentStatus: ticket.payment_status,
+    });
+
+    // The difference is counted in the tender currency, like a counter sale.
+    let tender;
+    try {
+      tender = await loadExchangeRate(currency, { fallback: 'USD' });
+    } catch (currencyError) {
+      if (!['22023', '55000'].includes(currencyError.code)) throw currencyError;
+      return res.status(bookingErrorStatus(currencyError)).json({ error: currencyError.message });
+    }
+
+    let collectParts;
+    let refundParts;
+    try {
+      collectParts = buildExchangeCollection({
+        paymentMethod,
+        splits,
+        amount: convertFromUsd(fare.collect_usd, tender),
+        currency: tender.currency,
+      });
+      refundParts = mirrorRefundSplits(ledgerRows || [], fare.refund_usd, tender);
+    } catch (paymentError) {
+      return res.status(400).json({ error: paymentError.message, fare });
+    }
+
+    const { data, error } = await supabaseAdmin.rpc('exchange_ticket_atomic', {
+      p_ticket_id: ticketId,
+      p_actor_id: auth.user.id,
+      p_new_trip_id: targetTripId,
+      p_new_seat_number: targetSeatNumber,
+      p_idempotency_key: idempotencyKey,
+      p_collect_parts: collectParts,
+      p_refund_parts: refundParts,
+      p_currency: tender.currency,
+      ...stopRangeParams(requestedStopRange),
+    });
+    if (error) throw error;
+
+    const row = Array.isArray(data) ? data[0] : data;
+    const [signedTicket] = await signTicketQrCodes([{
+      id: row.ticket_id,
+      trip_id: row.trip_id,
+      seat_number: Number(row.seat_number),
+      qr_code_data: row.qr_code_data,
+    }]);
+    res.status(row.was_idempotent ? 200 : 201).json({
       success: true,
-      message: 'Ticket marked as paid',
-      ticket_id: ticketId
+      idempotent: Boolean(row.was_idempotent),
+      exchange: {
+        id: row.exchange_id,
+        fare_difference_usd: Number(row.fare_difference_usd),
+        currency: row.was_idempotent ? undefined : tender.currency,
+        collected: row.was_idempotent ? undefined : collectParts,
+        refunded: row.was_idempotent ? undefined : refundParts,
+      },
+      ticket: {
+        id: row.ticket_id,
+        ticket_number: row.ticket_number,
+        trip_id: row.trip_id,
+        seat_number: Number(row.seat_number),
+        origin_stop: row.origin_stop ?? null,
+        destination_stop: row.destination_stop ?? null,
+        price_paid_usd: Number(row.price_paid_usd),
+        qr_code_data: signedTicket.qr_code_data,
+      },
     });
+  } catch (error) {
+    console.error('Exchange ticket error:', error);
+    const status = bookingErrorStatus(error);
+    const message = error?.code === '23505' && /seat/i.test(error.message || '')
+      ? 'Seat already taken'
+      : 'Exchange failed';
+    res.status(status).json({ error: message, details: error.message });
+  }
+});
+
+// GET /api/tickets/:ticketId/exchanges - Seat/trip history of a ticket number
+app.get('/api/tickets/:ticketId/exchanges', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const { data: exchanges, error } = await supabaseAdmin
+      .from('ticket_exchanges')
+      .select('id, ticket_number, exchanged_by, from_trip_id, from_seat_number, from_origin_stop, from_destination_stop, from_price_usd, to_trip_id, to_seat_number, to_origin_stop, to_destination_stop, to_price_usd, fare_difference_usd, created_at')
+      .eq('ticket_id', req.params.ticketId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
 
+    res.json({ success: true, exchanges: exchanges || [] });
   } catch (error) {
-    console.error('Mark paid error:', error);
-    res.status(500).json({ error: 'Failed to mark ticket as paid', details: error.message });
+    console.error('Ticket exchange history error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
-// POST /api/payment - Removed unsafe legacy simulator. It accepted arbitrary
-// ticket IDs and could mark them paid without authentication or a ledger row.
-app.post('/api/payment', (_req, res) => {
-  res.status(410).json({
-    error: 'This payment endpoint is retired. Use /api/booking or the authenticated mark-paid endpoint.',
+const BOARDING_TICKET_COLUMNS = 'id, ticket_number, trip_id, passenger_id, seat_number, seat_class, origin_stop, payment_status, status, qr_code_data, boarded_at, boarded_by, boarded_trip_id, trips ( departure_time, route_id )';
+
+// When the ticket's passenger boards: the trip's departure, or for a segment
+// ticket the time the trip leaves its origin stop.
+async function loadTicketDepartureTime(ticket) {
+  const departureTime = ticket?.trips?.departure_time;
+  if (ticket?.origin_stop == null || !ticket.trips?.route_id) return departureTime;
+  const stopsByRoute = await loadRouteStops([ticket.trips.route_id]);
+  return stopDepartureTime(departureTime, stopsByRoute.get(ticket.trips.route_id), ticket.origin_stop);
+}
+
+// Ticket codes are not unique across history: a cancelled or exchanged ticket
+// may share its QR payload with the seat's current ticket. Prefer a ticket
+// that can still board, then a used one, so the device sees the real outcome.
+function pickScannedTicket(candidates) {
+  const rank = (ticket) => {
+    if (['active', 'pending'].includes(ticket.status)) return 0;
+    if (ticket.status === 'used') return 1;
+    return 2;
+  };
+  return [...candidates].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+async function findScannedTicket(code) {
+  const [byQrCode, byTicketNumber] = await Promise.all([
+    supabaseAdmin.from('tickets').select(BOARDING_TICKET_COLUMNS).eq('qr_code_data', code),
+    supabaseAdmin.from('tickets').select(BOARDING_TICKET_COLUMNS).eq('ticket_number', code),
+  ]);
+  if (byQrCode.error) throw byQrCode.error;
+  if (byTicketNumber.error) throw byTicketNumber.error;
+
+  const candidates = new Map();
+  for (const ticket of [...(byQrCode.data || []), ...(byTicketNumber.data || [])]) {
+    candidates.set(ticket.id, ticket);
+  }
+  return pickScannedTicket(candidates.values());
+}
+
+// A signed code is verified before any lookup, and must still describe the
+// ticket's current trip and seat: an exchange re-signs the ticket, so the code
+// printed before the exchange no longer boards. Legacy codes and ticket numbers
+// only board without a signing key, or with TICKET_QR_REQUIRE_SIGNED=false.
+async function resolveScannedTicket(code, now) {
+  if (!isSignedTicketQr(code)) {
+    if (TICKET_QR_REQUIRE_SIGNED) {
+      return { ticket: null, rejection: rejectBoardingScan('unsigned_code') };
+    }
+    return { ticket: await findScannedTicket(code), rejection: null };
+  }
+
+  const verification = verifyTicketQr(code, TICKET_QR_KEYS?.publicKey, now.getTime());
+  if (verification.reason === 'not_configured') {
+    throw new Error('Ticket QR signing key is not configured');
+  }
+  if (!verification.valid) {
+    return {
+      ticket: null,
+      rejection: rejectBoardingScan(verification.reason === 'expired' ? 'expired_code' : 'invalid_code'),
+    };
+  }
+
+  const { claims } = verification;
+  const { data: ticket, error } = await supabaseAdmin
+    .from('tickets')
+    .select(BOARDING_TICKET_COLUMNS)
+    .eq('id', claims.ticket_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (ticket && (ticket.trip_id !== claims.trip_id || Number(ticket.seat_number) !== claims.seat_number)) {
+    return { ticket, rejection: rejectBoardingScan('invalid_code') };
+  }
+  return { ticket, rejection: null };
+}
+
+function serializeBoardingTicket(ticket) {
+  if (!ticket) return null;
+  return {
+    id: ticket.id,
+    ticket_number: ticket.ticket_number,
+    trip_id: ticket.trip_id,
+    passenger_id: ticket.passenger_id,
+    seat_number: ticket.seat_number,
+    seat_class: ticket.seat_class,
+    payment_status: ticket.payment_status,
+    status: ticket.status,
+    boarded_at: ticket.boarded_at,
+    boarded_by: ticket.boarded_by,
+    boarded_trip_id: ticket.boarded_trip_id,
+  };
+}
+
+// GET /api/tickets/qr-public-key - Public key for verifying ticket QR codes offline
+app.get('/api/tickets/qr-public-key', (req, res) => {
+  if (!TICKET_QR_KEYS) {
+    return res.status(503).json({ error: 'Ticket QR signing is not configured' });
+  }
+  res.json({
+    success: true,
+    algorithm: 'Ed25519',
+    format: 'NB1',
+    publicKeyPem: TICKET_QR_KEYS.publicKey.export({ type: 'spki', format: 'pem' }),
+    publicKeyJwk: TICKET_QR_KEYS.publicKey.export({ format: 'jwk' }),
   });
 });
 
-// GET /api/tickets/by-reference/:ref - Look up a ticket by payment_reference
-app.get('/api/tickets/by-reference/:ref', async (req, res) => {
+// POST /api/boarding/scan - Validate a scanned ticket and mark it used
+app.post('/api/boarding/scan', async (req, res) => {
   try {
-    const { ref } = req.params;
+    const auth = await authenticateBoardingRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
 
-    const { data: tickets, error } = await supabase
+    const { tripId, code, deviceId = null } = req.body || {};
+    const scannedCode = String(code || '').trim();
+    if (!tripId || !scannedCode) {
+      return res.status(400).json({ error: 'tripId and code are required' });
+    }
+
+    const scannedAt = new Date();
+    const [{ ticket, rejection }, siblingTripIds] = await Promise.all([
+      resolveScannedTicket(scannedCode, scannedAt),
+      getSiblingTripIds(tripId),
+    ]);
+
+    const boardingWindow = resolveBoardingWindow({
+      opensMinutesBefore: process.env.BOARDING_OPENS_MINUTES_BEFORE,
+      closesMinutesAfter: process.env.BOARDING_CLOSES_MINUTES_AFTER,
+    });
+    let outcome = rejection || evaluateBoardingScan({
+      ticket,
+      scanTripId: tripId,
+      siblingTripIds,
+      ticketDepartureTime: await loadTicketDepartureTime(ticket),
+      now: scannedAt,
+      window: boardingWindow,
+    });
+
+    let boardedTicket = ticket;
+    if (outcome.accepted) {
+      // The status condition makes a double scan from two devices board the
+      // ticket once; the loser re-reads it and reports it as already used.
+      const { data: updated, error: updateError } = await supabaseAdmin
+        .from('tickets')
+        .update({
+          status: 'used',
+          boarded_at: scannedAt.toISOString(),
+          boarded_by: auth.user.id,
+          boarded_trip_id: tripId,
+        })
+        .eq('id', ticket.id)
+        .in('status', ['active', 'pending'])
+        .eq('payment_status', 'paid')
+        .select(BOARDING_TICKET_COLUMNS)
+        .maybeSingle();
+      if (updateError) throw updateError;
+
+      if (updated) {
+        boardedTicket = updated;
+      } else {
+        const { data: current, error: currentError } = await supabaseAdmin
+          .from('tickets')
+          .select(BOARDING_TICKET_COLUMNS)
+          .eq('id', ticket.id)
+          .maybeSingle();
+        if (currentError) throw currentError;
+        boardedTicket = current;
+        outcome = evaluateBoardingScan({
+          ticket: current,
+          scanTripId: tripId,
+          siblingTripIds,
+          ticketDepartureTime: await loadTicketDepartureTime(current),
+          now: scannedAt,
+          window: boardingWindow,
+        });
+        if (outcome.accepted) {
+          throw new Error('Ticket changed while boarding; scan again');
+        }
+      }
+    }
+
+    const { error: logError } = await supabaseAdmin
+      .from('boarding_scans')
+      .insert({
+        trip_id: tripId,
+        ticket_id: boardedTicket?.id || null,
+        scanned_code: scannedCode,
+        scanned_by: auth.user.id,
+        device_id: deviceId ? String(deviceId) : null,
+        accepted: outcome.accepted,
+        reason: outcome.reason,
+        scanned_at: scannedAt.toISOString(),
+      });
+    if (logError) {
+      console.error('Boarding scan log error:', logError);
+    }
+
+    res.json({
+      success: true,
+      accepted: outcome.accepted,
+      reason: outcome.reason,
+      message: outcome.message,
+      ticket: serializeBoardingTicket(boardedTicket),
+    });
+  } catch (error) {
+    console.error('Boarding scan error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Boarding scan failed', details: error.message });
+  }
+});
+
+async function findLastClosedShift(agentId) {
+  const { data, error } = await supabaseAdmin
+    .from('agent_shifts')
+    .select('id, closed_at')
+    .eq('agent_id', agentId)
+    .order('closed_at', { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Everything an agent's drawer should reflect for the range: ledger rows they
+// wrote, cancellations they made, references they issued, paid counter sales
+// whose ledger is missing, and the shifts already closed inside the range.
+async function loadAgentShiftReport(agentId, range) {
+  const from = range.from.toISOString();
+  const to = range.to.toISOString();
+  const [
+    { data: ledger, error: ledgerError },
+    { data: gaps, error: gapsError },
+    { data: cancellations, error: cancellationsError },
+    { data: referenceTickets, error: referenceError },
+    { data: closedShifts, error: shiftsError },
+  ] = await Promise.all([
+    supabaseAdmin.rpc('get_agent_shift_ledger', { p_agent_id: agentId, p_from: from, p_to: to }),
+    supabaseAdmin.rpc('get_agent_ledger_gaps', { p_agent_id: agentId, p_from: from, p_to: to }),
+    supabaseAdmin
+      .from('ticket_cancellations')
+      .select('id, ticket_id, reason, previous_payment_status, refund_amount_usd, created_at, tickets (ticket_number, payment_method)')
+      .eq('cancelled_by', agentId)
+      .gte('created_at', from)
+      .lt('created_at', to)
+      .order('created_at', { ascending: true }),
+    supabaseAdmin
       .from('tickets')
-      .select('id, ticket_number, trip_id, passenger_id, booked_by, seat_number, seat_class, price_paid_usd, payment_reference, payment_status, payment_method, qr_code_data, status')
-      .eq('payment_reference', ref)
-      .limit(2);
+      .select('id, price_paid_usd, payment_status')
+      .eq('booked_by', agentId)
+      .eq('payment_method', 'referencia')
+      .gte('created_at', from)
+      .lt('created_at', to),
+    supabaseAdmin
+      .from('agent_shifts')
+      .select('id, opened_at, closed_at, closed_by, expected_cash_usd, declared_cash_usd, variance_usd, cash_by_currency, notes')
+      .eq('agent_id', agentId)
+      .gt('closed_at', from)
+      .lte('closed_at', to)
+      .order('closed_at', { ascending: true }),
+  ]);
+  const loadError = ledgerError || gapsError || cancellationsError || referenceError || shiftsError;
+  if (loadError) throw loadError;
 
-    if (error) {
-      return res.status(500).json({ success: false, error: error.message });
+  return {
+    ...buildShiftReport({
+      agentId,
+      range,
+      ledger: ledger || [],
+      cancellations: cancellations || [],
+      referenceTickets: referenceTickets || [],
+      gaps: gaps || [],
+    }),
+    closed_shifts: closedShifts || [],
+  };
+}
+
+async function sendAgentShiftReport(req, res, agentId) {
+  const { from, to } = req.query;
+  const lastShift = from == null && to == null ? await findLastClosedShift(agentId) : null;
+  let range;
+  try {
+    range = resolveShiftRange({ from, to, lastClosedAt: lastShift?.closed_at });
+  } catch (rangeError) {
+    return res.status(400).json({ error: rangeError.message });
+  }
+
+  const report = await loadAgentShiftReport(agentId, range);
+  res.json({ success: true, report });
+}
+
+// GET /api/agents/me/shift-report - Sales, refunds and ledger gaps of the caller's shift
+app.get('/api/agents/me/shift-report', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    if (!tickets?.length) {
-      return res.json({ success: false, error: 'Not found' });
+    await sendAgentShiftReport(req, res, auth.user.id);
+  } catch (error) {
+    console.error('Shift report error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Shift report failed', details: error.message });
+  }
+});
+
+// GET /api/agents/:agentId/shift-report - Admin view of any agent's shift report
+app.get('/api/agents/:agentId/shift-report', async (req, res) => {
+  try {
+    const auth = await authenticateRoleRequest(
+      req,
+      ['admin'],
+      'Unauthorized: Only admins can view other agents\' shift reports'
+    );
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
     }
-    if (tickets.length > 1) {
-      return res.status(409).json({
-        success: false,
-        error: 'Payment reference matches multiple tickets; use the booking idempotency key',
-        matches: tickets.map((ticket) => ticket.id),
-      });
+
+    await sendAgentShiftReport(req, res, req.params.agentId);
+  } catch (error) {
+    console.error('Shift report error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Shift report failed', details: error.message });
+  }
+});
+
+// POST /api/agents/me/shifts/close - Close the open shift with the cash counted in the drawer
+app.post('/api/agents/me/shifts/close', async (req, res) => {
+  try {
+    const auth = await authenticateAgentRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const agentId = auth.user.id;
+    const {
+      declared_cash: declaredCashByCurrency = null,
+      declared_cash_usd: declaredCashUsd,
+      notes,
+    } = req.body || {};
+    // Older terminals only count dollars.
+    const declaredCash = declaredCashByCurrency
+      ?? (declaredCashUsd === undefined ? null : { USD: declaredCashUsd });
+    const lastShift = await findLastClosedShift(agentId);
+    let range;
+    try {
+      reconcileShiftCash({}, declaredCash);
+      range = resolveShiftRange({ lastClosedAt: lastShift?.closed_at });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const report = await loadAgentShiftReport(agentId, range);
+    let cash;
+    try {
+      cash = reconcileShiftCash(report.expected_cash, declaredCash);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message, expected_cash: report.expected_cash });
     }
 
-    res.json({ success: true, ticket: tickets[0] });
+    // opened_at is unique per agent, so a second close of the same shift
+    // (a double tap or a retry) fails with 23505 instead of recording twice.
+    const { data: shift, error: insertError } = await supabaseAdmin
+      .from('agent_shifts')
+      .insert({
+        agent_id: agentId,
+        opened_at: report.from,
+        closed_at: report.to,
+        closed_by: agentId,
+        // The *_usd columns keep the dollar drawer for older reports.
+        expected_cash_usd: cash.USD?.expected ?? 0,
+        declared_cash_usd: cash.USD?.declared ?? 0,
+        variance_usd: cash.USD?.variance ?? 0,
+        cash_by_currency: cash,
+        notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+        report,
+      })
+      .select('id, opened_at, closed_at, expected_cash_usd, declared_cash_usd, variance_usd, cash_by_currency, notes')
+      .single();
+    if (insertError) throw insertError;
+
+    res.status(201).json({ success: true, shift, report });
   } catch (error) {
-    console.error('Ticket by reference error:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    console.error('Shift close error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Shift close failed', details: error.message });
   }
 });
 
-// PATCH /api/tickets/:ticketId/update-status - Update ticket payment status
-app.patch('/api/tickets/:ticketId/update-status', async (req, res) => {
+// GET /api/analytics/sales - Revenue, load factor, lead time and channel split
+app.get('/api/analytics/sales', async (req, res) => {
   try {
-    const { ticketId } = req.params;
-    const { payment_status } = req.body;
-
-    const auth = await authenticateAgentRequest(req);
+    const auth = await authenticateRoleRequest(
+      req,
+      ['admin'],
+      'Unauthorized: Only admins can view sales analytics'
+    );
     if (auth.error) {
       return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    // The Sunmi legacy client only uses this endpoint to finalize a counter
-    // payment. Other status transitions belong to the authenticated admin flow.
-    if (payment_status !== 'paid') {
-      return res.status(400).json({ error: 'This endpoint only supports marking a ticket as paid' });
+    const groupBy = String(req.query.group_by || 'route').toLowerCase();
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!ANALYTICS_GROUPINGS.includes(groupBy)) {
+      return res.status(400).json({ error: `group_by must be one of: ${ANALYTICS_GROUPINGS.join(', ')}` });
     }
-
-    const { data: ticket, error } = await supabaseAdmin
-      .from('tickets')
-      .select('id, booked_by, payment_status, payment_method, price_paid_usd, ticket_number')
-      .eq('id', ticketId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Ticket not found' });
-      }
-      console.error('Supabase error:', error);
-      return res.status(500).json({
-        error: 'Database error',
-        details: error.message
-      });
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
     }
 
-    if (auth.profile.role !== 'admin' && ticket.booked_by !== auth.user.id) {
-      return res.status(403).json({ error: 'Agents can only finalize their own ticket sales' });
+    let range;
+    try {
+      range = resolveAnalyticsRange({ from: req.query.from, to: req.query.to });
+    } catch (rangeError) {
+      return res.status(400).json({ error: rangeError.message });
     }
 
-    const { data: existingTransactions, error: existingError } = await supabaseAdmin
-      .from('payment_transactions')
-      .select('id')
-      .eq('ticket_id', ticketId)
-      .eq('status', 'completed');
-    if (existingError) throw existingError;
-
-    if (ticket.payment_status === 'paid') {
-      if (existingTransactions?.length) {
-        return res.json({
-          success: true,
-          already_paid: true,
-          ticket: {
-            id: ticket.id,
-            payment_status: ticket.payment_status,
-            ticket_number: ticket.ticket_number,
-          },
-        });
-      }
+    const { data: facts, error } = await supabaseAdmin.rpc('get_trip_sales_facts', {
+      p_from: range.from.toISOString(),
+      p_to: range.to.toISOString(),
+    });
+    if (error) throw error;
 
-      return res.status(409).json({
-        error: 'Ticket is paid but its payment transaction is missing',
-        current_status: ticket.payment_status,
-      });
+    const { rows, totals } = aggregateSalesFacts(facts || [], groupBy);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set(
+        'Content-Disposition',
+        `attachment; filename="sales-by-${groupBy}-${range.fromDate}-to-${range.toDate}.csv"`
+      );
+      return res.send(salesAnalyticsToCsv(rows, groupBy));
     }
 
-    if (ticket.payment_status !== 'pending') {
-      return res.status(409).json({
-        error: `Ticket already has status: ${ticket.payment_status}`,
-        current_status: ticket.payment_status,
-      });
+    res.json({
+      success: true,
+      from: range.fromDate,
+      to: range.toDate,
+      group_by: groupBy,
+      totals,
+      rows,
+    });
+  } catch (error) {
+    console.error('Sales analytics error:', error);
+    res.status(bookingErrorStatus(error)).json({ error: 'Sales analytics failed', details: error.message });
+  }
+});
+
+// GET /api/notifications - The caller's notifications, newest first
+app.get('/api/notifications', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    const { data: insertedTransaction, error: paymentError } = await supabaseAdmin
-      .from('payment_transactions')
-      .insert({
-        ticket_id: ticketId,
-        amount_usd: ticket.price_paid_usd,
-        currency: 'USD',
-        payment_method: ticket.payment_method || 'cash',
-        status: 'completed',
-        transaction_id: `legacy-${randomUUID()}`,
-      })
-      .select('id')
-      .single();
-    if (paymentError) throw paymentError;
+    let query = supabaseAdmin
+      .from('passenger_notifications')
+      .select('id, kind, title, body, data, read_at, created_at')
+      .eq('passenger_id', auth.user.id)
+      .order('created_at', { ascending: false })
+      .limit(50);
+    if (req.query.unread === 'true') query = query.is('read_at', null);
 
-    const { data: updatedRows, error: updateError } = await supabaseAdmin
-      .from('tickets')
-      .update({ payment_status: 'paid' })
-      .eq('id', ticketId)
-      .eq('payment_status', 'pending')
-      .select('id');
+    const { data: notifications, error } = await query;
+    if (error) throw error;
 
-    if (updateError || !updatedRows?.length) {
-      await supabaseAdmin
-        .from('payment_transactions')
-        .delete()
-        .eq('id', insertedTransaction.id);
+    res.json({ success: true, notifications: notifications || [] });
+  } catch (error) {
+    console.error('Notifications error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-      if (updateError) throw updateError;
-      return res.status(409).json({ error: 'Ticket payment status changed concurrently; retry the request' });
+// PATCH /api/notifications/:notificationId/read - Mark one notification as read
+app.patch('/api/notifications/:notificationId/read', async (req, res) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
     }
 
-    res.json({
-      success: true,
-      ticket: {
-        id: ticket.id,
-        payment_status: 'paid',
-        ticket_number: ticket.ticket_number
-      }
-    });
+    const { data: notification, error } = await supabaseAdmin
+      .from('passenger_notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', req.params.notificationId)
+      .eq('passenger_id', auth.user.id)
+      .is('read_at', null)
+      .select('id, read_at')
+      .maybeSingle();
+    if (error) throw error;
 
+    res.json({ success: true, notification_id: req.params.notificationId, read_at: notification?.read_at || null });
   } catch (error) {
-    console.error('Update ticket status error:', error);
+    console.error('Notification read error:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
@@ -1379,179 +4118,555 @@ app.post('/api/users/get-or-create', async (req, res) => {
   }
 });
 
-// GET /api/validate-coupon?code=XXXX - Validate a coupon code
+const COUPON_COLUMNS = `
+  id,
+  code,
+  is_active,
+  discount_type,
+  discount_percentage,
+  discount_amount_usd,
+  starts_at,
+  ends_at,
+  max_redemptions,
+  max_redemptions_per_passenger,
+  min_spend_usd,
+  route_ids,
+  company_ids,
+  seat_classes
+`;
+
+async function loadCoupon(code) {
+  const { data, error } = await supabaseAdmin
+    .from('coupons')
+    .select(COUPON_COLUMNS)
+    .eq('code', code)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Live redemptions of a coupon, overall and for one passenger when known.
+async function loadCouponUsage(couponId, passengerId = null) {
+  const { data, error } = await supabaseAdmin.rpc('get_coupon_usage', {
+    p_coupon_id: couponId,
+    p_passenger_id: passengerId,
+  });
+  if (error) throw error;
+  const row = Array.isArray(data) ? data[0] : data;
+  return {
+    total: Number(row?.total_redemptions) || 0,
+    passenger: passengerId ? Number(row?.passenger_redemptions) || 0 : null,
+  };
+}
+
+function couponRejectionBody(reason) {
+  const rejection = COUPON_REJECTIONS[reason];
+  return { valid: false, reason, message: rejection.message };
+}
+
+// GET /api/validate-coupon?code=XXXX - Check a coupon without a basket
 app.get('/api/validate-coupon', async (req, res) => {
   try {
-    const code = (req.query.code || '').trim().toUpperCase();
+    const auth = await authenticateOptionalPassenger(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ valid: false, error: auth.error });
+    }
+    const { passengerId } = auth;
+    const code = normalizeCouponCode(req.query.code);
 
     if (!code) {
       return res.status(400).json({ valid: false, message: 'Código é obrigatório' });
     }
 
-    const { data, error } = await supabase
-      .from('coupons')
-      .select('id, code, discount_percentage, is_active')
-      .eq('code', code)
-      .single();
+    const coupon = await loadCoupon(code);
+    const usage = coupon ? await loadCouponUsage(coupon.id, passengerId) : {};
+    const reason = checkCouponAvailability(coupon, { usage });
+    if (reason) {
+      return res.json(couponRejectionBody(reason));
+    }
+
+    return res.json({ valid: true, ...describeCoupon(coupon) });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(500).json({ valid: false, message: 'Erro ao validar cupom' });
+  }
+});
+
+// POST /api/validate-coupon - Preview the discount a coupon gives a basket
+app.post('/api/validate-coupon', async (req, res) => {
+  try {
+    const auth = await authenticateOptionalPassenger(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ valid: false, error: auth.error });
+    }
+    const { passengerId } = auth;
+
+    const {
+      code,
+      couponCode,
+      currency = null,
+      outboundTrip,
+      outboundSeats,
+      outboundLegs = null,
+      returnTrip,
+      returnSeats,
+      returnLegs = null,
+    } = req.body;
+    const normalizedCode = normalizeCouponCode(code || couponCode);
+    if (!normalizedCode) {
+      return res.status(400).json({ valid: false, message: 'Código é obrigatório' });
+    }
 
-    if (error || !data) {
-      return res.json({ valid: false, message: 'Cupom inválido ou inexistente' });
+    let basketItems;
+    try {
+      basketItems = buildMobileBasketItems({
+        outboundTrip,
+        outboundSeats,
+        outboundLegs,
+        returnTrip,
+        returnSeats,
+        returnLegs,
+      });
+    } catch (basketError) {
+      return res.status(400).json({ valid: false, error: basketError.message });
     }
 
-    if (!data.is_active) {
-      return res.json({ valid: false, message: 'Este cupom está inactivo' });
+    const priced = await priceMobileBasket({ basketItems, couponCode: normalizedCode, passengerId, currency });
+    if (priced.couponReason) {
+      return res.json(couponRejectionBody(priced.couponReason));
+    }
+    if (priced.error) {
+      return res.status(priced.error.status).json({ valid: false, ...priced.error.body });
     }
 
-    return res.json({ valid: true, discount_percentage: data.discount_percentage, code: data.code });
+    const { basket, coupon } = priced;
+    return res.json({
+      valid: true,
+      ...describeCoupon(coupon),
+      lines: basket.lines,
+      subtotal_usd: basket.subtotal_usd,
+      discount_usd: basket.discount_usd,
+      total_usd: basket.total_usd,
+      currency: basket.currency,
+      exchange_rate: basket.exchange_rate,
+      subtotal: basket.subtotal,
+      discount: basket.discount,
+      total: basket.total,
+    });
   } catch (error) {
     console.error('Error validating coupon:', error);
     res.status(500).json({ valid: false, message: 'Erro ao validar cupom' });
   }
 });
 
+// Trips priced at their fares. Pass the basket items to price a round-trip
+// basket at round-trip fares and a segment item at the fare of its stops.
+async function loadPricingTrips(tripIds, basketItems = null) {
+  const { data: trips, error } = await supabaseAdmin
+    .from('trips')
+    .select(`
+      id,
+      route_id,
+      departure_time,
+      arrival_time,
+      price_usd,
+      seat_class,
+      status,
+      routes (
+        is_active,
+        origin_province,
+        destination_province
+      ),
+      buses (
+        is_active,
+        company_id
+      )
+    `)
+    .in('id', [...new Set(tripIds)]);
+  if (error) throw error;
+  const roundTrip = basketItems
+    ? isRoundTripBasket(basketItems, new Map((trips || []).map((trip) => [trip.id, trip])))
+    : false;
+  // One fares call per stop range, keyed by "origin-destination" ('' for the
+  // whole trip).
+  const rangeByTrip = new Map();
+  for (const item of basketItems || []) {
+    if (item.origin_stop != null && !rangeByTrip.has(item.trip_id)) {
+      rangeByTrip.set(item.trip_id, { origin_stop: item.origin_stop, destination_stop: item.destination_stop });
+    }
+  }
+  const tripsByRange = new Map();
+  for (const trip of trips || []) {
+    const stopRange = rangeByTrip.get(trip.id) || null;
+    const key = stopRange ? `${stopRange.origin_stop}-${stopRange.destination_stop}` : '';
+    if (!tripsByRange.has(key)) tripsByRange.set(key, { stopRange, trips: [] });
+    tripsByRange.get(key).trips.push(trip);
+  }
+  const pricedTrips = [];
+  for (const { stopRange, trips: rangeTrips } of tripsByRange.values()) {
+    const fares = await loadTripFares(rangeTrips.map((trip) => trip.id), null, { roundTrip, stopRange });
+    pricedTrips.push(...applyTripFares(rangeTrips, fares));
+  }
+  return new Map(pricedTrips.map((trip) => [trip.id, trip]));
+}
+
+// Prices a mobile basket from the trips and applies its coupon. Returns
+// { basket, coupon }, or { error: { status, body } } with couponReason set
+// when the coupon is what was refused. The basket is also shown in
+// `currency` (AOA by default).
+async function priceMobileBasket({ basketItems, couponCode, passengerId = null, currency = null }) {
+  let pricing;
+  try {
+    pricing = await loadExchangeRate(currency);
+  } catch (currencyError) {
+    if (!['22023', '55000'].includes(currencyError.code)) throw currencyError;
+    return { error: { status: bookingErrorStatus(currencyError), body: { error: currencyError.message } } };
+  }
+
+  const code = normalizeCouponCode(couponCode);
+  const [tripsById, coupon] = await Promise.all([
+    loadPricingTrips(basketItems.map((item) => item.trip_id), basketItems),
+    code ? loadCoupon(code) : null,
+  ]);
+
+  let basket;
+  try {
+    basket = priceBasket({ items: basketItems, tripsById });
+  } catch (pricingError) {
+    const status = pricingError.message === 'Trip not found' ? 404 : 409;
+    return { error: { status, body: { error: pricingError.message } } };
+  }
+  if (!code) {
+    return { basket: convertBasket({ ...basket, coupon_code: null }, pricing), coupon: null };
+  }
+
+  const usage = coupon ? await loadCouponUsage(coupon.id, passengerId) : {};
+  const applied = applyCouponToBasket({ coupon, basket, tripsById, usage });
+  if (!applied.valid) {
+    const rejection = COUPON_REJECTIONS[applied.reason];
+    return {
+      couponReason: applied.reason,
+      error: { status: rejection.status, body: { error: rejection.error, reason: applied.reason } },
+    };
+  }
+  return { basket: convertBasket(applied.basket, pricing), coupon };
+}
+
+// POST /api/quotes - Price a mobile basket on the server and sign the result
+app.post('/api/quotes', async (req, res) => {
+  try {
+    if (!QUOTE_SIGNING_SECRET) {
+      return res.status(503).json({ error: 'Quotes are not configured on this server' });
+    }
+
+    const {
+      outboundTrip,
+      outboundSeats,
+      outboundLegs = null,
+      returnTrip,
+      returnSeats,
+      returnLegs = null,
+      couponCode,
+      currency = null,
+    } = req.body;
+
+    const auth = await authenticateOptionalPassenger(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    const { passengerId } = auth;
+
+    let basketItems;
+    try {
+      basketItems = buildMobileBasketItems({
+        outboundTrip,
+        outboundSeats,
+        outboundLegs,
+        returnTrip,
+        returnSeats,
+        returnLegs,
+      });
+    } catch (basketError) {
+      return res.status(400).json({ error: basketError.message });
+    }
+    if (basketItems.some((item) => isCopilotSeat(item.seat_number))) {
+      return res.status(400).json({
+        error: 'Seat reserved for the co-pilot',
+        details: `Seat ${COPILOT_SEAT_NUMBER} is always reserved for the co-pilot and cannot be sold.`
+      });
+    }
+
+    const seatError = await validateBasketConnections(basketItems)
+      || await validateSellableBasketSeats(basketItems);
+    if (seatError) {
+      return res.status(seatError.status).json(seatError.body);
+    }
+
+    const priced = await priceMobileBasket({ basketItems, couponCode, passengerId, currency });
+    if (priced.error) {
+      return res.status(priced.error.status).json(priced.error.body);
+    }
+
+    const { quote, token } = signQuote(priced.basket, QUOTE_SIGNING_SECRET);
+    res.status(201).json({ success: true, quote, quoteToken: token });
+  } catch (error) {
+    console.error('Quote error:', error);
+    res.status(500).json({ error: 'Failed to price booking', details: error.message });
+  }
+});
+
 // POST /api/mobile/booking - Create booking for mobile app with payment reference
 app.post('/api/mobile/booking', async (req, res) => {
   try {
+    const auth = await authenticateRequest(req);
+    if (auth.error) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
     const {
       outboundTrip,
       returnTrip,
       outboundSeats,
       returnSeats,
-      passengerId,
+      outboundLegs = null,
+      returnLegs = null,
+      passengerId: passengerIdFromBody = null,
       passengerName,
       passengerEmail,
-      paymentMethod,
-      couponCode
+      paymentMethod: requestedPaymentMethod,
+      couponCode,
+      holdIds = null,
+      quoteToken = null,
+      currency = null,
+      idempotencyKey: idempotencyKeyFromBody = null
     } = req.body;
 
     // Validation
-    if (!outboundTrip || !outboundSeats || outboundSeats.length === 0 || !passengerId) {
+    const hasOutbound = (Array.isArray(outboundLegs) && outboundLegs.length > 0)
+      || (outboundTrip && outboundSeats && outboundSeats.length > 0);
+    if (!hasOutbound) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
-    if ([...(outboundSeats || []), ...(returnSeats || [])].some(isCopilotSeat)) {
+    // The signed-in passenger books, and is the passenger of, every ticket.
+    // Older app builds still send their own id in the body.
+    const passengerId = auth.user.id;
+    if (passengerIdFromBody && passengerIdFromBody !== passengerId) {
+      return res.status(403).json({ error: 'Cannot book for another passenger' });
+    }
+
+    let paymentMethod;
+    try {
+      paymentMethod = normalizeMobilePaymentMethod(requestedPaymentMethod);
+    } catch (paymentError) {
+      return res.status(400).json({ error: paymentError.message });
+    }
+
+    let basketItems;
+    try {
+      basketItems = buildMobileBasketItems({
+        outboundTrip,
+        outboundSeats,
+        outboundLegs,
+        returnTrip,
+        returnSeats,
+        returnLegs,
+      });
+    } catch (basketError) {
+      return res.status(400).json({ error: basketError.message });
+    }
+
+    if (basketItems.some((item) => isCopilotSeat(item.seat_number))) {
       return res.status(400).json({
         error: 'Seat reserved for the co-pilot',
         details: `Seat ${COPILOT_SEAT_NUMBER} is always reserved for the co-pilot and cannot be sold.`
       });
     }
 
-    // Validate coupon if provided
-    let discountFactor = 1;
-    if (couponCode) {
-      const normalizedCode = couponCode.trim().toUpperCase();
-      const { data: coupon } = await supabase
-        .from('coupons')
-        .select('discount_percentage, is_active')
-        .eq('code', normalizedCode)
-        .single();
-      if (coupon && coupon.is_active) {
-        discountFactor = 1 - coupon.discount_percentage / 100;
-      }
+    const seatError = await validateBasketConnections(basketItems)
+      || await validateSellableBasketSeats(basketItems);
+    if (seatError) {
+      return res.status(seatError.status).json(seatError.body);
     }
 
-    const ticketIds = [];
-    let totalAmount = 0;
-
-    // Create outbound tickets
-    for (const seatNumber of outboundSeats) {
-      const { data: ticket, error } = await supabase
-        .from('tickets')
-        .insert({
-          trip_id: outboundTrip.id,
-          passenger_id: passengerId,
-          booked_by: passengerId,
-          booking_source: 'mobile_app',
-          seat_class: outboundTrip.seat_class || 'economy',
-          seat_number: seatNumber,
-          price_paid_usd: parseFloat((outboundTrip.price_usd * discountFactor).toFixed(2)),
-          payment_status: 'pending',
-          payment_method: paymentMethod || 'referencia',
-          qr_code_data: `TKT-${outboundTrip.id}-${seatNumber}`
-        })
-        .select('id, ticket_number, price_paid_usd')
-        .single();
+    const pricing = await loadExchangeRate(currency);
 
-      if (error) throw error;
-      ticketIds.push(ticket.id);
-      totalAmount += ticket.price_paid_usd;
+    // Older app builds do not send a key. They still get an atomic basket,
+    // just without lost-response recovery.
+    const idempotencyKey = String(req.get('Idempotency-Key') || idempotencyKeyFromBody || '').trim()
+      || `mobile-${randomUUID()}`;
+    if (idempotencyKey.length > 190) {
+      return res.status(400).json({ error: 'Idempotency key must not exceed 190 characters' });
     }
 
-    // Create return tickets if round trip
-    if (returnTrip && returnSeats && returnSeats.length > 0) {
-      for (const seatNumber of returnSeats) {
-        const { data: ticket, error } = await supabase
+    // Seats held through POST /api/trips/:tripId/holds are converted by the
+    // guard_seat_hold trigger when the ticket is inserted. Verify the holds up
+    // front so an expired checkout fails clearly instead of racing for the seat.
+    if (holdIds != null) {
+      if (!Array.isArray(holdIds) || !holdIds.length) {
+        return res.status(400).json({ error: 'holdIds must be a non-empty array' });
+      }
+      const { data: holds, error: holdsError } = await supabaseAdmin
+        .from('online_bookings')
+        .select('id, trip_id, passenger_id, seat_number, origin_stop, destination_stop, expires_at')
+        .in('id', holdIds);
+      if (holdsError) throw holdsError;
+
+      const liveHolds = (holds || []).filter((hold) =>
+        hold.passenger_id === passengerId && isActiveHold(hold)
+      );
+      if (
+        liveHolds.length !== new Set(holdIds).size ||
+        basketItems.some((item) => !liveHolds.some((hold) => holdCoversItem(hold, item)))
+      ) {
+        // A lost response after commit already consumed the holds; let the
+        // idempotent RPC return the committed tickets instead of rejecting.
+        const { count: committedTickets, error: committedError } = await supabaseAdmin
           .from('tickets')
-          .insert({
-            trip_id: returnTrip.id,
-            passenger_id: passengerId,
-            booked_by: passengerId,
-            booking_source: 'mobile_app',
-            seat_class: returnTrip.seat_class || 'economy',
-            seat_number: seatNumber,
-            price_paid_usd: parseFloat((returnTrip.price_usd * discountFactor).toFixed(2)),
-            payment_status: 'pending',
-            payment_method: paymentMethod || 'referencia',
-            qr_code_data: `TKT-${returnTrip.id}-${seatNumber}`
-          })
-          .select('id, ticket_number, price_paid_usd')
-          .single();
-
-        if (error) throw error;
-        ticketIds.push(ticket.id);
-        totalAmount += ticket.price_paid_usd;
+          .select('id', { count: 'exact', head: true })
+          .eq('booked_by', passengerId)
+          .eq('idempotency_key', `${idempotencyKey}:1`);
+        if (committedError) throw committedError;
+        if (!committedTickets) {
+          return res.status(409).json({
+            error: 'Seat hold expired or does not cover the requested seats',
+            details: 'Hold the seats again before confirming the booking.'
+          });
+        }
       }
     }
 
-    // Generate payment reference for MULTICAIXA
-    let paymentReference = null;
-    if (paymentMethod === 'referencia') {
-      try {
-        const paymentApiUrl = process.env.PAYMENT_API_URL || 'https://payments-nawabus.vercel.app/api/create-payment';
-
-        const paymentResponse = await fetch(paymentApiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            ticket_id: ticketIds[0], // Primary ticket
-            amount: totalAmount,
-            passenger_name: passengerName,
-            passenger_email: passengerEmail,
-          }),
+    // A signed quote fixes the total the passenger confirmed. The database
+    // re-prices the basket from trips, applies and records the coupon, and
+    // rolls everything back if the total no longer matches or the coupon was
+    // used up meanwhile. Client prices are never used.
+    const normalizedCouponCode = normalizeCouponCode(couponCode) || null;
+    let expectedTotal = null;
+    if (quoteToken) {
+      const verification = verifyQuote(quoteToken, QUOTE_SIGNING_SECRET);
+      if (!verification.valid) {
+        return res.status(verification.reason === 'not_configured' ? 503 : 409).json({
+          error: 'Quote is invalid or expired',
+          reason: verification.reason,
+        });
+      }
+      if (!quoteMatchesBasket(verification.quote, basketItems, normalizedCouponCode)) {
+        return res.status(409).json({
+          error: 'Quote does not match this booking',
+          reason: 'basket_mismatch',
         });
+      }
+      expectedTotal = Number(verification.quote.total_usd);
+    }
+
+    // Every outbound and return seat is inserted in one database transaction.
+    // If any seat fails, none of the basket is booked.
+    const { data, error } = await supabaseAdmin.rpc('book_mobile_basket_atomic_v3', {
+      p_passenger_id: passengerId,
+      p_idempotency_key: idempotencyKey,
+      p_items: basketItems.map(({ leg, trip_id, seat_number, origin_stop, destination_stop }) => ({
+        leg,
+        trip_id,
+        seat_number,
+        ...(origin_stop != null ? { origin_stop, destination_stop } : {}),
+      })),
+      p_payment_method: paymentMethod,
+      p_coupon_code: normalizedCouponCode,
+      p_expected_total: expectedTotal,
+    });
+    if (error) throw error;
 
-        if (paymentResponse.ok) {
-          const paymentData = await paymentResponse.json();
-          paymentReference = paymentData.reference_number || paymentData.reference;
+    const result = normalizeAtomicBasketResult(data);
+    result.tickets = await signTicketQrCodes(result.tickets);
+    const ticketIds = result.tickets.map((ticket) => ticket.id);
+    const totalAmount = result.totalAmount;
+    // The reference is raised for the total the passenger is shown.
+    const payment = await fixPaymentCurrency(ticketIds, pricing);
+    const total = convertTotal(result.tickets.map((ticket) => ticket.price_paid_usd), payment);
 
-          // Update all tickets with the payment reference
-          for (const ticketId of ticketIds) {
-            await supabase
-              .from('tickets')
-              .update({ payment_reference: paymentReference })
-              .eq('id', ticketId);
-          }
-        }
+    // Unpaid reference tickets are cancelled by the expiry sweep after this.
+    const { data: dueRows, error: dueError } = await supabaseAdmin
+      .from('tickets')
+      .select('payment_due_at')
+      .in('id', ticketIds)
+      .not('payment_due_at', 'is', null)
+      .order('payment_due_at', { ascending: true })
+      .limit(1);
+    if (dueError) throw dueError;
+    const paymentDueAt = dueRows?.[0]?.payment_due_at || null;
+
+    // A recovered basket keeps the reference it was already given. The
+    // booking idempotency key is reused with the provider, so a retried
+    // request never issues a second reference for the same basket.
+    let paymentReference = result.tickets.find((ticket) => ticket.payment_reference)?.payment_reference || null;
+    if (!paymentReference) {
+      let created;
+      try {
+        created = await withPaymentProviderRetry(() => paymentProvider.createReference({
+          amount: total,
+          currency: payment.currency,
+          ticketIds,
+          idempotencyKey,
+          passengerName,
+          passengerEmail,
+          expiresAt: paymentDueAt,
+        }));
       } catch (paymentError) {
+        if (paymentError?.code !== 'payment_provider_error') throw paymentError;
         console.error('Payment reference generation failed:', paymentError);
-        // Continue without reference - tickets are already created
+        return res.status(502).json({
+          error: 'Payment reference could not be created',
+          details: paymentError.message,
+          retryable: true,
+          idempotencyKey,
+          ticketIds,
+          paymentDueAt,
+        });
       }
+      paymentReference = created.reference;
+
+      const { error: referenceError } = await supabaseAdmin
+        .from('tickets')
+        .update({ payment_reference: paymentReference })
+        .in('id', ticketIds);
+      if (referenceError) throw referenceError;
     }
 
-    res.status(201).json({
+    res.status(result.idempotent ? 200 : 201).json({
       success: true,
+      idempotent: result.idempotent,
+      recovered: result.idempotent,
       ticketIds,
+      tickets: result.tickets.map((ticket) => ({ ...ticket, payment_reference: paymentReference })),
       totalAmount,
+      currency: payment.currency,
+      total,
       paymentReference,
-      entity: '1219', // MULTICAIXA entity
+      paymentDueAt,
+      entity: paymentProvider.entity,
       message: 'Booking created successfully'
     });
 
   } catch (error) {
     console.error('Mobile booking error:', error);
-    res.status(500).json({ error: 'Booking failed', details: error.message });
+    const status = bookingErrorStatus(error);
+    let message = 'Booking failed';
+    if (error?.code === '23505' && /seat/i.test(error.message || '')) {
+      message = 'Seat already taken';
+    } else if (error?.code === '55000' && /quoted price/i.test(error.message || '')) {
+      message = 'Price changed since the quote; request a new quote';
+    } else if (error?.code === '55000' && /pay by reference/i.test(error.message || '')) {
+      message = 'Too close to departure to pay by reference';
+    }
+    const couponReason = couponRejectionReason(error);
+    if (couponReason) {
+      message = COUPON_REJECTIONS[couponReason].error;
+    }
+    res.status(status).json({
+      error: message,
+      details: error.message,
+      ...(couponReason ? { reason: couponReason } : {}),
+    });
   }
 });
 
@@ -0,0 +1,192 @@
+-- Nawabus agent shift reconciliation (2026-10-19)
+--
+-- Apply after supabase-migration-ticket-exchange.sql and before deploying
+-- GET /api/agents/me/shift-report and POST /api/agents/me/shifts/close.
+-- Reads payment_transactions back per agent so counter cash can be reconciled
+-- at the end of a shift, and records each closed shift with the cash the agent
+-- declared and the variance against what the ledger expects.
+
+BEGIN;
+
+-- Older installs may lack the column. Rows written before this migration stay
+-- NULL and fall outside every shift instead of all landing on today.
+ALTER TABLE public.payment_transactions
+  ADD COLUMN IF NOT EXISTS created_at timestamptz;
+ALTER TABLE public.payment_transactions
+  ALTER COLUMN created_at SET DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_created_at
+  ON public.payment_transactions (created_at);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_booked_by_created_at
+  ON public.tickets (booked_by, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_cancellations_cancelled_by_created_at
+  ON public.ticket_cancellations (cancelled_by, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_ticket_exchanges_exchanged_by_created_at
+  ON public.ticket_exchanges (exchanged_by, created_at);
+
+-- A shift runs from the previous close (or the start of the day) to the
+-- moment the agent closes it. The unique key turns a double close of the same
+-- shift into a conflict instead of two overlapping records.
+CREATE TABLE IF NOT EXISTS public.agent_shifts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id uuid NOT NULL REFERENCES public.profiles (id),
+  opened_at timestamptz NOT NULL,
+  closed_at timestamptz NOT NULL,
+  closed_by uuid NOT NULL REFERENCES public.profiles (id),
+  expected_cash_usd numeric(12, 2) NOT NULL,
+  declared_cash_usd numeric(12, 2) NOT NULL CHECK (declared_cash_usd >= 0),
+  variance_usd numeric(12, 2) NOT NULL,
+  notes text,
+  report jsonb NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT agent_shifts_closed_after_opened CHECK (closed_at > opened_at),
+  CONSTRAINT agent_shifts_variance_matches CHECK (variance_usd = declared_cash_usd - expected_cash_usd)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS agent_shifts_agent_opened_at_key
+  ON public.agent_shifts (agent_id, opened_at);
+
+CREATE INDEX IF NOT EXISTS idx_agent_shifts_agent_closed_at
+  ON public.agent_shifts (agent_id, closed_at DESC);
+
+ALTER TABLE public.agent_shifts ENABLE ROW LEVEL SECURITY;
+
+-- Ledger rows carry no actor, so each one is attributed through what wrote
+-- it: a refund to whoever cancelled the ticket, an exchange difference to
+-- whoever exchanged it, and any other row to the agent who sold the ticket.
+CREATE OR REPLACE FUNCTION public.get_agent_shift_ledger(
+  p_agent_id uuid,
+  p_from timestamptz,
+  p_to timestamptz
+)
+RETURNS TABLE (
+  transaction_id text,
+  ticket_id uuid,
+  ticket_number text,
+  entry_type text,
+  payment_method text,
+  status text,
+  amount_usd numeric,
+  recorded_at timestamptz
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+BEGIN
+  IF p_agent_id IS NULL OR p_from IS NULL OR p_to IS NULL OR p_to <= p_from THEN
+    RAISE EXCEPTION 'Agent and a valid time range are required' USING ERRCODE = '22023';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    pt.transaction_id,
+    pt.ticket_id,
+    tk.ticket_number,
+    CASE
+      WHEN pt.transaction_id LIKE 'refund-%' THEN 'refund'
+      WHEN pt.transaction_id LIKE 'exchange-%' THEN 'exchange'
+      ELSE 'sale'
+    END,
+    pt.payment_method,
+    pt.status,
+    pt.amount_usd,
+    pt.created_at
+  FROM public.payment_transactions pt
+  JOIN public.tickets tk ON tk.id = pt.ticket_id
+  LEFT JOIN public.ticket_cancellations tc
+    ON tc.ticket_id = pt.ticket_id
+   AND pt.transaction_id LIKE 'refund-' || tc.id::text || '-%'
+  LEFT JOIN public.ticket_exchanges te
+    ON te.ticket_id = pt.ticket_id
+   AND (
+     pt.transaction_id LIKE 'exchange-' || te.id::text || '-%'
+     OR pt.transaction_id LIKE 'exchange-refund-' || te.id::text || '-%'
+   )
+  WHERE pt.created_at >= p_from
+    AND pt.created_at < p_to
+    AND pt.status IN ('completed', 'refunded')
+    AND CASE
+      WHEN tc.id IS NOT NULL THEN tc.cancelled_by = p_agent_id
+      WHEN te.id IS NOT NULL THEN te.exchanged_by = p_agent_id
+      ELSE tk.booked_by = p_agent_id
+    END
+  ORDER BY pt.created_at, pt.transaction_id;
+END;
+$function$;
+
+-- Paid counter sales of the agent in the range whose ledger is missing or
+-- does not add up to the ticket price. Booking refuses to create these, so
+-- any row here points at a manual edit or a legacy client.
+CREATE OR REPLACE FUNCTION public.get_agent_ledger_gaps(
+  p_agent_id uuid,
+  p_from timestamptz,
+  p_to timestamptz
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  ticket_status text,
+  payment_method text,
+  price_paid_usd numeric,
+  completed_rows integer,
+  ledger_total_usd numeric,
+  sold_at timestamptz
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+BEGIN
+  IF p_agent_id IS NULL OR p_from IS NULL OR p_to IS NULL OR p_to <= p_from THEN
+    RAISE EXCEPTION 'Agent and a valid time range are required' USING ERRCODE = '22023';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    tk.id,
+    tk.ticket_number,
+    tk.status,
+    tk.payment_method,
+    tk.price_paid_usd,
+    COALESCE(ledger.completed_rows, 0)::integer,
+    COALESCE(ledger.total_usd, 0),
+    tk.created_at
+  FROM public.tickets tk
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*) FILTER (WHERE pt.status = 'completed') AS completed_rows,
+      SUM(pt.amount_usd) FILTER (WHERE pt.status IN ('completed', 'refunded')) AS total_usd
+    FROM public.payment_transactions pt
+    WHERE pt.ticket_id = tk.id
+  ) ledger ON true
+  WHERE tk.booked_by = p_agent_id
+    AND tk.created_at >= p_from
+    AND tk.created_at < p_to
+    AND tk.payment_status = 'paid'
+    AND tk.status IN ('active', 'used')
+    AND tk.payment_method IN ('cash', 'tpa', 'tpa_dinheiro')
+    AND (
+      COALESCE(ledger.completed_rows, 0) = 0
+      OR COALESCE(ledger.total_usd, 0) <> tk.price_paid_usd
+    )
+  ORDER BY tk.created_at, tk.id;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_agent_shift_ledger(uuid, timestamptz, timestamptz)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_agent_shift_ledger(uuid, timestamptz, timestamptz)
+  TO service_role;
+
+REVOKE ALL ON FUNCTION public.get_agent_ledger_gaps(uuid, timestamptz, timestamptz)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_agent_ledger_gaps(uuid, timestamptz, timestamptz)
+  TO service_role;
+
+COMMIT;
@@ -0,0 +1,224 @@
+-- Nawabus atomic mobile basket booking (2026-10-19)
+--
+-- Apply after supabase-migration-seat-holds.sql and before deploying the
+-- matching /api/mobile/booking change. Every outbound and return seat of one
+-- mobile checkout is inserted by a single function call, so a failing seat
+-- rolls back the whole basket, and a retry with the same idempotency key
+-- returns the committed tickets instead of booking them twice.
+
+BEGIN;
+
+-- Each basket ticket stores "<key>:<position>" in tickets.idempotency_key. The
+-- existing (booked_by, idempotency_key) unique index then protects every seat
+-- of the basket, and the position lets a retry prove it is the same basket.
+CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic(
+  p_passenger_id uuid,
+  p_idempotency_key text,
+  p_items jsonb,
+  p_payment_method text DEFAULT 'referencia',
+  p_discount_percentage numeric DEFAULT 0
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_item record;
+  v_ticket public.tickets%ROWTYPE;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_item_count integer;
+  v_existing_count integer;
+  v_seat_number integer;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  p_payment_method := COALESCE(NULLIF(btrim(p_payment_method), ''), 'referencia');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 190 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 190 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    RAISE EXCEPTION 'Basket items must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  v_item_count := jsonb_array_length(p_items);
+  IF v_item_count = 0 OR v_item_count > 20 THEN
+    RAISE EXCEPTION 'A basket must contain between 1 and 20 seats' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_discount_percentage IS NULL OR p_discount_percentage < 0 OR p_discount_percentage > 100 THEN
+    RAISE EXCEPTION 'Discount must be between 0 and 100 percent' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = p_passenger_id) THEN
+    RAISE EXCEPTION 'Passenger not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_passenger_id::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT COUNT(*) INTO v_existing_count
+  FROM public.tickets tk
+  WHERE tk.booked_by = p_passenger_id
+    AND left(tk.idempotency_key, length(p_idempotency_key) + 1) = p_idempotency_key || ':';
+
+  IF v_existing_count > 0 THEN
+    IF v_existing_count <> v_item_count OR EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+      LEFT JOIN public.tickets tk
+        ON tk.booked_by = p_passenger_id
+       AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+      WHERE tk.id IS NULL
+         OR tk.trip_id IS DISTINCT FROM (item.value->>'trip_id')::uuid
+         OR tk.seat_number IS DISTINCT FROM (item.value->>'seat_number')::integer
+         OR tk.passenger_id IS DISTINCT FROM p_passenger_id
+    ) THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      tk.id,
+      tk.ticket_number,
+      tk.trip_id,
+      tk.passenger_id,
+      tk.booked_by,
+      tk.seat_number,
+      tk.seat_class,
+      tk.price_paid_usd,
+      tk.payment_reference,
+      tk.payment_status,
+      tk.payment_method,
+      tk.qr_code_data,
+      tk.status,
+      true
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+    JOIN public.tickets tk
+      ON tk.booked_by = p_passenger_id
+     AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+    ORDER BY item.ordinality;
+    RETURN;
+  END IF;
+
+  -- Any exception below (seat taken by guard_seat_conflict, held by another
+  -- passenger in guard_seat_hold, trip closed) aborts the whole basket.
+  FOR v_item IN
+    SELECT item.value, item.ordinality
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+  LOOP
+    v_seat_number := (v_item.value->>'seat_number')::integer;
+    v_bus_id := NULL;
+
+    SELECT
+      tr.bus_id,
+      b.capacity,
+      tr.price_usd,
+      tr.seat_class,
+      b.is_active,
+      tr.status
+    INTO
+      v_bus_id,
+      v_capacity,
+      v_price,
+      v_default_seat_class,
+      v_bus_active,
+      v_trip_status
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    WHERE tr.id = (v_item.value->>'trip_id')::uuid;
+
+    IF v_bus_id IS NULL THEN
+      RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+      RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_seat_number IS NULL OR v_seat_number < 2 OR v_seat_number > v_capacity THEN
+      RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+    END IF;
+
+    INSERT INTO public.tickets (
+      trip_id,
+      passenger_id,
+      booked_by,
+      booking_source,
+      seat_class,
+      seat_number,
+      price_paid_usd,
+      payment_status,
+      payment_method,
+      qr_code_data,
+      idempotency_key
+    ) VALUES (
+      (v_item.value->>'trip_id')::uuid,
+      p_passenger_id,
+      p_passenger_id,
+      'mobile_app',
+      COALESCE(v_default_seat_class, 'economy'),
+      v_seat_number,
+      round(v_price * (1 - p_discount_percentage / 100), 2),
+      'pending',
+      p_payment_method,
+      'TKT-' || (v_item.value->>'trip_id') || '-' || v_seat_number::text,
+      p_idempotency_key || ':' || v_item.ordinality::text
+    )
+    RETURNING * INTO v_ticket;
+
+    RETURN QUERY SELECT
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_ticket.trip_id,
+      v_ticket.passenger_id,
+      v_ticket.booked_by,
+      v_ticket.seat_number,
+      v_ticket.seat_class,
+      v_ticket.price_paid_usd,
+      v_ticket.payment_reference,
+      v_ticket.payment_status,
+      v_ticket.payment_method,
+      v_ticket.qr_code_data,
+      v_ticket.status,
+      false;
+  END LOOP;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) TO service_role;
+
+COMMIT;
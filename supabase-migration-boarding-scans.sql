@@ -0,0 +1,44 @@
+-- Nawabus boarding scans (2026-10-19)
+--
+-- Apply after supabase-migration-group-agent-booking.sql and before deploying
+-- POST /api/boarding/scan. A scan moves a paid ticket to "used" and records
+-- who boarded it and where. Every scan, accepted or rejected, is kept in
+-- boarding_scans so disputes at the door can be traced per device.
+
+BEGIN;
+
+ALTER TABLE public.tickets
+  ADD COLUMN IF NOT EXISTS boarded_at timestamptz,
+  ADD COLUMN IF NOT EXISTS boarded_by uuid REFERENCES public.profiles (id),
+  ADD COLUMN IF NOT EXISTS boarded_trip_id uuid REFERENCES public.trips (id);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_qr_code_data
+  ON public.tickets (qr_code_data);
+
+CREATE TABLE IF NOT EXISTS public.boarding_scans (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  trip_id uuid NOT NULL REFERENCES public.trips (id),
+  ticket_id uuid REFERENCES public.tickets (id),
+  scanned_code text NOT NULL,
+  scanned_by uuid NOT NULL REFERENCES public.profiles (id),
+  device_id text,
+  accepted boolean NOT NULL,
+  reason text,
+  scanned_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_boarding_scans_trip_scanned_at
+  ON public.boarding_scans (trip_id, scanned_at);
+
+ALTER TABLE public.boarding_scans ENABLE ROW LEVEL SECURITY;
+
+-- A used ticket is boarded exactly once. Keep the boarding columns consistent
+-- with the status no matter which client writes it.
+ALTER TABLE public.tickets
+  DROP CONSTRAINT IF EXISTS tickets_boarded_when_used;
+
+ALTER TABLE public.tickets
+  ADD CONSTRAINT tickets_boarded_when_used
+  CHECK (boarded_at IS NULL OR status = 'used') NOT VALID;
+
+COMMIT;
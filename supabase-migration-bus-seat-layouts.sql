@@ -0,0 +1,116 @@
+-- Nawabus bus seat layouts (2026-10-19)
+--
+-- Apply before deploying GET /api/trips/:tripId/seat-map. Layouts are stored
+-- per bus model (make + model), and a bus may point at a specific layout when
+-- its seating differs from the rest of its model. Buses without a layout keep
+-- the 2..capacity seat range.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.bus_seat_layouts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  make text NOT NULL,
+  model text NOT NULL,
+  rows integer NOT NULL CHECK (rows > 0),
+  columns integer NOT NULL CHECK (columns > 0),
+  aisle_after_column integer,
+  -- {"row": 0, "column": 1}
+  driver jsonb,
+  -- [{"row": 0, "column": 4}]
+  doors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  -- [{"number": 2, "row": 1, "column": 1, "seat_class": "vip",
+  --   "disabled": false, "wheelchair_accessible": false}]
+  seats jsonb NOT NULL CHECK (jsonb_typeof(seats) = 'array'),
+  -- [{"seat_class": "vip", "from_row": 1, "to_row": 3}]
+  zones jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bus_seat_layouts_make_model_key
+  ON public.bus_seat_layouts (lower(make), lower(model));
+
+ALTER TABLE public.bus_seat_layouts ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.buses
+  ADD COLUMN IF NOT EXISTS seat_layout_id uuid REFERENCES public.bus_seat_layouts (id);
+
+CREATE OR REPLACE FUNCTION public.get_trip_seat_layout(p_trip_id uuid)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  SELECT to_jsonb(layout)
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  JOIN public.bus_seat_layouts layout
+    ON layout.id = b.seat_layout_id
+    OR (
+      b.seat_layout_id IS NULL
+      AND lower(layout.make) = lower(b.make)
+      AND lower(layout.model) = lower(b.model)
+    )
+  WHERE tr.id = p_trip_id
+  LIMIT 1;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_trip_seat_layout(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.get_trip_seat_layout(uuid)
+  TO service_role;
+
+-- Seat numbers that do not exist in the bus layout, or are marked disabled,
+-- are rejected for tickets and holds alike. The RPCs keep their own
+-- 2..capacity checks, which remain correct for buses without a layout.
+CREATE OR REPLACE FUNCTION public.guard_seat_layout()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_layout jsonb;
+BEGIN
+  IF NEW.seat_number IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+     AND OLD.trip_id IS NOT DISTINCT FROM NEW.trip_id
+     AND OLD.seat_number IS NOT DISTINCT FROM NEW.seat_number
+  THEN
+    RETURN NEW;
+  END IF;
+
+  v_layout := public.get_trip_seat_layout(NEW.trip_id);
+  IF v_layout IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(v_layout->'seats') AS seat(value)
+    WHERE (seat.value->>'number')::integer = NEW.seat_number
+      AND COALESCE((seat.value->>'disabled')::boolean, false) = false
+  ) THEN
+    RAISE EXCEPTION 'Seat % is not a sellable seat on this bus', NEW.seat_number
+      USING ERRCODE = '23514';
+  END IF;
+
+  RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS guard_seat_layout_on_ticket ON public.tickets;
+DROP TRIGGER IF EXISTS guard_seat_layout_on_hold ON public.online_bookings;
+
+CREATE TRIGGER guard_seat_layout_on_ticket
+BEFORE INSERT OR UPDATE OF trip_id, seat_number ON public.tickets
+FOR EACH ROW EXECUTE FUNCTION public.guard_seat_layout();
+
+CREATE TRIGGER guard_seat_layout_on_hold
+BEFORE INSERT ON public.online_bookings
+FOR EACH ROW EXECUTE FUNCTION public.guard_seat_layout();
+
+COMMIT;
@@ -0,0 +1,125 @@
+-- Nawabus city catalogue (2026-10-19)
+--
+-- Apply after supabase-migration-route-stops.sql and before deploying the
+-- matching API. Places are a catalogue of cities, each with its province,
+-- coordinates and aliases, and the stations (terminals) buses leave from in
+-- it. Routes point at their origin and destination stations, and the trip
+-- search resolves what the passenger typed to stations through
+-- GET /api/cities instead of matching route names as substrings.
+--
+-- Existing routes are backfilled with one city and one station per place they
+-- name. Terminals such as Kikolo or Gamek therefore start as cities of their
+-- own: curate them into stations of Luanda (and add aliases) afterwards. Their
+-- routes keep pointing at the same stations.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.cities (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL CHECK (btrim(name) <> ''),
+  province text NOT NULL CHECK (btrim(province) <> ''),
+  -- Other spellings and names passengers search for ("Huila", "Ndalatando").
+  aliases text[] NOT NULL DEFAULT '{}',
+  latitude numeric(9, 6) CHECK (latitude BETWEEN -90 AND 90),
+  longitude numeric(9, 6) CHECK (longitude BETWEEN -180 AND 180),
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT cities_name_province_key UNIQUE (name, province)
+);
+
+ALTER TABLE public.cities ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS public.stations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  city_id uuid NOT NULL REFERENCES public.cities (id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (btrim(name) <> ''),
+  aliases text[] NOT NULL DEFAULT '{}',
+  latitude numeric(9, 6) CHECK (latitude BETWEEN -90 AND 90),
+  longitude numeric(9, 6) CHECK (longitude BETWEEN -180 AND 180),
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT stations_city_name_key UNIQUE (city_id, name)
+);
+
+ALTER TABLE public.stations ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.routes
+  ADD COLUMN IF NOT EXISTS origin_station_id uuid REFERENCES public.stations (id),
+  ADD COLUMN IF NOT EXISTS destination_station_id uuid REFERENCES public.stations (id);
+
+CREATE INDEX IF NOT EXISTS idx_routes_origin_station_id
+  ON public.routes (origin_station_id);
+
+CREATE INDEX IF NOT EXISTS idx_routes_destination_station_id
+  ON public.routes (destination_station_id);
+
+-- The one station named like a route's city (ignoring case) in a city of its
+-- province, or NULL when there is none or more than one.
+CREATE OR REPLACE FUNCTION public.station_for_place(p_city text, p_province text)
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  SELECT (array_agg(s.id))[1]
+  FROM public.stations s
+  JOIN public.cities c ON c.id = s.city_id
+  WHERE lower(s.name) = lower(btrim(p_city))
+    AND lower(c.province) = lower(COALESCE(NULLIF(btrim(p_province), ''), btrim(p_city)))
+  HAVING count(*) = 1;
+$function$;
+
+REVOKE ALL ON FUNCTION public.station_for_place(text, text)
+  FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.station_for_place(text, text) TO service_role;
+
+-- A route saved without stations is linked by name, so it is not left out of
+-- the trip search.
+CREATE OR REPLACE FUNCTION public.link_route_stations()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+BEGIN
+  IF NEW.origin_station_id IS NULL THEN
+    NEW.origin_station_id := public.station_for_place(NEW.origin_city, NEW.origin_province);
+  END IF;
+  IF NEW.destination_station_id IS NULL THEN
+    NEW.destination_station_id := public.station_for_place(NEW.destination_city, NEW.destination_province);
+  END IF;
+  RETURN NEW;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.link_route_stations() FROM PUBLIC, anon, authenticated;
+
+DROP TRIGGER IF EXISTS link_route_stations_on_routes ON public.routes;
+
+CREATE TRIGGER link_route_stations_on_routes
+BEFORE INSERT OR UPDATE ON public.routes
+FOR EACH ROW EXECUTE FUNCTION public.link_route_stations();
+
+INSERT INTO public.cities (name, province)
+SELECT DISTINCT btrim(place.city), COALESCE(NULLIF(btrim(place.province), ''), btrim(place.city))
+FROM public.routes r
+CROSS JOIN LATERAL (
+  VALUES (r.origin_city, r.origin_province), (r.destination_city, r.destination_province)
+) AS place (city, province)
+WHERE NULLIF(btrim(place.city), '') IS NOT NULL
+ON CONFLICT (name, province) DO NOTHING;
+
+INSERT INTO public.stations (city_id, name)
+SELECT c.id, c.name
+FROM public.cities c
+WHERE NOT EXISTS (SELECT 1 FROM public.stations s WHERE s.city_id = c.id)
+ON CONFLICT (city_id, name) DO NOTHING;
+
+-- Fires link_route_stations() on every route still missing a station.
+UPDATE public.routes
+SET origin_station_id = origin_station_id
+WHERE origin_station_id IS NULL OR destination_station_id IS NULL;
+
+COMMIT;
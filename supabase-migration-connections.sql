@@ -0,0 +1,31 @@
+-- Nawabus connections (2026-10-19)
+--
+-- Apply after supabase-migration-round-trips.sql and before deploying the
+-- matching API. GET /api/trips/itineraries chains trips through transfer
+-- cities, and a mobile basket may book such a connection as one leg. Both
+-- read their limits from connection_settings: the layover a passenger is
+-- offered between arriving and the next departure, and how many trips one
+-- journey may take. Until this migration is applied the API uses the same
+-- defaults.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.connection_settings (
+  id boolean PRIMARY KEY DEFAULT true CHECK (id),
+  min_layover_minutes integer NOT NULL DEFAULT 30
+    CHECK (min_layover_minutes >= 0),
+  max_layover_minutes integer NOT NULL DEFAULT 360,
+  max_legs integer NOT NULL DEFAULT 3
+    CHECK (max_legs BETWEEN 1 AND 4),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT connection_settings_layover_check
+    CHECK (max_layover_minutes >= min_layover_minutes)
+);
+
+INSERT INTO public.connection_settings (id)
+VALUES (true)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.connection_settings ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
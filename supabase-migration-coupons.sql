@@ -0,0 +1,345 @@
+-- Nawabus coupon engine (2026-10-19)
+--
+-- Apply after supabase-migration-reference-expiry.sql and before deploying
+-- the matching /api/mobile/booking change. Coupons gain validity windows,
+-- total and per-passenger usage caps, route/company/seat-class restrictions,
+-- fixed-amount discounts and a minimum spend. Every booking that uses a
+-- coupon writes a coupon_redemptions row and links its tickets to it.
+--
+-- Existing coupons keep working unchanged: they become unrestricted
+-- percentage coupons with no dates and no caps.
+
+BEGIN;
+
+ALTER TABLE public.coupons
+  ADD COLUMN IF NOT EXISTS discount_type text NOT NULL DEFAULT 'percentage',
+  ADD COLUMN IF NOT EXISTS discount_amount_usd numeric(12, 2),
+  ADD COLUMN IF NOT EXISTS starts_at timestamptz,
+  ADD COLUMN IF NOT EXISTS ends_at timestamptz,
+  ADD COLUMN IF NOT EXISTS max_redemptions integer,
+  ADD COLUMN IF NOT EXISTS max_redemptions_per_passenger integer,
+  ADD COLUMN IF NOT EXISTS min_spend_usd numeric(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS route_ids uuid[],
+  ADD COLUMN IF NOT EXISTS company_ids uuid[],
+  ADD COLUMN IF NOT EXISTS seat_classes text[];
+
+ALTER TABLE public.coupons
+  DROP CONSTRAINT IF EXISTS coupons_discount_type_check,
+  ADD CONSTRAINT coupons_discount_type_check
+    CHECK (discount_type IN ('percentage', 'fixed')),
+  DROP CONSTRAINT IF EXISTS coupons_fixed_amount_check,
+  ADD CONSTRAINT coupons_fixed_amount_check
+    CHECK (discount_type <> 'fixed' OR discount_amount_usd > 0),
+  DROP CONSTRAINT IF EXISTS coupons_validity_window_check,
+  ADD CONSTRAINT coupons_validity_window_check
+    CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at),
+  DROP CONSTRAINT IF EXISTS coupons_caps_check,
+  ADD CONSTRAINT coupons_caps_check
+    CHECK (
+      (max_redemptions IS NULL OR max_redemptions > 0)
+      AND (max_redemptions_per_passenger IS NULL OR max_redemptions_per_passenger > 0)
+      AND min_spend_usd >= 0
+    );
+
+CREATE TABLE IF NOT EXISTS public.coupon_redemptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  coupon_id uuid NOT NULL REFERENCES public.coupons (id),
+  coupon_code text NOT NULL,
+  passenger_id uuid NOT NULL REFERENCES public.profiles (id),
+  idempotency_key text NOT NULL,
+  subtotal_usd numeric(12, 2) NOT NULL DEFAULT 0,
+  discount_usd numeric(12, 2) NOT NULL DEFAULT 0,
+  total_usd numeric(12, 2) NOT NULL DEFAULT 0,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS coupon_redemptions_passenger_key
+  ON public.coupon_redemptions (passenger_id, idempotency_key);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon
+  ON public.coupon_redemptions (coupon_id, passenger_id);
+
+ALTER TABLE public.coupon_redemptions ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.tickets
+  ADD COLUMN IF NOT EXISTS coupon_redemption_id uuid REFERENCES public.coupon_redemptions (id);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_coupon_redemption
+  ON public.tickets (coupon_redemption_id)
+  WHERE coupon_redemption_id IS NOT NULL;
+
+-- A redemption counts against the caps while any of its tickets is still
+-- live. A booking that expired unpaid or was cancelled without a refund gives
+-- the use back; a refunded one does not.
+CREATE OR REPLACE FUNCTION public.get_coupon_usage(
+  p_coupon_id uuid,
+  p_passenger_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  total_redemptions integer,
+  passenger_redemptions integer
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  SELECT
+    COUNT(*)::integer,
+    COUNT(*) FILTER (WHERE r.passenger_id = p_passenger_id)::integer
+  FROM public.coupon_redemptions r
+  WHERE r.coupon_id = p_coupon_id
+    AND EXISTS (
+      SELECT 1
+      FROM public.tickets tk
+      WHERE tk.coupon_redemption_id = r.id
+        AND tk.status <> 'cancelled'
+    );
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_coupon_usage(uuid, uuid)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_coupon_usage(uuid, uuid)
+  TO service_role;
+
+-- Books the basket at list price through book_mobile_basket_atomic, then
+-- applies the coupon to the inserted tickets in the same transaction. The
+-- coupon row is locked first, so two bookings racing for the last use of a
+-- coupon queue here and the second one sees the first redemption. Any
+-- rejection rolls the whole basket back. A retried basket returns the
+-- committed tickets without checking the coupon again.
+--
+-- The discount rule matches applyCouponToBasket in lib/coupons.js: a
+-- percentage comes off each eligible seat, a fixed amount is spread over the
+-- eligible seats in proportion to their price with the rounding remainder on
+-- the most expensive one.
+CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic_v3(
+  p_passenger_id uuid,
+  p_idempotency_key text,
+  p_items jsonb,
+  p_payment_method text DEFAULT 'referencia',
+  p_coupon_code text DEFAULT NULL,
+  p_expected_total numeric DEFAULT NULL
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_code text := NULLIF(upper(btrim(p_coupon_code)), '');
+  v_key text := NULLIF(btrim(p_idempotency_key), '');
+  v_coupon public.coupons%ROWTYPE;
+  v_total_redemptions integer;
+  v_passenger_redemptions integer;
+  v_ticket_ids uuid[];
+  v_replayed boolean;
+  v_subtotal numeric;
+  v_eligible_ids uuid[];
+  v_eligible_cents bigint;
+  v_discount_cents bigint;
+  v_redemption_id uuid;
+  v_total numeric;
+BEGIN
+  IF v_code IS NULL THEN
+    RETURN QUERY
+    SELECT basket.*
+    FROM public.book_mobile_basket_atomic_v2(
+      p_passenger_id,
+      p_idempotency_key,
+      p_items,
+      p_payment_method,
+      0,
+      p_expected_total
+    ) AS basket;
+    RETURN;
+  END IF;
+
+  SELECT c.* INTO v_coupon
+  FROM public.coupons c
+  WHERE c.code = v_code
+  FOR UPDATE;
+
+  IF v_coupon.id IS NULL THEN
+    RAISE EXCEPTION 'Coupon not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT
+    array_agg(basket.ticket_id),
+    bool_or(basket.was_idempotent)
+  INTO v_ticket_ids, v_replayed
+  FROM public.book_mobile_basket_atomic(
+    p_passenger_id,
+    p_idempotency_key,
+    p_items,
+    p_payment_method,
+    0
+  ) AS basket;
+
+  IF NOT v_replayed THEN
+    IF NOT v_coupon.is_active THEN
+      RAISE EXCEPTION 'Coupon is not active' USING ERRCODE = '55000';
+    END IF;
+    IF v_coupon.starts_at IS NOT NULL AND v_coupon.starts_at > now() THEN
+      RAISE EXCEPTION 'Coupon is not valid yet' USING ERRCODE = '55000';
+    END IF;
+    IF v_coupon.ends_at IS NOT NULL AND v_coupon.ends_at <= now() THEN
+      RAISE EXCEPTION 'Coupon has expired' USING ERRCODE = '55000';
+    END IF;
+
+    SELECT usage.total_redemptions, usage.passenger_redemptions
+    INTO v_total_redemptions, v_passenger_redemptions
+    FROM public.get_coupon_usage(v_coupon.id, p_passenger_id) AS usage;
+
+    IF v_coupon.max_redemptions IS NOT NULL
+       AND v_total_redemptions >= v_coupon.max_redemptions
+    THEN
+      RAISE EXCEPTION 'Coupon has reached its usage limit' USING ERRCODE = '55000';
+    END IF;
+    IF v_coupon.max_redemptions_per_passenger IS NOT NULL
+       AND v_passenger_redemptions >= v_coupon.max_redemptions_per_passenger
+    THEN
+      RAISE EXCEPTION 'Passenger has already used this coupon the maximum number of times'
+        USING ERRCODE = '55000';
+    END IF;
+
+    SELECT SUM(tk.price_paid_usd) INTO v_subtotal
+    FROM public.tickets tk
+    WHERE tk.id = ANY(v_ticket_ids);
+
+    SELECT
+      array_agg(tk.id),
+      SUM(round(tk.price_paid_usd * 100))::bigint
+    INTO v_eligible_ids, v_eligible_cents
+    FROM public.tickets tk
+    JOIN public.trips tr ON tr.id = tk.trip_id
+    JOIN public.buses b ON b.id = tr.bus_id
+    WHERE tk.id = ANY(v_ticket_ids)
+      AND (COALESCE(cardinality(v_coupon.route_ids), 0) = 0 OR tr.route_id = ANY(v_coupon.route_ids))
+      AND (COALESCE(cardinality(v_coupon.company_ids), 0) = 0 OR b.company_id = ANY(v_coupon.company_ids))
+      AND (COALESCE(cardinality(v_coupon.seat_classes), 0) = 0 OR tk.seat_class = ANY(v_coupon.seat_classes));
+
+    IF v_eligible_ids IS NULL THEN
+      RAISE EXCEPTION 'Coupon does not apply to these trips or seats' USING ERRCODE = '22023';
+    END IF;
+    IF v_subtotal < v_coupon.min_spend_usd THEN
+      RAISE EXCEPTION 'Basket is below the coupon minimum spend' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO public.coupon_redemptions (
+      coupon_id, coupon_code, passenger_id, idempotency_key
+    ) VALUES (
+      v_coupon.id, v_coupon.code, p_passenger_id, v_key
+    )
+    RETURNING id INTO v_redemption_id;
+
+    IF v_coupon.discount_type = 'fixed' THEN
+      v_discount_cents := LEAST(round(v_coupon.discount_amount_usd * 100)::bigint, v_eligible_cents);
+
+      WITH eligible AS (
+        SELECT
+          tk.id,
+          round(tk.price_paid_usd * 100)::bigint AS cents,
+          item.ordinality
+        FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+        JOIN public.tickets tk
+          ON tk.booked_by = p_passenger_id
+         AND tk.idempotency_key = v_key || ':' || item.ordinality::text
+        WHERE tk.id = ANY(v_eligible_ids)
+      ),
+      shares AS (
+        SELECT
+          e.id,
+          e.cents,
+          CASE WHEN v_eligible_cents = 0 THEN 0
+               ELSE floor(e.cents::numeric * v_discount_cents / v_eligible_cents)::bigint
+          END AS share,
+          row_number() OVER (ORDER BY e.cents DESC, e.ordinality) AS rank
+        FROM eligible e
+      ),
+      remainder AS (
+        SELECT v_discount_cents - SUM(s.share) AS cents FROM shares s
+      )
+      UPDATE public.tickets tk
+      SET price_paid_usd = (
+        s.cents - s.share - CASE WHEN s.rank = 1 THEN r.cents ELSE 0 END
+      )::numeric / 100
+      FROM shares s, remainder r
+      WHERE tk.id = s.id;
+    ELSE
+      UPDATE public.tickets tk
+      SET price_paid_usd = round(
+        tk.price_paid_usd * (1 - COALESCE(v_coupon.discount_percentage, 0) / 100), 2
+      )
+      WHERE tk.id = ANY(v_eligible_ids);
+    END IF;
+
+    UPDATE public.tickets tk
+    SET coupon_redemption_id = v_redemption_id
+    WHERE tk.id = ANY(v_ticket_ids);
+  END IF;
+
+  SELECT SUM(tk.price_paid_usd) INTO v_total
+  FROM public.tickets tk
+  WHERE tk.id = ANY(v_ticket_ids);
+
+  IF v_redemption_id IS NOT NULL THEN
+    UPDATE public.coupon_redemptions r
+    SET subtotal_usd = v_subtotal,
+        discount_usd = v_subtotal - v_total,
+        total_usd = v_total
+    WHERE r.id = v_redemption_id;
+  END IF;
+
+  IF p_expected_total IS NOT NULL AND abs(v_total - p_expected_total) > 0.01 THEN
+    RAISE EXCEPTION 'Quoted price is no longer valid: basket total is %', v_total
+      USING ERRCODE = '55000';
+  END IF;
+
+  RETURN QUERY SELECT
+    tk.id,
+    tk.ticket_number,
+    tk.trip_id,
+    tk.passenger_id,
+    tk.booked_by,
+    tk.seat_number,
+    tk.seat_class,
+    tk.price_paid_usd,
+    tk.payment_reference,
+    tk.payment_status,
+    tk.payment_method,
+    tk.qr_code_data,
+    tk.status,
+    v_replayed
+  FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+  JOIN public.tickets tk
+    ON tk.booked_by = p_passenger_id
+   AND tk.idempotency_key = v_key || ':' || item.ordinality::text
+  ORDER BY item.ordinality;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_mobile_basket_atomic_v3(
+  uuid, text, jsonb, text, text, numeric
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_mobile_basket_atomic_v3(
+  uuid, text, jsonb, text, text, numeric
+) TO service_role;
+
+COMMIT;
@@ -0,0 +1,1619 @@
+-- Nawabus currencies (2026-10-19)
+--
+-- Apply after supabase-migration-fare-rules.sql and before deploying the
+-- matching API. Prices stay stored in USD; exchange_rates converts them into
+-- kwanzas (AOA) or any other currency with a rate. Counter sales, exchanges,
+-- cancellations, POST /api/payment and settled MULTICAIXA references record
+-- the currency actually tendered in payment_transactions, next to the USD
+-- amount every report sums.
+
+BEGIN;
+
+-- How many units of a currency buy one USD, from effective_from onwards.
+CREATE TABLE IF NOT EXISTS public.exchange_rates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  currency text NOT NULL CHECK (currency ~ '^[A-Z]{3}$' AND currency <> 'USD'),
+  rate numeric(14, 6) NOT NULL CHECK (rate > 0),
+  effective_from timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (currency, effective_from)
+);
+
+ALTER TABLE public.exchange_rates ENABLE ROW LEVEL SECURITY;
+
+-- currency is now the tendered currency. amount_usd stays the USD value of
+-- the row; tendered_amount is what was counted in currency.
+ALTER TABLE public.payment_transactions
+  ADD COLUMN IF NOT EXISTS tendered_amount numeric(14, 2),
+  ADD COLUMN IF NOT EXISTS exchange_rate numeric(14, 6);
+
+UPDATE public.payment_transactions pt
+SET tendered_amount = pt.amount_usd,
+    exchange_rate = 1
+WHERE pt.tendered_amount IS NULL
+  AND COALESCE(pt.currency, 'USD') = 'USD';
+
+-- Kwanzas are whole: there are no cêntimos in circulation. Other currencies
+-- keep cents.
+CREATE OR REPLACE FUNCTION public.round_currency(p_amount numeric, p_currency text)
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, pg_temp
+AS $function$
+  SELECT round(p_amount, CASE WHEN p_currency = 'AOA' THEN 0 ELSE 2 END);
+$function$;
+
+CREATE OR REPLACE FUNCTION public.currency_unit(p_currency text)
+RETURNS numeric
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, pg_temp
+AS $function$
+  SELECT CASE WHEN p_currency = 'AOA' THEN 1::numeric ELSE 0.01 END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.round_currency(numeric, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.round_currency(numeric, text)
+  TO service_role;
+REVOKE ALL ON FUNCTION public.currency_unit(text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.currency_unit(text)
+  TO service_role;
+
+CREATE OR REPLACE FUNCTION public.get_exchange_rate(
+  p_currency text,
+  p_at timestamptz DEFAULT now()
+)
+RETURNS numeric
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_rate numeric;
+BEGIN
+  IF p_currency = 'USD' THEN
+    RETURN 1;
+  END IF;
+
+  SELECT er.rate INTO v_rate
+  FROM public.exchange_rates er
+  WHERE er.currency = p_currency
+    AND er.effective_from <= p_at
+  ORDER BY er.effective_from DESC
+  LIMIT 1;
+
+  IF v_rate IS NULL THEN
+    RAISE EXCEPTION 'No exchange rate for %', p_currency USING ERRCODE = '55000';
+  END IF;
+  RETURN v_rate;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_exchange_rate(text, timestamptz)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_exchange_rate(text, timestamptz)
+  TO service_role;
+
+-- The counter booking functions gain a trailing p_currency. The old
+-- signatures are dropped so PostgREST never has two candidates to choose
+-- from; callers that omit the currency keep tendering USD.
+DROP FUNCTION IF EXISTS public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text
+);
+DROP FUNCTION IF EXISTS public.book_agent_ticket_atomic_v2(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, text
+);
+DROP FUNCTION IF EXISTS public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb
+);
+
+-- book_agent_ticket_atomic as in supabase-migration-fare-rules.sql, except
+-- that splits and the ledger are in the tendered currency.
+CREATE OR REPLACE FUNCTION public.book_agent_ticket_atomic(
+  p_trip_id uuid,
+  p_passenger_id uuid,
+  p_booked_by uuid,
+  p_seat_number integer,
+  p_payment_method text,
+  p_payment_status text,
+  p_idempotency_key text,
+  p_seat_class text DEFAULT NULL,
+  p_payment_reference text DEFAULT NULL,
+  p_ticket_number text DEFAULT NULL,
+  p_splits jsonb DEFAULT '[]'::jsonb,
+  p_currency text DEFAULT 'USD'
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_existing public.tickets%ROWTYPE;
+  v_ticket public.tickets%ROWTYPE;
+  v_bus_id uuid;
+  v_departure_time timestamptz;
+  v_arrival_time timestamptz;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_splits jsonb := COALESCE(p_splits, '[]'::jsonb);
+  v_split_total numeric;
+  v_fare jsonb;
+  v_currency text := upper(COALESCE(NULLIF(btrim(p_currency), ''), 'USD'));
+  v_rate numeric;
+  v_tendered_price numeric;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  p_ticket_number := NULLIF(btrim(p_ticket_number), '');
+  p_payment_reference := NULLIF(btrim(p_payment_reference), '');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 200 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 200 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_method NOT IN ('cash', 'tpa', 'tpa_dinheiro', 'referencia') THEN
+    RAISE EXCEPTION 'Unsupported payment method' USING ERRCODE = '22023';
+  END IF;
+
+  IF v_currency NOT IN ('USD', 'AOA') THEN
+    RAISE EXCEPTION 'Unsupported currency' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_status NOT IN ('pending', 'paid') THEN
+    RAISE EXCEPTION 'Unsupported initial payment status' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_method IN ('cash', 'tpa', 'tpa_dinheiro')
+     AND p_payment_status <> 'paid'
+  THEN
+    RAISE EXCEPTION 'Counter payments must be paid atomically' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.profiles p
+    WHERE p.id = p_booked_by AND p.role IN ('agent', 'admin')
+  ) THEN
+    RAISE EXCEPTION 'Only agents can create counter bookings' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_booked_by::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT tk.* INTO v_existing
+  FROM public.tickets tk
+  WHERE (tk.booked_by = p_booked_by AND tk.idempotency_key = p_idempotency_key)
+     OR (p_ticket_number IS NOT NULL AND tk.ticket_number = p_ticket_number)
+  ORDER BY (tk.booked_by = p_booked_by AND tk.idempotency_key = p_idempotency_key) DESC
+  LIMIT 1;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.booked_by IS DISTINCT FROM p_booked_by
+       OR v_existing.trip_id IS DISTINCT FROM p_trip_id
+       OR v_existing.passenger_id IS DISTINCT FROM p_passenger_id
+       OR v_existing.seat_number IS DISTINCT FROM p_seat_number
+    THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    IF v_existing.payment_status = 'paid'
+       AND v_existing.payment_method IN ('cash', 'tpa', 'tpa_dinheiro')
+       AND NOT EXISTS (
+         SELECT 1 FROM public.payment_transactions pt
+         WHERE pt.ticket_id = v_existing.id AND pt.status = 'completed'
+       )
+    THEN
+      RAISE EXCEPTION 'Existing paid ticket is missing its payment transaction'
+        USING ERRCODE = '55000';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_existing.ticket_number,
+      v_existing.trip_id,
+      v_existing.passenger_id,
+      v_existing.booked_by,
+      v_existing.seat_number,
+      v_existing.seat_class,
+      v_existing.price_paid_usd,
+      v_existing.payment_reference,
+      v_existing.payment_status,
+      v_existing.payment_method,
+      v_existing.qr_code_data,
+      v_existing.status,
+      true;
+    RETURN;
+  END IF;
+
+  SELECT
+    tr.bus_id,
+    tr.departure_time,
+    tr.arrival_time,
+    b.capacity,
+    tr.price_usd,
+    tr.seat_class,
+    b.is_active,
+    tr.status
+  INTO
+    v_bus_id,
+    v_departure_time,
+    v_arrival_time,
+    v_capacity,
+    v_price,
+    v_default_seat_class,
+    v_bus_active,
+    v_trip_status
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+    RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_seat_number < 2 OR p_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+  END IF;
+
+  -- Charge the fare of the sold seat class. Splits are counted in the
+  -- tendered currency and must add up to the fare converted into it.
+  v_fare := public.booking_trip_fare(p_trip_id, COALESCE(NULLIF(p_seat_class, ''), v_default_seat_class));
+  v_price := (v_fare->>'fare_usd')::numeric;
+  v_rate := public.get_exchange_rate(v_currency);
+  v_tendered_price := public.round_currency(v_price * v_rate, v_currency);
+
+  IF jsonb_typeof(v_splits) <> 'array' THEN
+    RAISE EXCEPTION 'Payment splits must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  IF jsonb_array_length(v_splits) > 0 THEN
+    IF p_payment_method <> 'tpa_dinheiro' THEN
+      RAISE EXCEPTION 'Splits are only valid for TPA/cash payments' USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(v_splits) AS part(value)
+      WHERE part.value->>'method' NOT IN ('cash', 'tpa')
+         OR COALESCE((part.value->>'amount')::numeric, 0) <= 0
+    ) THEN
+      RAISE EXCEPTION 'Invalid payment split' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT SUM((part.value->>'amount')::numeric)
+      INTO v_split_total
+    FROM jsonb_array_elements(v_splits) AS part(value);
+
+    IF abs(v_split_total - v_tendered_price) > public.currency_unit(v_currency) THEN
+      RAISE EXCEPTION 'Split payment total must equal ticket price' USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  -- Match guard_seat_conflict/create_seat_hold so ticket and hold races share
+  -- one lock. The trigger repeats the ticket check as defense in depth.
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || p_seat_number::text, 0)
+  );
+
+  IF EXISTS (
+    SELECT 1
+    FROM public.online_bookings hold
+    JOIN public.trips sibling ON sibling.id = hold.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND hold.seat_number = p_seat_number
+      AND hold.expires_at > now()
+  ) THEN
+    RAISE EXCEPTION 'Seat currently reserved for an online payment'
+      USING ERRCODE = '23505';
+  END IF;
+
+  INSERT INTO public.tickets (
+    trip_id,
+    passenger_id,
+    booked_by,
+    booking_source,
+    seat_class,
+    seat_number,
+    ticket_number,
+    price_paid_usd,
+    base_price_usd,
+    fare_rules,
+    payment_status,
+    payment_method,
+    payment_reference,
+    qr_code_data,
+    idempotency_key
+  ) VALUES (
+    p_trip_id,
+    p_passenger_id,
+    p_booked_by,
+    'mobile_app',
+    COALESCE(NULLIF(p_seat_class, ''), v_default_seat_class),
+    p_seat_number,
+    p_ticket_number,
+    v_price,
+    (v_fare->>'base_price_usd')::numeric,
+    v_fare->'applied_rules',
+    p_payment_status,
+    p_payment_method,
+    CASE WHEN p_payment_method = 'referencia' THEN NULL ELSE p_payment_reference END,
+    'TKT-' || p_trip_id::text || '-' || p_seat_number::text,
+    p_idempotency_key
+  )
+  RETURNING * INTO v_ticket;
+
+  IF p_payment_method IN ('cash', 'tpa', 'tpa_dinheiro') THEN
+    IF jsonb_array_length(v_splits) > 0 THEN
+      -- Each part records what was tendered. Its USD share is proportional,
+      -- the last part taking the rounding so the ledger adds up to the fare.
+      INSERT INTO public.payment_transactions (
+        ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+        payment_method, status, transaction_id
+      )
+      SELECT
+        v_ticket.id,
+        CASE
+          WHEN share.ordinality = share.part_count
+            THEN v_price - share.earlier_usd
+          ELSE share.amount_usd
+        END,
+        v_currency,
+        share.amount,
+        v_rate,
+        share.method,
+        'completed',
+        'agent-' || gen_random_uuid()::text || '-' || (share.ordinality - 1)::text
+      FROM (
+        SELECT
+          part.ordinality,
+          part.value->>'method' AS method,
+          (part.value->>'amount')::numeric AS amount,
+          round(v_price * (part.value->>'amount')::numeric / v_split_total, 2) AS amount_usd,
+          COALESCE(SUM(round(v_price * (part.value->>'amount')::numeric / v_split_total, 2)) OVER (
+            ORDER BY part.ordinality ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+          ), 0) AS earlier_usd,
+          count(*) OVER () AS part_count
+        FROM jsonb_array_elements(v_splits) WITH ORDINALITY AS part(value, ordinality)
+      ) AS share;
+    ELSE
+      INSERT INTO public.payment_transactions (
+        ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+        payment_method, status, transaction_id
+      ) VALUES (
+        v_ticket.id,
+        v_price,
+        v_currency,
+        v_tendered_price,
+        v_rate,
+        p_payment_method,
+        'completed',
+        'txn-' || gen_random_uuid()::text
+      );
+    END IF;
+  END IF;
+
+  IF p_payment_method = 'referencia' AND p_payment_reference IS NOT NULL THEN
+    UPDATE public.tickets tk
+    SET payment_reference = p_payment_reference
+    WHERE tk.id = v_ticket.id
+    RETURNING * INTO v_ticket;
+  END IF;
+
+  RETURN QUERY SELECT
+    v_ticket.id,
+    v_ticket.ticket_number,
+    v_ticket.trip_id,
+    v_ticket.passenger_id,
+    v_ticket.booked_by,
+    v_ticket.seat_number,
+    v_ticket.seat_class,
+    v_ticket.price_paid_usd,
+    v_ticket.payment_reference,
+    v_ticket.payment_status,
+    v_ticket.payment_method,
+    v_ticket.qr_code_data,
+    v_ticket.status,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text
+) TO service_role;
+
+-- Unchanged apart from passing p_currency through.
+CREATE OR REPLACE FUNCTION public.book_agent_ticket_atomic_v2(
+  p_trip_id uuid,
+  p_passenger_id uuid,
+  p_booked_by uuid,
+  p_seat_number integer,
+  p_payment_method text,
+  p_payment_status text,
+  p_idempotency_key text,
+  p_seat_class text DEFAULT NULL,
+  p_payment_reference text DEFAULT NULL,
+  p_ticket_number text DEFAULT NULL,
+  p_splits jsonb DEFAULT '[]'::jsonb,
+  p_companion_name text DEFAULT NULL,
+  p_companion_phone text DEFAULT NULL,
+  p_currency text DEFAULT 'USD'
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_result record;
+BEGIN
+  p_companion_name := NULLIF(btrim(p_companion_name), '');
+  p_companion_phone := NULLIF(btrim(p_companion_phone), '');
+
+  IF p_companion_phone IS NOT NULL AND p_companion_name IS NULL THEN
+    RAISE EXCEPTION 'Companion phone requires a companion name'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO STRICT v_result
+  FROM public.book_agent_ticket_atomic(
+    p_trip_id,
+    p_passenger_id,
+    p_booked_by,
+    p_seat_number,
+    p_payment_method,
+    p_payment_status,
+    p_idempotency_key,
+    p_seat_class,
+    p_payment_reference,
+    p_ticket_number,
+    p_splits,
+    p_currency
+  );
+
+  IF p_companion_name IS NOT NULL THEN
+    INSERT INTO public.ticket_companions (ticket_id, name, phone)
+    VALUES (v_result.ticket_id, p_companion_name, p_companion_phone)
+    -- Do not name ticket_id as the conflict target here. The RETURNS TABLE
+    -- output variable has the same name, so PL/pgSQL treats
+    -- ON CONFLICT (ticket_id) as an ambiguous column reference at runtime.
+    -- There is only one unique key relevant to this insert, and the
+    -- verification below still rejects a retry with different traveller data.
+    ON CONFLICT DO NOTHING;
+
+    -- A retry with the same idempotency key must describe the same traveller.
+    IF NOT EXISTS (
+      SELECT 1
+      FROM public.ticket_companions companion
+      WHERE companion.ticket_id = v_result.ticket_id
+        AND companion.name = p_companion_name
+        AND companion.phone IS NOT DISTINCT FROM p_companion_phone
+    ) THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another companion'
+        USING ERRCODE = '23505';
+    END IF;
+  END IF;
+
+  RETURN QUERY SELECT
+    v_result.ticket_id::uuid,
+    v_result.ticket_number::text,
+    v_result.trip_id::uuid,
+    v_result.passenger_id::uuid,
+    v_result.booked_by::uuid,
+    v_result.seat_number::integer,
+    v_result.seat_class::text,
+    v_result.price_paid_usd::numeric,
+    v_result.payment_reference::text,
+    v_result.payment_status::text,
+    v_result.payment_method::text,
+    v_result.qr_code_data::text,
+    v_result.status::text,
+    v_result.was_idempotent::boolean;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_ticket_atomic_v2(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, text, text
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_ticket_atomic_v2(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, text, text
+) TO service_role;
+
+-- Unchanged apart from passing p_currency through. The server spreads a
+-- group's splits over the tickets in the tendered currency.
+CREATE OR REPLACE FUNCTION public.book_agent_group_atomic(
+  p_trip_id uuid,
+  p_booked_by uuid,
+  p_idempotency_key text,
+  p_payment_method text,
+  p_payment_status text,
+  p_items jsonb,
+  p_payment_reference text DEFAULT NULL,
+  p_currency text DEFAULT 'USD'
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean,
+  group_id uuid,
+  group_reference text
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_group public.booking_groups%ROWTYPE;
+  v_item record;
+  v_result record;
+  v_item_count integer;
+  v_ticket_ids uuid[] := ARRAY[]::uuid[];
+  v_total numeric := 0;
+  v_recovered boolean;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 190 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 190 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    RAISE EXCEPTION 'Group passengers must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  v_item_count := jsonb_array_length(p_items);
+  IF v_item_count = 0 OR v_item_count > 20 THEN
+    RAISE EXCEPTION 'A group must contain between 1 and 20 passengers' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_booked_by::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT bg.* INTO v_group
+  FROM public.booking_groups bg
+  WHERE bg.booked_by = p_booked_by
+    AND bg.idempotency_key = p_idempotency_key;
+
+  IF v_group.id IS NOT NULL
+     AND (v_group.trip_id IS DISTINCT FROM p_trip_id OR v_group.ticket_count <> v_item_count)
+  THEN
+    RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+      USING ERRCODE = '23505';
+  END IF;
+
+  v_recovered := v_group.id IS NOT NULL;
+
+  FOR v_item IN
+    SELECT item.value, item.ordinality
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+    ORDER BY item.ordinality
+  LOOP
+    SELECT * INTO STRICT v_result
+    FROM public.book_agent_ticket_atomic_v2(
+      p_trip_id,
+      (v_item.value->>'passenger_id')::uuid,
+      p_booked_by,
+      (v_item.value->>'seat_number')::integer,
+      p_payment_method,
+      p_payment_status,
+      p_idempotency_key || ':' || v_item.ordinality::text,
+      v_item.value->>'seat_class',
+      p_payment_reference,
+      v_item.value->>'ticket_number',
+      COALESCE(v_item.value->'splits', '[]'::jsonb),
+      v_item.value->>'companion_name',
+      v_item.value->>'companion_phone',
+      p_currency
+    );
+
+    -- A committed group is recovered as a whole. A fresh ticket under an
+    -- existing group key means the retry describes a different sale.
+    IF v_result.was_idempotent IS DISTINCT FROM v_recovered THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    v_ticket_ids := v_ticket_ids || v_result.ticket_id::uuid;
+    v_total := v_total + v_result.price_paid_usd;
+  END LOOP;
+
+  IF NOT v_recovered THEN
+    INSERT INTO public.booking_groups (
+      group_reference,
+      booked_by,
+      idempotency_key,
+      trip_id,
+      payment_method,
+      payment_reference,
+      ticket_count,
+      total_usd
+    ) VALUES (
+      'GRP-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10)),
+      p_booked_by,
+      p_idempotency_key,
+      p_trip_id,
+      p_payment_method,
+      NULLIF(btrim(p_payment_reference), ''),
+      v_item_count,
+      v_total
+    )
+    RETURNING * INTO v_group;
+
+    UPDATE public.tickets tk
+    SET booking_group_id = v_group.id
+    WHERE tk.id = ANY (v_ticket_ids);
+  END IF;
+
+  RETURN QUERY SELECT
+    tk.id,
+    tk.ticket_number,
+    tk.trip_id,
+    tk.passenger_id,
+    tk.booked_by,
+    tk.seat_number,
+    tk.seat_class,
+    tk.price_paid_usd,
+    tk.payment_reference,
+    tk.payment_status,
+    tk.payment_method,
+    tk.qr_code_data,
+    tk.status,
+    v_recovered,
+    v_group.id,
+    v_group.group_reference
+  FROM unnest(v_ticket_ids) WITH ORDINALITY AS ids(id, ordinality)
+  JOIN public.tickets tk ON tk.id = ids.id
+  ORDER BY ids.ordinality;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text, text
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text, text
+) TO service_role;
+
+-- A mobile booking is paid in the currency the passenger was shown, at the
+-- rate it was shown at; its MULTICAIXA reference is raised for that amount.
+-- Tickets without a payment currency (older bookings) are paid in USD.
+ALTER TABLE public.tickets
+  ADD COLUMN IF NOT EXISTS payment_currency text CHECK (payment_currency ~ '^[A-Z]{3}$'),
+  ADD COLUMN IF NOT EXISTS payment_exchange_rate numeric(14, 6) CHECK (payment_exchange_rate > 0);
+
+ALTER TABLE public.payment_settlements
+  ADD COLUMN IF NOT EXISTS currency text NOT NULL DEFAULT 'USD',
+  ADD COLUMN IF NOT EXISTS tendered_amount numeric(14, 2);
+
+UPDATE public.payment_settlements s
+SET tendered_amount = s.amount_usd
+WHERE s.tendered_amount IS NULL;
+
+-- The amount is now in the reference's currency, so the parameter is renamed
+-- and the old signature dropped.
+DROP FUNCTION IF EXISTS public.settle_payment_reference(text, numeric, text, timestamptz);
+
+-- settle_payment_reference as in supabase-migration-payment-webhook.sql,
+-- except that p_amount is checked against the tickets converted at their
+-- payment rate, and the settlement and ledger record what was tendered.
+CREATE OR REPLACE FUNCTION public.settle_payment_reference(
+  p_payment_reference text,
+  p_amount numeric,
+  p_provider_transaction_id text,
+  p_paid_at timestamptz DEFAULT NULL
+)
+RETURNS TABLE (
+  settlement_id uuid,
+  payment_reference text,
+  amount_usd numeric,
+  currency text,
+  tendered_amount numeric,
+  ticket_ids uuid[],
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_reference text := NULLIF(btrim(p_payment_reference), '');
+  v_transaction_id text := NULLIF(btrim(p_provider_transaction_id), '');
+  v_existing public.payment_settlements%ROWTYPE;
+  v_settlement public.payment_settlements%ROWTYPE;
+  v_ticket_count integer;
+  v_payable_ids uuid[];
+  v_expected_usd numeric;
+  v_expected numeric;
+  v_currency text;
+  v_currency_count integer;
+BEGIN
+  IF v_reference IS NULL OR v_transaction_id IS NULL THEN
+    RAISE EXCEPTION 'Payment reference and provider transaction id are required'
+      USING ERRCODE = '22023';
+  END IF;
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Payment amount must be positive' USING ERRCODE = '22023';
+  END IF;
+
+  -- Lock every ticket of the reference in a stable order so a concurrent
+  -- notification for the same payment waits and then sees this settlement.
+  PERFORM 1
+  FROM public.tickets tk
+  WHERE tk.payment_reference = v_reference
+  ORDER BY tk.id
+  FOR UPDATE;
+  GET DIAGNOSTICS v_ticket_count = ROW_COUNT;
+
+  IF v_ticket_count = 0 THEN
+    RAISE EXCEPTION 'Payment reference not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT s.* INTO v_existing
+  FROM public.payment_settlements s
+  WHERE s.provider_transaction_id = v_transaction_id;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.payment_reference IS DISTINCT FROM v_reference
+       OR v_existing.tendered_amount IS DISTINCT FROM public.round_currency(p_amount, v_existing.currency)
+    THEN
+      RAISE EXCEPTION 'Provider transaction already settled a different payment'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_existing.payment_reference,
+      v_existing.amount_usd,
+      v_existing.currency,
+      v_existing.tendered_amount,
+      v_existing.ticket_ids,
+      true;
+    RETURN;
+  END IF;
+
+  SELECT
+    array_agg(tk.id ORDER BY tk.id),
+    SUM(tk.price_paid_usd),
+    SUM(public.round_currency(
+      tk.price_paid_usd * COALESCE(tk.payment_exchange_rate, 1),
+      COALESCE(tk.payment_currency, 'USD')
+    )),
+    min(COALESCE(tk.payment_currency, 'USD')),
+    count(DISTINCT COALESCE(tk.payment_currency, 'USD'))
+  INTO v_payable_ids, v_expected_usd, v_expected, v_currency, v_currency_count
+  FROM public.tickets tk
+  WHERE tk.payment_reference = v_reference
+    AND tk.payment_status = 'pending'
+    AND tk.status IN ('active', 'pending');
+
+  IF v_payable_ids IS NULL THEN
+    IF EXISTS (
+      SELECT 1 FROM public.payment_settlements s
+      WHERE s.payment_reference = v_reference
+    ) THEN
+      RAISE EXCEPTION 'Payment reference was already settled by another transaction'
+        USING ERRCODE = '55000';
+    END IF;
+    RAISE EXCEPTION 'Payment reference has no tickets awaiting payment'
+      USING ERRCODE = '55000';
+  END IF;
+
+  IF v_currency_count > 1 THEN
+    RAISE EXCEPTION 'Payment reference mixes currencies' USING ERRCODE = '55000';
+  END IF;
+
+  IF public.round_currency(p_amount, v_currency) <> v_expected THEN
+    RAISE EXCEPTION 'Payment amount % % does not match the % % due for this reference',
+      public.round_currency(p_amount, v_currency), v_currency, v_expected, v_currency
+      USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO public.payment_settlements (
+    provider_transaction_id, payment_reference, amount_usd, currency, tendered_amount,
+    ticket_ids, paid_at
+  ) VALUES (
+    v_transaction_id, v_reference, round(v_expected_usd, 2), v_currency, v_expected,
+    v_payable_ids, p_paid_at
+  )
+  RETURNING * INTO v_settlement;
+
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+    payment_method, status, transaction_id
+  )
+  SELECT
+    tk.id,
+    tk.price_paid_usd,
+    v_currency,
+    public.round_currency(tk.price_paid_usd * COALESCE(tk.payment_exchange_rate, 1), v_currency),
+    COALESCE(tk.payment_exchange_rate, 1),
+    'referencia',
+    'completed',
+    'ref-' || v_settlement.id::text || '-' || tk.id::text
+  FROM public.tickets tk
+  WHERE tk.id = ANY(v_payable_ids)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.payment_transactions pt
+      WHERE pt.ticket_id = tk.id AND pt.status = 'completed'
+    );
+
+  UPDATE public.tickets tk
+  SET payment_status = 'paid'
+  WHERE tk.id = ANY(v_payable_ids);
+
+  RETURN QUERY SELECT
+    v_settlement.id,
+    v_settlement.payment_reference,
+    v_settlement.amount_usd,
+    v_settlement.currency,
+    v_settlement.tendered_amount,
+    v_settlement.ticket_ids,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.settle_payment_reference(text, numeric, text, timestamptz)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.settle_payment_reference(text, numeric, text, timestamptz)
+  TO service_role;
+
+-- Exchanges and cancellations gain a trailing p_currency as well: the fare
+-- difference is collected or refunded, and a cancellation refunded, in the
+-- currency the agent counts. Callers that omit it keep tendering USD.
+DROP FUNCTION IF EXISTS public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb
+);
+DROP FUNCTION IF EXISTS public.cancel_ticket_atomic_v2(uuid, uuid, text, jsonb, jsonb);
+DROP FUNCTION IF EXISTS public.cancel_ticket_atomic(uuid, uuid, text, jsonb);
+
+-- exchange_ticket_atomic as in supabase-migration-fare-rules.sql, except that
+-- the parts and their ledger rows are in the tendered currency.
+CREATE OR REPLACE FUNCTION public.exchange_ticket_atomic(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_new_trip_id uuid,
+  p_new_seat_number integer,
+  p_idempotency_key text,
+  p_collect_parts jsonb DEFAULT '[]'::jsonb,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb,
+  p_currency text DEFAULT 'USD'
+)
+RETURNS TABLE (
+  exchange_id uuid,
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  seat_number integer,
+  price_paid_usd numeric,
+  fare_difference_usd numeric,
+  qr_code_data text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_actor_role text;
+  v_ticket public.tickets%ROWTYPE;
+  v_existing public.ticket_exchanges%ROWTYPE;
+  v_exchange public.ticket_exchanges%ROWTYPE;
+  v_old_trip_id uuid;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_fare jsonb;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_difference numeric;
+  v_collect jsonb := COALESCE(p_collect_parts, '[]'::jsonb);
+  v_refund jsonb := COALESCE(p_refund_parts, '[]'::jsonb);
+  v_collect_total numeric;
+  v_refund_total numeric;
+  v_currency text := upper(COALESCE(NULLIF(btrim(p_currency), ''), 'USD'));
+  v_rate numeric;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  IF p_idempotency_key IS NULL OR length(p_idempotency_key) > 200 THEN
+    RAISE EXCEPTION 'A stable idempotency key of at most 200 characters is required'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF v_currency NOT IN ('USD', 'AOA') THEN
+    RAISE EXCEPTION 'Unsupported currency' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT p.role INTO v_actor_role
+  FROM public.profiles p
+  WHERE p.id = p_actor_id;
+
+  IF v_actor_role IS NULL OR v_actor_role NOT IN ('agent', 'admin') THEN
+    RAISE EXCEPTION 'Only agents can exchange tickets' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT tk.* INTO v_ticket
+  FROM public.tickets tk
+  WHERE tk.id = p_ticket_id
+  FOR UPDATE;
+
+  IF v_ticket.id IS NULL THEN
+    RAISE EXCEPTION 'Ticket not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT ex.* INTO v_existing
+  FROM public.ticket_exchanges ex
+  WHERE ex.ticket_id = p_ticket_id
+    AND ex.idempotency_key = p_idempotency_key;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.to_trip_id IS DISTINCT FROM p_new_trip_id
+       OR v_existing.to_seat_number IS DISTINCT FROM p_new_seat_number
+    THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another exchange'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_existing.to_trip_id,
+      v_existing.to_seat_number,
+      v_existing.to_price_usd,
+      v_existing.fare_difference_usd,
+      v_ticket.qr_code_data,
+      true;
+    RETURN;
+  END IF;
+
+  IF v_actor_role <> 'admin' AND v_ticket.booked_by IS DISTINCT FROM p_actor_id THEN
+    RAISE EXCEPTION 'Agents can only exchange their own ticket sales' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_ticket.status NOT IN ('active', 'pending') THEN
+    RAISE EXCEPTION 'A % ticket cannot be exchanged', v_ticket.status USING ERRCODE = '55000';
+  END IF;
+
+  IF v_ticket.trip_id = p_new_trip_id AND v_ticket.seat_number = p_new_seat_number THEN
+    RAISE EXCEPTION 'The ticket is already on this trip and seat' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT tr.bus_id, b.capacity, tr.seat_class, b.is_active, tr.status
+    INTO v_bus_id, v_capacity, v_default_seat_class, v_bus_active, v_trip_status
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_new_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+    RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_new_seat_number < 2 OR p_new_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+  END IF;
+
+  -- The ticket keeps its seat class and pays the target departure's fare
+  -- for it, rules included.
+  v_fare := public.booking_trip_fare(
+    p_new_trip_id,
+    COALESCE(NULLIF(v_ticket.seat_class, ''), v_default_seat_class)
+  );
+  v_price := (v_fare->>'fare_usd')::numeric;
+  v_difference := v_price - v_ticket.price_paid_usd;
+
+  IF jsonb_typeof(v_collect) <> 'array' OR jsonb_typeof(v_refund) <> 'array' THEN
+    RAISE EXCEPTION 'Payment parts must be arrays' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_collect_total
+  FROM jsonb_array_elements(v_collect) AS part(value);
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_refund_total
+  FROM jsonb_array_elements(v_refund) AS part(value);
+
+  -- Money only moves for paid tickets. A pending ticket takes the new price
+  -- and is settled for the full amount when it is paid. Parts are counted in
+  -- the tendered currency and must add up to the difference converted into it.
+  IF v_ticket.payment_status = 'paid' THEN
+    v_rate := public.get_exchange_rate(v_currency);
+    IF abs(v_collect_total - public.round_currency(GREATEST(v_difference, 0) * v_rate, v_currency))
+         > public.currency_unit(v_currency)
+       OR abs(v_refund_total - public.round_currency(GREATEST(-v_difference, 0) * v_rate, v_currency))
+         > public.currency_unit(v_currency)
+    THEN
+      RAISE EXCEPTION 'Fare difference must be settled exactly: %', v_difference
+        USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_collect) AS part(value)
+      WHERE part.value->>'method' NOT IN ('cash', 'tpa', 'tpa_dinheiro')
+         OR COALESCE((part.value->>'amount')::numeric, 0) <= 0
+    ) OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_refund) AS part(value)
+      WHERE COALESCE((part.value->>'amount')::numeric, 0) <= 0
+         OR NOT EXISTS (
+           SELECT 1 FROM public.payment_transactions pt
+           WHERE pt.ticket_id = p_ticket_id
+             AND pt.status = 'completed'
+             AND pt.payment_method = part.value->>'method'
+         )
+    ) THEN
+      RAISE EXCEPTION 'Invalid fare difference payment' USING ERRCODE = '22023';
+    END IF;
+  ELSIF v_collect_total <> 0 OR v_refund_total <> 0 THEN
+    RAISE EXCEPTION 'Only paid tickets settle a fare difference' USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO public.ticket_exchanges (
+    ticket_id,
+    ticket_number,
+    idempotency_key,
+    exchanged_by,
+    from_trip_id,
+    from_seat_number,
+    from_price_usd,
+    to_trip_id,
+    to_seat_number,
+    to_price_usd,
+    fare_difference_usd
+  ) VALUES (
+    v_ticket.id,
+    v_ticket.ticket_number,
+    p_idempotency_key,
+    p_actor_id,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.price_paid_usd,
+    p_new_trip_id,
+    p_new_seat_number,
+    v_price,
+    v_difference
+  )
+  RETURNING * INTO v_exchange;
+
+  v_old_trip_id := v_ticket.trip_id;
+
+  UPDATE public.tickets tk
+  SET trip_id = p_new_trip_id,
+      seat_number = p_new_seat_number,
+      price_paid_usd = v_price,
+      base_price_usd = (v_fare->>'base_price_usd')::numeric,
+      fare_rules = v_fare->'applied_rules',
+      qr_code_data = 'TKT-' || p_new_trip_id::text || '-' || p_new_seat_number::text
+  WHERE tk.id = v_ticket.id
+  RETURNING tk.* INTO v_ticket;
+
+  -- Each part records what was tendered. Its USD share of the difference is
+  -- proportional, the last part taking the rounding, as in
+  -- book_agent_ticket_atomic. Refund rows are negative.
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+    payment_method, status, transaction_id
+  )
+  SELECT
+    v_ticket.id,
+    CASE
+      WHEN share.ordinality = share.part_count
+        THEN GREATEST(v_difference, 0) - share.earlier_usd
+      ELSE share.amount_usd
+    END,
+    v_currency,
+    share.amount,
+    v_rate,
+    share.method,
+    'completed',
+    'exchange-' || v_exchange.id::text || '-' || (share.ordinality - 1)::text
+  FROM (
+    SELECT
+      part.ordinality,
+      part.value->>'method' AS method,
+      (part.value->>'amount')::numeric AS amount,
+      round(GREATEST(v_difference, 0) * (part.value->>'amount')::numeric / v_collect_total, 2) AS amount_usd,
+      COALESCE(SUM(round(GREATEST(v_difference, 0) * (part.value->>'amount')::numeric / v_collect_total, 2)) OVER (
+        ORDER BY part.ordinality ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ), 0) AS earlier_usd,
+      count(*) OVER () AS part_count
+    FROM jsonb_array_elements(v_collect) WITH ORDINALITY AS part(value, ordinality)
+  ) AS share
+  UNION ALL
+  SELECT
+    v_ticket.id,
+    -CASE
+      WHEN share.ordinality = share.part_count
+        THEN GREATEST(-v_difference, 0) - share.earlier_usd
+      ELSE share.amount_usd
+    END,
+    v_currency,
+    -share.amount,
+    v_rate,
+    share.method,
+    'refunded',
+    'exchange-refund-' || v_exchange.id::text || '-' || (share.ordinality - 1)::text
+  FROM (
+    SELECT
+      part.ordinality,
+      part.value->>'method' AS method,
+      (part.value->>'amount')::numeric AS amount,
+      round(GREATEST(-v_difference, 0) * (part.value->>'amount')::numeric / v_refund_total, 2) AS amount_usd,
+      COALESCE(SUM(round(GREATEST(-v_difference, 0) * (part.value->>'amount')::numeric / v_refund_total, 2)) OVER (
+        ORDER BY part.ordinality ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ), 0) AS earlier_usd,
+      count(*) OVER () AS part_count
+    FROM jsonb_array_elements(v_refund) WITH ORDINALITY AS part(value, ordinality)
+  ) AS share;
+
+  -- update_available_seats only refreshes the trip the ticket now belongs to.
+  -- Refresh the cached count of the segments the ticket left as well.
+  IF v_old_trip_id IS DISTINCT FROM p_new_trip_id THEN
+    UPDATE public.trips target
+    SET available_seats = GREATEST(
+          (b.capacity - 1) - (
+            SELECT COUNT(DISTINCT tk.seat_number)
+            FROM public.tickets tk
+            JOIN public.trips src ON src.id = tk.trip_id
+            WHERE src.bus_id = target.bus_id
+              AND src.departure_time < target.arrival_time
+              AND target.departure_time < src.arrival_time
+              AND tk.status IN ('active', 'pending', 'used')
+              AND tk.seat_number <> public.copilot_seat_number()
+          ), 0)
+    FROM public.buses b
+    WHERE b.id = target.bus_id
+      AND target.id IN (
+        SELECT overlap.id FROM public.get_overlapping_trip_ids(v_old_trip_id) overlap
+      );
+  END IF;
+
+  RETURN QUERY SELECT
+    v_exchange.id,
+    v_ticket.id,
+    v_ticket.ticket_number,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.price_paid_usd,
+    v_exchange.fare_difference_usd,
+    v_ticket.qr_code_data,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb, text
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb, text
+) TO service_role;
+
+-- cancel_ticket_atomic as in supabase-migration-ticket-cancellation.sql,
+-- except that the refund parts and their ledger rows are in the tendered
+-- currency.
+CREATE OR REPLACE FUNCTION public.cancel_ticket_atomic(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_reason text DEFAULT NULL,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb,
+  p_currency text DEFAULT 'USD'
+)
+RETURNS TABLE (
+  cancellation_id uuid,
+  ticket_id uuid,
+  ticket_status text,
+  payment_status text,
+  refund_amount_usd numeric,
+  approved_by uuid,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_ticket public.tickets%ROWTYPE;
+  v_actor_role text;
+  v_existing public.ticket_cancellations%ROWTYPE;
+  v_cancellation public.ticket_cancellations%ROWTYPE;
+  v_parts jsonb := COALESCE(p_refund_parts, '[]'::jsonb);
+  v_refund_total numeric := 0;
+  v_paid_total numeric := 0;
+  v_currency text := upper(COALESCE(NULLIF(btrim(p_currency), ''), 'USD'));
+  v_rate numeric;
+  v_refund_tendered numeric := 0;
+BEGIN
+  IF v_currency NOT IN ('USD', 'AOA') THEN
+    RAISE EXCEPTION 'Unsupported currency' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT p.role INTO v_actor_role
+  FROM public.profiles p
+  WHERE p.id = p_actor_id;
+
+  IF v_actor_role IS NULL OR v_actor_role NOT IN ('agent', 'admin') THEN
+    RAISE EXCEPTION 'Only agents can cancel tickets' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT tk.* INTO v_ticket
+  FROM public.tickets tk
+  WHERE tk.id = p_ticket_id
+  FOR UPDATE;
+
+  IF v_ticket.id IS NULL THEN
+    RAISE EXCEPTION 'Ticket not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT c.* INTO v_existing
+  FROM public.ticket_cancellations c
+  WHERE c.ticket_id = p_ticket_id;
+
+  IF v_existing.id IS NOT NULL THEN
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_ticket.id,
+      v_ticket.status,
+      v_ticket.payment_status,
+      v_existing.refund_amount_usd,
+      v_existing.approved_by,
+      true;
+    RETURN;
+  END IF;
+
+  IF v_actor_role <> 'admin' AND v_ticket.booked_by IS DISTINCT FROM p_actor_id THEN
+    RAISE EXCEPTION 'Agents can only cancel their own ticket sales' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_ticket.status = 'used' THEN
+    RAISE EXCEPTION 'A used ticket cannot be cancelled' USING ERRCODE = '55000';
+  END IF;
+
+  IF v_ticket.status NOT IN ('active', 'pending') THEN
+    RAISE EXCEPTION 'Ticket is already %', v_ticket.status USING ERRCODE = '55000';
+  END IF;
+
+  IF jsonb_typeof(v_parts) <> 'array' THEN
+    RAISE EXCEPTION 'Refund parts must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(v_parts) AS part(value)
+    WHERE COALESCE((part.value->>'amount')::numeric, 0) <= 0
+       OR NOT EXISTS (
+         SELECT 1 FROM public.payment_transactions pt
+         WHERE pt.ticket_id = p_ticket_id
+           AND pt.status = 'completed'
+           AND pt.payment_method = part.value->>'method'
+       )
+  ) THEN
+    RAISE EXCEPTION 'Refund parts must use the original payment methods' USING ERRCODE = '22023';
+  END IF;
+
+  -- Parts are handed back in the tendered currency; the refund is their USD
+  -- value at the current rate.
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_refund_tendered
+  FROM jsonb_array_elements(v_parts) AS part(value);
+
+  IF v_refund_tendered > 0 THEN
+    v_rate := public.get_exchange_rate(v_currency);
+    v_refund_total := round(v_refund_tendered / v_rate, 2);
+  END IF;
+
+  SELECT COALESCE(SUM(pt.amount_usd), 0)
+    INTO v_paid_total
+  FROM public.payment_transactions pt
+  WHERE pt.ticket_id = p_ticket_id
+    AND pt.status IN ('completed', 'refunded');
+
+  IF v_refund_tendered > 0 AND v_ticket.payment_status <> 'paid' THEN
+    RAISE EXCEPTION 'Only paid tickets can be refunded' USING ERRCODE = '55000';
+  END IF;
+
+  IF v_refund_total > v_paid_total + 0.005 THEN
+    RAISE EXCEPTION 'Refund cannot exceed the amount collected' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO public.ticket_cancellations (
+    ticket_id,
+    cancelled_by,
+    approved_by,
+    reason,
+    previous_status,
+    previous_payment_status,
+    refund_amount_usd
+  ) VALUES (
+    p_ticket_id,
+    p_actor_id,
+    p_actor_id,
+    NULLIF(btrim(p_reason), ''),
+    v_ticket.status,
+    v_ticket.payment_status,
+    v_refund_total
+  )
+  RETURNING * INTO v_cancellation;
+
+  -- Each part records what was handed back. Its USD share is proportional,
+  -- the last part taking the rounding so the rows add up to the refund.
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+    payment_method, status, transaction_id
+  )
+  SELECT
+    p_ticket_id,
+    -CASE
+      WHEN share.ordinality = share.part_count
+        THEN v_refund_total - share.earlier_usd
+      ELSE share.amount_usd
+    END,
+    v_currency,
+    -share.amount,
+    v_rate,
+    share.method,
+    'refunded',
+    'refund-' || v_cancellation.id::text || '-' || (share.ordinality - 1)::text
+  FROM (
+    SELECT
+      part.ordinality,
+      part.value->>'method' AS method,
+      (part.value->>'amount')::numeric AS amount,
+      round(v_refund_total * (part.value->>'amount')::numeric / v_refund_tendered, 2) AS amount_usd,
+      COALESCE(SUM(round(v_refund_total * (part.value->>'amount')::numeric / v_refund_tendered, 2)) OVER (
+        ORDER BY part.ordinality ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ), 0) AS earlier_usd,
+      count(*) OVER () AS part_count
+    FROM jsonb_array_elements(v_parts) WITH ORDINALITY AS part(value, ordinality)
+  ) AS share;
+
+  -- The status change fires update_available_seats and the seat guards, which
+  -- free the seat on every overlapping segment of the same bus.
+  UPDATE public.tickets tk
+  SET status = CASE WHEN v_refund_tendered > 0 THEN 'refunded' ELSE 'cancelled' END,
+      payment_status = CASE WHEN v_refund_tendered > 0 THEN 'refunded' ELSE tk.payment_status END
+  WHERE tk.id = p_ticket_id
+  RETURNING tk.* INTO v_ticket;
+
+  RETURN QUERY SELECT
+    v_cancellation.id,
+    v_ticket.id,
+    v_ticket.status,
+    v_ticket.payment_status,
+    v_cancellation.refund_amount_usd,
+    v_cancellation.approved_by,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.cancel_ticket_atomic(uuid, uuid, text, jsonb, text)
+  FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.cancel_ticket_atomic(uuid, uuid, text, jsonb, text)
+  TO service_role;
+
+-- cancel_ticket_atomic_v2 as in supabase-migration-refund-policies.sql, apart
+-- from passing p_currency through.
+CREATE OR REPLACE FUNCTION public.cancel_ticket_atomic_v2(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_reason text DEFAULT NULL,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb,
+  p_refund_policy jsonb DEFAULT NULL,
+  p_currency text DEFAULT 'USD'
+)
+RETURNS TABLE (
+  cancellation_id uuid,
+  ticket_id uuid,
+  ticket_status text,
+  payment_status text,
+  refund_amount_usd numeric,
+  approved_by uuid,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_result record;
+BEGIN
+  SELECT * INTO STRICT v_result
+  FROM public.cancel_ticket_atomic(
+    p_ticket_id,
+    p_actor_id,
+    p_reason,
+    p_refund_parts,
+    p_currency
+  );
+
+  IF NOT v_result.was_idempotent THEN
+    UPDATE public.ticket_cancellations c
+    SET refund_policy = p_refund_policy
+    WHERE c.id = v_result.cancellation_id;
+  END IF;
+
+  RETURN QUERY SELECT
+    v_result.cancellation_id::uuid,
+    v_result.ticket_id::uuid,
+    v_result.ticket_status::text,
+    v_result.payment_status::text,
+    v_result.refund_amount_usd::numeric,
+    v_result.approved_by::uuid,
+    v_result.was_idempotent::boolean;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.cancel_ticket_atomic_v2(uuid, uuid, text, jsonb, jsonb, text)
+  FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.cancel_ticket_atomic_v2(uuid, uuid, text, jsonb, jsonb, text)
+  TO service_role;
+
+-- A drawer holds kwanzas and dollars apart, so a shift is reconciled per
+-- tendered currency. expected_cash_usd, declared_cash_usd and variance_usd
+-- keep the dollar drawer; cash_by_currency has every currency counted.
+ALTER TABLE public.agent_shifts
+  ADD COLUMN IF NOT EXISTS cash_by_currency jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+UPDATE public.agent_shifts s
+SET cash_by_currency = jsonb_build_object('USD', jsonb_build_object(
+  'expected', s.expected_cash_usd,
+  'declared', s.declared_cash_usd,
+  'variance', s.variance_usd
+))
+WHERE s.cash_by_currency = '{}'::jsonb;
+
+-- The result gains the tendered currency and amount of each row.
+DROP FUNCTION IF EXISTS public.get_agent_shift_ledger(uuid, timestamptz, timestamptz);
+
+-- get_agent_shift_ledger as in supabase-migration-agent-shifts.sql, except
+-- that it also returns what each row tendered. Rows from before this
+-- migration count as USD.
+CREATE OR REPLACE FUNCTION public.get_agent_shift_ledger(
+  p_agent_id uuid,
+  p_from timestamptz,
+  p_to timestamptz
+)
+RETURNS TABLE (
+  transaction_id text,
+  ticket_id uuid,
+  ticket_number text,
+  entry_type text,
+  payment_method text,
+  status text,
+  amount_usd numeric,
+  recorded_at timestamptz,
+  currency text,
+  tendered_amount numeric
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+BEGIN
+  IF p_agent_id IS NULL OR p_from IS NULL OR p_to IS NULL OR p_to <= p_from THEN
+    RAISE EXCEPTION 'Agent and a valid time range are required' USING ERRCODE = '22023';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    pt.transaction_id,
+    pt.ticket_id,
+    tk.ticket_number,
+    CASE
+      WHEN pt.transaction_id LIKE 'refund-%' THEN 'refund'
+      WHEN pt.transaction_id LIKE 'exchange-%' THEN 'exchange'
+      ELSE 'sale'
+    END,
+    pt.payment_method,
+    pt.status,
+    pt.amount_usd,
+    pt.created_at,
+    COALESCE(pt.currency, 'USD'),
+    COALESCE(pt.tendered_amount, pt.amount_usd)
+  FROM public.payment_transactions pt
+  JOIN public.tickets tk ON tk.id = pt.ticket_id
+  LEFT JOIN public.ticket_cancellations tc
+    ON tc.ticket_id = pt.ticket_id
+   AND pt.transaction_id LIKE 'refund-' || tc.id::text || '-%'
+  LEFT JOIN public.ticket_exchanges te
+    ON te.ticket_id = pt.ticket_id
+   AND (
+     pt.transaction_id LIKE 'exchange-' || te.id::text || '-%'
+     OR pt.transaction_id LIKE 'exchange-refund-' || te.id::text || '-%'
+   )
+  WHERE pt.created_at >= p_from
+    AND pt.created_at < p_to
+    AND pt.status IN ('completed', 'refunded')
+    AND CASE
+      WHEN tc.id IS NOT NULL THEN tc.cancelled_by = p_agent_id
+      WHEN te.id IS NOT NULL THEN te.exchanged_by = p_agent_id
+      ELSE tk.booked_by = p_agent_id
+    END
+  ORDER BY pt.created_at, pt.transaction_id;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_agent_shift_ledger(uuid, timestamptz, timestamptz)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_agent_shift_ledger(uuid, timestamptz, timestamptz)
+  TO service_role;
+
+COMMIT;
@@ -0,0 +1,277 @@
+-- Nawabus delta sync change log (2026-10-19)
+--
+-- Apply after supabase-migration-boarding-scans.sql and before deploying
+-- GET /api/sync. Triggers record which trips, routes, buses and trip seat maps
+-- changed. Terminals pull only those changes since their last cursor instead
+-- of re-reading every future trip.
+--
+-- The cursor is (transaction id, change id). A read only returns changes of
+-- transactions older than the oldest transaction still running, so a change
+-- committed late by a slow transaction is never skipped. A long transaction
+-- delays sync until it ends; it never loses a change.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.sync_changes (
+  id bigserial PRIMARY KEY,
+  txid xid8 NOT NULL DEFAULT pg_current_xact_id(),
+  entity text NOT NULL CHECK (entity IN ('trip', 'route', 'bus', 'trip_seats')),
+  entity_id uuid NOT NULL,
+  op text NOT NULL CHECK (op IN ('upsert', 'delete')),
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_changes_cursor
+  ON public.sync_changes (txid, id);
+
+CREATE INDEX IF NOT EXISTS idx_sync_changes_changed_at
+  ON public.sync_changes (changed_at);
+
+ALTER TABLE public.sync_changes ENABLE ROW LEVEL SECURITY;
+
+-- Oldest cursor that can still be served. prune_sync_changes() moves it
+-- forward; an older cursor must do a full pull.
+CREATE TABLE IF NOT EXISTS public.sync_change_floor (
+  id boolean PRIMARY KEY DEFAULT true CHECK (id),
+  floor_txid xid8 NOT NULL,
+  pruned_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.sync_change_floor ENABLE ROW LEVEL SECURITY;
+
+-- Trips, routes and buses. The entity name is the trigger argument. Writes
+-- that only refresh the cached available_seats count are skipped: those are
+-- reported as trip_seats changes by the ticket and hold triggers.
+CREATE OR REPLACE FUNCTION public.log_sync_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND (to_jsonb(NEW) - 'available_seats' - 'updated_at')
+       = (to_jsonb(OLD) - 'available_seats' - 'updated_at')
+  THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO public.sync_changes (entity, entity_id, op)
+  VALUES (
+    TG_ARGV[0],
+    CASE WHEN TG_OP = 'DELETE' THEN OLD.id ELSE NEW.id END,
+    CASE WHEN TG_OP = 'DELETE' THEN 'delete' ELSE 'upsert' END
+  );
+
+  RETURN NULL;
+END;
+$function$;
+
+-- Tickets and holds change the seat map of their trip and of every trip that
+-- overlaps it on the same bus, since those share seats.
+CREATE OR REPLACE FUNCTION public.log_seat_sync_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_trip_ids uuid[] := ARRAY[]::uuid[];
+BEGIN
+  IF TG_TABLE_NAME = 'tickets'
+     AND TG_OP = 'UPDATE'
+     AND OLD.trip_id IS NOT DISTINCT FROM NEW.trip_id
+     AND OLD.seat_number IS NOT DISTINCT FROM NEW.seat_number
+     AND (OLD.status IN ('active', 'pending', 'used'))
+       IS NOT DISTINCT FROM (NEW.status IN ('active', 'pending', 'used'))
+  THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    v_trip_ids := v_trip_ids || OLD.trip_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    v_trip_ids := v_trip_ids || NEW.trip_id;
+  END IF;
+
+  INSERT INTO public.sync_changes (entity, entity_id, op)
+  SELECT 'trip_seats', affected.id, 'upsert'
+  FROM (
+    SELECT changed.id
+    FROM unnest(v_trip_ids) AS changed(id)
+    WHERE changed.id IS NOT NULL
+    UNION
+    SELECT overlap.id
+    FROM unnest(v_trip_ids) AS changed(id)
+    CROSS JOIN LATERAL public.get_overlapping_trip_ids(changed.id) overlap
+    WHERE changed.id IS NOT NULL
+  ) affected;
+
+  RETURN NULL;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS log_sync_change_on_trips ON public.trips;
+DROP TRIGGER IF EXISTS log_sync_change_on_routes ON public.routes;
+DROP TRIGGER IF EXISTS log_sync_change_on_buses ON public.buses;
+DROP TRIGGER IF EXISTS log_seat_sync_change_on_tickets ON public.tickets;
+DROP TRIGGER IF EXISTS log_seat_sync_change_on_holds ON public.online_bookings;
+
+CREATE TRIGGER log_sync_change_on_trips
+AFTER INSERT OR UPDATE OR DELETE ON public.trips
+FOR EACH ROW EXECUTE FUNCTION public.log_sync_change('trip');
+
+CREATE TRIGGER log_sync_change_on_routes
+AFTER INSERT OR UPDATE OR DELETE ON public.routes
+FOR EACH ROW EXECUTE FUNCTION public.log_sync_change('route');
+
+CREATE TRIGGER log_sync_change_on_buses
+AFTER INSERT OR UPDATE OR DELETE ON public.buses
+FOR EACH ROW EXECUTE FUNCTION public.log_sync_change('bus');
+
+CREATE TRIGGER log_seat_sync_change_on_tickets
+AFTER INSERT OR DELETE OR UPDATE OF trip_id, seat_number, status ON public.tickets
+FOR EACH ROW EXECUTE FUNCTION public.log_seat_sync_change();
+
+CREATE TRIGGER log_seat_sync_change_on_holds
+AFTER INSERT OR DELETE ON public.online_bookings
+FOR EACH ROW EXECUTE FUNCTION public.log_seat_sync_change();
+
+CREATE OR REPLACE FUNCTION public.get_sync_changes(
+  p_after_txid text DEFAULT NULL,
+  p_after_id bigint DEFAULT 0,
+  p_limit integer DEFAULT 500
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_horizon xid8 := pg_snapshot_xmin(pg_current_snapshot());
+  v_after_txid xid8;
+  v_after_id bigint := COALESCE(p_after_id, 0);
+  v_floor xid8;
+  v_changes jsonb;
+  v_count integer;
+  v_last record;
+BEGIN
+  IF p_limit IS NULL OR p_limit < 1 OR p_limit > 1000 THEN
+    RAISE EXCEPTION 'Limit must be between 1 and 1000' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT f.floor_txid INTO v_floor FROM public.sync_change_floor f;
+
+  -- No cursor, or one older than the pruned history: the terminal must do a
+  -- full pull. The cursor returned here is taken before that pull, so changes
+  -- committed while it runs are delivered by the next delta.
+  IF p_after_txid IS NULL OR (v_floor IS NOT NULL AND p_after_txid::xid8 <= v_floor) THEN
+    RETURN jsonb_build_object(
+      'full_sync_required', true,
+      'has_more', false,
+      'cursor_txid', v_horizon::text,
+      'cursor_id', 0,
+      'changes', '[]'::jsonb
+    );
+  END IF;
+
+  v_after_txid := p_after_txid::xid8;
+
+  WITH page AS (
+    SELECT c.id, c.txid, c.entity, c.entity_id, c.op, c.changed_at
+    FROM public.sync_changes c
+    WHERE (c.txid, c.id) > (v_after_txid, v_after_id)
+      AND c.txid < v_horizon
+    ORDER BY c.txid, c.id
+    LIMIT p_limit + 1
+  )
+  SELECT
+    COALESCE(jsonb_agg(jsonb_build_object(
+      'id', page.id,
+      'txid', page.txid::text,
+      'entity', page.entity,
+      'entity_id', page.entity_id,
+      'op', page.op,
+      'changed_at', page.changed_at
+    ) ORDER BY page.txid, page.id), '[]'::jsonb),
+    COUNT(*)
+  INTO v_changes, v_count
+  FROM page;
+
+  IF v_count > p_limit THEN
+    v_changes := v_changes - p_limit;
+    SELECT (v_changes->(p_limit - 1)->>'txid')::xid8 AS txid,
+           (v_changes->(p_limit - 1)->>'id')::bigint AS id
+      INTO v_last;
+    RETURN jsonb_build_object(
+      'full_sync_required', false,
+      'has_more', true,
+      'cursor_txid', v_last.txid::text,
+      'cursor_id', v_last.id,
+      'changes', v_changes
+    );
+  END IF;
+
+  -- Everything below the horizon has been delivered.
+  IF (v_horizon, 0::bigint) > (v_after_txid, v_after_id) THEN
+    v_after_txid := v_horizon;
+    v_after_id := 0;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'full_sync_required', false,
+    'has_more', false,
+    'cursor_txid', v_after_txid::text,
+    'cursor_id', v_after_id,
+    'changes', v_changes
+  );
+END;
+$function$;
+
+-- Run daily (for example with pg_cron). Terminals offline for longer than the
+-- retention window fall back to a full pull.
+CREATE OR REPLACE FUNCTION public.prune_sync_changes(p_keep interval DEFAULT interval '14 days')
+RETURNS bigint
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_pruned_through xid8;
+  v_deleted bigint;
+BEGIN
+  SELECT c.txid INTO v_pruned_through
+  FROM public.sync_changes c
+  WHERE c.changed_at < now() - p_keep
+  ORDER BY c.txid DESC
+  LIMIT 1;
+
+  DELETE FROM public.sync_changes c
+  WHERE c.txid <= v_pruned_through;
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  IF v_pruned_through IS NOT NULL THEN
+    INSERT INTO public.sync_change_floor (id, floor_txid)
+    VALUES (true, v_pruned_through)
+    ON CONFLICT (id) DO UPDATE
+    SET floor_txid = GREATEST(public.sync_change_floor.floor_txid, EXCLUDED.floor_txid),
+        pruned_at = now();
+  END IF;
+
+  RETURN v_deleted;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_sync_changes(text, bigint, integer)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_sync_changes(text, bigint, integer)
+  TO service_role;
+
+REVOKE ALL ON FUNCTION public.prune_sync_changes(interval)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.prune_sync_changes(interval)
+  TO service_role;
+
+COMMIT;
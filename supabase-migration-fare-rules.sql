@@ -0,0 +1,1019 @@
+-- Nawabus fare rules (2026-10-19)
+--
+-- Apply after supabase-migration-coupons.sql and before deploying the
+-- matching API. Operators define fare rules that adjust trips.price_usd for
+-- a departure: weekday and holiday surcharges, early-purchase discounts, a
+-- surcharge on the last seats left and seat-class differences. Trip search,
+-- trip detail, quotes, both booking paths and exchanges charge the resulting
+-- fare, and every ticket records its base price and the rules applied to it.
+--
+-- With no rules defined every fare equals trips.price_usd, as before.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.fare_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  kind text NOT NULL CHECK (
+    kind IN ('day_of_week', 'holiday', 'advance_purchase', 'last_seats', 'seat_class')
+  ),
+  company_id uuid REFERENCES public.companies (id),
+  route_id uuid REFERENCES public.routes (id),
+  -- Positive values are surcharges, negative values discounts. A percentage
+  -- is taken of trips.price_usd, so rules add up instead of compounding.
+  adjustment_type text NOT NULL DEFAULT 'percentage'
+    CHECK (adjustment_type IN ('percentage', 'fixed')),
+  adjustment_value numeric(12, 2) NOT NULL
+    CHECK (adjustment_value <> 0 AND (adjustment_type <> 'percentage' OR adjustment_value >= -100)),
+  -- ISO weekdays of the departure in Angola time: 1 = Monday ... 7 = Sunday.
+  days_of_week integer[] CHECK (days_of_week <@ ARRAY[1, 2, 3, 4, 5, 6, 7]),
+  min_days_before integer CHECK (min_days_before >= 0),
+  max_days_before integer CHECK (max_days_before > 0),
+  max_remaining_seats integer CHECK (max_remaining_seats > 0),
+  seat_class text,
+  valid_from date,
+  valid_until date,
+  priority integer NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (kind <> 'day_of_week' OR COALESCE(cardinality(days_of_week), 0) > 0),
+  CHECK (kind <> 'advance_purchase' OR min_days_before IS NOT NULL OR max_days_before IS NOT NULL),
+  CHECK (kind <> 'last_seats' OR max_remaining_seats IS NOT NULL),
+  CHECK (kind <> 'seat_class' OR seat_class IS NOT NULL),
+  CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_until >= valid_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fare_rules_active
+  ON public.fare_rules (is_active, company_id, route_id);
+
+ALTER TABLE public.fare_rules ENABLE ROW LEVEL SECURITY;
+
+-- Departure dates (Angola calendar) that trigger 'holiday' rules.
+CREATE TABLE IF NOT EXISTS public.fare_holidays (
+  holiday_date date PRIMARY KEY,
+  name text NOT NULL
+);
+
+ALTER TABLE public.fare_holidays ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.tickets
+  ADD COLUMN IF NOT EXISTS base_price_usd numeric(12, 2),
+  ADD COLUMN IF NOT EXISTS fare_rules jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+-- Fare of each trip for one seat class (the trip's own class by default).
+-- The last-seats rule reads available_seats from get_trip_seat_availability,
+-- so holds and overlapping segments of the same bus count as taken.
+CREATE OR REPLACE FUNCTION public.get_trip_fares(
+  p_trip_ids uuid[],
+  p_seat_class text DEFAULT NULL
+)
+RETURNS TABLE (
+  trip_id uuid,
+  seat_class text,
+  base_price_usd numeric,
+  fare_usd numeric,
+  available_seats integer,
+  applied_rules jsonb
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  WITH requested AS (
+    SELECT
+      tr.id AS trip_id,
+      tr.route_id,
+      b.company_id,
+      tr.departure_time,
+      (tr.departure_time AT TIME ZONE 'Africa/Luanda')::date AS departure_date,
+      COALESCE(NULLIF(btrim(p_seat_class), ''), tr.seat_class, 'economy') AS seat_class,
+      tr.price_usd AS base_price_usd,
+      availability.available_seats
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    LEFT JOIN public.get_trip_seat_availability(p_trip_ids) AS availability
+      ON availability.trip_id = tr.id
+    WHERE tr.id = ANY(COALESCE(p_trip_ids, ARRAY[]::uuid[]))
+  ),
+  applied AS (
+    SELECT
+      req.trip_id,
+      rule.id AS rule_id,
+      rule.name,
+      rule.kind,
+      rule.adjustment_type,
+      rule.adjustment_value,
+      rule.priority,
+      CASE
+        WHEN rule.adjustment_type = 'percentage'
+          THEN round(req.base_price_usd * rule.adjustment_value / 100, 2)
+        ELSE rule.adjustment_value
+      END AS amount_usd
+    FROM requested req
+    JOIN public.fare_rules rule
+      ON rule.is_active
+     AND (rule.company_id IS NULL OR rule.company_id = req.company_id)
+     AND (rule.route_id IS NULL OR rule.route_id = req.route_id)
+     AND (rule.valid_from IS NULL OR req.departure_date >= rule.valid_from)
+     AND (rule.valid_until IS NULL OR req.departure_date <= rule.valid_until)
+    WHERE CASE rule.kind
+      WHEN 'day_of_week' THEN
+        extract(isodow FROM req.departure_date)::integer = ANY(rule.days_of_week)
+      WHEN 'holiday' THEN EXISTS (
+        SELECT 1 FROM public.fare_holidays holiday
+        WHERE holiday.holiday_date = req.departure_date
+      )
+      WHEN 'advance_purchase' THEN
+        (rule.min_days_before IS NULL
+          OR req.departure_time - now() >= make_interval(days => rule.min_days_before))
+        AND (rule.max_days_before IS NULL
+          OR req.departure_time - now() < make_interval(days => rule.max_days_before))
+      WHEN 'last_seats' THEN req.available_seats <= rule.max_remaining_seats
+      WHEN 'seat_class' THEN req.seat_class = rule.seat_class
+      ELSE false
+    END
+  )
+  SELECT
+    req.trip_id,
+    req.seat_class,
+    req.base_price_usd,
+    GREATEST(req.base_price_usd + COALESCE(SUM(applied.amount_usd), 0), 0),
+    req.available_seats,
+    COALESCE(
+      jsonb_agg(
+        jsonb_build_object(
+          'id', applied.rule_id,
+          'name', applied.name,
+          'kind', applied.kind,
+          'adjustment_type', applied.adjustment_type,
+          'adjustment_value', applied.adjustment_value,
+          'amount_usd', applied.amount_usd
+        )
+        ORDER BY applied.priority DESC, applied.rule_id
+      ) FILTER (WHERE applied.rule_id IS NOT NULL),
+      '[]'::jsonb
+    )
+  FROM requested req
+  LEFT JOIN applied ON applied.trip_id = req.trip_id
+  GROUP BY req.trip_id, req.seat_class, req.base_price_usd, req.available_seats;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_trip_fares(uuid[], text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_trip_fares(uuid[], text)
+  TO service_role;
+
+-- The fare a booking charges, fixed for the rest of the transaction. Without
+-- this, every seat of a group or basket would see the seats inserted before
+-- it and the last-seats surcharge could change halfway through one sale.
+CREATE OR REPLACE FUNCTION public.booking_trip_fare(
+  p_trip_id uuid,
+  p_seat_class text DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_setting text := 'nawabus.fare_' || md5(p_trip_id::text || ':' || COALESCE(p_seat_class, ''));
+  v_cached text := current_setting(v_setting, true);
+  v_fare jsonb;
+BEGIN
+  IF NULLIF(v_cached, '') IS NOT NULL THEN
+    RETURN v_cached::jsonb;
+  END IF;
+
+  SELECT to_jsonb(fare) INTO v_fare
+  FROM public.get_trip_fares(ARRAY[p_trip_id], p_seat_class) AS fare;
+
+  IF v_fare IS NOT NULL THEN
+    PERFORM set_config(v_setting, v_fare::text, true);
+  END IF;
+  RETURN v_fare;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.booking_trip_fare(uuid, text)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.booking_trip_fare(uuid, text)
+  TO service_role;
+
+-- book_agent_ticket_atomic as before, except that it charges the fare from
+-- booking_trip_fare() instead of trips.price_usd and stores the applied
+-- rules. book_agent_ticket_atomic_v2 and book_agent_group_atomic call it, so
+-- single and group counter sales both pick it up.
+CREATE OR REPLACE FUNCTION public.book_agent_ticket_atomic(
+  p_trip_id uuid,
+  p_passenger_id uuid,
+  p_booked_by uuid,
+  p_seat_number integer,
+  p_payment_method text,
+  p_payment_status text,
+  p_idempotency_key text,
+  p_seat_class text DEFAULT NULL,
+  p_payment_reference text DEFAULT NULL,
+  p_ticket_number text DEFAULT NULL,
+  p_splits jsonb DEFAULT '[]'::jsonb
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_existing public.tickets%ROWTYPE;
+  v_ticket public.tickets%ROWTYPE;
+  v_bus_id uuid;
+  v_departure_time timestamptz;
+  v_arrival_time timestamptz;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_splits jsonb := COALESCE(p_splits, '[]'::jsonb);
+  v_split_total numeric;
+  v_fare jsonb;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  p_ticket_number := NULLIF(btrim(p_ticket_number), '');
+  p_payment_reference := NULLIF(btrim(p_payment_reference), '');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 200 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 200 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_method NOT IN ('cash', 'tpa', 'tpa_dinheiro', 'referencia') THEN
+    RAISE EXCEPTION 'Unsupported payment method' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_status NOT IN ('pending', 'paid') THEN
+    RAISE EXCEPTION 'Unsupported initial payment status' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_method IN ('cash', 'tpa', 'tpa_dinheiro')
+     AND p_payment_status <> 'paid'
+  THEN
+    RAISE EXCEPTION 'Counter payments must be paid atomically' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.profiles p
+    WHERE p.id = p_booked_by AND p.role IN ('agent', 'admin')
+  ) THEN
+    RAISE EXCEPTION 'Only agents can create counter bookings' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_booked_by::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT tk.* INTO v_existing
+  FROM public.tickets tk
+  WHERE (tk.booked_by = p_booked_by AND tk.idempotency_key = p_idempotency_key)
+     OR (p_ticket_number IS NOT NULL AND tk.ticket_number = p_ticket_number)
+  ORDER BY (tk.booked_by = p_booked_by AND tk.idempotency_key = p_idempotency_key) DESC
+  LIMIT 1;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.booked_by IS DISTINCT FROM p_booked_by
+       OR v_existing.trip_id IS DISTINCT FROM p_trip_id
+       OR v_existing.passenger_id IS DISTINCT FROM p_passenger_id
+       OR v_existing.seat_number IS DISTINCT FROM p_seat_number
+    THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    IF v_existing.payment_status = 'paid'
+       AND v_existing.payment_method IN ('cash', 'tpa', 'tpa_dinheiro')
+       AND NOT EXISTS (
+         SELECT 1 FROM public.payment_transactions pt
+         WHERE pt.ticket_id = v_existing.id AND pt.status = 'completed'
+       )
+    THEN
+      RAISE EXCEPTION 'Existing paid ticket is missing its payment transaction'
+        USING ERRCODE = '55000';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_existing.ticket_number,
+      v_existing.trip_id,
+      v_existing.passenger_id,
+      v_existing.booked_by,
+      v_existing.seat_number,
+      v_existing.seat_class,
+      v_existing.price_paid_usd,
+      v_existing.payment_reference,
+      v_existing.payment_status,
+      v_existing.payment_method,
+      v_existing.qr_code_data,
+      v_existing.status,
+      true;
+    RETURN;
+  END IF;
+
+  SELECT
+    tr.bus_id,
+    tr.departure_time,
+    tr.arrival_time,
+    b.capacity,
+    tr.price_usd,
+    tr.seat_class,
+    b.is_active,
+    tr.status
+  INTO
+    v_bus_id,
+    v_departure_time,
+    v_arrival_time,
+    v_capacity,
+    v_price,
+    v_default_seat_class,
+    v_bus_active,
+    v_trip_status
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+    RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_seat_number < 2 OR p_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+  END IF;
+
+  -- Charge the fare of the sold seat class; splits must add up to it.
+  v_fare := public.booking_trip_fare(p_trip_id, COALESCE(NULLIF(p_seat_class, ''), v_default_seat_class));
+  v_price := (v_fare->>'fare_usd')::numeric;
+
+  IF jsonb_typeof(v_splits) <> 'array' THEN
+    RAISE EXCEPTION 'Payment splits must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  IF jsonb_array_length(v_splits) > 0 THEN
+    IF p_payment_method <> 'tpa_dinheiro' THEN
+      RAISE EXCEPTION 'Splits are only valid for TPA/cash payments' USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(v_splits) AS part(value)
+      WHERE part.value->>'method' NOT IN ('cash', 'tpa')
+         OR COALESCE((part.value->>'amount')::numeric, 0) <= 0
+    ) THEN
+      RAISE EXCEPTION 'Invalid payment split' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT SUM((part.value->>'amount')::numeric)
+      INTO v_split_total
+    FROM jsonb_array_elements(v_splits) AS part(value);
+
+    IF abs(v_split_total - v_price) > 0.01 THEN
+      RAISE EXCEPTION 'Split payment total must equal ticket price' USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  -- Match guard_seat_conflict/create_seat_hold so ticket and hold races share
+  -- one lock. The trigger repeats the ticket check as defense in depth.
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || p_seat_number::text, 0)
+  );
+
+  IF EXISTS (
+    SELECT 1
+    FROM public.online_bookings hold
+    JOIN public.trips sibling ON sibling.id = hold.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND hold.seat_number = p_seat_number
+      AND hold.expires_at > now()
+  ) THEN
+    RAISE EXCEPTION 'Seat currently reserved for an online payment'
+      USING ERRCODE = '23505';
+  END IF;
+
+  INSERT INTO public.tickets (
+    trip_id,
+    passenger_id,
+    booked_by,
+    booking_source,
+    seat_class,
+    seat_number,
+    ticket_number,
+    price_paid_usd,
+    base_price_usd,
+    fare_rules,
+    payment_status,
+    payment_method,
+    payment_reference,
+    qr_code_data,
+    idempotency_key
+  ) VALUES (
+    p_trip_id,
+    p_passenger_id,
+    p_booked_by,
+    'mobile_app',
+    COALESCE(NULLIF(p_seat_class, ''), v_default_seat_class),
+    p_seat_number,
+    p_ticket_number,
+    v_price,
+    (v_fare->>'base_price_usd')::numeric,
+    v_fare->'applied_rules',
+    p_payment_status,
+    p_payment_method,
+    CASE WHEN p_payment_method = 'referencia' THEN NULL ELSE p_payment_reference END,
+    'TKT-' || p_trip_id::text || '-' || p_seat_number::text,
+    p_idempotency_key
+  )
+  RETURNING * INTO v_ticket;
+
+  IF p_payment_method IN ('cash', 'tpa', 'tpa_dinheiro') THEN
+    IF jsonb_array_length(v_splits) > 0 THEN
+      INSERT INTO public.payment_transactions (
+        ticket_id, amount_usd, currency, payment_method, status, transaction_id
+      )
+      SELECT
+        v_ticket.id,
+        (part.value->>'amount')::numeric,
+        'USD',
+        part.value->>'method',
+        'completed',
+        'agent-' || gen_random_uuid()::text || '-' || (part.ordinality - 1)::text
+      FROM jsonb_array_elements(v_splits) WITH ORDINALITY AS part(value, ordinality);
+    ELSE
+      INSERT INTO public.payment_transactions (
+        ticket_id, amount_usd, currency, payment_method, status, transaction_id
+      ) VALUES (
+        v_ticket.id,
+        v_price,
+        'USD',
+        p_payment_method,
+        'completed',
+        'txn-' || gen_random_uuid()::text
+      );
+    END IF;
+  END IF;
+
+  IF p_payment_method = 'referencia' AND p_payment_reference IS NOT NULL THEN
+    UPDATE public.tickets tk
+    SET payment_reference = p_payment_reference
+    WHERE tk.id = v_ticket.id
+    RETURNING * INTO v_ticket;
+  END IF;
+
+  RETURN QUERY SELECT
+    v_ticket.id,
+    v_ticket.ticket_number,
+    v_ticket.trip_id,
+    v_ticket.passenger_id,
+    v_ticket.booked_by,
+    v_ticket.seat_number,
+    v_ticket.seat_class,
+    v_ticket.price_paid_usd,
+    v_ticket.payment_reference,
+    v_ticket.payment_status,
+    v_ticket.payment_method,
+    v_ticket.qr_code_data,
+    v_ticket.status,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb
+) TO service_role;
+
+-- book_mobile_basket_atomic as before, except for the fare. Quotes, v2 and v3
+-- (coupons) all book through it; a coupon discounts the fare.
+CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic(
+  p_passenger_id uuid,
+  p_idempotency_key text,
+  p_items jsonb,
+  p_payment_method text DEFAULT 'referencia',
+  p_discount_percentage numeric DEFAULT 0
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_item record;
+  v_ticket public.tickets%ROWTYPE;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_item_count integer;
+  v_existing_count integer;
+  v_seat_number integer;
+  v_fare jsonb;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  p_payment_method := COALESCE(NULLIF(btrim(p_payment_method), ''), 'referencia');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 190 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 190 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    RAISE EXCEPTION 'Basket items must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  v_item_count := jsonb_array_length(p_items);
+  IF v_item_count = 0 OR v_item_count > 20 THEN
+    RAISE EXCEPTION 'A basket must contain between 1 and 20 seats' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_discount_percentage IS NULL OR p_discount_percentage < 0 OR p_discount_percentage > 100 THEN
+    RAISE EXCEPTION 'Discount must be between 0 and 100 percent' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = p_passenger_id) THEN
+    RAISE EXCEPTION 'Passenger not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_passenger_id::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT COUNT(*) INTO v_existing_count
+  FROM public.tickets tk
+  WHERE tk.booked_by = p_passenger_id
+    AND left(tk.idempotency_key, length(p_idempotency_key) + 1) = p_idempotency_key || ':';
+
+  IF v_existing_count > 0 THEN
+    IF v_existing_count <> v_item_count OR EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+      LEFT JOIN public.tickets tk
+        ON tk.booked_by = p_passenger_id
+       AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+      WHERE tk.id IS NULL
+         OR tk.trip_id IS DISTINCT FROM (item.value->>'trip_id')::uuid
+         OR tk.seat_number IS DISTINCT FROM (item.value->>'seat_number')::integer
+         OR tk.passenger_id IS DISTINCT FROM p_passenger_id
+    ) THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      tk.id,
+      tk.ticket_number,
+      tk.trip_id,
+      tk.passenger_id,
+      tk.booked_by,
+      tk.seat_number,
+      tk.seat_class,
+      tk.price_paid_usd,
+      tk.payment_reference,
+      tk.payment_status,
+      tk.payment_method,
+      tk.qr_code_data,
+      tk.status,
+      true
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+    JOIN public.tickets tk
+      ON tk.booked_by = p_passenger_id
+     AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+    ORDER BY item.ordinality;
+    RETURN;
+  END IF;
+
+  -- Any exception below (seat taken by guard_seat_conflict, held by another
+  -- passenger in guard_seat_hold, trip closed) aborts the whole basket.
+  FOR v_item IN
+    SELECT item.value, item.ordinality
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+  LOOP
+    v_seat_number := (v_item.value->>'seat_number')::integer;
+    v_bus_id := NULL;
+
+    SELECT
+      tr.bus_id,
+      b.capacity,
+      tr.price_usd,
+      tr.seat_class,
+      b.is_active,
+      tr.status
+    INTO
+      v_bus_id,
+      v_capacity,
+      v_price,
+      v_default_seat_class,
+      v_bus_active,
+      v_trip_status
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    WHERE tr.id = (v_item.value->>'trip_id')::uuid;
+
+    IF v_bus_id IS NULL THEN
+      RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+      RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_seat_number IS NULL OR v_seat_number < 2 OR v_seat_number > v_capacity THEN
+      RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+    END IF;
+
+    v_fare := public.booking_trip_fare((v_item.value->>'trip_id')::uuid, NULL);
+    v_price := (v_fare->>'fare_usd')::numeric;
+
+    INSERT INTO public.tickets (
+      trip_id,
+      passenger_id,
+      booked_by,
+      booking_source,
+      seat_class,
+      seat_number,
+      price_paid_usd,
+      base_price_usd,
+      fare_rules,
+      payment_status,
+      payment_method,
+      qr_code_data,
+      idempotency_key
+    ) VALUES (
+      (v_item.value->>'trip_id')::uuid,
+      p_passenger_id,
+      p_passenger_id,
+      'mobile_app',
+      COALESCE(v_default_seat_class, 'economy'),
+      v_seat_number,
+      round(v_price * (1 - p_discount_percentage / 100), 2),
+      (v_fare->>'base_price_usd')::numeric,
+      v_fare->'applied_rules',
+      'pending',
+      p_payment_method,
+      'TKT-' || (v_item.value->>'trip_id') || '-' || v_seat_number::text,
+      p_idempotency_key || ':' || v_item.ordinality::text
+    )
+    RETURNING * INTO v_ticket;
+
+    RETURN QUERY SELECT
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_ticket.trip_id,
+      v_ticket.passenger_id,
+      v_ticket.booked_by,
+      v_ticket.seat_number,
+      v_ticket.seat_class,
+      v_ticket.price_paid_usd,
+      v_ticket.payment_reference,
+      v_ticket.payment_status,
+      v_ticket.payment_method,
+      v_ticket.qr_code_data,
+      v_ticket.status,
+      false;
+  END LOOP;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) TO service_role;
+
+-- exchange_ticket_atomic as in supabase-migration-ticket-exchange.sql, except
+-- that the target seat costs its fare from booking_trip_fare() instead of
+-- trips.price_usd, and the exchanged ticket records the rules applied to it.
+CREATE OR REPLACE FUNCTION public.exchange_ticket_atomic(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_new_trip_id uuid,
+  p_new_seat_number integer,
+  p_idempotency_key text,
+  p_collect_parts jsonb DEFAULT '[]'::jsonb,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb
+)
+RETURNS TABLE (
+  exchange_id uuid,
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  seat_number integer,
+  price_paid_usd numeric,
+  fare_difference_usd numeric,
+  qr_code_data text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_actor_role text;
+  v_ticket public.tickets%ROWTYPE;
+  v_existing public.ticket_exchanges%ROWTYPE;
+  v_exchange public.ticket_exchanges%ROWTYPE;
+  v_old_trip_id uuid;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_fare jsonb;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_difference numeric;
+  v_collect jsonb := COALESCE(p_collect_parts, '[]'::jsonb);
+  v_refund jsonb := COALESCE(p_refund_parts, '[]'::jsonb);
+  v_collect_total numeric;
+  v_refund_total numeric;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  IF p_idempotency_key IS NULL OR length(p_idempotency_key) > 200 THEN
+    RAISE EXCEPTION 'A stable idempotency key of at most 200 characters is required'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT p.role INTO v_actor_role
+  FROM public.profiles p
+  WHERE p.id = p_actor_id;
+
+  IF v_actor_role IS NULL OR v_actor_role NOT IN ('agent', 'admin') THEN
+    RAISE EXCEPTION 'Only agents can exchange tickets' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT tk.* INTO v_ticket
+  FROM public.tickets tk
+  WHERE tk.id = p_ticket_id
+  FOR UPDATE;
+
+  IF v_ticket.id IS NULL THEN
+    RAISE EXCEPTION 'Ticket not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT ex.* INTO v_existing
+  FROM public.ticket_exchanges ex
+  WHERE ex.ticket_id = p_ticket_id
+    AND ex.idempotency_key = p_idempotency_key;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.to_trip_id IS DISTINCT FROM p_new_trip_id
+       OR v_existing.to_seat_number IS DISTINCT FROM p_new_seat_number
+    THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another exchange'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_existing.to_trip_id,
+      v_existing.to_seat_number,
+      v_existing.to_price_usd,
+      v_existing.fare_difference_usd,
+      v_ticket.qr_code_data,
+      true;
+    RETURN;
+  END IF;
+
+  IF v_actor_role <> 'admin' AND v_ticket.booked_by IS DISTINCT FROM p_actor_id THEN
+    RAISE EXCEPTION 'Agents can only exchange their own ticket sales' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_ticket.status NOT IN ('active', 'pending') THEN
+    RAISE EXCEPTION 'A % ticket cannot be exchanged', v_ticket.status USING ERRCODE = '55000';
+  END IF;
+
+  IF v_ticket.trip_id = p_new_trip_id AND v_ticket.seat_number = p_new_seat_number THEN
+    RAISE EXCEPTION 'The ticket is already on this trip and seat' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT tr.bus_id, b.capacity, tr.seat_class, b.is_active, tr.status
+    INTO v_bus_id, v_capacity, v_default_seat_class, v_bus_active, v_trip_status
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_new_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+    RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_new_seat_number < 2 OR p_new_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+  END IF;
+
+  -- The ticket keeps its seat class and pays the target departure's fare
+  -- for it, rules included.
+  v_fare := public.booking_trip_fare(
+    p_new_trip_id,
+    COALESCE(NULLIF(v_ticket.seat_class, ''), v_default_seat_class)
+  );
+  v_price := (v_fare->>'fare_usd')::numeric;
+  v_difference := v_price - v_ticket.price_paid_usd;
+
+  IF jsonb_typeof(v_collect) <> 'array' OR jsonb_typeof(v_refund) <> 'array' THEN
+    RAISE EXCEPTION 'Payment parts must be arrays' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_collect_total
+  FROM jsonb_array_elements(v_collect) AS part(value);
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_refund_total
+  FROM jsonb_array_elements(v_refund) AS part(value);
+
+  -- Money only moves for paid tickets. A pending ticket takes the new price
+  -- and is settled for the full amount when it is paid.
+  IF v_ticket.payment_status = 'paid' THEN
+    IF abs(v_collect_total - GREATEST(v_difference, 0)) > 0.01
+       OR abs(v_refund_total - GREATEST(-v_difference, 0)) > 0.01
+    THEN
+      RAISE EXCEPTION 'Fare difference must be settled exactly: %', v_difference
+        USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_collect) AS part(value)
+      WHERE part.value->>'method' NOT IN ('cash', 'tpa', 'tpa_dinheiro')
+         OR COALESCE((part.value->>'amount')::numeric, 0) <= 0
+    ) OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_refund) AS part(value)
+      WHERE COALESCE((part.value->>'amount')::numeric, 0) <= 0
+         OR NOT EXISTS (
+           SELECT 1 FROM public.payment_transactions pt
+           WHERE pt.ticket_id = p_ticket_id
+             AND pt.status = 'completed'
+             AND pt.payment_method = part.value->>'method'
+         )
+    ) THEN
+      RAISE EXCEPTION 'Invalid fare difference payment' USING ERRCODE = '22023';
+    END IF;
+  ELSIF v_collect_total <> 0 OR v_refund_total <> 0 THEN
+    RAISE EXCEPTION 'Only paid tickets settle a fare difference' USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO public.ticket_exchanges (
+    ticket_id,
+    ticket_number,
+    idempotency_key,
+    exchanged_by,
+    from_trip_id,
+    from_seat_number,
+    from_price_usd,
+    to_trip_id,
+    to_seat_number,
+    to_price_usd,
+    fare_difference_usd
+  ) VALUES (
+    v_ticket.id,
+    v_ticket.ticket_number,
+    p_idempotency_key,
+    p_actor_id,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.price_paid_usd,
+    p_new_trip_id,
+    p_new_seat_number,
+    v_price,
+    v_difference
+  )
+  RETURNING * INTO v_exchange;
+
+  v_old_trip_id := v_ticket.trip_id;
+
+  UPDATE public.tickets tk
+  SET trip_id = p_new_trip_id,
+      seat_number = p_new_seat_number,
+      price_paid_usd = v_price,
+      base_price_usd = (v_fare->>'base_price_usd')::numeric,
+      fare_rules = v_fare->'applied_rules',
+      qr_code_data = 'TKT-' || p_new_trip_id::text || '-' || p_new_seat_number::text
+  WHERE tk.id = v_ticket.id
+  RETURNING tk.* INTO v_ticket;
+
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, payment_method, status, transaction_id
+  )
+  SELECT
+    v_ticket.id,
+    (part.value->>'amount')::numeric,
+    'USD',
+    part.value->>'method',
+    'completed',
+    'exchange-' || v_exchange.id::text || '-' || (part.ordinality - 1)::text
+  FROM jsonb_array_elements(v_collect) WITH ORDINALITY AS part(value, ordinality)
+  UNION ALL
+  SELECT
+    v_ticket.id,
+    -(part.value->>'amount')::numeric,
+    'USD',
+    part.value->>'method',
+    'refunded',
+    'exchange-refund-' || v_exchange.id::text || '-' || (part.ordinality - 1)::text
+  FROM jsonb_array_elements(v_refund) WITH ORDINALITY AS part(value, ordinality);
+
+  -- update_available_seats only refreshes the trip the ticket now belongs to.
+  -- Refresh the cached count of the segments the ticket left as well.
+  IF v_old_trip_id IS DISTINCT FROM p_new_trip_id THEN
+    UPDATE public.trips target
+    SET available_seats = GREATEST(
+          (b.capacity - 1) - (
+            SELECT COUNT(DISTINCT tk.seat_number)
+            FROM public.tickets tk
+            JOIN public.trips src ON src.id = tk.trip_id
+            WHERE src.bus_id = target.bus_id
+              AND src.departure_time < target.arrival_time
+              AND target.departure_time < src.arrival_time
+              AND tk.status IN ('active', 'pending', 'used')
+              AND tk.seat_number <> public.copilot_seat_number()
+          ), 0)
+    FROM public.buses b
+    WHERE b.id = target.bus_id
+      AND target.id IN (
+        SELECT overlap.id FROM public.get_overlapping_trip_ids(v_old_trip_id) overlap
+      );
+  END IF;
+
+  RETURN QUERY SELECT
+    v_exchange.id,
+    v_ticket.id,
+    v_ticket.ticket_number,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.price_paid_usd,
+    v_exchange.fare_difference_usd,
+    v_ticket.qr_code_data,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb
+) TO service_role;
+
+COMMIT;
@@ -0,0 +1,209 @@
+-- Nawabus group agent booking (2026-10-19)
+--
+-- Apply after supabase-migration-bus-seat-layouts.sql and before deploying the
+-- passengers[] form of POST /api/booking. A group sale books several
+-- passengers on one trip in a single transaction with one combined payment,
+-- and every ticket of the group points at one booking_groups row whose
+-- reference is printed on the receipt.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_groups (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_reference text NOT NULL UNIQUE,
+  booked_by uuid NOT NULL REFERENCES public.profiles (id),
+  idempotency_key text NOT NULL,
+  trip_id uuid NOT NULL REFERENCES public.trips (id),
+  payment_method text NOT NULL,
+  payment_reference text,
+  ticket_count integer NOT NULL CHECK (ticket_count > 0),
+  total_usd numeric(12, 2) NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS booking_groups_booked_by_idempotency_key
+  ON public.booking_groups (booked_by, idempotency_key);
+
+ALTER TABLE public.booking_groups ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.tickets
+  ADD COLUMN IF NOT EXISTS booking_group_id uuid REFERENCES public.booking_groups (id);
+
+CREATE INDEX IF NOT EXISTS idx_tickets_booking_group_id
+  ON public.tickets (booking_group_id)
+  WHERE booking_group_id IS NOT NULL;
+
+-- Each passenger is booked through book_agent_ticket_atomic_v2 with
+-- "<key>:<position>" as its idempotency key, inside this function's
+-- transaction. A failing seat therefore rolls back the whole group, and a
+-- retry with the same key returns the committed tickets and group reference.
+CREATE OR REPLACE FUNCTION public.book_agent_group_atomic(
+  p_trip_id uuid,
+  p_booked_by uuid,
+  p_idempotency_key text,
+  p_payment_method text,
+  p_payment_status text,
+  p_items jsonb,
+  p_payment_reference text DEFAULT NULL
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean,
+  group_id uuid,
+  group_reference text
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_group public.booking_groups%ROWTYPE;
+  v_item record;
+  v_result record;
+  v_item_count integer;
+  v_ticket_ids uuid[] := ARRAY[]::uuid[];
+  v_total numeric := 0;
+  v_recovered boolean;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 190 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 190 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    RAISE EXCEPTION 'Group passengers must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  v_item_count := jsonb_array_length(p_items);
+  IF v_item_count = 0 OR v_item_count > 20 THEN
+    RAISE EXCEPTION 'A group must contain between 1 and 20 passengers' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_booked_by::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT bg.* INTO v_group
+  FROM public.booking_groups bg
+  WHERE bg.booked_by = p_booked_by
+    AND bg.idempotency_key = p_idempotency_key;
+
+  IF v_group.id IS NOT NULL
+     AND (v_group.trip_id IS DISTINCT FROM p_trip_id OR v_group.ticket_count <> v_item_count)
+  THEN
+    RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+      USING ERRCODE = '23505';
+  END IF;
+
+  v_recovered := v_group.id IS NOT NULL;
+
+  FOR v_item IN
+    SELECT item.value, item.ordinality
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+    ORDER BY item.ordinality
+  LOOP
+    SELECT * INTO STRICT v_result
+    FROM public.book_agent_ticket_atomic_v2(
+      p_trip_id,
+      (v_item.value->>'passenger_id')::uuid,
+      p_booked_by,
+      (v_item.value->>'seat_number')::integer,
+      p_payment_method,
+      p_payment_status,
+      p_idempotency_key || ':' || v_item.ordinality::text,
+      v_item.value->>'seat_class',
+      p_payment_reference,
+      v_item.value->>'ticket_number',
+      COALESCE(v_item.value->'splits', '[]'::jsonb),
+      v_item.value->>'companion_name',
+      v_item.value->>'companion_phone'
+    );
+
+    -- A committed group is recovered as a whole. A fresh ticket under an
+    -- existing group key means the retry describes a different sale.
+    IF v_result.was_idempotent IS DISTINCT FROM v_recovered THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    v_ticket_ids := v_ticket_ids || v_result.ticket_id::uuid;
+    v_total := v_total + v_result.price_paid_usd;
+  END LOOP;
+
+  IF NOT v_recovered THEN
+    INSERT INTO public.booking_groups (
+      group_reference,
+      booked_by,
+      idempotency_key,
+      trip_id,
+      payment_method,
+      payment_reference,
+      ticket_count,
+      total_usd
+    ) VALUES (
+      'GRP-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10)),
+      p_booked_by,
+      p_idempotency_key,
+      p_trip_id,
+      p_payment_method,
+      NULLIF(btrim(p_payment_reference), ''),
+      v_item_count,
+      v_total
+    )
+    RETURNING * INTO v_group;
+
+    UPDATE public.tickets tk
+    SET booking_group_id = v_group.id
+    WHERE tk.id = ANY (v_ticket_ids);
+  END IF;
+
+  RETURN QUERY SELECT
+    tk.id,
+    tk.ticket_number,
+    tk.trip_id,
+    tk.passenger_id,
+    tk.booked_by,
+    tk.seat_number,
+    tk.seat_class,
+    tk.price_paid_usd,
+    tk.payment_reference,
+    tk.payment_status,
+    tk.payment_method,
+    tk.qr_code_data,
+    tk.status,
+    v_recovered,
+    v_group.id,
+    v_group.group_reference
+  FROM unnest(v_ticket_ids) WITH ORDINALITY AS ids(id, ordinality)
+  JOIN public.tickets tk ON tk.id = ids.id
+  ORDER BY ids.ordinality;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text
+) TO service_role;
+
+COMMIT;
@@ -0,0 +1,90 @@
+-- Nawabus server-authoritative mobile pricing (2026-10-19)
+--
+-- Apply after supabase-migration-atomic-mobile-booking.sql. The API prices a
+-- basket from trips.price_usd and signs it as a short-lived quote. At checkout
+-- the committed basket must still add up to the quoted total; a price change
+-- between quote and booking rolls the whole basket back.
+
+BEGIN;
+
+-- Keep the original RPC available while the API deployment rolls forward.
+-- Like book_agent_ticket_atomic_v2, the wrapper shares the booking transaction,
+-- so raising here discards every ticket the inner function inserted.
+CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic_v2(
+  p_passenger_id uuid,
+  p_idempotency_key text,
+  p_items jsonb,
+  p_payment_method text DEFAULT 'referencia',
+  p_discount_percentage numeric DEFAULT 0,
+  p_expected_total numeric DEFAULT NULL
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_row record;
+  v_total numeric := 0;
+BEGIN
+  FOR v_row IN
+    SELECT basket.*
+    FROM public.book_mobile_basket_atomic(
+      p_passenger_id,
+      p_idempotency_key,
+      p_items,
+      p_payment_method,
+      p_discount_percentage
+    ) AS basket
+  LOOP
+    v_total := v_total + v_row.price_paid_usd;
+
+    ticket_id := v_row.ticket_id;
+    ticket_number := v_row.ticket_number;
+    trip_id := v_row.trip_id;
+    passenger_id := v_row.passenger_id;
+    booked_by := v_row.booked_by;
+    seat_number := v_row.seat_number;
+    seat_class := v_row.seat_class;
+    price_paid_usd := v_row.price_paid_usd;
+    payment_reference := v_row.payment_reference;
+    payment_status := v_row.payment_status;
+    payment_method := v_row.payment_method;
+    qr_code_data := v_row.qr_code_data;
+    status := v_row.status;
+    was_idempotent := v_row.was_idempotent;
+    RETURN NEXT;
+  END LOOP;
+
+  -- Rows already queued with RETURN NEXT are discarded with the transaction.
+  IF p_expected_total IS NOT NULL AND abs(v_total - p_expected_total) > 0.01 THEN
+    RAISE EXCEPTION 'Quoted price is no longer valid: basket total is %', v_total
+      USING ERRCODE = '55000';
+  END IF;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_mobile_basket_atomic_v2(
+  uuid, text, jsonb, text, numeric, numeric
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_mobile_basket_atomic_v2(
+  uuid, text, jsonb, text, numeric, numeric
+) TO service_role;
+
+COMMIT;
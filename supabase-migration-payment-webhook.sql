@@ -0,0 +1,172 @@
+-- Nawabus MULTICAIXA reference settlement (2026-10-19)
+--
+-- Apply after supabase-migration-sales-analytics.sql and before deploying
+-- POST /api/payments/webhook. When the payment provider reports a paid
+-- reference, every ticket sharing that payment_reference gets its ledger row
+-- and is marked paid in one transaction. Retried notifications return the
+-- original settlement.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_payment_reference
+  ON public.tickets (payment_reference)
+  WHERE payment_reference IS NOT NULL;
+
+-- One row per settled provider transaction. The unique key is what makes a
+-- retried notification idempotent.
+CREATE TABLE IF NOT EXISTS public.payment_settlements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider_transaction_id text NOT NULL,
+  payment_reference text NOT NULL,
+  amount_usd numeric(12, 2) NOT NULL CHECK (amount_usd > 0),
+  ticket_ids uuid[] NOT NULL,
+  paid_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS payment_settlements_provider_transaction_id_key
+  ON public.payment_settlements (provider_transaction_id);
+
+CREATE INDEX IF NOT EXISTS idx_payment_settlements_reference
+  ON public.payment_settlements (payment_reference);
+
+ALTER TABLE public.payment_settlements ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION public.settle_payment_reference(
+  p_payment_reference text,
+  p_amount_usd numeric,
+  p_provider_transaction_id text,
+  p_paid_at timestamptz DEFAULT NULL
+)
+RETURNS TABLE (
+  settlement_id uuid,
+  payment_reference text,
+  amount_usd numeric,
+  ticket_ids uuid[],
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_reference text := NULLIF(btrim(p_payment_reference), '');
+  v_transaction_id text := NULLIF(btrim(p_provider_transaction_id), '');
+  v_existing public.payment_settlements%ROWTYPE;
+  v_settlement public.payment_settlements%ROWTYPE;
+  v_ticket_count integer;
+  v_payable_ids uuid[];
+  v_expected numeric;
+BEGIN
+  IF v_reference IS NULL OR v_transaction_id IS NULL THEN
+    RAISE EXCEPTION 'Payment reference and provider transaction id are required'
+      USING ERRCODE = '22023';
+  END IF;
+  IF p_amount_usd IS NULL OR p_amount_usd <= 0 THEN
+    RAISE EXCEPTION 'Payment amount must be positive' USING ERRCODE = '22023';
+  END IF;
+
+  -- Lock every ticket of the reference in a stable order so a concurrent
+  -- notification for the same payment waits and then sees this settlement.
+  PERFORM 1
+  FROM public.tickets tk
+  WHERE tk.payment_reference = v_reference
+  ORDER BY tk.id
+  FOR UPDATE;
+  GET DIAGNOSTICS v_ticket_count = ROW_COUNT;
+
+  IF v_ticket_count = 0 THEN
+    RAISE EXCEPTION 'Payment reference not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT s.* INTO v_existing
+  FROM public.payment_settlements s
+  WHERE s.provider_transaction_id = v_transaction_id;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.payment_reference IS DISTINCT FROM v_reference
+       OR v_existing.amount_usd IS DISTINCT FROM round(p_amount_usd, 2)
+    THEN
+      RAISE EXCEPTION 'Provider transaction already settled a different payment'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_existing.payment_reference,
+      v_existing.amount_usd,
+      v_existing.ticket_ids,
+      true;
+    RETURN;
+  END IF;
+
+  SELECT
+    array_agg(tk.id ORDER BY tk.id),
+    SUM(tk.price_paid_usd)
+  INTO v_payable_ids, v_expected
+  FROM public.tickets tk
+  WHERE tk.payment_reference = v_reference
+    AND tk.payment_status = 'pending'
+    AND tk.status IN ('active', 'pending');
+
+  IF v_payable_ids IS NULL THEN
+    IF EXISTS (
+      SELECT 1 FROM public.payment_settlements s
+      WHERE s.payment_reference = v_reference
+    ) THEN
+      RAISE EXCEPTION 'Payment reference was already settled by another transaction'
+        USING ERRCODE = '55000';
+    END IF;
+    RAISE EXCEPTION 'Payment reference has no tickets awaiting payment'
+      USING ERRCODE = '55000';
+  END IF;
+
+  IF round(p_amount_usd, 2) <> round(v_expected, 2) THEN
+    RAISE EXCEPTION 'Payment amount % does not match the % due for this reference',
+      round(p_amount_usd, 2), round(v_expected, 2)
+      USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO public.payment_settlements (
+    provider_transaction_id, payment_reference, amount_usd, ticket_ids, paid_at
+  ) VALUES (
+    v_transaction_id, v_reference, round(p_amount_usd, 2), v_payable_ids, p_paid_at
+  )
+  RETURNING * INTO v_settlement;
+
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, payment_method, status, transaction_id
+  )
+  SELECT
+    tk.id,
+    tk.price_paid_usd,
+    'USD',
+    'referencia',
+    'completed',
+    'ref-' || v_settlement.id::text || '-' || tk.id::text
+  FROM public.tickets tk
+  WHERE tk.id = ANY(v_payable_ids)
+    AND NOT EXISTS (
+      SELECT 1 FROM public.payment_transactions pt
+      WHERE pt.ticket_id = tk.id AND pt.status = 'completed'
+    );
+
+  UPDATE public.tickets tk
+  SET payment_status = 'paid'
+  WHERE tk.id = ANY(v_payable_ids);
+
+  RETURN QUERY SELECT
+    v_settlement.id,
+    v_settlement.payment_reference,
+    v_settlement.amount_usd,
+    v_settlement.ticket_ids,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.settle_payment_reference(text, numeric, text, timestamptz)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.settle_payment_reference(text, numeric, text, timestamptz)
+  TO service_role;
+
+COMMIT;
@@ -0,0 +1,281 @@
+-- Nawabus expiry of unpaid reference bookings (2026-10-19)
+--
+-- Apply after supabase-migration-payment-webhook.sql and before deploying the
+-- expiry sweeper. A pending ticket booked through the app holds its seat only
+-- until its payment deadline: the earlier of a window after booking and a
+-- cutoff before departure. The sweeper cancels overdue tickets, which frees
+-- the seats, records each one in ticket_expirations and leaves the passenger
+-- a notification.
+--
+-- Tickets are matched on booking_source and payment status, not on the
+-- method the client sent, so no method escapes the deadline. Counter
+-- reference sales share booking_source 'mobile_app' and expire the same way;
+-- other counter sales are paid when they are written.
+--
+-- Pending tickets booked before this migration have no deadline; the sweeper
+-- applies the same rule to them from their created_at.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.reference_payment_settings (
+  id boolean PRIMARY KEY DEFAULT true CHECK (id),
+  payment_window interval NOT NULL DEFAULT interval '30 minutes'
+    CHECK (payment_window > interval '0'),
+  departure_cutoff interval NOT NULL DEFAULT interval '2 hours'
+    CHECK (departure_cutoff >= interval '0'),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+INSERT INTO public.reference_payment_settings (id)
+VALUES (true)
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE public.reference_payment_settings ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.tickets
+  ADD COLUMN IF NOT EXISTS payment_due_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_tickets_pending_reference_due
+  ON public.tickets (payment_due_at)
+  WHERE booking_source = 'mobile_app' AND payment_status = 'pending';
+
+CREATE TABLE IF NOT EXISTS public.ticket_expirations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id uuid NOT NULL REFERENCES public.tickets (id),
+  ticket_number text,
+  passenger_id uuid,
+  trip_id uuid NOT NULL,
+  seat_number integer NOT NULL,
+  payment_reference text,
+  price_usd numeric(12, 2),
+  previous_status text NOT NULL,
+  payment_due_at timestamptz NOT NULL,
+  expired_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ticket_expirations_ticket_id_key
+  ON public.ticket_expirations (ticket_id);
+
+ALTER TABLE public.ticket_expirations ENABLE ROW LEVEL SECURITY;
+
+CREATE TABLE IF NOT EXISTS public.passenger_notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  passenger_id uuid NOT NULL REFERENCES public.profiles (id),
+  kind text NOT NULL,
+  title text NOT NULL,
+  body text NOT NULL,
+  data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  read_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_passenger_notifications_passenger_created
+  ON public.passenger_notifications (passenger_id, created_at DESC);
+
+ALTER TABLE public.passenger_notifications ENABLE ROW LEVEL SECURITY;
+
+-- The deadline is fixed when the ticket is written, so changing the settings
+-- only affects new bookings. A booking too close to departure for any time to
+-- pay is refused instead of expiring on the next sweep.
+CREATE OR REPLACE FUNCTION public.set_reference_payment_due()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_settings public.reference_payment_settings%ROWTYPE;
+  v_departure_time timestamptz;
+BEGIN
+  IF NEW.booking_source IS DISTINCT FROM 'mobile_app'
+     OR NEW.payment_status IS DISTINCT FROM 'pending'
+     OR NEW.payment_due_at IS NOT NULL
+  THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT s.* INTO v_settings FROM public.reference_payment_settings s;
+  SELECT tr.departure_time INTO v_departure_time
+  FROM public.trips tr
+  WHERE tr.id = NEW.trip_id;
+
+  NEW.payment_due_at := LEAST(
+    now() + COALESCE(v_settings.payment_window, interval '30 minutes'),
+    v_departure_time - COALESCE(v_settings.departure_cutoff, interval '2 hours')
+  );
+
+  IF NEW.payment_due_at <= now() THEN
+    RAISE EXCEPTION 'Too close to departure to pay by reference' USING ERRCODE = '55000';
+  END IF;
+
+  RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS set_reference_payment_due_on_tickets ON public.tickets;
+
+CREATE TRIGGER set_reference_payment_due_on_tickets
+BEFORE INSERT ON public.tickets
+FOR EACH ROW EXECUTE FUNCTION public.set_reference_payment_due();
+
+-- Tickets sharing a payment reference are paid together, so once one of them
+-- is overdue the whole reference expires: the provider would otherwise take a
+-- payment that no longer matches the tickets left. Rows locked by a
+-- concurrent settlement are skipped and picked up by the next sweep.
+CREATE OR REPLACE FUNCTION public.expire_overdue_reference_tickets(
+  p_limit integer DEFAULT 200
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  passenger_id uuid,
+  trip_id uuid,
+  seat_number integer,
+  payment_reference text,
+  payment_due_at timestamptz
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_settings public.reference_payment_settings%ROWTYPE;
+  v_overdue_ids uuid[];
+  v_overdue_references text[];
+  v_ticket_ids uuid[];
+BEGIN
+  IF p_limit IS NULL OR p_limit < 1 OR p_limit > 1000 THEN
+    RAISE EXCEPTION 'Limit must be between 1 and 1000' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT s.* INTO v_settings FROM public.reference_payment_settings s;
+
+  SELECT
+    array_agg(overdue.id),
+    array_agg(DISTINCT overdue.payment_reference)
+      FILTER (WHERE overdue.payment_reference IS NOT NULL)
+  INTO v_overdue_ids, v_overdue_references
+  FROM (
+    SELECT tk.id, tk.payment_reference
+    FROM public.tickets tk
+    JOIN public.trips tr ON tr.id = tk.trip_id
+    WHERE tk.booking_source = 'mobile_app'
+      AND tk.payment_status = 'pending'
+      AND tk.status IN ('active', 'pending')
+      AND COALESCE(
+        tk.payment_due_at,
+        LEAST(
+          tk.created_at + COALESCE(v_settings.payment_window, interval '30 minutes'),
+          tr.departure_time - COALESCE(v_settings.departure_cutoff, interval '2 hours')
+        )
+      ) <= now()
+    ORDER BY tk.id
+    LIMIT p_limit
+  ) overdue;
+
+  IF v_overdue_ids IS NULL THEN
+    RETURN;
+  END IF;
+
+  WITH locked AS (
+    SELECT tk.id
+    FROM public.tickets tk
+    WHERE tk.booking_source = 'mobile_app'
+      AND tk.payment_status = 'pending'
+      AND tk.status IN ('active', 'pending')
+      AND (
+        tk.id = ANY(v_overdue_ids)
+        OR tk.payment_reference = ANY(COALESCE(v_overdue_references, ARRAY[]::text[]))
+      )
+    ORDER BY tk.id
+    FOR UPDATE OF tk SKIP LOCKED
+  )
+  SELECT array_agg(locked.id) INTO v_ticket_ids FROM locked;
+
+  IF v_ticket_ids IS NULL THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO public.ticket_expirations (
+    ticket_id,
+    ticket_number,
+    passenger_id,
+    trip_id,
+    seat_number,
+    payment_reference,
+    price_usd,
+    previous_status,
+    payment_due_at
+  )
+  SELECT
+    tk.id,
+    tk.ticket_number,
+    tk.passenger_id,
+    tk.trip_id,
+    tk.seat_number,
+    tk.payment_reference,
+    tk.price_paid_usd,
+    tk.status,
+    COALESCE(
+      tk.payment_due_at,
+      LEAST(
+        tk.created_at + COALESCE(v_settings.payment_window, interval '30 minutes'),
+        tr.departure_time - COALESCE(v_settings.departure_cutoff, interval '2 hours')
+      ),
+      now()
+    )
+  FROM public.tickets tk
+  JOIN public.trips tr ON tr.id = tk.trip_id
+  WHERE tk.id = ANY(v_ticket_ids)
+  ON CONFLICT DO NOTHING;
+
+  -- The status change fires update_available_seats and the sync triggers,
+  -- which free the seat on every overlapping segment of the same bus.
+  UPDATE public.tickets tk
+  SET status = 'cancelled'
+  WHERE tk.id = ANY(v_ticket_ids);
+
+  INSERT INTO public.passenger_notifications (passenger_id, kind, title, body, data)
+  SELECT
+    tk.passenger_id,
+    'booking_expired',
+    'Reservation expired',
+    CASE
+      WHEN tk.payment_reference IS NULL THEN
+        'Your reservation was not paid in time and its seats were released.'
+      ELSE
+        format(
+          'Your reservation with payment reference %s was not paid in time and its seats were released.',
+          tk.payment_reference
+        )
+    END,
+    jsonb_build_object(
+      'payment_reference', tk.payment_reference,
+      'ticket_ids', jsonb_agg(tk.id ORDER BY tk.id)
+    )
+  FROM public.tickets tk
+  JOIN public.profiles p ON p.id = tk.passenger_id
+  WHERE tk.id = ANY(v_ticket_ids)
+  GROUP BY tk.passenger_id, tk.payment_reference;
+
+  RETURN QUERY
+  SELECT
+    te.ticket_id,
+    te.ticket_number,
+    te.passenger_id,
+    te.trip_id,
+    te.seat_number,
+    te.payment_reference,
+    te.payment_due_at
+  FROM public.ticket_expirations te
+  WHERE te.ticket_id = ANY(v_ticket_ids)
+  ORDER BY te.ticket_id;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.expire_overdue_reference_tickets(integer)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.expire_overdue_reference_tickets(integer)
+  TO service_role;
+
+COMMIT;
@@ -0,0 +1,93 @@
+-- Nawabus refund policies (2026-10-19)
+--
+-- Apply after supabase-migration-ticket-cancellation.sql. Operators define
+-- time-based refund tiers per company, route, seat class and payment method.
+-- The API selects the policy and computes the refundable amount; the policy
+-- that was applied is stored on the cancellation for later disputes.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.refund_policies (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  company_id uuid REFERENCES public.companies (id),
+  route_id uuid REFERENCES public.routes (id),
+  seat_class text,
+  payment_method text,
+  -- Ordered cancellation windows, e.g.
+  -- [{"min_hours_before": 48, "refund_percentage": 100},
+  --  {"min_hours_before": 6, "refund_percentage": 50}]
+  tiers jsonb NOT NULL CHECK (jsonb_typeof(tiers) = 'array' AND jsonb_array_length(tiers) > 0),
+  fee_usd numeric(12, 2) NOT NULL DEFAULT 0 CHECK (fee_usd >= 0),
+  priority integer NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refund_policies_active
+  ON public.refund_policies (is_active, company_id, route_id);
+
+ALTER TABLE public.refund_policies ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.ticket_cancellations
+  ADD COLUMN IF NOT EXISTS refund_policy jsonb;
+
+-- Same wrapper pattern as book_agent_ticket_atomic_v2: the snapshot is written
+-- in the cancellation transaction, and a retried cancellation keeps the policy
+-- that was applied the first time.
+CREATE OR REPLACE FUNCTION public.cancel_ticket_atomic_v2(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_reason text DEFAULT NULL,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb,
+  p_refund_policy jsonb DEFAULT NULL
+)
+RETURNS TABLE (
+  cancellation_id uuid,
+  ticket_id uuid,
+  ticket_status text,
+  payment_status text,
+  refund_amount_usd numeric,
+  approved_by uuid,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_result record;
+BEGIN
+  SELECT * INTO STRICT v_result
+  FROM public.cancel_ticket_atomic(
+    p_ticket_id,
+    p_actor_id,
+    p_reason,
+    p_refund_parts
+  );
+
+  IF NOT v_result.was_idempotent THEN
+    UPDATE public.ticket_cancellations c
+    SET refund_policy = p_refund_policy
+    WHERE c.id = v_result.cancellation_id;
+  END IF;
+
+  RETURN QUERY SELECT
+    v_result.cancellation_id::uuid,
+    v_result.ticket_id::uuid,
+    v_result.ticket_status::text,
+    v_result.payment_status::text,
+    v_result.refund_amount_usd::numeric,
+    v_result.approved_by::uuid,
+    v_result.was_idempotent::boolean;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.cancel_ticket_atomic_v2(uuid, uuid, text, jsonb, jsonb)
+  FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.cancel_ticket_atomic_v2(uuid, uuid, text, jsonb, jsonb)
+  TO service_role;
+
+COMMIT;
@@ -0,0 +1,428 @@
+-- Nawabus round trips (2026-10-19)
+--
+-- Apply after supabase-migration-currencies.sql and before deploying the
+-- matching API. Adds the 'round_trip' fare rule kind: it applies to both legs
+-- of a mobile basket whose return leaves, in the opposite direction, after
+-- the outbound arrives. GET /api/trips/round-trip prices pairs the same way.
+
+BEGIN;
+
+ALTER TABLE public.fare_rules
+  DROP CONSTRAINT IF EXISTS fare_rules_kind_check;
+ALTER TABLE public.fare_rules
+  ADD CONSTRAINT fare_rules_kind_check CHECK (
+    kind IN ('day_of_week', 'holiday', 'advance_purchase', 'last_seats', 'seat_class', 'round_trip')
+  );
+
+-- A basket is a round trip when its outbound seats are on one trip, its
+-- return seats on another, and the return runs back between the same
+-- provinces after the outbound arrives. lib/round-trip.js applies the same
+-- test to quotes.
+CREATE OR REPLACE FUNCTION public.is_round_trip_basket(p_items jsonb)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  WITH legs AS (
+    SELECT
+      item.value->>'leg' AS leg,
+      array_agg(DISTINCT (item.value->>'trip_id')::uuid) AS trip_ids
+    FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb)) AS item(value)
+    GROUP BY item.value->>'leg'
+  )
+  SELECT COALESCE((
+    SELECT
+      back_route.origin_province = out_route.destination_province
+      AND back_route.destination_province = out_route.origin_province
+      AND back_trip.departure_time > out_trip.arrival_time
+    FROM legs outbound
+    JOIN legs inbound ON inbound.leg = 'return'
+    JOIN public.trips out_trip ON out_trip.id = outbound.trip_ids[1]
+    JOIN public.routes out_route ON out_route.id = out_trip.route_id
+    JOIN public.trips back_trip ON back_trip.id = inbound.trip_ids[1]
+    JOIN public.routes back_route ON back_route.id = back_trip.route_id
+    WHERE outbound.leg = 'outbound'
+      AND cardinality(outbound.trip_ids) = 1
+      AND cardinality(inbound.trip_ids) = 1
+      AND (SELECT count(*) FROM legs) = 2
+  ), false);
+$function$;
+
+REVOKE ALL ON FUNCTION public.is_round_trip_basket(jsonb)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.is_round_trip_basket(jsonb)
+  TO service_role;
+
+-- get_trip_fares and booking_trip_fare gain p_round_trip. The old signatures
+-- are dropped so existing calls resolve to the new ones through the default.
+DROP FUNCTION IF EXISTS public.booking_trip_fare(uuid, text);
+DROP FUNCTION IF EXISTS public.get_trip_fares(uuid[], text);
+
+-- As in supabase-migration-fare-rules.sql, plus 'round_trip' rules.
+CREATE OR REPLACE FUNCTION public.get_trip_fares(
+  p_trip_ids uuid[],
+  p_seat_class text DEFAULT NULL,
+  p_round_trip boolean DEFAULT false
+)
+RETURNS TABLE (
+  trip_id uuid,
+  seat_class text,
+  base_price_usd numeric,
+  fare_usd numeric,
+  available_seats integer,
+  applied_rules jsonb
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  WITH requested AS (
+    SELECT
+      tr.id AS trip_id,
+      tr.route_id,
+      b.company_id,
+      tr.departure_time,
+      (tr.departure_time AT TIME ZONE 'Africa/Luanda')::date AS departure_date,
+      COALESCE(NULLIF(btrim(p_seat_class), ''), tr.seat_class, 'economy') AS seat_class,
+      tr.price_usd AS base_price_usd,
+      availability.available_seats
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    LEFT JOIN public.get_trip_seat_availability(p_trip_ids) AS availability
+      ON availability.trip_id = tr.id
+    WHERE tr.id = ANY(COALESCE(p_trip_ids, ARRAY[]::uuid[]))
+  ),
+  applied AS (
+    SELECT
+      req.trip_id,
+      rule.id AS rule_id,
+      rule.name,
+      rule.kind,
+      rule.adjustment_type,
+      rule.adjustment_value,
+      rule.priority,
+      CASE
+        WHEN rule.adjustment_type = 'percentage'
+          THEN round(req.base_price_usd * rule.adjustment_value / 100, 2)
+        ELSE rule.adjustment_value
+      END AS amount_usd
+    FROM requested req
+    JOIN public.fare_rules rule
+      ON rule.is_active
+     AND (rule.company_id IS NULL OR rule.company_id = req.company_id)
+     AND (rule.route_id IS NULL OR rule.route_id = req.route_id)
+     AND (rule.valid_from IS NULL OR req.departure_date >= rule.valid_from)
+     AND (rule.valid_until IS NULL OR req.departure_date <= rule.valid_until)
+    WHERE CASE rule.kind
+      WHEN 'day_of_week' THEN
+        extract(isodow FROM req.departure_date)::integer = ANY(rule.days_of_week)
+      WHEN 'holiday' THEN EXISTS (
+        SELECT 1 FROM public.fare_holidays holiday
+        WHERE holiday.holiday_date = req.departure_date
+      )
+      WHEN 'advance_purchase' THEN
+        (rule.min_days_before IS NULL
+          OR req.departure_time - now() >= make_interval(days => rule.min_days_before))
+        AND (rule.max_days_before IS NULL
+          OR req.departure_time - now() < make_interval(days => rule.max_days_before))
+      WHEN 'last_seats' THEN req.available_seats <= rule.max_remaining_seats
+      WHEN 'seat_class' THEN req.seat_class = rule.seat_class
+      WHEN 'round_trip' THEN p_round_trip
+      ELSE false
+    END
+  )
+  SELECT
+    req.trip_id,
+    req.seat_class,
+    req.base_price_usd,
+    GREATEST(req.base_price_usd + COALESCE(SUM(applied.amount_usd), 0), 0),
+    req.available_seats,
+    COALESCE(
+      jsonb_agg(
+        jsonb_build_object(
+          'id', applied.rule_id,
+          'name', applied.name,
+          'kind', applied.kind,
+          'adjustment_type', applied.adjustment_type,
+          'adjustment_value', applied.adjustment_value,
+          'amount_usd', applied.amount_usd
+        )
+        ORDER BY applied.priority DESC, applied.rule_id
+      ) FILTER (WHERE applied.rule_id IS NOT NULL),
+      '[]'::jsonb
+    )
+  FROM requested req
+  LEFT JOIN applied ON applied.trip_id = req.trip_id
+  GROUP BY req.trip_id, req.seat_class, req.base_price_usd, req.available_seats;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_trip_fares(uuid[], text, boolean)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_trip_fares(uuid[], text, boolean)
+  TO service_role;
+
+-- The transaction cache is kept per round-trip flag as well.
+CREATE OR REPLACE FUNCTION public.booking_trip_fare(
+  p_trip_id uuid,
+  p_seat_class text DEFAULT NULL,
+  p_round_trip boolean DEFAULT false
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_setting text := 'nawabus.fare_' || md5(
+    p_trip_id::text || ':' || COALESCE(p_seat_class, '') || ':' || p_round_trip::text
+  );
+  v_cached text := current_setting(v_setting, true);
+  v_fare jsonb;
+BEGIN
+  IF NULLIF(v_cached, '') IS NOT NULL THEN
+    RETURN v_cached::jsonb;
+  END IF;
+
+  SELECT to_jsonb(fare) INTO v_fare
+  FROM public.get_trip_fares(ARRAY[p_trip_id], p_seat_class, p_round_trip) AS fare;
+
+  IF v_fare IS NOT NULL THEN
+    PERFORM set_config(v_setting, v_fare::text, true);
+  END IF;
+  RETURN v_fare;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.booking_trip_fare(uuid, text, boolean)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.booking_trip_fare(uuid, text, boolean)
+  TO service_role;
+
+-- book_mobile_basket_atomic as in supabase-migration-fare-rules.sql, except
+-- that a round-trip basket is charged round-trip fares. The API sends each
+-- item's leg; a basket without legs is priced one way as before.
+CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic(
+  p_passenger_id uuid,
+  p_idempotency_key text,
+  p_items jsonb,
+  p_payment_method text DEFAULT 'referencia',
+  p_discount_percentage numeric DEFAULT 0
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_item record;
+  v_ticket public.tickets%ROWTYPE;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_item_count integer;
+  v_existing_count integer;
+  v_seat_number integer;
+  v_fare jsonb;
+  v_round_trip boolean;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  p_payment_method := COALESCE(NULLIF(btrim(p_payment_method), ''), 'referencia');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 190 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 190 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    RAISE EXCEPTION 'Basket items must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  v_item_count := jsonb_array_length(p_items);
+  IF v_item_count = 0 OR v_item_count > 20 THEN
+    RAISE EXCEPTION 'A basket must contain between 1 and 20 seats' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_discount_percentage IS NULL OR p_discount_percentage < 0 OR p_discount_percentage > 100 THEN
+    RAISE EXCEPTION 'Discount must be between 0 and 100 percent' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = p_passenger_id) THEN
+    RAISE EXCEPTION 'Passenger not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_passenger_id::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT COUNT(*) INTO v_existing_count
+  FROM public.tickets tk
+  WHERE tk.booked_by = p_passenger_id
+    AND left(tk.idempotency_key, length(p_idempotency_key) + 1) = p_idempotency_key || ':';
+
+  IF v_existing_count > 0 THEN
+    IF v_existing_count <> v_item_count OR EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+      LEFT JOIN public.tickets tk
+        ON tk.booked_by = p_passenger_id
+       AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+      WHERE tk.id IS NULL
+         OR tk.trip_id IS DISTINCT FROM (item.value->>'trip_id')::uuid
+         OR tk.seat_number IS DISTINCT FROM (item.value->>'seat_number')::integer
+         OR tk.passenger_id IS DISTINCT FROM p_passenger_id
+    ) THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      tk.id,
+      tk.ticket_number,
+      tk.trip_id,
+      tk.passenger_id,
+      tk.booked_by,
+      tk.seat_number,
+      tk.seat_class,
+      tk.price_paid_usd,
+      tk.payment_reference,
+      tk.payment_status,
+      tk.payment_method,
+      tk.qr_code_data,
+      tk.status,
+      true
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+    JOIN public.tickets tk
+      ON tk.booked_by = p_passenger_id
+     AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+    ORDER BY item.ordinality;
+    RETURN;
+  END IF;
+
+  v_round_trip := public.is_round_trip_basket(p_items);
+
+  -- Any exception below (seat taken by guard_seat_conflict, held by another
+  -- passenger in guard_seat_hold, trip closed) aborts the whole basket.
+  FOR v_item IN
+    SELECT item.value, item.ordinality
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+  LOOP
+    v_seat_number := (v_item.value->>'seat_number')::integer;
+    v_bus_id := NULL;
+
+    SELECT
+      tr.bus_id,
+      b.capacity,
+      tr.price_usd,
+      tr.seat_class,
+      b.is_active,
+      tr.status
+    INTO
+      v_bus_id,
+      v_capacity,
+      v_price,
+      v_default_seat_class,
+      v_bus_active,
+      v_trip_status
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    WHERE tr.id = (v_item.value->>'trip_id')::uuid;
+
+    IF v_bus_id IS NULL THEN
+      RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+      RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_seat_number IS NULL OR v_seat_number < 2 OR v_seat_number > v_capacity THEN
+      RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+    END IF;
+
+    v_fare := public.booking_trip_fare((v_item.value->>'trip_id')::uuid, NULL, v_round_trip);
+    v_price := (v_fare->>'fare_usd')::numeric;
+
+    INSERT INTO public.tickets (
+      trip_id,
+      passenger_id,
+      booked_by,
+      booking_source,
+      seat_class,
+      seat_number,
+      price_paid_usd,
+      base_price_usd,
+      fare_rules,
+      payment_status,
+      payment_method,
+      qr_code_data,
+      idempotency_key
+    ) VALUES (
+      (v_item.value->>'trip_id')::uuid,
+      p_passenger_id,
+      p_passenger_id,
+      'mobile_app',
+      COALESCE(v_default_seat_class, 'economy'),
+      v_seat_number,
+      round(v_price * (1 - p_discount_percentage / 100), 2),
+      (v_fare->>'base_price_usd')::numeric,
+      v_fare->'applied_rules',
+      'pending',
+      p_payment_method,
+      'TKT-' || (v_item.value->>'trip_id') || '-' || v_seat_number::text,
+      p_idempotency_key || ':' || v_item.ordinality::text
+    )
+    RETURNING * INTO v_ticket;
+
+    RETURN QUERY SELECT
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_ticket.trip_id,
+      v_ticket.passenger_id,
+      v_ticket.booked_by,
+      v_ticket.seat_number,
+      v_ticket.seat_class,
+      v_ticket.price_paid_usd,
+      v_ticket.payment_reference,
+      v_ticket.payment_status,
+      v_ticket.payment_method,
+      v_ticket.qr_code_data,
+      v_ticket.status,
+      false;
+  END LOOP;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) TO service_role;
+
+COMMIT;
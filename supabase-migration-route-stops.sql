@@ -0,0 +1,1955 @@
+-- Nawabus route stops and segment selling (2026-10-19)
+--
+-- Apply after supabase-migration-connections.sql and before deploying the
+-- matching API. A route lists its stops in order, with the minutes after the
+-- trip's departure at which the bus reaches and leaves each one, and a fare
+-- for every segment sold between two of them. A ticket may cover a segment of
+-- its trip (tickets.origin_stop/destination_stop), so one seat is sold
+-- Luanda-Sumbe and again Sumbe-Benguela on the same departure.
+--
+-- Seats of one trip are shared by stop range, by tickets and seat holds
+-- alike. Trips that still model one segment each keep the time-overlap rule
+-- between them. Tickets and holds without stops cover the whole route. An
+-- exchange keeps the ticket's segment and prices it on the target trip.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.route_stops (
+  route_id uuid NOT NULL REFERENCES public.routes (id) ON DELETE CASCADE,
+  stop_order integer NOT NULL CHECK (stop_order >= 0),
+  city text NOT NULL,
+  province text,
+  -- Minutes after trips.departure_time. The first stop is 0 and 0.
+  arrival_offset_minutes integer NOT NULL CHECK (arrival_offset_minutes >= 0),
+  departure_offset_minutes integer NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (route_id, stop_order),
+  CHECK (departure_offset_minutes >= arrival_offset_minutes)
+);
+
+ALTER TABLE public.route_stops ENABLE ROW LEVEL SECURITY;
+
+-- What a seat costs between two stops, before fare rules. A segment without a
+-- row is not sold.
+CREATE TABLE IF NOT EXISTS public.route_segment_fares (
+  route_id uuid NOT NULL,
+  origin_stop integer NOT NULL,
+  destination_stop integer NOT NULL,
+  price_usd numeric(12, 2) NOT NULL CHECK (price_usd >= 0),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (route_id, origin_stop, destination_stop),
+  FOREIGN KEY (route_id, origin_stop)
+    REFERENCES public.route_stops (route_id, stop_order) ON DELETE CASCADE,
+  FOREIGN KEY (route_id, destination_stop)
+    REFERENCES public.route_stops (route_id, stop_order) ON DELETE CASCADE,
+  CHECK (origin_stop < destination_stop)
+);
+
+ALTER TABLE public.route_segment_fares ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE public.tickets
+  ADD COLUMN IF NOT EXISTS origin_stop integer,
+  ADD COLUMN IF NOT EXISTS destination_stop integer;
+
+ALTER TABLE public.tickets
+  DROP CONSTRAINT IF EXISTS tickets_stop_range_check;
+ALTER TABLE public.tickets
+  ADD CONSTRAINT tickets_stop_range_check CHECK (
+    (origin_stop IS NULL AND destination_stop IS NULL)
+    OR (origin_stop >= 0 AND origin_stop < destination_stop)
+  );
+
+-- A hold covers the segment the passenger is checking out, like a ticket.
+ALTER TABLE public.online_bookings
+  ADD COLUMN IF NOT EXISTS origin_stop integer,
+  ADD COLUMN IF NOT EXISTS destination_stop integer;
+
+ALTER TABLE public.online_bookings
+  DROP CONSTRAINT IF EXISTS online_bookings_stop_range_check;
+ALTER TABLE public.online_bookings
+  ADD CONSTRAINT online_bookings_stop_range_check CHECK (
+    (origin_stop IS NULL AND destination_stop IS NULL)
+    OR (origin_stop >= 0 AND origin_stop < destination_stop)
+  );
+
+-- Whether two stop ranges of one trip share a stretch of road. A range
+-- without stops is the whole route. Passengers change seats at a stop, so a
+-- range ending where the other starts does not overlap it.
+CREATE OR REPLACE FUNCTION public.stop_ranges_overlap(
+  p_origin_stop integer,
+  p_destination_stop integer,
+  p_other_origin_stop integer,
+  p_other_destination_stop integer
+)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+SET search_path = public, pg_temp
+AS $function$
+  SELECT COALESCE(p_origin_stop, 0) < COALESCE(p_other_destination_stop, 2147483647)
+     AND COALESCE(p_other_origin_stop, 0) < COALESCE(p_destination_stop, 2147483647);
+$function$;
+
+-- The functions below gain trailing stop parameters. The old signatures are
+-- dropped so PostgREST never has two candidates to choose from; callers that
+-- omit the stops keep selling and pricing whole trips.
+DROP FUNCTION IF EXISTS public.get_trip_seat_availability(uuid[]);
+DROP FUNCTION IF EXISTS public.create_seat_hold(uuid, uuid, integer, integer);
+DROP FUNCTION IF EXISTS public.get_trip_fares(uuid[], text, boolean);
+DROP FUNCTION IF EXISTS public.booking_trip_fare(uuid, text, boolean);
+DROP FUNCTION IF EXISTS public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text, text
+);
+DROP FUNCTION IF EXISTS public.book_agent_ticket_atomic_v2(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, text, text
+);
+DROP FUNCTION IF EXISTS public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text
+);
+
+-- As in supabase-migration-atomic-booking-and-batched-availability.sql, for
+-- the segment between two stops of each trip (the whole trip without them).
+-- A ticket or hold on the same trip only occupies its seat along its own
+-- stops.
+CREATE OR REPLACE FUNCTION public.get_trip_seat_availability(
+  p_trip_ids uuid[],
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS TABLE (
+  trip_id uuid,
+  available_seats integer,
+  occupied_seats integer[]
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  WITH requested AS (
+    SELECT DISTINCT
+      tr.id AS trip_id,
+      tr.bus_id,
+      tr.departure_time,
+      tr.arrival_time,
+      b.capacity
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    WHERE tr.id = ANY(COALESCE(p_trip_ids, ARRAY[]::uuid[]))
+  ),
+  occupied AS (
+    SELECT req.trip_id, tk.seat_number
+    FROM requested req
+    JOIN public.trips sibling
+      ON sibling.bus_id = req.bus_id
+     AND sibling.departure_time < req.arrival_time
+     AND req.departure_time < sibling.arrival_time
+    JOIN public.tickets tk ON tk.trip_id = sibling.id
+    WHERE tk.status IN ('active', 'pending', 'used')
+      AND tk.seat_number <> public.copilot_seat_number()
+      AND (
+        sibling.id <> req.trip_id
+        OR public.stop_ranges_overlap(
+          tk.origin_stop, tk.destination_stop, p_origin_stop, p_destination_stop
+        )
+      )
+
+    UNION
+
+    SELECT req.trip_id, hold.seat_number
+    FROM requested req
+    JOIN public.trips sibling
+      ON sibling.bus_id = req.bus_id
+     AND sibling.departure_time < req.arrival_time
+     AND req.departure_time < sibling.arrival_time
+    JOIN public.online_bookings hold ON hold.trip_id = sibling.id
+    WHERE hold.expires_at > now()
+      AND hold.seat_number <> public.copilot_seat_number()
+      AND (
+        sibling.id <> req.trip_id
+        OR public.stop_ranges_overlap(
+          hold.origin_stop, hold.destination_stop, p_origin_stop, p_destination_stop
+        )
+      )
+  )
+  SELECT
+    req.trip_id,
+    GREATEST(req.capacity - 1 - COUNT(occupied.seat_number), 0)::integer,
+    COALESCE(
+      array_agg(occupied.seat_number ORDER BY occupied.seat_number)
+        FILTER (WHERE occupied.seat_number IS NOT NULL),
+      ARRAY[]::integer[]
+    )
+  FROM requested req
+  LEFT JOIN occupied ON occupied.trip_id = req.trip_id
+  GROUP BY req.trip_id, req.capacity;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_trip_seat_availability(
+  uuid[], integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.get_trip_seat_availability(
+  uuid[], integer, integer
+) TO service_role;
+
+-- As in supabase-migration-atomic-booking-and-batched-availability.sql, except
+-- that tickets of the same trip only conflict when their stop ranges overlap,
+-- and the stops must exist on the trip's route.
+CREATE OR REPLACE FUNCTION public.guard_seat_conflict()
+RETURNS trigger
+LANGUAGE plpgsql
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_bus_id uuid;
+  v_route_id uuid;
+  v_departure_time timestamptz;
+  v_arrival_time timestamptz;
+BEGIN
+  IF NEW.seat_number IS NULL OR NEW.status NOT IN ('active', 'pending', 'used') THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.seat_number = public.copilot_seat_number()
+     AND (
+       TG_OP = 'INSERT'
+       OR OLD.seat_number IS DISTINCT FROM NEW.seat_number
+       OR OLD.status NOT IN ('active', 'pending', 'used')
+     )
+  THEN
+    RAISE EXCEPTION 'Seat % is reserved for the co-pilot and cannot be sold', NEW.seat_number
+      USING ERRCODE = '23514';
+  END IF;
+
+  SELECT tr.bus_id, tr.route_id, tr.departure_time, tr.arrival_time
+    INTO v_bus_id, v_route_id, v_departure_time, v_arrival_time
+  FROM public.trips tr
+  WHERE tr.id = NEW.trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.origin_stop IS NOT NULL AND (
+    SELECT COUNT(*)
+    FROM public.route_stops stop
+    WHERE stop.route_id = v_route_id
+      AND stop.stop_order IN (NEW.origin_stop, NEW.destination_stop)
+  ) < 2 THEN
+    RAISE EXCEPTION 'Trip has no stops % and %', NEW.origin_stop, NEW.destination_stop
+      USING ERRCODE = '23514';
+  END IF;
+
+  -- The hold function uses the same bus lock, so a hold and ticket cannot both
+  -- win a race for overlapping segments of the same physical bus.
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || NEW.seat_number::text, 0)
+  );
+
+  IF EXISTS (
+    SELECT 1
+    FROM public.tickets tk
+    JOIN public.trips sibling ON sibling.id = tk.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND tk.seat_number = NEW.seat_number
+      AND tk.status IN ('active', 'pending', 'used')
+      AND tk.id IS DISTINCT FROM NEW.id
+      AND (
+        sibling.id <> NEW.trip_id
+        OR public.stop_ranges_overlap(
+          tk.origin_stop, tk.destination_stop, NEW.origin_stop, NEW.destination_stop
+        )
+      )
+  ) THEN
+    RAISE EXCEPTION 'Seat already taken: seat % conflicts with an overlapping trip on this bus', NEW.seat_number
+      USING ERRCODE = '23505';
+  END IF;
+
+  RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS guard_seat_conflict_on_seat_change ON public.tickets;
+
+CREATE TRIGGER guard_seat_conflict_on_seat_change
+BEFORE UPDATE OF trip_id, seat_number, status, origin_stop, destination_stop ON public.tickets
+FOR EACH ROW EXECUTE FUNCTION public.guard_seat_conflict();
+
+-- create_seat_hold as in
+-- supabase-migration-atomic-booking-and-batched-availability.sql, except that
+-- a hold may cover a segment between two stops. On the same trip it only
+-- conflicts with tickets and holds whose stop ranges overlap it.
+CREATE OR REPLACE FUNCTION public.create_seat_hold(
+  p_trip_id uuid,
+  p_passenger_id uuid,
+  p_seat_number integer,
+  p_hold_duration_minutes integer DEFAULT 15,
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_hold_id uuid;
+  v_bus_id uuid;
+  v_route_id uuid;
+  v_departure_time timestamptz;
+  v_arrival_time timestamptz;
+  v_capacity integer;
+BEGIN
+  IF (p_origin_stop IS NULL) <> (p_destination_stop IS NULL) THEN
+    RAISE EXCEPTION 'A segment needs both an origin and a destination stop'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT tr.bus_id, tr.route_id, tr.departure_time, tr.arrival_time, b.capacity
+    INTO v_bus_id, v_route_id, v_departure_time, v_arrival_time, v_capacity
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF p_seat_number < 2 OR p_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat is outside the sellable passenger range'
+      USING ERRCODE = '23514';
+  END IF;
+
+  IF p_origin_stop IS NOT NULL AND (
+    SELECT COUNT(*)
+    FROM public.route_stops stop
+    WHERE stop.route_id = v_route_id
+      AND stop.stop_order IN (p_origin_stop, p_destination_stop)
+  ) < 2 THEN
+    RAISE EXCEPTION 'Trip has no stops % and %', p_origin_stop, p_destination_stop
+      USING ERRCODE = '23514';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || p_seat_number::text, 0)
+  );
+
+  IF EXISTS (
+    SELECT 1
+    FROM public.tickets tk
+    JOIN public.trips sibling ON sibling.id = tk.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND tk.seat_number = p_seat_number
+      AND tk.status IN ('active', 'pending', 'used')
+      AND (
+        sibling.id <> p_trip_id
+        OR public.stop_ranges_overlap(
+          tk.origin_stop, tk.destination_stop, p_origin_stop, p_destination_stop
+        )
+      )
+  ) OR EXISTS (
+    SELECT 1
+    FROM public.online_bookings hold
+    JOIN public.trips sibling ON sibling.id = hold.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND hold.seat_number = p_seat_number
+      AND hold.expires_at > now()
+      AND (
+        sibling.id <> p_trip_id
+        OR public.stop_ranges_overlap(
+          hold.origin_stop, hold.destination_stop, p_origin_stop, p_destination_stop
+        )
+      )
+  ) THEN
+    RAISE EXCEPTION 'Seat not available' USING ERRCODE = '23505';
+  END IF;
+
+  INSERT INTO public.online_bookings (
+    trip_id, passenger_id, seat_number, origin_stop, destination_stop, expires_at
+  )
+  VALUES (
+    p_trip_id,
+    p_passenger_id,
+    p_seat_number,
+    p_origin_stop,
+    p_destination_stop,
+    now() + make_interval(mins => p_hold_duration_minutes)
+  )
+  RETURNING id INTO v_hold_id;
+
+  RETURN v_hold_id;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.create_seat_hold(
+  uuid, uuid, integer, integer, integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.create_seat_hold(
+  uuid, uuid, integer, integer, integer, integer
+) TO service_role;
+
+-- guard_seat_hold as in supabase-migration-seat-holds.sql, except that a hold
+-- on the ticket's own trip only blocks it, or is consumed by it, when their
+-- stop ranges overlap.
+CREATE OR REPLACE FUNCTION public.guard_seat_hold()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_bus_id uuid;
+  v_departure_time timestamptz;
+  v_arrival_time timestamptz;
+BEGIN
+  IF NEW.seat_number IS NULL OR NEW.status NOT IN ('active', 'pending', 'used') THEN
+    RETURN NEW;
+  END IF;
+
+  -- Payment-only updates keep a seat the ticket already occupied.
+  IF TG_OP = 'UPDATE'
+     AND OLD.trip_id IS NOT DISTINCT FROM NEW.trip_id
+     AND OLD.seat_number IS NOT DISTINCT FROM NEW.seat_number
+     AND OLD.origin_stop IS NOT DISTINCT FROM NEW.origin_stop
+     AND OLD.destination_stop IS NOT DISTINCT FROM NEW.destination_stop
+     AND OLD.status IN ('active', 'pending', 'used')
+  THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT tr.bus_id, tr.departure_time, tr.arrival_time
+    INTO v_bus_id, v_departure_time, v_arrival_time
+  FROM public.trips tr
+  WHERE tr.id = NEW.trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || NEW.seat_number::text, 0)
+  );
+
+  IF EXISTS (
+    SELECT 1
+    FROM public.online_bookings hold
+    JOIN public.trips sibling ON sibling.id = hold.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND hold.seat_number = NEW.seat_number
+      AND hold.expires_at > now()
+      AND hold.passenger_id IS DISTINCT FROM NEW.passenger_id
+      AND (
+        sibling.id <> NEW.trip_id
+        OR public.stop_ranges_overlap(
+          hold.origin_stop, hold.destination_stop, NEW.origin_stop, NEW.destination_stop
+        )
+      )
+  ) THEN
+    RAISE EXCEPTION 'Seat currently reserved for an online payment'
+      USING ERRCODE = '23505';
+  END IF;
+
+  DELETE FROM public.online_bookings hold
+  USING public.trips sibling
+  WHERE sibling.id = hold.trip_id
+    AND sibling.bus_id = v_bus_id
+    AND sibling.departure_time < v_arrival_time
+    AND v_departure_time < sibling.arrival_time
+    AND hold.seat_number = NEW.seat_number
+    AND hold.passenger_id = NEW.passenger_id
+    AND (
+      sibling.id <> NEW.trip_id
+      OR public.stop_ranges_overlap(
+        hold.origin_stop, hold.destination_stop, NEW.origin_stop, NEW.destination_stop
+      )
+    );
+
+  RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS guard_seat_hold_on_seat_change ON public.tickets;
+
+CREATE TRIGGER guard_seat_hold_on_seat_change
+BEFORE UPDATE OF trip_id, seat_number, status, origin_stop, destination_stop ON public.tickets
+FOR EACH ROW EXECUTE FUNCTION public.guard_seat_hold();
+
+-- As in supabase-migration-round-trips.sql. With stops, the base price is the
+-- segment fare and 'last_seats' counts the seats left on the segment. A
+-- segment without a fare has no base price and no fare.
+CREATE OR REPLACE FUNCTION public.get_trip_fares(
+  p_trip_ids uuid[],
+  p_seat_class text DEFAULT NULL,
+  p_round_trip boolean DEFAULT false,
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS TABLE (
+  trip_id uuid,
+  seat_class text,
+  base_price_usd numeric,
+  fare_usd numeric,
+  available_seats integer,
+  applied_rules jsonb
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+  WITH requested AS (
+    SELECT
+      tr.id AS trip_id,
+      tr.route_id,
+      b.company_id,
+      tr.departure_time,
+      (tr.departure_time AT TIME ZONE 'Africa/Luanda')::date AS departure_date,
+      COALESCE(NULLIF(btrim(p_seat_class), ''), tr.seat_class, 'economy') AS seat_class,
+      CASE
+        WHEN p_origin_stop IS NULL THEN tr.price_usd
+        ELSE segment.price_usd
+      END AS base_price_usd,
+      availability.available_seats
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    LEFT JOIN public.route_segment_fares segment
+      ON segment.route_id = tr.route_id
+     AND segment.origin_stop = p_origin_stop
+     AND segment.destination_stop = p_destination_stop
+    LEFT JOIN public.get_trip_seat_availability(p_trip_ids, p_origin_stop, p_destination_stop) AS availability
+      ON availability.trip_id = tr.id
+    WHERE tr.id = ANY(COALESCE(p_trip_ids, ARRAY[]::uuid[]))
+  ),
+  applied AS (
+    SELECT
+      req.trip_id,
+      rule.id AS rule_id,
+      rule.name,
+      rule.kind,
+      rule.adjustment_type,
+      rule.adjustment_value,
+      rule.priority,
+      CASE
+        WHEN rule.adjustment_type = 'percentage'
+          THEN round(req.base_price_usd * rule.adjustment_value / 100, 2)
+        ELSE rule.adjustment_value
+      END AS amount_usd
+    FROM requested req
+    JOIN public.fare_rules rule
+      ON rule.is_active
+     AND (rule.company_id IS NULL OR rule.company_id = req.company_id)
+     AND (rule.route_id IS NULL OR rule.route_id = req.route_id)
+     AND (rule.valid_from IS NULL OR req.departure_date >= rule.valid_from)
+     AND (rule.valid_until IS NULL OR req.departure_date <= rule.valid_until)
+    WHERE CASE rule.kind
+      WHEN 'day_of_week' THEN
+        extract(isodow FROM req.departure_date)::integer = ANY(rule.days_of_week)
+      WHEN 'holiday' THEN EXISTS (
+        SELECT 1 FROM public.fare_holidays holiday
+        WHERE holiday.holiday_date = req.departure_date
+      )
+      WHEN 'advance_purchase' THEN
+        (rule.min_days_before IS NULL
+          OR req.departure_time - now() >= make_interval(days => rule.min_days_before))
+        AND (rule.max_days_before IS NULL
+          OR req.departure_time - now() < make_interval(days => rule.max_days_before))
+      WHEN 'last_seats' THEN req.available_seats <= rule.max_remaining_seats
+      WHEN 'seat_class' THEN req.seat_class = rule.seat_class
+      WHEN 'round_trip' THEN p_round_trip
+      ELSE false
+    END
+  )
+  SELECT
+    req.trip_id,
+    req.seat_class,
+    req.base_price_usd,
+    CASE
+      WHEN req.base_price_usd IS NOT NULL
+        THEN GREATEST(req.base_price_usd + COALESCE(SUM(applied.amount_usd), 0), 0)
+    END,
+    req.available_seats,
+    COALESCE(
+      jsonb_agg(
+        jsonb_build_object(
+          'id', applied.rule_id,
+          'name', applied.name,
+          'kind', applied.kind,
+          'adjustment_type', applied.adjustment_type,
+          'adjustment_value', applied.adjustment_value,
+          'amount_usd', applied.amount_usd
+        )
+        ORDER BY applied.priority DESC, applied.rule_id
+      ) FILTER (WHERE applied.rule_id IS NOT NULL),
+      '[]'::jsonb
+    )
+  FROM requested req
+  LEFT JOIN applied ON applied.trip_id = req.trip_id
+  GROUP BY req.trip_id, req.seat_class, req.base_price_usd, req.available_seats;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_trip_fares(
+  uuid[], text, boolean, integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.get_trip_fares(
+  uuid[], text, boolean, integer, integer
+) TO service_role;
+
+-- The transaction cache is kept per segment as well. Selling a segment that
+-- has no fare is refused.
+CREATE OR REPLACE FUNCTION public.booking_trip_fare(
+  p_trip_id uuid,
+  p_seat_class text DEFAULT NULL,
+  p_round_trip boolean DEFAULT false,
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_setting text := 'nawabus.fare_' || md5(
+    p_trip_id::text || ':' || COALESCE(p_seat_class, '') || ':' || p_round_trip::text
+      || ':' || COALESCE(p_origin_stop::text, '') || '-' || COALESCE(p_destination_stop::text, '')
+  );
+  v_cached text := current_setting(v_setting, true);
+  v_fare jsonb;
+BEGIN
+  IF (p_origin_stop IS NULL) <> (p_destination_stop IS NULL) THEN
+    RAISE EXCEPTION 'A segment needs both an origin and a destination stop'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF NULLIF(v_cached, '') IS NOT NULL THEN
+    RETURN v_cached::jsonb;
+  END IF;
+
+  SELECT to_jsonb(fare) INTO v_fare
+  FROM public.get_trip_fares(
+    ARRAY[p_trip_id], p_seat_class, p_round_trip, p_origin_stop, p_destination_stop
+  ) AS fare;
+
+  IF p_origin_stop IS NOT NULL AND v_fare IS NOT NULL AND v_fare->>'fare_usd' IS NULL THEN
+    RAISE EXCEPTION 'No fare between stops % and % of this trip', p_origin_stop, p_destination_stop
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF v_fare IS NOT NULL THEN
+    PERFORM set_config(v_setting, v_fare::text, true);
+  END IF;
+  RETURN v_fare;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.booking_trip_fare(
+  uuid, text, boolean, integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.booking_trip_fare(
+  uuid, text, boolean, integer, integer
+) TO service_role;
+
+-- book_agent_ticket_atomic as in supabase-migration-currencies.sql, except
+-- that it may sell a segment between two stops at the segment fare, and a
+-- hold on the same trip only blocks it when their stop ranges overlap.
+CREATE OR REPLACE FUNCTION public.book_agent_ticket_atomic(
+  p_trip_id uuid,
+  p_passenger_id uuid,
+  p_booked_by uuid,
+  p_seat_number integer,
+  p_payment_method text,
+  p_payment_status text,
+  p_idempotency_key text,
+  p_seat_class text DEFAULT NULL,
+  p_payment_reference text DEFAULT NULL,
+  p_ticket_number text DEFAULT NULL,
+  p_splits jsonb DEFAULT '[]'::jsonb,
+  p_currency text DEFAULT 'USD',
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_existing public.tickets%ROWTYPE;
+  v_ticket public.tickets%ROWTYPE;
+  v_bus_id uuid;
+  v_departure_time timestamptz;
+  v_arrival_time timestamptz;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_splits jsonb := COALESCE(p_splits, '[]'::jsonb);
+  v_split_total numeric;
+  v_fare jsonb;
+  v_currency text := upper(COALESCE(NULLIF(btrim(p_currency), ''), 'USD'));
+  v_rate numeric;
+  v_tendered_price numeric;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  p_ticket_number := NULLIF(btrim(p_ticket_number), '');
+  p_payment_reference := NULLIF(btrim(p_payment_reference), '');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 200 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 200 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_method NOT IN ('cash', 'tpa', 'tpa_dinheiro', 'referencia') THEN
+    RAISE EXCEPTION 'Unsupported payment method' USING ERRCODE = '22023';
+  END IF;
+
+  IF v_currency NOT IN ('USD', 'AOA') THEN
+    RAISE EXCEPTION 'Unsupported currency' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_status NOT IN ('pending', 'paid') THEN
+    RAISE EXCEPTION 'Unsupported initial payment status' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_method IN ('cash', 'tpa', 'tpa_dinheiro')
+     AND p_payment_status <> 'paid'
+  THEN
+    RAISE EXCEPTION 'Counter payments must be paid atomically' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.profiles p
+    WHERE p.id = p_booked_by AND p.role IN ('agent', 'admin')
+  ) THEN
+    RAISE EXCEPTION 'Only agents can create counter bookings' USING ERRCODE = '42501';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_booked_by::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT tk.* INTO v_existing
+  FROM public.tickets tk
+  WHERE (tk.booked_by = p_booked_by AND tk.idempotency_key = p_idempotency_key)
+     OR (p_ticket_number IS NOT NULL AND tk.ticket_number = p_ticket_number)
+  ORDER BY (tk.booked_by = p_booked_by AND tk.idempotency_key = p_idempotency_key) DESC
+  LIMIT 1;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.booked_by IS DISTINCT FROM p_booked_by
+       OR v_existing.trip_id IS DISTINCT FROM p_trip_id
+       OR v_existing.passenger_id IS DISTINCT FROM p_passenger_id
+       OR v_existing.seat_number IS DISTINCT FROM p_seat_number
+       OR v_existing.origin_stop IS DISTINCT FROM p_origin_stop
+       OR v_existing.destination_stop IS DISTINCT FROM p_destination_stop
+    THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    IF v_existing.payment_status = 'paid'
+       AND v_existing.payment_method IN ('cash', 'tpa', 'tpa_dinheiro')
+       AND NOT EXISTS (
+         SELECT 1 FROM public.payment_transactions pt
+         WHERE pt.ticket_id = v_existing.id AND pt.status = 'completed'
+       )
+    THEN
+      RAISE EXCEPTION 'Existing paid ticket is missing its payment transaction'
+        USING ERRCODE = '55000';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_existing.ticket_number,
+      v_existing.trip_id,
+      v_existing.passenger_id,
+      v_existing.booked_by,
+      v_existing.seat_number,
+      v_existing.seat_class,
+      v_existing.price_paid_usd,
+      v_existing.payment_reference,
+      v_existing.payment_status,
+      v_existing.payment_method,
+      v_existing.qr_code_data,
+      v_existing.status,
+      true;
+    RETURN;
+  END IF;
+
+  SELECT
+    tr.bus_id,
+    tr.departure_time,
+    tr.arrival_time,
+    b.capacity,
+    tr.price_usd,
+    tr.seat_class,
+    b.is_active,
+    tr.status
+  INTO
+    v_bus_id,
+    v_departure_time,
+    v_arrival_time,
+    v_capacity,
+    v_price,
+    v_default_seat_class,
+    v_bus_active,
+    v_trip_status
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+    RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_seat_number < 2 OR p_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+  END IF;
+
+  -- Charge the fare of the sold seat class and segment. Splits are counted in
+  -- the tendered currency and must add up to the fare converted into it.
+  v_fare := public.booking_trip_fare(
+    p_trip_id,
+    COALESCE(NULLIF(p_seat_class, ''), v_default_seat_class),
+    false,
+    p_origin_stop,
+    p_destination_stop
+  );
+  v_price := (v_fare->>'fare_usd')::numeric;
+  v_rate := public.get_exchange_rate(v_currency);
+  v_tendered_price := public.round_currency(v_price * v_rate, v_currency);
+
+  IF jsonb_typeof(v_splits) <> 'array' THEN
+    RAISE EXCEPTION 'Payment splits must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  IF jsonb_array_length(v_splits) > 0 THEN
+    IF p_payment_method <> 'tpa_dinheiro' THEN
+      RAISE EXCEPTION 'Splits are only valid for TPA/cash payments' USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(v_splits) AS part(value)
+      WHERE part.value->>'method' NOT IN ('cash', 'tpa')
+         OR COALESCE((part.value->>'amount')::numeric, 0) <= 0
+    ) THEN
+      RAISE EXCEPTION 'Invalid payment split' USING ERRCODE = '22023';
+    END IF;
+
+    SELECT SUM((part.value->>'amount')::numeric)
+      INTO v_split_total
+    FROM jsonb_array_elements(v_splits) AS part(value);
+
+    IF abs(v_split_total - v_tendered_price) > public.currency_unit(v_currency) THEN
+      RAISE EXCEPTION 'Split payment total must equal ticket price' USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  -- Match guard_seat_conflict/create_seat_hold so ticket and hold races share
+  -- one lock. The trigger repeats the ticket check as defense in depth.
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || p_seat_number::text, 0)
+  );
+
+  IF EXISTS (
+    SELECT 1
+    FROM public.online_bookings hold
+    JOIN public.trips sibling ON sibling.id = hold.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND hold.seat_number = p_seat_number
+      AND hold.expires_at > now()
+      AND (
+        sibling.id <> p_trip_id
+        OR public.stop_ranges_overlap(
+          hold.origin_stop, hold.destination_stop, p_origin_stop, p_destination_stop
+        )
+      )
+  ) THEN
+    RAISE EXCEPTION 'Seat currently reserved for an online payment'
+      USING ERRCODE = '23505';
+  END IF;
+
+  INSERT INTO public.tickets (
+    trip_id,
+    passenger_id,
+    booked_by,
+    booking_source,
+    seat_class,
+    seat_number,
+    origin_stop,
+    destination_stop,
+    ticket_number,
+    price_paid_usd,
+    base_price_usd,
+    fare_rules,
+    payment_status,
+    payment_method,
+    payment_reference,
+    qr_code_data,
+    idempotency_key
+  ) VALUES (
+    p_trip_id,
+    p_passenger_id,
+    p_booked_by,
+    'mobile_app',
+    COALESCE(NULLIF(p_seat_class, ''), v_default_seat_class),
+    p_seat_number,
+    p_origin_stop,
+    p_destination_stop,
+    p_ticket_number,
+    v_price,
+    (v_fare->>'base_price_usd')::numeric,
+    v_fare->'applied_rules',
+    p_payment_status,
+    p_payment_method,
+    CASE WHEN p_payment_method = 'referencia' THEN NULL ELSE p_payment_reference END,
+    'TKT-' || p_trip_id::text || '-' || p_seat_number::text
+      || COALESCE('-' || p_origin_stop::text || '-' || p_destination_stop::text, ''),
+    p_idempotency_key
+  )
+  RETURNING * INTO v_ticket;
+
+  IF p_payment_method IN ('cash', 'tpa', 'tpa_dinheiro') THEN
+    IF jsonb_array_length(v_splits) > 0 THEN
+      -- Each part records what was tendered. Its USD share is proportional,
+      -- the last part taking the rounding so the ledger adds up to the fare.
+      INSERT INTO public.payment_transactions (
+        ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+        payment_method, status, transaction_id
+      )
+      SELECT
+        v_ticket.id,
+        CASE
+          WHEN share.ordinality = share.part_count
+            THEN v_price - share.earlier_usd
+          ELSE share.amount_usd
+        END,
+        v_currency,
+        share.amount,
+        v_rate,
+        share.method,
+        'completed',
+        'agent-' || gen_random_uuid()::text || '-' || (share.ordinality - 1)::text
+      FROM (
+        SELECT
+          part.ordinality,
+          part.value->>'method' AS method,
+          (part.value->>'amount')::numeric AS amount,
+          round(v_price * (part.value->>'amount')::numeric / v_split_total, 2) AS amount_usd,
+          COALESCE(SUM(round(v_price * (part.value->>'amount')::numeric / v_split_total, 2)) OVER (
+            ORDER BY part.ordinality ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+          ), 0) AS earlier_usd,
+          count(*) OVER () AS part_count
+        FROM jsonb_array_elements(v_splits) WITH ORDINALITY AS part(value, ordinality)
+      ) AS share;
+    ELSE
+      INSERT INTO public.payment_transactions (
+        ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+        payment_method, status, transaction_id
+      ) VALUES (
+        v_ticket.id,
+        v_price,
+        v_currency,
+        v_tendered_price,
+        v_rate,
+        p_payment_method,
+        'completed',
+        'txn-' || gen_random_uuid()::text
+      );
+    END IF;
+  END IF;
+
+  IF p_payment_method = 'referencia' AND p_payment_reference IS NOT NULL THEN
+    UPDATE public.tickets tk
+    SET payment_reference = p_payment_reference
+    WHERE tk.id = v_ticket.id
+    RETURNING * INTO v_ticket;
+  END IF;
+
+  RETURN QUERY SELECT
+    v_ticket.id,
+    v_ticket.ticket_number,
+    v_ticket.trip_id,
+    v_ticket.passenger_id,
+    v_ticket.booked_by,
+    v_ticket.seat_number,
+    v_ticket.seat_class,
+    v_ticket.price_paid_usd,
+    v_ticket.payment_reference,
+    v_ticket.payment_status,
+    v_ticket.payment_method,
+    v_ticket.qr_code_data,
+    v_ticket.status,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_ticket_atomic(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, integer, integer
+) TO service_role;
+
+-- Unchanged apart from passing the stops through.
+CREATE OR REPLACE FUNCTION public.book_agent_ticket_atomic_v2(
+  p_trip_id uuid,
+  p_passenger_id uuid,
+  p_booked_by uuid,
+  p_seat_number integer,
+  p_payment_method text,
+  p_payment_status text,
+  p_idempotency_key text,
+  p_seat_class text DEFAULT NULL,
+  p_payment_reference text DEFAULT NULL,
+  p_ticket_number text DEFAULT NULL,
+  p_splits jsonb DEFAULT '[]'::jsonb,
+  p_companion_name text DEFAULT NULL,
+  p_companion_phone text DEFAULT NULL,
+  p_currency text DEFAULT 'USD',
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_result record;
+BEGIN
+  p_companion_name := NULLIF(btrim(p_companion_name), '');
+  p_companion_phone := NULLIF(btrim(p_companion_phone), '');
+
+  IF p_companion_phone IS NOT NULL AND p_companion_name IS NULL THEN
+    RAISE EXCEPTION 'Companion phone requires a companion name'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO STRICT v_result
+  FROM public.book_agent_ticket_atomic(
+    p_trip_id,
+    p_passenger_id,
+    p_booked_by,
+    p_seat_number,
+    p_payment_method,
+    p_payment_status,
+    p_idempotency_key,
+    p_seat_class,
+    p_payment_reference,
+    p_ticket_number,
+    p_splits,
+    p_currency,
+    p_origin_stop,
+    p_destination_stop
+  );
+
+  IF p_companion_name IS NOT NULL THEN
+    INSERT INTO public.ticket_companions (ticket_id, name, phone)
+    VALUES (v_result.ticket_id, p_companion_name, p_companion_phone)
+    -- Do not name ticket_id as the conflict target here. The RETURNS TABLE
+    -- output variable has the same name, so PL/pgSQL treats
+    -- ON CONFLICT (ticket_id) as an ambiguous column reference at runtime.
+    -- There is only one unique key relevant to this insert, and the
+    -- verification below still rejects a retry with different traveller data.
+    ON CONFLICT DO NOTHING;
+
+    -- A retry with the same idempotency key must describe the same traveller.
+    IF NOT EXISTS (
+      SELECT 1
+      FROM public.ticket_companions companion
+      WHERE companion.ticket_id = v_result.ticket_id
+        AND companion.name = p_companion_name
+        AND companion.phone IS NOT DISTINCT FROM p_companion_phone
+    ) THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another companion'
+        USING ERRCODE = '23505';
+    END IF;
+  END IF;
+
+  RETURN QUERY SELECT
+    v_result.ticket_id::uuid,
+    v_result.ticket_number::text,
+    v_result.trip_id::uuid,
+    v_result.passenger_id::uuid,
+    v_result.booked_by::uuid,
+    v_result.seat_number::integer,
+    v_result.seat_class::text,
+    v_result.price_paid_usd::numeric,
+    v_result.payment_reference::text,
+    v_result.payment_status::text,
+    v_result.payment_method::text,
+    v_result.qr_code_data::text,
+    v_result.status::text,
+    v_result.was_idempotent::boolean;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_ticket_atomic_v2(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, text, text, integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_ticket_atomic_v2(
+  uuid, uuid, uuid, integer, text, text, text, text, text, text, jsonb, text, text, text, integer, integer
+) TO service_role;
+
+-- Unchanged apart from passing the stops through: a group travels together
+-- between the same two stops.
+CREATE OR REPLACE FUNCTION public.book_agent_group_atomic(
+  p_trip_id uuid,
+  p_booked_by uuid,
+  p_idempotency_key text,
+  p_payment_method text,
+  p_payment_status text,
+  p_items jsonb,
+  p_payment_reference text DEFAULT NULL,
+  p_currency text DEFAULT 'USD',
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean,
+  group_id uuid,
+  group_reference text
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_group public.booking_groups%ROWTYPE;
+  v_item record;
+  v_result record;
+  v_item_count integer;
+  v_ticket_ids uuid[] := ARRAY[]::uuid[];
+  v_total numeric := 0;
+  v_recovered boolean;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 190 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 190 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    RAISE EXCEPTION 'Group passengers must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  v_item_count := jsonb_array_length(p_items);
+  IF v_item_count = 0 OR v_item_count > 20 THEN
+    RAISE EXCEPTION 'A group must contain between 1 and 20 passengers' USING ERRCODE = '22023';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_booked_by::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT bg.* INTO v_group
+  FROM public.booking_groups bg
+  WHERE bg.booked_by = p_booked_by
+    AND bg.idempotency_key = p_idempotency_key;
+
+  IF v_group.id IS NOT NULL
+     AND (v_group.trip_id IS DISTINCT FROM p_trip_id OR v_group.ticket_count <> v_item_count)
+  THEN
+    RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+      USING ERRCODE = '23505';
+  END IF;
+
+  v_recovered := v_group.id IS NOT NULL;
+
+  FOR v_item IN
+    SELECT item.value, item.ordinality
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+    ORDER BY item.ordinality
+  LOOP
+    SELECT * INTO STRICT v_result
+    FROM public.book_agent_ticket_atomic_v2(
+      p_trip_id,
+      (v_item.value->>'passenger_id')::uuid,
+      p_booked_by,
+      (v_item.value->>'seat_number')::integer,
+      p_payment_method,
+      p_payment_status,
+      p_idempotency_key || ':' || v_item.ordinality::text,
+      v_item.value->>'seat_class',
+      p_payment_reference,
+      v_item.value->>'ticket_number',
+      COALESCE(v_item.value->'splits', '[]'::jsonb),
+      v_item.value->>'companion_name',
+      v_item.value->>'companion_phone',
+      p_currency,
+      p_origin_stop,
+      p_destination_stop
+    );
+
+    -- A committed group is recovered as a whole. A fresh ticket under an
+    -- existing group key means the retry describes a different sale.
+    IF v_result.was_idempotent IS DISTINCT FROM v_recovered THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    v_ticket_ids := v_ticket_ids || v_result.ticket_id::uuid;
+    v_total := v_total + v_result.price_paid_usd;
+  END LOOP;
+
+  IF NOT v_recovered THEN
+    INSERT INTO public.booking_groups (
+      group_reference,
+      booked_by,
+      idempotency_key,
+      trip_id,
+      payment_method,
+      payment_reference,
+      ticket_count,
+      total_usd
+    ) VALUES (
+      'GRP-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10)),
+      p_booked_by,
+      p_idempotency_key,
+      p_trip_id,
+      p_payment_method,
+      NULLIF(btrim(p_payment_reference), ''),
+      v_item_count,
+      v_total
+    )
+    RETURNING * INTO v_group;
+
+    UPDATE public.tickets tk
+    SET booking_group_id = v_group.id
+    WHERE tk.id = ANY (v_ticket_ids);
+  END IF;
+
+  RETURN QUERY SELECT
+    tk.id,
+    tk.ticket_number,
+    tk.trip_id,
+    tk.passenger_id,
+    tk.booked_by,
+    tk.seat_number,
+    tk.seat_class,
+    tk.price_paid_usd,
+    tk.payment_reference,
+    tk.payment_status,
+    tk.payment_method,
+    tk.qr_code_data,
+    tk.status,
+    v_recovered,
+    v_group.id,
+    v_group.group_reference
+  FROM unnest(v_ticket_ids) WITH ORDINALITY AS ids(id, ordinality)
+  JOIN public.tickets tk ON tk.id = ids.id
+  ORDER BY ids.ordinality;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text, text, integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_agent_group_atomic(
+  uuid, uuid, text, text, text, jsonb, text, text, integer, integer
+) TO service_role;
+
+-- book_mobile_basket_atomic as in supabase-migration-round-trips.sql, except
+-- that an item may carry origin_stop and destination_stop to buy a segment,
+-- and that a basket is only paid by reference, so it always gets a payment
+-- deadline (supabase-migration-reference-expiry.sql).
+CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic(
+  p_passenger_id uuid,
+  p_idempotency_key text,
+  p_items jsonb,
+  p_payment_method text DEFAULT 'referencia',
+  p_discount_percentage numeric DEFAULT 0
+)
+RETURNS TABLE (
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  passenger_id uuid,
+  booked_by uuid,
+  seat_number integer,
+  seat_class text,
+  price_paid_usd numeric,
+  payment_reference text,
+  payment_status text,
+  payment_method text,
+  qr_code_data text,
+  status text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_item record;
+  v_ticket public.tickets%ROWTYPE;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_item_count integer;
+  v_existing_count integer;
+  v_seat_number integer;
+  v_origin_stop integer;
+  v_destination_stop integer;
+  v_fare jsonb;
+  v_round_trip boolean;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  p_payment_method := COALESCE(NULLIF(btrim(p_payment_method), ''), 'referencia');
+
+  IF p_idempotency_key IS NULL THEN
+    RAISE EXCEPTION 'A stable idempotency key is required' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_payment_method <> 'referencia' THEN
+    RAISE EXCEPTION 'Mobile bookings are paid by reference' USING ERRCODE = '22023';
+  END IF;
+
+  IF length(p_idempotency_key) > 190 THEN
+    RAISE EXCEPTION 'Idempotency key must not exceed 190 characters'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF p_items IS NULL OR jsonb_typeof(p_items) <> 'array' THEN
+    RAISE EXCEPTION 'Basket items must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  v_item_count := jsonb_array_length(p_items);
+  IF v_item_count = 0 OR v_item_count > 20 THEN
+    RAISE EXCEPTION 'A basket must contain between 1 and 20 seats' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_discount_percentage IS NULL OR p_discount_percentage < 0 OR p_discount_percentage > 100 THEN
+    RAISE EXCEPTION 'Discount must be between 0 and 100 percent' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.profiles p WHERE p.id = p_passenger_id) THEN
+    RAISE EXCEPTION 'Passenger not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('booking:' || p_passenger_id::text || ':' || p_idempotency_key, 0)
+  );
+
+  SELECT COUNT(*) INTO v_existing_count
+  FROM public.tickets tk
+  WHERE tk.booked_by = p_passenger_id
+    AND left(tk.idempotency_key, length(p_idempotency_key) + 1) = p_idempotency_key || ':';
+
+  IF v_existing_count > 0 THEN
+    IF v_existing_count <> v_item_count OR EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+      LEFT JOIN public.tickets tk
+        ON tk.booked_by = p_passenger_id
+       AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+      WHERE tk.id IS NULL
+         OR tk.trip_id IS DISTINCT FROM (item.value->>'trip_id')::uuid
+         OR tk.seat_number IS DISTINCT FROM (item.value->>'seat_number')::integer
+         OR tk.origin_stop IS DISTINCT FROM (item.value->>'origin_stop')::integer
+         OR tk.destination_stop IS DISTINCT FROM (item.value->>'destination_stop')::integer
+         OR tk.passenger_id IS DISTINCT FROM p_passenger_id
+    ) THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another booking'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      tk.id,
+      tk.ticket_number,
+      tk.trip_id,
+      tk.passenger_id,
+      tk.booked_by,
+      tk.seat_number,
+      tk.seat_class,
+      tk.price_paid_usd,
+      tk.payment_reference,
+      tk.payment_status,
+      tk.payment_method,
+      tk.qr_code_data,
+      tk.status,
+      true
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+    JOIN public.tickets tk
+      ON tk.booked_by = p_passenger_id
+     AND tk.idempotency_key = p_idempotency_key || ':' || item.ordinality::text
+    ORDER BY item.ordinality;
+    RETURN;
+  END IF;
+
+  v_round_trip := public.is_round_trip_basket(p_items);
+
+  -- Any exception below (seat taken by guard_seat_conflict, held by another
+  -- passenger in guard_seat_hold, trip closed) aborts the whole basket.
+  FOR v_item IN
+    SELECT item.value, item.ordinality
+    FROM jsonb_array_elements(p_items) WITH ORDINALITY AS item(value, ordinality)
+  LOOP
+    v_seat_number := (v_item.value->>'seat_number')::integer;
+    v_origin_stop := (v_item.value->>'origin_stop')::integer;
+    v_destination_stop := (v_item.value->>'destination_stop')::integer;
+    v_bus_id := NULL;
+
+    SELECT
+      tr.bus_id,
+      b.capacity,
+      tr.price_usd,
+      tr.seat_class,
+      b.is_active,
+      tr.status
+    INTO
+      v_bus_id,
+      v_capacity,
+      v_price,
+      v_default_seat_class,
+      v_bus_active,
+      v_trip_status
+    FROM public.trips tr
+    JOIN public.buses b ON b.id = tr.bus_id
+    WHERE tr.id = (v_item.value->>'trip_id')::uuid;
+
+    IF v_bus_id IS NULL THEN
+      RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+      RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+    END IF;
+
+    IF v_seat_number IS NULL OR v_seat_number < 2 OR v_seat_number > v_capacity THEN
+      RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+    END IF;
+
+    v_fare := public.booking_trip_fare(
+      (v_item.value->>'trip_id')::uuid, NULL, v_round_trip, v_origin_stop, v_destination_stop
+    );
+    v_price := (v_fare->>'fare_usd')::numeric;
+
+    INSERT INTO public.tickets (
+      trip_id,
+      passenger_id,
+      booked_by,
+      booking_source,
+      seat_class,
+      seat_number,
+      origin_stop,
+      destination_stop,
+      price_paid_usd,
+      base_price_usd,
+      fare_rules,
+      payment_status,
+      payment_method,
+      qr_code_data,
+      idempotency_key
+    ) VALUES (
+      (v_item.value->>'trip_id')::uuid,
+      p_passenger_id,
+      p_passenger_id,
+      'mobile_app',
+      COALESCE(v_default_seat_class, 'economy'),
+      v_seat_number,
+      v_origin_stop,
+      v_destination_stop,
+      round(v_price * (1 - p_discount_percentage / 100), 2),
+      (v_fare->>'base_price_usd')::numeric,
+      v_fare->'applied_rules',
+      'pending',
+      p_payment_method,
+      'TKT-' || (v_item.value->>'trip_id') || '-' || v_seat_number::text
+        || COALESCE('-' || v_origin_stop::text || '-' || v_destination_stop::text, ''),
+      p_idempotency_key || ':' || v_item.ordinality::text
+    )
+    RETURNING * INTO v_ticket;
+
+    RETURN QUERY SELECT
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_ticket.trip_id,
+      v_ticket.passenger_id,
+      v_ticket.booked_by,
+      v_ticket.seat_number,
+      v_ticket.seat_class,
+      v_ticket.price_paid_usd,
+      v_ticket.payment_reference,
+      v_ticket.payment_status,
+      v_ticket.payment_method,
+      v_ticket.qr_code_data,
+      v_ticket.status,
+      false;
+  END LOOP;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.book_mobile_basket_atomic(
+  uuid, text, jsonb, text, numeric
+) TO service_role;
+
+-- Exchanges carry the ticket's stop range over to the target trip, or move it
+-- to another segment, and record both ranges.
+ALTER TABLE public.ticket_exchanges
+  ADD COLUMN IF NOT EXISTS from_origin_stop integer,
+  ADD COLUMN IF NOT EXISTS from_destination_stop integer,
+  ADD COLUMN IF NOT EXISTS to_origin_stop integer,
+  ADD COLUMN IF NOT EXISTS to_destination_stop integer;
+
+DROP FUNCTION IF EXISTS public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb, text
+);
+
+-- exchange_ticket_atomic as in supabase-migration-currencies.sql, except that
+-- the ticket keeps its stop range unless the agent names another one, pays
+-- the target segment's fare, and only conflicts with tickets of the target
+-- trip whose stop ranges overlap it (guard_seat_conflict checks both on the
+-- UPDATE).
+CREATE OR REPLACE FUNCTION public.exchange_ticket_atomic(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_new_trip_id uuid,
+  p_new_seat_number integer,
+  p_idempotency_key text,
+  p_collect_parts jsonb DEFAULT '[]'::jsonb,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb,
+  p_currency text DEFAULT 'USD',
+  p_origin_stop integer DEFAULT NULL,
+  p_destination_stop integer DEFAULT NULL
+)
+RETURNS TABLE (
+  exchange_id uuid,
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  seat_number integer,
+  origin_stop integer,
+  destination_stop integer,
+  price_paid_usd numeric,
+  fare_difference_usd numeric,
+  qr_code_data text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_actor_role text;
+  v_ticket public.tickets%ROWTYPE;
+  v_existing public.ticket_exchanges%ROWTYPE;
+  v_exchange public.ticket_exchanges%ROWTYPE;
+  v_old_trip_id uuid;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_default_seat_class text;
+  v_fare jsonb;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_difference numeric;
+  v_collect jsonb := COALESCE(p_collect_parts, '[]'::jsonb);
+  v_refund jsonb := COALESCE(p_refund_parts, '[]'::jsonb);
+  v_collect_total numeric;
+  v_refund_total numeric;
+  v_currency text := upper(COALESCE(NULLIF(btrim(p_currency), ''), 'USD'));
+  v_rate numeric;
+  v_origin_stop integer;
+  v_destination_stop integer;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  IF p_idempotency_key IS NULL OR length(p_idempotency_key) > 200 THEN
+    RAISE EXCEPTION 'A stable idempotency key of at most 200 characters is required'
+      USING ERRCODE = '22023';
+  END IF;
+
+  IF v_currency NOT IN ('USD', 'AOA') THEN
+    RAISE EXCEPTION 'Unsupported currency' USING ERRCODE = '22023';
+  END IF;
+
+  IF (p_origin_stop IS NULL) <> (p_destination_stop IS NULL) THEN
+    RAISE EXCEPTION 'A segment needs both an origin and a destination stop'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT p.role INTO v_actor_role
+  FROM public.profiles p
+  WHERE p.id = p_actor_id;
+
+  IF v_actor_role IS NULL OR v_actor_role NOT IN ('agent', 'admin') THEN
+    RAISE EXCEPTION 'Only agents can exchange tickets' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT tk.* INTO v_ticket
+  FROM public.tickets tk
+  WHERE tk.id = p_ticket_id
+  FOR UPDATE;
+
+  IF v_ticket.id IS NULL THEN
+    RAISE EXCEPTION 'Ticket not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Without stops the ticket keeps the segment it was sold for.
+  IF p_origin_stop IS NULL THEN
+    v_origin_stop := v_ticket.origin_stop;
+    v_destination_stop := v_ticket.destination_stop;
+  ELSE
+    v_origin_stop := p_origin_stop;
+    v_destination_stop := p_destination_stop;
+  END IF;
+
+  SELECT ex.* INTO v_existing
+  FROM public.ticket_exchanges ex
+  WHERE ex.ticket_id = p_ticket_id
+    AND ex.idempotency_key = p_idempotency_key;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.to_trip_id IS DISTINCT FROM p_new_trip_id
+       OR v_existing.to_seat_number IS DISTINCT FROM p_new_seat_number
+       OR v_existing.to_origin_stop IS DISTINCT FROM v_origin_stop
+       OR v_existing.to_destination_stop IS DISTINCT FROM v_destination_stop
+    THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another exchange'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_existing.to_trip_id,
+      v_existing.to_seat_number,
+      v_existing.to_origin_stop,
+      v_existing.to_destination_stop,
+      v_existing.to_price_usd,
+      v_existing.fare_difference_usd,
+      v_ticket.qr_code_data,
+      true;
+    RETURN;
+  END IF;
+
+  IF v_actor_role <> 'admin' AND v_ticket.booked_by IS DISTINCT FROM p_actor_id THEN
+    RAISE EXCEPTION 'Agents can only exchange their own ticket sales' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_ticket.status NOT IN ('active', 'pending') THEN
+    RAISE EXCEPTION 'A % ticket cannot be exchanged', v_ticket.status USING ERRCODE = '55000';
+  END IF;
+
+  IF v_ticket.trip_id = p_new_trip_id
+     AND v_ticket.seat_number = p_new_seat_number
+     AND v_ticket.origin_stop IS NOT DISTINCT FROM v_origin_stop
+     AND v_ticket.destination_stop IS NOT DISTINCT FROM v_destination_stop
+  THEN
+    RAISE EXCEPTION 'The ticket is already on this trip, seat and segment' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT tr.bus_id, b.capacity, tr.seat_class, b.is_active, tr.status
+    INTO v_bus_id, v_capacity, v_default_seat_class, v_bus_active, v_trip_status
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_new_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+    RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_new_seat_number < 2 OR p_new_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+  END IF;
+
+  -- The ticket keeps its seat class and pays the target departure's fare
+  -- for it on its segment, rules included.
+  v_fare := public.booking_trip_fare(
+    p_new_trip_id,
+    COALESCE(NULLIF(v_ticket.seat_class, ''), v_default_seat_class),
+    false,
+    v_origin_stop,
+    v_destination_stop
+  );
+  v_price := (v_fare->>'fare_usd')::numeric;
+  v_difference := v_price - v_ticket.price_paid_usd;
+
+  IF jsonb_typeof(v_collect) <> 'array' OR jsonb_typeof(v_refund) <> 'array' THEN
+    RAISE EXCEPTION 'Payment parts must be arrays' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_collect_total
+  FROM jsonb_array_elements(v_collect) AS part(value);
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_refund_total
+  FROM jsonb_array_elements(v_refund) AS part(value);
+
+  -- Money only moves for paid tickets. A pending ticket takes the new price
+  -- and is settled for the full amount when it is paid. Parts are counted in
+  -- the tendered currency and must add up to the difference converted into it.
+  IF v_ticket.payment_status = 'paid' THEN
+    v_rate := public.get_exchange_rate(v_currency);
+    IF abs(v_collect_total - public.round_currency(GREATEST(v_difference, 0) * v_rate, v_currency))
+         > public.currency_unit(v_currency)
+       OR abs(v_refund_total - public.round_currency(GREATEST(-v_difference, 0) * v_rate, v_currency))
+         > public.currency_unit(v_currency)
+    THEN
+      RAISE EXCEPTION 'Fare difference must be settled exactly: %', v_difference
+        USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_collect) AS part(value)
+      WHERE part.value->>'method' NOT IN ('cash', 'tpa', 'tpa_dinheiro')
+         OR COALESCE((part.value->>'amount')::numeric, 0) <= 0
+    ) OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_refund) AS part(value)
+      WHERE COALESCE((part.value->>'amount')::numeric, 0) <= 0
+         OR NOT EXISTS (
+           SELECT 1 FROM public.payment_transactions pt
+           WHERE pt.ticket_id = p_ticket_id
+             AND pt.status = 'completed'
+             AND pt.payment_method = part.value->>'method'
+         )
+    ) THEN
+      RAISE EXCEPTION 'Invalid fare difference payment' USING ERRCODE = '22023';
+    END IF;
+  ELSIF v_collect_total <> 0 OR v_refund_total <> 0 THEN
+    RAISE EXCEPTION 'Only paid tickets settle a fare difference' USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO public.ticket_exchanges (
+    ticket_id,
+    ticket_number,
+    idempotency_key,
+    exchanged_by,
+    from_trip_id,
+    from_seat_number,
+    from_origin_stop,
+    from_destination_stop,
+    from_price_usd,
+    to_trip_id,
+    to_seat_number,
+    to_origin_stop,
+    to_destination_stop,
+    to_price_usd,
+    fare_difference_usd
+  ) VALUES (
+    v_ticket.id,
+    v_ticket.ticket_number,
+    p_idempotency_key,
+    p_actor_id,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.origin_stop,
+    v_ticket.destination_stop,
+    v_ticket.price_paid_usd,
+    p_new_trip_id,
+    p_new_seat_number,
+    v_origin_stop,
+    v_destination_stop,
+    v_price,
+    v_difference
+  )
+  RETURNING * INTO v_exchange;
+
+  v_old_trip_id := v_ticket.trip_id;
+
+  UPDATE public.tickets tk
+  SET trip_id = p_new_trip_id,
+      seat_number = p_new_seat_number,
+      origin_stop = v_origin_stop,
+      destination_stop = v_destination_stop,
+      price_paid_usd = v_price,
+      base_price_usd = (v_fare->>'base_price_usd')::numeric,
+      fare_rules = v_fare->'applied_rules',
+      qr_code_data = 'TKT-' || p_new_trip_id::text || '-' || p_new_seat_number::text
+        || COALESCE('-' || v_origin_stop::text || '-' || v_destination_stop::text, '')
+  WHERE tk.id = v_ticket.id
+  RETURNING tk.* INTO v_ticket;
+
+  -- Each part records what was tendered. Its USD share of the difference is
+  -- proportional, the last part taking the rounding, as in
+  -- book_agent_ticket_atomic. Refund rows are negative.
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, tendered_amount, exchange_rate,
+    payment_method, status, transaction_id
+  )
+  SELECT
+    v_ticket.id,
+    CASE
+      WHEN share.ordinality = share.part_count
+        THEN GREATEST(v_difference, 0) - share.earlier_usd
+      ELSE share.amount_usd
+    END,
+    v_currency,
+    share.amount,
+    v_rate,
+    share.method,
+    'completed',
+    'exchange-' || v_exchange.id::text || '-' || (share.ordinality - 1)::text
+  FROM (
+    SELECT
+      part.ordinality,
+      part.value->>'method' AS method,
+      (part.value->>'amount')::numeric AS amount,
+      round(GREATEST(v_difference, 0) * (part.value->>'amount')::numeric / v_collect_total, 2) AS amount_usd,
+      COALESCE(SUM(round(GREATEST(v_difference, 0) * (part.value->>'amount')::numeric / v_collect_total, 2)) OVER (
+        ORDER BY part.ordinality ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ), 0) AS earlier_usd,
+      count(*) OVER () AS part_count
+    FROM jsonb_array_elements(v_collect) WITH ORDINALITY AS part(value, ordinality)
+  ) AS share
+  UNION ALL
+  SELECT
+    v_ticket.id,
+    -CASE
+      WHEN share.ordinality = share.part_count
+        THEN GREATEST(-v_difference, 0) - share.earlier_usd
+      ELSE share.amount_usd
+    END,
+    v_currency,
+    -share.amount,
+    v_rate,
+    share.method,
+    'refunded',
+    'exchange-refund-' || v_exchange.id::text || '-' || (share.ordinality - 1)::text
+  FROM (
+    SELECT
+      part.ordinality,
+      part.value->>'method' AS method,
+      (part.value->>'amount')::numeric AS amount,
+      round(GREATEST(-v_difference, 0) * (part.value->>'amount')::numeric / v_refund_total, 2) AS amount_usd,
+      COALESCE(SUM(round(GREATEST(-v_difference, 0) * (part.value->>'amount')::numeric / v_refund_total, 2)) OVER (
+        ORDER BY part.ordinality ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ), 0) AS earlier_usd,
+      count(*) OVER () AS part_count
+    FROM jsonb_array_elements(v_refund) WITH ORDINALITY AS part(value, ordinality)
+  ) AS share;
+
+  -- update_available_seats only refreshes the trip the ticket now belongs to.
+  -- Refresh the cached count of the segments the ticket left as well.
+  IF v_old_trip_id IS DISTINCT FROM p_new_trip_id THEN
+    UPDATE public.trips target
+    SET available_seats = GREATEST(
+          (b.capacity - 1) - (
+            SELECT COUNT(DISTINCT tk.seat_number)
+            FROM public.tickets tk
+            JOIN public.trips src ON src.id = tk.trip_id
+            WHERE src.bus_id = target.bus_id
+              AND src.departure_time < target.arrival_time
+              AND target.departure_time < src.arrival_time
+              AND tk.status IN ('active', 'pending', 'used')
+              AND tk.seat_number <> public.copilot_seat_number()
+          ), 0)
+    FROM public.buses b
+    WHERE b.id = target.bus_id
+      AND target.id IN (
+        SELECT overlap.id FROM public.get_overlapping_trip_ids(v_old_trip_id) overlap
+      );
+  END IF;
+
+  RETURN QUERY SELECT
+    v_exchange.id,
+    v_ticket.id,
+    v_ticket.ticket_number,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.origin_stop,
+    v_ticket.destination_stop,
+    v_ticket.price_paid_usd,
+    v_exchange.fare_difference_usd,
+    v_ticket.qr_code_data,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb, text, integer, integer
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb, text, integer, integer
+) TO service_role;
+
+COMMIT;
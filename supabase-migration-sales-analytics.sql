@@ -0,0 +1,179 @@
+-- Nawabus sales and occupancy analytics (2026-10-19)
+--
+-- Apply after supabase-migration-agent-shifts.sql and before deploying
+-- GET /api/analytics/sales. Returns one row of facts per trip departing in
+-- the range; the API groups them by route, company, bus or day. Sellable
+-- seats come from the bus seat layout (supabase-migration-bus-seat-layouts.sql).
+--
+-- booking_source is 'mobile_app' on counter sales too, so the channel is
+-- taken from who made the sale: a ticket booked by an agent or admin is a
+-- counter sale, anything else came through the app.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_trips_departure_time
+  ON public.trips (departure_time);
+
+CREATE OR REPLACE FUNCTION public.get_trip_sales_facts(
+  p_from timestamptz,
+  p_to timestamptz
+)
+RETURNS TABLE (
+  trip_id uuid,
+  departure_time timestamptz,
+  route_id uuid,
+  origin_city text,
+  destination_city text,
+  bus_id uuid,
+  license_plate text,
+  company_id uuid,
+  company_name text,
+  sellable_seats integer,
+  occupied_seats integer,
+  tickets_sold integer,
+  counter_tickets integer,
+  mobile_tickets integer,
+  lead_time_hours_total numeric,
+  revenue_by_method jsonb,
+  counter_revenue_usd numeric,
+  mobile_revenue_usd numeric
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+BEGIN
+  IF p_from IS NULL OR p_to IS NULL OR p_to <= p_from THEN
+    RAISE EXCEPTION 'A valid time range is required' USING ERRCODE = '22023';
+  END IF;
+  IF p_to - p_from > interval '92 days' THEN
+    RAISE EXCEPTION 'Analytics ranges can cover at most 92 days' USING ERRCODE = '22023';
+  END IF;
+
+  RETURN QUERY
+  WITH scoped AS (
+    SELECT
+      tr.id,
+      tr.departure_time,
+      tr.route_id,
+      r.origin_city,
+      r.destination_city,
+      tr.bus_id,
+      b.license_plate,
+      b.company_id,
+      c.name AS company_name,
+      -- Seats the bus layout sells: disabled seats and the co-pilot seat
+      -- are left out. A bus without a layout sells every seat but the
+      -- co-pilot's.
+      CASE
+        WHEN seat_layout.layout IS NULL THEN GREATEST(b.capacity - 1, 0)
+        ELSE (
+          SELECT COUNT(*)
+          FROM jsonb_array_elements(seat_layout.layout->'seats') AS seat(value)
+          WHERE COALESCE((seat.value->>'disabled')::boolean, false) = false
+            AND (seat.value->>'number')::integer <> public.copilot_seat_number()
+        )
+      END AS sellable_seats
+    FROM public.trips tr
+    JOIN public.routes r ON r.id = tr.route_id
+    JOIN public.buses b ON b.id = tr.bus_id
+    LEFT JOIN public.companies c ON c.id = b.company_id
+    CROSS JOIN LATERAL (SELECT public.get_trip_seat_layout(tr.id) AS layout) AS seat_layout
+    WHERE tr.departure_time >= p_from
+      AND tr.departure_time < p_to
+      AND tr.status IS DISTINCT FROM 'cancelled'
+  ),
+  -- Seats taken on the bus while the trip runs, overlapping segments
+  -- included. The co-pilot seat is never counted.
+  availability AS (
+    SELECT a.trip_id, cardinality(a.occupied_seats) AS occupied
+    FROM public.get_trip_seat_availability(ARRAY(SELECT s.id FROM scoped s)) a
+  ),
+  sold AS (
+    SELECT
+      tk.trip_id,
+      CASE WHEN p.role IN ('agent', 'admin') THEN 'counter' ELSE 'mobile_app' END AS channel,
+      GREATEST(EXTRACT(EPOCH FROM (s.departure_time - tk.created_at)), 0) / 3600 AS lead_hours
+    FROM public.tickets tk
+    JOIN scoped s ON s.id = tk.trip_id
+    LEFT JOIN public.profiles p ON p.id = tk.booked_by
+    WHERE tk.status IN ('active', 'pending', 'used')
+      AND tk.seat_number <> public.copilot_seat_number()
+  ),
+  ticket_totals AS (
+    SELECT
+      sold.trip_id,
+      COUNT(*) AS tickets_sold,
+      COUNT(*) FILTER (WHERE sold.channel = 'counter') AS counter_tickets,
+      COUNT(*) FILTER (WHERE sold.channel = 'mobile_app') AS mobile_tickets,
+      SUM(sold.lead_hours) AS lead_hours
+    FROM sold
+    GROUP BY sold.trip_id
+  ),
+  -- Revenue is money actually kept: completed ledger rows minus refunds, so
+  -- unpaid references add nothing and a refunded ticket nets to zero.
+  ledger AS (
+    SELECT
+      tk.trip_id,
+      pt.payment_method,
+      CASE WHEN p.role IN ('agent', 'admin') THEN 'counter' ELSE 'mobile_app' END AS channel,
+      SUM(pt.amount_usd) AS amount
+    FROM public.payment_transactions pt
+    JOIN public.tickets tk ON tk.id = pt.ticket_id
+    JOIN scoped s ON s.id = tk.trip_id
+    LEFT JOIN public.profiles p ON p.id = tk.booked_by
+    WHERE pt.status IN ('completed', 'refunded')
+    GROUP BY tk.trip_id, pt.payment_method, 3
+  ),
+  ledger_methods AS (
+    SELECT l.trip_id, l.payment_method, SUM(l.amount) AS amount
+    FROM ledger l
+    GROUP BY l.trip_id, l.payment_method
+  ),
+  ledger_totals AS (
+    SELECT
+      l.trip_id,
+      SUM(l.amount) FILTER (WHERE l.channel = 'counter') AS counter_amount,
+      SUM(l.amount) FILTER (WHERE l.channel = 'mobile_app') AS mobile_amount
+    FROM ledger l
+    GROUP BY l.trip_id
+  )
+  SELECT
+    s.id,
+    s.departure_time,
+    s.route_id,
+    s.origin_city,
+    s.destination_city,
+    s.bus_id,
+    s.license_plate,
+    s.company_id,
+    s.company_name,
+    s.sellable_seats::integer,
+    COALESCE(a.occupied, 0)::integer,
+    COALESCE(tt.tickets_sold, 0)::integer,
+    COALESCE(tt.counter_tickets, 0)::integer,
+    COALESCE(tt.mobile_tickets, 0)::integer,
+    COALESCE(tt.lead_hours, 0)::numeric,
+    COALESCE(
+      (SELECT jsonb_object_agg(COALESCE(lm.payment_method, 'unknown'), lm.amount)
+       FROM ledger_methods lm
+       WHERE lm.trip_id = s.id),
+      '{}'::jsonb
+    ),
+    COALESCE(lt.counter_amount, 0),
+    COALESCE(lt.mobile_amount, 0)
+  FROM scoped s
+  LEFT JOIN availability a ON a.trip_id = s.id
+  LEFT JOIN ticket_totals tt ON tt.trip_id = s.id
+  LEFT JOIN ledger_totals lt ON lt.trip_id = s.id
+  ORDER BY s.departure_time, s.id;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.get_trip_sales_facts(timestamptz, timestamptz)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_trip_sales_facts(timestamptz, timestamptz)
+  TO service_role;
+
+COMMIT;
@@ -0,0 +1,181 @@
+-- Nawabus seat hold API (2026-10-19)
+--
+-- Apply after supabase-migration-atomic-booking-and-batched-availability.sql
+-- and before deploying the matching server.js hold routes. It lets a passenger
+-- extend or release their own hold and converts a hold into the ticket that
+-- the same passenger later books, inside the ticket insert transaction.
+
+BEGIN;
+
+ALTER TABLE public.online_bookings
+  ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS idx_online_bookings_passenger_expires
+  ON public.online_bookings (passenger_id, expires_at);
+
+-- A hold may be refreshed while the passenger is still in checkout, but never
+-- past p_max_total_minutes after it was first taken. Otherwise one client
+-- could keep a seat off sale indefinitely by extending in a loop.
+CREATE OR REPLACE FUNCTION public.extend_seat_hold(
+  p_hold_id uuid,
+  p_passenger_id uuid,
+  p_hold_duration_minutes integer DEFAULT 15,
+  p_max_total_minutes integer DEFAULT 30
+)
+RETURNS timestamptz
+LANGUAGE plpgsql
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_hold public.online_bookings%ROWTYPE;
+  v_bus_id uuid;
+  v_expires_at timestamptz;
+BEGIN
+  SELECT hold.* INTO v_hold
+  FROM public.online_bookings hold
+  WHERE hold.id = p_hold_id
+    AND hold.passenger_id = p_passenger_id;
+
+  IF v_hold.id IS NULL THEN
+    RAISE EXCEPTION 'Hold not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT tr.bus_id INTO v_bus_id
+  FROM public.trips tr
+  WHERE tr.id = v_hold.trip_id;
+
+  -- Same lock as create_seat_hold/guard_seat_conflict: an expired hold can
+  -- only be revived if no ticket or other hold took the seat meanwhile.
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || v_hold.seat_number::text, 0)
+  );
+
+  IF v_hold.expires_at <= now() THEN
+    RAISE EXCEPTION 'Hold has expired' USING ERRCODE = '55000';
+  END IF;
+
+  v_expires_at := LEAST(
+    now() + make_interval(mins => p_hold_duration_minutes),
+    v_hold.created_at + make_interval(mins => p_max_total_minutes)
+  );
+
+  IF v_expires_at <= v_hold.expires_at THEN
+    RAISE EXCEPTION 'Hold has reached its maximum duration' USING ERRCODE = '55000';
+  END IF;
+
+  UPDATE public.online_bookings hold
+  SET expires_at = v_expires_at
+  WHERE hold.id = v_hold.id;
+
+  RETURN v_expires_at;
+END;
+$function$;
+
+CREATE OR REPLACE FUNCTION public.release_seat_hold(
+  p_hold_id uuid,
+  p_passenger_id uuid
+)
+RETURNS boolean
+LANGUAGE sql
+SET search_path = public, pg_temp
+AS $function$
+  WITH released AS (
+    DELETE FROM public.online_bookings hold
+    WHERE hold.id = p_hold_id
+      AND hold.passenger_id = p_passenger_id
+    RETURNING hold.id
+  )
+  SELECT EXISTS (SELECT 1 FROM released);
+$function$;
+
+-- Runs after guard_seat_conflict (triggers fire in name order) while the bus
+-- seat advisory lock is still held. A live hold owned by the ticket passenger
+-- is consumed by the insert; a live hold owned by anyone else rejects it, so a
+-- direct ticket insert can no longer race a passenger who is paying.
+CREATE OR REPLACE FUNCTION public.guard_seat_hold()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_bus_id uuid;
+  v_departure_time timestamptz;
+  v_arrival_time timestamptz;
+BEGIN
+  IF NEW.seat_number IS NULL OR NEW.status NOT IN ('active', 'pending', 'used') THEN
+    RETURN NEW;
+  END IF;
+
+  -- Payment-only updates keep a seat the ticket already occupied.
+  IF TG_OP = 'UPDATE'
+     AND OLD.trip_id IS NOT DISTINCT FROM NEW.trip_id
+     AND OLD.seat_number IS NOT DISTINCT FROM NEW.seat_number
+     AND OLD.status IN ('active', 'pending', 'used')
+  THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT tr.bus_id, tr.departure_time, tr.arrival_time
+    INTO v_bus_id, v_departure_time, v_arrival_time
+  FROM public.trips tr
+  WHERE tr.id = NEW.trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(v_bus_id::text || ':' || NEW.seat_number::text, 0)
+  );
+
+  IF EXISTS (
+    SELECT 1
+    FROM public.online_bookings hold
+    JOIN public.trips sibling ON sibling.id = hold.trip_id
+    WHERE sibling.bus_id = v_bus_id
+      AND sibling.departure_time < v_arrival_time
+      AND v_departure_time < sibling.arrival_time
+      AND hold.seat_number = NEW.seat_number
+      AND hold.expires_at > now()
+      AND hold.passenger_id IS DISTINCT FROM NEW.passenger_id
+  ) THEN
+    RAISE EXCEPTION 'Seat currently reserved for an online payment'
+      USING ERRCODE = '23505';
+  END IF;
+
+  DELETE FROM public.online_bookings hold
+  USING public.trips sibling
+  WHERE sibling.id = hold.trip_id
+    AND sibling.bus_id = v_bus_id
+    AND sibling.departure_time < v_arrival_time
+    AND v_departure_time < sibling.arrival_time
+    AND hold.seat_number = NEW.seat_number
+    AND hold.passenger_id = NEW.passenger_id;
+
+  RETURN NEW;
+END;
+$function$;
+
+DROP TRIGGER IF EXISTS guard_seat_hold_on_insert ON public.tickets;
+DROP TRIGGER IF EXISTS guard_seat_hold_on_seat_change ON public.tickets;
+
+CREATE TRIGGER guard_seat_hold_on_insert
+BEFORE INSERT ON public.tickets
+FOR EACH ROW EXECUTE FUNCTION public.guard_seat_hold();
+
+CREATE TRIGGER guard_seat_hold_on_seat_change
+BEFORE UPDATE OF trip_id, seat_number, status ON public.tickets
+FOR EACH ROW EXECUTE FUNCTION public.guard_seat_hold();
+
+REVOKE ALL ON FUNCTION public.extend_seat_hold(uuid, uuid, integer, integer)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.extend_seat_hold(uuid, uuid, integer, integer)
+  TO service_role;
+
+REVOKE ALL ON FUNCTION public.release_seat_hold(uuid, uuid)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.release_seat_hold(uuid, uuid)
+  TO service_role;
+
+COMMIT;
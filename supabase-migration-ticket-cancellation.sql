@@ -0,0 +1,200 @@
+-- Nawabus ticket cancellation and refunds (2026-10-19)
+--
+-- Apply before deploying POST /api/tickets/:ticketId/cancel. A cancellation
+-- frees the seat, writes the refund into payment_transactions and records who
+-- approved it, all in one transaction.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.ticket_cancellations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id uuid NOT NULL REFERENCES public.tickets (id),
+  cancelled_by uuid NOT NULL REFERENCES public.profiles (id),
+  approved_by uuid NOT NULL REFERENCES public.profiles (id),
+  reason text,
+  previous_status text NOT NULL,
+  previous_payment_status text NOT NULL,
+  refund_amount_usd numeric(12, 2) NOT NULL DEFAULT 0 CHECK (refund_amount_usd >= 0),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- A ticket can be cancelled once. The unique key also makes a retried cancel
+-- request return the original cancellation instead of refunding twice.
+CREATE UNIQUE INDEX IF NOT EXISTS ticket_cancellations_ticket_id_key
+  ON public.ticket_cancellations (ticket_id);
+
+ALTER TABLE public.ticket_cancellations ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_ticket_status
+  ON public.payment_transactions (ticket_id, status);
+
+-- Refund rows are negative amounts with status 'refunded', one per original
+-- payment channel, so SUM(amount_usd) over a ticket is always the net money
+-- kept. The API computes the mirrored parts; this function re-checks them
+-- against the ledger under the ticket row lock.
+CREATE OR REPLACE FUNCTION public.cancel_ticket_atomic(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_reason text DEFAULT NULL,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb
+)
+RETURNS TABLE (
+  cancellation_id uuid,
+  ticket_id uuid,
+  ticket_status text,
+  payment_status text,
+  refund_amount_usd numeric,
+  approved_by uuid,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_ticket public.tickets%ROWTYPE;
+  v_actor_role text;
+  v_existing public.ticket_cancellations%ROWTYPE;
+  v_cancellation public.ticket_cancellations%ROWTYPE;
+  v_parts jsonb := COALESCE(p_refund_parts, '[]'::jsonb);
+  v_refund_total numeric := 0;
+  v_paid_total numeric := 0;
+BEGIN
+  SELECT p.role INTO v_actor_role
+  FROM public.profiles p
+  WHERE p.id = p_actor_id;
+
+  IF v_actor_role IS NULL OR v_actor_role NOT IN ('agent', 'admin') THEN
+    RAISE EXCEPTION 'Only agents can cancel tickets' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT tk.* INTO v_ticket
+  FROM public.tickets tk
+  WHERE tk.id = p_ticket_id
+  FOR UPDATE;
+
+  IF v_ticket.id IS NULL THEN
+    RAISE EXCEPTION 'Ticket not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT c.* INTO v_existing
+  FROM public.ticket_cancellations c
+  WHERE c.ticket_id = p_ticket_id;
+
+  IF v_existing.id IS NOT NULL THEN
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_ticket.id,
+      v_ticket.status,
+      v_ticket.payment_status,
+      v_existing.refund_amount_usd,
+      v_existing.approved_by,
+      true;
+    RETURN;
+  END IF;
+
+  IF v_actor_role <> 'admin' AND v_ticket.booked_by IS DISTINCT FROM p_actor_id THEN
+    RAISE EXCEPTION 'Agents can only cancel their own ticket sales' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_ticket.status = 'used' THEN
+    RAISE EXCEPTION 'A used ticket cannot be cancelled' USING ERRCODE = '55000';
+  END IF;
+
+  IF v_ticket.status NOT IN ('active', 'pending') THEN
+    RAISE EXCEPTION 'Ticket is already %', v_ticket.status USING ERRCODE = '55000';
+  END IF;
+
+  IF jsonb_typeof(v_parts) <> 'array' THEN
+    RAISE EXCEPTION 'Refund parts must be an array' USING ERRCODE = '22023';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM jsonb_array_elements(v_parts) AS part(value)
+    WHERE COALESCE((part.value->>'amount')::numeric, 0) <= 0
+       OR NOT EXISTS (
+         SELECT 1 FROM public.payment_transactions pt
+         WHERE pt.ticket_id = p_ticket_id
+           AND pt.status = 'completed'
+           AND pt.payment_method = part.value->>'method'
+       )
+  ) THEN
+    RAISE EXCEPTION 'Refund parts must use the original payment methods' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_refund_total
+  FROM jsonb_array_elements(v_parts) AS part(value);
+
+  SELECT COALESCE(SUM(pt.amount_usd), 0)
+    INTO v_paid_total
+  FROM public.payment_transactions pt
+  WHERE pt.ticket_id = p_ticket_id
+    AND pt.status IN ('completed', 'refunded');
+
+  IF v_refund_total > 0 AND v_ticket.payment_status <> 'paid' THEN
+    RAISE EXCEPTION 'Only paid tickets can be refunded' USING ERRCODE = '55000';
+  END IF;
+
+  IF v_refund_total > v_paid_total + 0.005 THEN
+    RAISE EXCEPTION 'Refund cannot exceed the amount collected' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO public.ticket_cancellations (
+    ticket_id,
+    cancelled_by,
+    approved_by,
+    reason,
+    previous_status,
+    previous_payment_status,
+    refund_amount_usd
+  ) VALUES (
+    p_ticket_id,
+    p_actor_id,
+    p_actor_id,
+    NULLIF(btrim(p_reason), ''),
+    v_ticket.status,
+    v_ticket.payment_status,
+    v_refund_total
+  )
+  RETURNING * INTO v_cancellation;
+
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, payment_method, status, transaction_id
+  )
+  SELECT
+    p_ticket_id,
+    -(part.value->>'amount')::numeric,
+    'USD',
+    part.value->>'method',
+    'refunded',
+    'refund-' || v_cancellation.id::text || '-' || (part.ordinality - 1)::text
+  FROM jsonb_array_elements(v_parts) WITH ORDINALITY AS part(value, ordinality);
+
+  -- The status change fires update_available_seats and the seat guards, which
+  -- free the seat on every overlapping segment of the same bus.
+  UPDATE public.tickets tk
+  SET status = CASE WHEN v_refund_total > 0 THEN 'refunded' ELSE 'cancelled' END,
+      payment_status = CASE WHEN v_refund_total > 0 THEN 'refunded' ELSE tk.payment_status END
+  WHERE tk.id = p_ticket_id
+  RETURNING tk.* INTO v_ticket;
+
+  RETURN QUERY SELECT
+    v_cancellation.id,
+    v_ticket.id,
+    v_ticket.status,
+    v_ticket.payment_status,
+    v_cancellation.refund_amount_usd,
+    v_cancellation.approved_by,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.cancel_ticket_atomic(uuid, uuid, text, jsonb)
+  FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.cancel_ticket_atomic(uuid, uuid, text, jsonb)
+  TO service_role;
+
+COMMIT;
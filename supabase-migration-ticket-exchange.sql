@@ -0,0 +1,299 @@
+-- Nawabus ticket exchange (2026-10-19)
+--
+-- Apply after supabase-migration-ticket-cancellation.sql and before deploying
+-- POST /api/tickets/:ticketId/exchange. An exchange moves an existing ticket
+-- to another seat and/or trip, settles the fare difference in the payment
+-- ledger and keeps the ticket number, with every move kept as history.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.ticket_exchanges (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id uuid NOT NULL REFERENCES public.tickets (id),
+  ticket_number text,
+  idempotency_key text NOT NULL,
+  exchanged_by uuid NOT NULL REFERENCES public.profiles (id),
+  from_trip_id uuid NOT NULL REFERENCES public.trips (id),
+  from_seat_number integer NOT NULL,
+  from_price_usd numeric(12, 2) NOT NULL,
+  to_trip_id uuid NOT NULL REFERENCES public.trips (id),
+  to_seat_number integer NOT NULL,
+  to_price_usd numeric(12, 2) NOT NULL,
+  fare_difference_usd numeric(12, 2) NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS ticket_exchanges_ticket_idempotency_key
+  ON public.ticket_exchanges (ticket_id, idempotency_key);
+
+ALTER TABLE public.ticket_exchanges ENABLE ROW LEVEL SECURITY;
+
+-- The seat move is a plain UPDATE of trip_id/seat_number, so guard_seat_conflict
+-- and guard_seat_hold check the destination seat across every overlapping
+-- segment of the destination bus under the usual bus/seat lock.
+CREATE OR REPLACE FUNCTION public.exchange_ticket_atomic(
+  p_ticket_id uuid,
+  p_actor_id uuid,
+  p_new_trip_id uuid,
+  p_new_seat_number integer,
+  p_idempotency_key text,
+  p_collect_parts jsonb DEFAULT '[]'::jsonb,
+  p_refund_parts jsonb DEFAULT '[]'::jsonb
+)
+RETURNS TABLE (
+  exchange_id uuid,
+  ticket_id uuid,
+  ticket_number text,
+  trip_id uuid,
+  seat_number integer,
+  price_paid_usd numeric,
+  fare_difference_usd numeric,
+  qr_code_data text,
+  was_idempotent boolean
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, pg_temp
+AS $function$
+DECLARE
+  v_actor_role text;
+  v_ticket public.tickets%ROWTYPE;
+  v_existing public.ticket_exchanges%ROWTYPE;
+  v_exchange public.ticket_exchanges%ROWTYPE;
+  v_old_trip_id uuid;
+  v_bus_id uuid;
+  v_capacity integer;
+  v_price numeric;
+  v_bus_active boolean;
+  v_trip_status text;
+  v_difference numeric;
+  v_collect jsonb := COALESCE(p_collect_parts, '[]'::jsonb);
+  v_refund jsonb := COALESCE(p_refund_parts, '[]'::jsonb);
+  v_collect_total numeric;
+  v_refund_total numeric;
+BEGIN
+  p_idempotency_key := NULLIF(btrim(p_idempotency_key), '');
+  IF p_idempotency_key IS NULL OR length(p_idempotency_key) > 200 THEN
+    RAISE EXCEPTION 'A stable idempotency key of at most 200 characters is required'
+      USING ERRCODE = '22023';
+  END IF;
+
+  SELECT p.role INTO v_actor_role
+  FROM public.profiles p
+  WHERE p.id = p_actor_id;
+
+  IF v_actor_role IS NULL OR v_actor_role NOT IN ('agent', 'admin') THEN
+    RAISE EXCEPTION 'Only agents can exchange tickets' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT tk.* INTO v_ticket
+  FROM public.tickets tk
+  WHERE tk.id = p_ticket_id
+  FOR UPDATE;
+
+  IF v_ticket.id IS NULL THEN
+    RAISE EXCEPTION 'Ticket not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT ex.* INTO v_existing
+  FROM public.ticket_exchanges ex
+  WHERE ex.ticket_id = p_ticket_id
+    AND ex.idempotency_key = p_idempotency_key;
+
+  IF v_existing.id IS NOT NULL THEN
+    IF v_existing.to_trip_id IS DISTINCT FROM p_new_trip_id
+       OR v_existing.to_seat_number IS DISTINCT FROM p_new_seat_number
+    THEN
+      RAISE EXCEPTION 'Idempotency key already belongs to another exchange'
+        USING ERRCODE = '23505';
+    END IF;
+
+    RETURN QUERY SELECT
+      v_existing.id,
+      v_ticket.id,
+      v_ticket.ticket_number,
+      v_existing.to_trip_id,
+      v_existing.to_seat_number,
+      v_existing.to_price_usd,
+      v_existing.fare_difference_usd,
+      v_ticket.qr_code_data,
+      true;
+    RETURN;
+  END IF;
+
+  IF v_actor_role <> 'admin' AND v_ticket.booked_by IS DISTINCT FROM p_actor_id THEN
+    RAISE EXCEPTION 'Agents can only exchange their own ticket sales' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_ticket.status NOT IN ('active', 'pending') THEN
+    RAISE EXCEPTION 'A % ticket cannot be exchanged', v_ticket.status USING ERRCODE = '55000';
+  END IF;
+
+  IF v_ticket.trip_id = p_new_trip_id AND v_ticket.seat_number = p_new_seat_number THEN
+    RAISE EXCEPTION 'The ticket is already on this trip and seat' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT tr.bus_id, b.capacity, tr.price_usd, b.is_active, tr.status
+    INTO v_bus_id, v_capacity, v_price, v_bus_active, v_trip_status
+  FROM public.trips tr
+  JOIN public.buses b ON b.id = tr.bus_id
+  WHERE tr.id = p_new_trip_id;
+
+  IF v_bus_id IS NULL THEN
+    RAISE EXCEPTION 'Trip not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT v_bus_active OR v_trip_status NOT IN ('scheduled', 'boarding') THEN
+    RAISE EXCEPTION 'Trip is not available for sale' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_new_seat_number < 2 OR p_new_seat_number > v_capacity THEN
+    RAISE EXCEPTION 'Seat must be between 2 and %', v_capacity USING ERRCODE = '23514';
+  END IF;
+
+  v_difference := v_price - v_ticket.price_paid_usd;
+
+  IF jsonb_typeof(v_collect) <> 'array' OR jsonb_typeof(v_refund) <> 'array' THEN
+    RAISE EXCEPTION 'Payment parts must be arrays' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_collect_total
+  FROM jsonb_array_elements(v_collect) AS part(value);
+
+  SELECT COALESCE(SUM((part.value->>'amount')::numeric), 0)
+    INTO v_refund_total
+  FROM jsonb_array_elements(v_refund) AS part(value);
+
+  -- Money only moves for paid tickets. A pending ticket takes the new price
+  -- and is settled for the full amount when it is paid.
+  IF v_ticket.payment_status = 'paid' THEN
+    IF abs(v_collect_total - GREATEST(v_difference, 0)) > 0.01
+       OR abs(v_refund_total - GREATEST(-v_difference, 0)) > 0.01
+    THEN
+      RAISE EXCEPTION 'Fare difference must be settled exactly: %', v_difference
+        USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_collect) AS part(value)
+      WHERE part.value->>'method' NOT IN ('cash', 'tpa', 'tpa_dinheiro')
+         OR COALESCE((part.value->>'amount')::numeric, 0) <= 0
+    ) OR EXISTS (
+      SELECT 1 FROM jsonb_array_elements(v_refund) AS part(value)
+      WHERE COALESCE((part.value->>'amount')::numeric, 0) <= 0
+         OR NOT EXISTS (
+           SELECT 1 FROM public.payment_transactions pt
+           WHERE pt.ticket_id = p_ticket_id
+             AND pt.status = 'completed'
+             AND pt.payment_method = part.value->>'method'
+         )
+    ) THEN
+      RAISE EXCEPTION 'Invalid fare difference payment' USING ERRCODE = '22023';
+    END IF;
+  ELSIF v_collect_total <> 0 OR v_refund_total <> 0 THEN
+    RAISE EXCEPTION 'Only paid tickets settle a fare difference' USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO public.ticket_exchanges (
+    ticket_id,
+    ticket_number,
+    idempotency_key,
+    exchanged_by,
+    from_trip_id,
+    from_seat_number,
+    from_price_usd,
+    to_trip_id,
+    to_seat_number,
+    to_price_usd,
+    fare_difference_usd
+  ) VALUES (
+    v_ticket.id,
+    v_ticket.ticket_number,
+    p_idempotency_key,
+    p_actor_id,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.price_paid_usd,
+    p_new_trip_id,
+    p_new_seat_number,
+    v_price,
+    v_difference
+  )
+  RETURNING * INTO v_exchange;
+
+  v_old_trip_id := v_ticket.trip_id;
+
+  UPDATE public.tickets tk
+  SET trip_id = p_new_trip_id,
+      seat_number = p_new_seat_number,
+      price_paid_usd = v_price,
+      qr_code_data = 'TKT-' || p_new_trip_id::text || '-' || p_new_seat_number::text
+  WHERE tk.id = v_ticket.id
+  RETURNING tk.* INTO v_ticket;
+
+  INSERT INTO public.payment_transactions (
+    ticket_id, amount_usd, currency, payment_method, status, transaction_id
+  )
+  SELECT
+    v_ticket.id,
+    (part.value->>'amount')::numeric,
+    'USD',
+    part.value->>'method',
+    'completed',
+    'exchange-' || v_exchange.id::text || '-' || (part.ordinality - 1)::text
+  FROM jsonb_array_elements(v_collect) WITH ORDINALITY AS part(value, ordinality)
+  UNION ALL
+  SELECT
+    v_ticket.id,
+    -(part.value->>'amount')::numeric,
+    'USD',
+    part.value->>'method',
+    'refunded',
+    'exchange-refund-' || v_exchange.id::text || '-' || (part.ordinality - 1)::text
+  FROM jsonb_array_elements(v_refund) WITH ORDINALITY AS part(value, ordinality);
+
+  -- update_available_seats only refreshes the trip the ticket now belongs to.
+  -- Refresh the cached count of the segments the ticket left as well.
+  IF v_old_trip_id IS DISTINCT FROM p_new_trip_id THEN
+    UPDATE public.trips target
+    SET available_seats = GREATEST(
+          (b.capacity - 1) - (
+            SELECT COUNT(DISTINCT tk.seat_number)
+            FROM public.tickets tk
+            JOIN public.trips src ON src.id = tk.trip_id
+            WHERE src.bus_id = target.bus_id
+              AND src.departure_time < target.arrival_time
+              AND target.departure_time < src.arrival_time
+              AND tk.status IN ('active', 'pending', 'used')
+              AND tk.seat_number <> public.copilot_seat_number()
+          ), 0)
+    FROM public.buses b
+    WHERE b.id = target.bus_id
+      AND target.id IN (
+        SELECT overlap.id FROM public.get_overlapping_trip_ids(v_old_trip_id) overlap
+      );
+  END IF;
+
+  RETURN QUERY SELECT
+    v_exchange.id,
+    v_ticket.id,
+    v_ticket.ticket_number,
+    v_ticket.trip_id,
+    v_ticket.seat_number,
+    v_ticket.price_paid_usd,
+    v_exchange.fare_difference_usd,
+    v_ticket.qr_code_data,
+    false;
+END;
+$function$;
+
+REVOKE ALL ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb
+) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION public.exchange_ticket_atomic(
+  uuid, uuid, uuid, integer, text, jsonb, jsonb
+) TO service_role;
+
+COMMIT;
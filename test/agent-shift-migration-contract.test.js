@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-agent-shifts.sql');
+
+test('ledger rows without a timestamp are not backfilled into today', () => {
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS created_at timestamptz;/);
+  assert.match(sql, /ALTER COLUMN created_at SET DEFAULT now\(\)/);
+  assert.doesNotMatch(sql, /ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL/);
+});
+
+test('a shift is closed once and its variance matches the declared cash', () => {
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS agent_shifts_agent_opened_at_key\s+ON public\.agent_shifts \(agent_id, opened_at\)/);
+  assert.match(sql, /CHECK \(variance_usd = declared_cash_usd - expected_cash_usd\)/);
+  assert.match(sql, /CHECK \(declared_cash_usd >= 0\)/);
+});
+
+test('refunds and exchange differences are attributed to the agent who made them', () => {
+  const body = functionBody('get_agent_shift_ledger');
+  assert.match(body, /WHEN tc\.id IS NOT NULL THEN tc\.cancelled_by = p_agent_id/);
+  assert.match(body, /WHEN te\.id IS NOT NULL THEN te\.exchanged_by = p_agent_id/);
+  assert.match(body, /ELSE tk\.booked_by = p_agent_id/);
+  assert.match(body, /'refund-' \|\| tc\.id::text \|\| '-%'/);
+  assert.match(body, /'exchange-refund-' \|\| te\.id::text \|\| '-%'/);
+});
+
+test('ledger gaps cover paid counter sales with missing or short ledgers', () => {
+  const body = functionBody('get_agent_ledger_gaps');
+  assert.match(body, /tk\.payment_status = 'paid'/);
+  assert.match(body, /tk\.payment_method IN \('cash', 'tpa', 'tpa_dinheiro'\)/);
+  assert.match(body, /COALESCE\(ledger\.completed_rows, 0\) = 0/);
+  assert.match(body, /COALESCE\(ledger\.total_usd, 0\) <> tk\.price_paid_usd/);
+});
+
+test('only the service role can read agent ledgers', () => {
+  for (const name of ['get_agent_shift_ledger', 'get_agent_ledger_gaps']) {
+    assert.match(sql, new RegExp(`REVOKE ALL ON FUNCTION public\\.${name}[\\s\\S]+?FROM PUBLIC, anon, authenticated`));
+    assert.match(sql, new RegExp(`GRANT EXECUTE ON FUNCTION public\\.${name}[\\s\\S]+?TO service_role`));
+  }
+});
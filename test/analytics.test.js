@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_ANALYTICS_DAYS,
+  aggregateSalesFacts,
+  angolaDate,
+  resolveAnalyticsRange,
+  salesAnalyticsToCsv,
+} from '../lib/analytics.js';
+
+const facts = [
+  {
+    trip_id: 'trip-1',
+    departure_time: '2026-10-18T23:30:00Z',
+    route_id: 'route-lb',
+    origin_city: 'Luanda',
+    destination_city: 'Benguela',
+    bus_id: 'bus-1',
+    license_plate: 'LD-01',
+    company_id: 'co-1',
+    company_name: 'Nawa',
+    sellable_seats: 49,
+    occupied_seats: 40,
+    tickets_sold: 38,
+    counter_tickets: 30,
+    mobile_tickets: 8,
+    lead_time_hours_total: 380,
+    revenue_by_method: { cash: '300.10', tpa: '120.00', referencia: 80 },
+    counter_revenue_usd: '420.10',
+    mobile_revenue_usd: 80,
+  },
+  {
+    trip_id: 'trip-2',
+    departure_time: '2026-10-19T07:00:00Z',
+    route_id: 'route-lb',
+    origin_city: 'Luanda',
+    destination_city: 'Benguela',
+    bus_id: 'bus-2',
+    license_plate: 'LD-02',
+    company_id: 'co-1',
+    company_name: 'Nawa',
+    sellable_seats: 49,
+    occupied_seats: 10,
+    tickets_sold: 10,
+    counter_tickets: 10,
+    mobile_tickets: 0,
+    lead_time_hours_total: 20,
+    revenue_by_method: { cash: 100, tpa: -5 },
+    counter_revenue_usd: 95,
+    mobile_revenue_usd: 0,
+  },
+  {
+    trip_id: 'trip-3',
+    departure_time: '2026-10-19T09:00:00Z',
+    route_id: 'route-lh',
+    origin_city: 'Luanda',
+    destination_city: 'Huambo',
+    bus_id: 'bus-1',
+    license_plate: 'LD-01',
+    company_id: 'co-1',
+    company_name: 'Nawa',
+    sellable_seats: 29,
+    occupied_seats: 0,
+    tickets_sold: 0,
+    counter_tickets: 0,
+    mobile_tickets: 0,
+    lead_time_hours_total: 0,
+    revenue_by_method: {},
+    counter_revenue_usd: 0,
+    mobile_revenue_usd: 0,
+  },
+];
+
+test('analytics ranges are whole Angola days with the end day included', () => {
+  const range = resolveAnalyticsRange({ from: '2026-10-01', to: '2026-10-19' });
+  assert.equal(range.from.toISOString(), '2026-09-30T23:00:00.000Z');
+  assert.equal(range.to.toISOString(), '2026-10-19T23:00:00.000Z');
+
+  const lastWeek = resolveAnalyticsRange({ now: new Date('2026-10-19T23:30:00Z') });
+  assert.equal(lastWeek.toDate, '2026-10-20');
+  assert.equal(lastWeek.fromDate, '2026-10-14');
+
+  assert.throws(() => resolveAnalyticsRange({ from: '2026-10-20', to: '2026-10-19' }), /must not be after/);
+  assert.throws(() => resolveAnalyticsRange({ from: '2026-02-30', to: '2026-03-01' }), /not a valid date/);
+  assert.throws(() => resolveAnalyticsRange({ from: '19/10/2026' }), /YYYY-MM-DD/);
+  assert.throws(
+    () => resolveAnalyticsRange({ from: '2026-01-01', to: '2026-10-19' }),
+    new RegExp(`at most ${MAX_ANALYTICS_DAYS} days`)
+  );
+});
+
+test('trip facts are grouped by route with load factor and lead time', () => {
+  const { rows, totals } = aggregateSalesFacts(facts, 'route');
+  assert.deepEqual(rows.map((row) => row.destination_city), ['Benguela', 'Huambo']);
+
+  const benguela = rows[0];
+  assert.equal(benguela.trips, 2);
+  assert.equal(benguela.sellable_seats, 98);
+  assert.equal(benguela.occupied_seats, 50);
+  assert.equal(benguela.load_factor, 0.5102);
+  assert.equal(benguela.average_lead_time_hours, 8.3);
+  assert.equal(benguela.revenue_usd, 595.1);
+  assert.deepEqual(benguela.revenue_by_method, { cash: 400.1, tpa: 115, tpa_dinheiro: 0, referencia: 80 });
+  assert.equal(benguela.counter_revenue_usd, 515.1);
+  assert.equal(benguela.mobile_tickets, 8);
+
+  assert.equal(rows[1].average_lead_time_hours, null);
+  assert.equal(rows[1].load_factor, 0);
+  assert.equal(totals.trips, 3);
+  assert.equal(totals.tickets_sold, 48);
+});
+
+test('days follow the Angola calendar, not UTC', () => {
+  assert.equal(angolaDate('2026-10-18T23:30:00Z'), '2026-10-19');
+  const { rows } = aggregateSalesFacts(facts, 'day');
+  assert.deepEqual(rows.map((row) => [row.day, row.trips]), [['2026-10-19', 3]]);
+  assert.throws(() => aggregateSalesFacts(facts, 'seat'), /group_by must be one of/);
+});
+
+test('analytics CSV flattens revenue by payment method', () => {
+  const { rows } = aggregateSalesFacts(facts, 'bus');
+  const [header, first] = salesAnalyticsToCsv(rows, 'bus').split('\r\n');
+  assert.equal(
+    header,
+    'bus_id,license_plate,company_name,trips,sellable_seats,occupied_seats,load_factor,tickets_sold,counter_tickets,mobile_tickets,revenue_usd,counter_revenue_usd,mobile_revenue_usd,revenue_cash_usd,revenue_tpa_usd,revenue_tpa_dinheiro_usd,revenue_referencia_usd,average_lead_time_hours'
+  );
+  assert.equal(first, 'bus-1,LD-01,Nawa,2,78,40,0.5128,38,30,8,500.1,420.1,80,300.1,120,0,80,10');
+});
@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-boarding-scans.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+test('tickets record who boarded them, when and on which trip', () => {
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS boarded_at timestamptz/);
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS boarded_by uuid REFERENCES public\.profiles \(id\)/);
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS boarded_trip_id uuid REFERENCES public\.trips \(id\)/);
+  assert.match(sql, /CHECK \(boarded_at IS NULL OR status = 'used'\) NOT VALID/);
+});
+
+test('every scan is logged with its outcome', () => {
+  assert.match(sql, /CREATE TABLE IF NOT EXISTS public\.boarding_scans[\s\S]+accepted boolean NOT NULL[\s\S]+reason text/);
+  assert.match(sql, /ALTER TABLE public\.boarding_scans ENABLE ROW LEVEL SECURITY/);
+});
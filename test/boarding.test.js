@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_BOARDING_CLOSES_MINUTES_AFTER,
+  DEFAULT_BOARDING_OPENS_MINUTES_BEFORE,
+  evaluateBoardingScan,
+  resolveBoardingWindow,
+} from '../lib/boarding.js';
+
+const departure = '2026-10-19T08:00:00.000Z';
+const paidTicket = { id: 't-1', trip_id: 'trip-a', status: 'active', payment_status: 'paid' };
+
+function scan(overrides = {}) {
+  return evaluateBoardingScan({
+    ticket: paidTicket,
+    scanTripId: 'trip-a',
+    siblingTripIds: ['trip-a', 'trip-b'],
+    ticketDepartureTime: departure,
+    now: new Date('2026-10-19T07:45:00.000Z'),
+    ...overrides,
+  });
+}
+
+test('a paid ticket boards its own trip inside the window', () => {
+  assert.deepEqual(scan(), { accepted: true, reason: null, message: 'Boarding accepted' });
+});
+
+test('tickets on an overlapping sibling trip board the same bus', () => {
+  assert.equal(scan({ ticket: { ...paidTicket, trip_id: 'trip-b' } }).accepted, true);
+  assert.equal(scan({ ticket: { ...paidTicket, trip_id: 'trip-c' } }).reason, 'wrong_trip');
+});
+
+test('scans are rejected with a stable reason and a display message', () => {
+  assert.deepEqual(scan({ ticket: null }), {
+    accepted: false, reason: 'not_found', message: 'Ticket not found',
+  });
+  assert.equal(scan({ ticket: { ...paidTicket, status: 'used' } }).reason, 'already_used');
+  assert.equal(scan({ ticket: { ...paidTicket, status: 'refunded' } }).reason, 'cancelled');
+  assert.equal(scan({ ticket: { ...paidTicket, payment_status: 'pending' } }).reason, 'not_paid');
+});
+
+test('the boarding window opens before and closes after departure', () => {
+  assert.equal(scan({ now: new Date('2026-10-19T06:59:00.000Z') }).reason, 'too_early');
+  assert.equal(scan({ now: new Date('2026-10-19T07:00:00.000Z') }).accepted, true);
+  assert.equal(scan({ now: new Date('2026-10-19T08:30:00.000Z') }).accepted, true);
+  assert.equal(scan({ now: new Date('2026-10-19T08:31:00.000Z') }).reason, 'too_late');
+  assert.equal(
+    scan({
+      now: new Date('2026-10-19T06:59:00.000Z'),
+      window: resolveBoardingWindow({ opensMinutesBefore: 90, closesMinutesAfter: 0 }),
+    }).accepted,
+    true
+  );
+});
+
+test('invalid window settings fall back to the defaults', () => {
+  assert.deepEqual(resolveBoardingWindow({ opensMinutesBefore: 'x', closesMinutesAfter: -5 }), {
+    opensMinutesBefore: DEFAULT_BOARDING_OPENS_MINUTES_BEFORE,
+    closesMinutesAfter: DEFAULT_BOARDING_CLOSES_MINUTES_AFTER,
+  });
+});
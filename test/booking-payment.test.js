@@ -9,6 +9,7 @@ import {
   normalizePaymentSplits,
   resolveBookingPaymentStatus,
 } from '../lib/booking-payment.js';
+import { normalizeSeatLayout } from '../lib/seat-layout.js';
 
 test('cash-like counter payments are paid even when an old client sends pending', () => {
   for (const method of ['cash', 'tpa', 'tpa_dinheiro']) {
@@ -40,6 +41,24 @@ test('seat numbers must be integer passenger seats inside bus capacity', () => {
   assert.equal(isSellableSeatNumber(52, 51), false);
 });
 
+test('seat numbers are validated against the bus layout when one is known', () => {
+  const layout = normalizeSeatLayout({
+    rows: 2,
+    columns: 4,
+    seats: [
+      { number: 1, row: 0, column: 2 },
+      { number: 2, row: 1, column: 1 },
+      { number: 3, row: 1, column: 2, disabled: true },
+      { number: 5, row: 1, column: 4 },
+    ],
+  });
+  assert.equal(isSellableSeatNumber('2', layout), true);
+  assert.equal(isSellableSeatNumber(1, layout), false);
+  assert.equal(isSellableSeatNumber(3, layout), false);
+  assert.equal(isSellableSeatNumber(4, layout), false);
+  assert.equal(isSellableSeatNumber(5, layout), true);
+});
+
 test('valid cash and TPA splits are normalized', () => {
   assert.deepEqual(
     normalizePaymentSplits([
@@ -53,6 +72,17 @@ test('valid cash and TPA splits are normalized', () => {
   );
 });
 
+test('splits are checked in the tendered currency', () => {
+  assert.equal(
+    normalizePaymentSplits([{ method: 'tpa', amount: 9000 }, { method: 'cash', amount: 5141 }], 14142, 'AOA').length,
+    2
+  );
+  assert.throws(
+    () => normalizePaymentSplits([{ method: 'cash', amount: 14139 }], 14141, 'AOA'),
+    /must equal 14141 AOA/
+  );
+});
+
 test('invalid or incomplete split payments are rejected', () => {
   assert.throws(
     () => normalizePaymentSplits([{ method: 'tpa', amount: 5000 }], 10000),
@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 
 import {
   bookingErrorStatus,
+  normalizeAtomicBasketResult,
   normalizeAtomicBookingResult,
   resolveIdempotencyKey,
 } from '../lib/booking-response.js';
@@ -64,3 +65,32 @@ test('atomic seat conflicts are 409 while invalid seats are 400', () => {
   assert.equal(bookingErrorStatus({ code: '23505' }), 409);
   assert.equal(bookingErrorStatus({ code: '23514' }), 400);
 });
+
+test('payment provider outages are reported as a bad gateway', () => {
+  assert.equal(bookingErrorStatus({ code: 'payment_provider_error' }), 502);
+});
+
+test('an unsigned ticket code fails the request so it is retried', () => {
+  assert.equal(bookingErrorStatus({ code: 'ticket_qr_signing_failed' }), 503);
+});
+
+test('a committed basket returns every ticket and the server-side total', () => {
+  const result = normalizeAtomicBasketResult([
+    { ...recoveredRow, ticket_id: 'ticket-1', price_paid_usd: '9000.00', was_idempotent: false },
+    { ...recoveredRow, ticket_id: 'ticket-2', seat_number: 13, price_paid_usd: '9000.50', was_idempotent: false },
+  ]);
+  assert.equal(result.idempotent, false);
+  assert.deepEqual(result.tickets.map((ticket) => ticket.id), ['ticket-1', 'ticket-2']);
+  assert.equal(result.totalAmount, 18000.5);
+});
+
+test('a basket is never reported as partially recovered', () => {
+  assert.throws(() => normalizeAtomicBasketResult([]), /no tickets/);
+  assert.throws(
+    () => normalizeAtomicBasketResult([
+      { ...recoveredRow, was_idempotent: true },
+      { ...recoveredRow, was_idempotent: false },
+    ]),
+    /partially recovered/
+  );
+});
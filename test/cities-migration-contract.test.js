@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-cities.sql');
+
+test('cities and stations carry aliases and coordinates and stay private', () => {
+  for (const table of ['cities', 'stations']) {
+    assert.match(sql, new RegExp(`CREATE TABLE IF NOT EXISTS public\\.${table} \\([\\s\\S]*?aliases text\\[\\] NOT NULL DEFAULT '\\{\\}'[\\s\\S]*?latitude numeric`));
+    assert.match(sql, new RegExp(`ALTER TABLE public\\.${table} ENABLE ROW LEVEL SECURITY;`));
+  }
+  assert.match(sql, /city_id uuid NOT NULL REFERENCES public\.cities \(id\)/);
+});
+
+test('routes point at their stations and are linked by name when saved without', () => {
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS origin_station_id uuid REFERENCES public\.stations \(id\)/);
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS destination_station_id uuid REFERENCES public\.stations \(id\)/);
+  assert.match(sql, /BEFORE INSERT OR UPDATE ON public\.routes\s+FOR EACH ROW EXECUTE FUNCTION public\.link_route_stations\(\);/);
+
+  const link = functionBody('link_route_stations');
+  assert.match(link, /IF NEW\.origin_station_id IS NULL THEN/);
+  assert.match(link, /IF NEW\.destination_station_id IS NULL THEN/);
+
+  // An ambiguous name is left unlinked rather than guessed.
+  assert.match(functionBody('station_for_place'), /HAVING count\(\*\) = 1;/);
+});
+
+test('existing routes are backfilled with a city and a station per place', () => {
+  assert.match(sql, /INSERT INTO public\.cities \(name, province\)[\s\S]*?FROM public\.routes r/);
+  assert.match(sql, /INSERT INTO public\.stations \(city_id, name\)/);
+  assert.match(sql, /UPDATE public\.routes\s+SET origin_station_id = origin_station_id\s+WHERE origin_station_id IS NULL OR destination_station_id IS NULL;/);
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  editDistance,
+  normalizePlaceName,
+  resolvePlaceStations,
+  searchCities,
+} from '../lib/cities.js';
+
+const catalogue = {
+  cities: [
+    { id: 'luanda', name: 'Luanda', province: 'Luanda', aliases: [], latitude: '-8.838333', longitude: '13.234444' },
+    { id: 'lubango', name: 'Lubango', province: 'Huíla', aliases: ['Sá da Bandeira'] },
+    { id: 'lobito', name: 'Lobito', province: 'Benguela', aliases: [] },
+    { id: 'benguela', name: 'Benguela', province: 'Benguela', aliases: [] },
+    { id: 'ndalatando', name: "N'dalatando", province: 'Cuanza Norte', aliases: ['Salazar'] },
+    { id: 'closed', name: 'Lubalo', province: 'Lunda Norte', aliases: [], is_active: false },
+  ],
+  stations: [
+    { id: 'kikolo', city_id: 'luanda', name: 'Kikolo', aliases: ['Terminal do Kikolo'] },
+    { id: 'gamek', city_id: 'luanda', name: 'Gamek', aliases: [] },
+    { id: 'old-gamek', city_id: 'luanda', name: 'Gamek Velho', aliases: [], is_active: false },
+    { id: 'lubango-station', city_id: 'lubango', name: 'Lubango', aliases: [] },
+    { id: 'lobito-station', city_id: 'lobito', name: 'Lobito', aliases: [] },
+    { id: 'benguela-station', city_id: 'benguela', name: 'Benguela', aliases: [] },
+    { id: 'ndalatando-station', city_id: 'ndalatando', name: "N'dalatando", aliases: [] },
+  ],
+};
+
+test('place names compare without accents, case or punctuation', () => {
+  assert.equal(normalizePlaceName('  Huíla '), 'huila');
+  assert.equal(normalizePlaceName("N'dalatando"), 'ndalatando');
+  assert.equal(normalizePlaceName('Sá da Bandeira'), 'sa da bandeira');
+});
+
+test('edit distance counts a swapped pair of letters as one typo', () => {
+  assert.equal(editDistance('lubango', 'lubnago'), 1);
+  assert.equal(editDistance('benguela', 'benguella'), 1);
+  assert.equal(editDistance('luanda', 'huambo', 2), 3);
+});
+
+test('autocomplete ranks exact, prefix and typo matches and says what matched', () => {
+  assert.deepEqual(searchCities(catalogue, 'lub').map((city) => city.id), ['lubango']);
+  assert.deepEqual(searchCities(catalogue, 'huila').map((city) => [city.id, city.match]), [['lubango', 'province']]);
+  assert.deepEqual(searchCities(catalogue, 'Lubnago').map((city) => city.id), ['lubango']);
+  assert.deepEqual(searchCities(catalogue, 'bandeira').map((city) => [city.id, city.match]), [['lubango', 'alias']]);
+
+  const [luanda] = searchCities(catalogue, 'kikolo');
+  assert.equal(luanda.match, 'station');
+  assert.equal(luanda.matched, 'Kikolo');
+  assert.equal(luanda.latitude, -8.838333);
+  assert.deepEqual(luanda.stations.map((station) => station.id), ['kikolo', 'gamek']);
+
+  const benguela = searchCities(catalogue, 'Benguela');
+  assert.deepEqual(benguela.map((city) => [city.id, city.match]), [['benguela', 'name'], ['lobito', 'province']]);
+});
+
+test('without a query every active city is listed by name', () => {
+  const cities = searchCities(catalogue, '', { limit: 3 });
+  assert.deepEqual(cities.map((city) => city.id), ['benguela', 'lobito', 'luanda']);
+  assert.equal(cities[0].match, undefined);
+});
+
+test('a searched place resolves to the stations it stands for', () => {
+  assert.deepEqual(resolvePlaceStations(catalogue, 'Luanda'), ['kikolo', 'gamek']);
+  assert.deepEqual(resolvePlaceStations(catalogue, 'Kikolo'), ['kikolo']);
+  assert.deepEqual(resolvePlaceStations(catalogue, 'huíla'), ['lubango-station']);
+  assert.deepEqual(resolvePlaceStations(catalogue, 'Benguela').sort(), ['benguela-station', 'lobito-station']);
+  assert.deepEqual(resolvePlaceStations(catalogue, 'ndalatando'), ['ndalatando-station']);
+  assert.equal(resolvePlaceStations(catalogue, 'Lubalo'), null);
+  assert.equal(resolvePlaceStations(catalogue, 'Menongue'), null);
+  assert.equal(resolvePlaceStations(null, 'Luanda'), null);
+});
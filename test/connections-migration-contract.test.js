@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { DEFAULT_CONNECTION_SETTINGS } from '../lib/itineraries.js';
+
+const migrationUrl = new URL('../supabase-migration-connections.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+test('the settings table defaults to the limits the API falls back to', () => {
+  for (const [column, value] of Object.entries(DEFAULT_CONNECTION_SETTINGS)) {
+    assert.match(sql, new RegExp(`${column} integer NOT NULL DEFAULT ${value}\\b`));
+  }
+});
+
+test('connection settings are a single private row with a sane layover range', () => {
+  assert.match(sql, /id boolean PRIMARY KEY DEFAULT true CHECK \(id\)/);
+  assert.match(sql, /CHECK \(max_layover_minutes >= min_layover_minutes\)/);
+  assert.match(sql, /INSERT INTO public\.connection_settings \(id\)\s+VALUES \(true\)\s+ON CONFLICT \(id\) DO NOTHING;/);
+  assert.match(sql, /ALTER TABLE public\.connection_settings ENABLE ROW LEVEL SECURITY;/);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { COUPON_REJECTIONS } from '../lib/coupons.js';
+
+const migrationUrl = new URL('../supabase-migration-coupons.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic_v3');
+const functionEnd = sql.indexOf('$function$;', functionAt);
+const body = sql.slice(functionAt, functionEnd);
+
+test('the coupon is locked before the basket is booked and its usage counted', () => {
+  const lockAt = body.indexOf('FOR UPDATE;');
+  const bookAt = body.indexOf('FROM public.book_mobile_basket_atomic(');
+  const usageAt = body.indexOf('FROM public.get_coupon_usage(');
+  const redemptionAt = body.indexOf('INSERT INTO public.coupon_redemptions (');
+  assert.ok(functionAt > 0 && lockAt > 0 && bookAt > lockAt && usageAt > bookAt && redemptionAt > usageAt);
+  assert.doesNotMatch(body, /EXCEPTION\s+WHEN/);
+});
+
+test('a retried basket skips the coupon checks', () => {
+  const replayAt = body.indexOf('IF NOT v_replayed THEN');
+  const firstCheckAt = body.indexOf("'Coupon is not active'");
+  assert.ok(replayAt > 0 && firstCheckAt > replayAt);
+});
+
+test('database coupon errors use the messages the API maps back to reasons', () => {
+  for (const rejection of Object.values(COUPON_REJECTIONS)) {
+    assert.ok(body.includes(`'${rejection.error}'`), rejection.error);
+  }
+});
+
+test('redemptions only count while one of their tickets is live', () => {
+  assert.match(sql, /tk\.coupon_redemption_id = r\.id\s+AND tk\.status <> 'cancelled'/);
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS coupon_redemptions_passenger_key/);
+});
+
+test('only the service role can book with coupons or read their usage', () => {
+  for (const name of ['book_mobile_basket_atomic_v3', 'get_coupon_usage']) {
+    assert.match(sql, new RegExp(`REVOKE ALL ON FUNCTION public\\.${name}[\\s\\S]+?FROM PUBLIC, anon, authenticated`));
+    assert.match(sql, new RegExp(`GRANT EXECUTE ON FUNCTION public\\.${name}[\\s\\S]+?TO service_role`));
+  }
+});
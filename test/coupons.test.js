@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyCouponToBasket,
+  checkCouponAvailability,
+  couponRejectionReason,
+  describeCoupon,
+  normalizeCouponCode,
+} from '../lib/coupons.js';
+import { priceBasket } from '../lib/pricing.js';
+
+const now = Date.parse('2026-10-19T08:00:00Z');
+const tripsById = new Map([
+  ['out', {
+    id: 'out',
+    route_id: 'luanda-benguela',
+    departure_time: '2026-10-20T06:00:00Z',
+    price_usd: '100.00',
+    seat_class: 'economy',
+    status: 'scheduled',
+    routes: { is_active: true },
+    buses: { is_active: true, company_id: 'nawa' },
+  }],
+  ['ret', {
+    id: 'ret',
+    route_id: 'benguela-luanda',
+    departure_time: '2026-10-22T06:00:00Z',
+    price_usd: '50.00',
+    seat_class: 'business',
+    status: 'scheduled',
+    routes: { is_active: true },
+    buses: { is_active: true, company_id: 'other' },
+  }],
+]);
+const basket = priceBasket({
+  items: [
+    { leg: 'outbound', trip_id: 'out', seat_number: 4 },
+    { leg: 'return', trip_id: 'ret', seat_number: 4 },
+  ],
+  tripsById,
+  now,
+});
+const coupon = {
+  id: 'coupon-1',
+  code: 'NAWA10',
+  is_active: true,
+  discount_type: 'percentage',
+  discount_percentage: 10,
+  min_spend_usd: 0,
+};
+
+test('coupon codes are matched case-insensitively', () => {
+  assert.equal(normalizeCouponCode('  nawa10 '), 'NAWA10');
+  assert.equal(normalizeCouponCode(null), '');
+});
+
+test('availability covers activity, validity window and usage caps', () => {
+  assert.equal(checkCouponAvailability(null, { now }), 'not_found');
+  assert.equal(checkCouponAvailability({ ...coupon, is_active: false }, { now }), 'inactive');
+  assert.equal(checkCouponAvailability({ ...coupon, starts_at: '2026-10-20T00:00:00Z' }, { now }), 'not_started');
+  assert.equal(checkCouponAvailability({ ...coupon, ends_at: '2026-10-19T08:00:00Z' }, { now }), 'expired');
+  assert.equal(checkCouponAvailability({ ...coupon, max_redemptions: 5 }, { usage: { total: 5 }, now }), 'exhausted');
+  assert.equal(
+    checkCouponAvailability({ ...coupon, max_redemptions_per_passenger: 1 }, { usage: { total: 1, passenger: 1 }, now }),
+    'passenger_limit'
+  );
+  assert.equal(
+    checkCouponAvailability({ ...coupon, max_redemptions_per_passenger: 1 }, { usage: { total: 1, passenger: null }, now }),
+    null
+  );
+  assert.equal(checkCouponAvailability(coupon, { now }), null);
+});
+
+test('a percentage coupon discounts every eligible seat', () => {
+  const applied = applyCouponToBasket({ coupon, basket, tripsById, now });
+  assert.equal(applied.valid, true);
+  assert.deepEqual(applied.basket.lines.map((line) => line.price_usd), [90, 45]);
+  assert.equal(applied.basket.discount_usd, 15);
+  assert.equal(applied.basket.total_usd, 135);
+  assert.equal(applied.basket.coupon_code, 'NAWA10');
+});
+
+test('restrictions limit the discount to matching seats', () => {
+  const byRoute = applyCouponToBasket({ coupon: { ...coupon, route_ids: ['benguela-luanda'] }, basket, tripsById, now });
+  assert.deepEqual(byRoute.basket.lines.map((line) => line.price_usd), [100, 45]);
+
+  const byCompany = applyCouponToBasket({ coupon: { ...coupon, company_ids: ['nawa'] }, basket, tripsById, now });
+  assert.deepEqual(byCompany.basket.lines.map((line) => line.price_usd), [90, 50]);
+
+  const byClass = applyCouponToBasket({ coupon: { ...coupon, seat_classes: ['first'] }, basket, tripsById, now });
+  assert.deepEqual(byClass, { valid: false, reason: 'not_applicable' });
+});
+
+test('a fixed discount is spread by price with the remainder on the dearest seat', () => {
+  const applied = applyCouponToBasket({
+    coupon: { ...coupon, discount_type: 'fixed', discount_amount_usd: 10 },
+    basket,
+    tripsById,
+    now,
+  });
+  assert.deepEqual(applied.basket.lines.map((line) => line.discount_usd), [6.67, 3.33]);
+  assert.equal(applied.basket.total_usd, 140);
+  assert.equal(applied.basket.discount_percentage, 0);
+
+  const capped = applyCouponToBasket({
+    coupon: { ...coupon, discount_type: 'fixed', discount_amount_usd: 500, route_ids: ['benguela-luanda'] },
+    basket,
+    tripsById,
+    now,
+  });
+  assert.deepEqual(capped.basket.lines.map((line) => line.price_usd), [100, 0]);
+});
+
+test('the minimum spend is checked against the whole basket', () => {
+  assert.deepEqual(
+    applyCouponToBasket({ coupon: { ...coupon, min_spend_usd: 150.01 }, basket, tripsById, now }),
+    { valid: false, reason: 'min_spend' }
+  );
+  assert.equal(applyCouponToBasket({ coupon: { ...coupon, min_spend_usd: 150 }, basket, tripsById, now }).valid, true);
+});
+
+test('database errors map back to coupon reasons', () => {
+  assert.equal(couponRejectionReason({ code: '55000', message: 'Coupon has reached its usage limit' }), 'exhausted');
+  assert.equal(couponRejectionReason({ code: '23505', message: 'Seat already taken' }), null);
+});
+
+test('coupons are described by their discount type', () => {
+  assert.deepEqual(describeCoupon({ ...coupon, discount_type: 'fixed', discount_amount_usd: '5.00' }), {
+    code: 'NAWA10',
+    discount_type: 'fixed',
+    discount_percentage: null,
+    discount_amount_usd: 5,
+    min_spend_usd: 0,
+    starts_at: null,
+    ends_at: null,
+  });
+});
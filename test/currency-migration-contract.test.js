@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-currencies.sql');
+
+test('kwanzas round to whole units like lib/currency.js', () => {
+  assert.match(functionBody('round_currency'), /round\(p_amount, CASE WHEN p_currency = 'AOA' THEN 0 ELSE 2 END\)/);
+  assert.match(functionBody('get_exchange_rate'), /er\.effective_from <= p_at\s+ORDER BY er\.effective_from DESC/);
+});
+
+test('counter splits are checked and recorded in the tendered currency', () => {
+  const body = functionBody('book_agent_ticket_atomic');
+  const rateAt = body.indexOf('v_rate := public.get_exchange_rate(v_currency);');
+  const checkAt = body.indexOf('abs(v_split_total - v_tendered_price) > public.currency_unit(v_currency)');
+  assert.ok(rateAt > 0 && checkAt > rateAt);
+  assert.equal(body.match(/ticket_id, amount_usd, currency, tendered_amount, exchange_rate,/g).length, 2);
+  assert.doesNotMatch(body, /'USD',\s+p_payment_method/);
+  assert.match(body, /THEN v_price - share\.earlier_usd/);
+});
+
+test('the currency reaches the innermost booking function', () => {
+  assert.match(functionBody('book_agent_ticket_atomic_v2'), /p_splits,\s+p_currency\s+\);/);
+  assert.match(functionBody('book_agent_group_atomic'), /v_item\.value->>'companion_phone',\s+p_currency\s+\);/);
+});
+
+test('old counter booking signatures are dropped so calls stay unambiguous', () => {
+  for (const name of ['book_agent_ticket_atomic', 'book_agent_ticket_atomic_v2', 'book_agent_group_atomic']) {
+    const dropAt = sql.indexOf(`DROP FUNCTION IF EXISTS public.${name}(`);
+    assert.ok(dropAt > 0 && dropAt < sql.indexOf(`CREATE OR REPLACE FUNCTION public.${name}(`), name);
+    assert.match(sql, new RegExp(`REVOKE ALL ON FUNCTION public\\.${name}\\([\\s\\S]+?FROM PUBLIC, anon, authenticated`));
+    assert.match(sql, new RegExp(`GRANT EXECUTE ON FUNCTION public\\.${name}\\([\\s\\S]+?TO service_role`));
+  }
+});
+
+test('a reference settles in the currency and at the rate it was raised at', () => {
+  const dropAt = sql.indexOf('DROP FUNCTION IF EXISTS public.settle_payment_reference(text, numeric, text, timestamptz);');
+  assert.ok(dropAt > 0 && dropAt < sql.indexOf('CREATE OR REPLACE FUNCTION public.settle_payment_reference('));
+  const body = functionBody('settle_payment_reference');
+  assert.match(body, /p_amount numeric,/);
+  assert.match(body, /tk\.price_paid_usd \* COALESCE\(tk\.payment_exchange_rate, 1\),\s+COALESCE\(tk\.payment_currency, 'USD'\)/);
+  assert.match(body, /IF public\.round_currency\(p_amount, v_currency\) <> v_expected THEN/);
+  assert.match(body, /ticket_id, amount_usd, currency, tendered_amount, exchange_rate,/);
+  assert.doesNotMatch(body, /'USD',\s+'referencia'/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.settle_payment_reference\(text, numeric, text, timestamptz\)\s+TO service_role/);
+});
+
+test('exchanges and cancellations settle in the tendered currency', () => {
+  for (const name of ['exchange_ticket_atomic', 'cancel_ticket_atomic', 'cancel_ticket_atomic_v2']) {
+    const dropAt = sql.indexOf(`DROP FUNCTION IF EXISTS public.${name}(`);
+    assert.ok(dropAt > 0 && dropAt < sql.indexOf(`CREATE OR REPLACE FUNCTION public.${name}(`), name);
+    assert.match(functionBody(name), /p_currency text DEFAULT 'USD'/);
+  }
+  const exchange = functionBody('exchange_ticket_atomic');
+  assert.match(exchange, /public\.booking_trip_fare\(/);
+  assert.match(exchange, /abs\(v_collect_total - public\.round_currency\(GREATEST\(v_difference, 0\) \* v_rate, v_currency\)\)\s+> public\.currency_unit\(v_currency\)/);
+  assert.match(exchange, /THEN GREATEST\(v_difference, 0\) - share\.earlier_usd/);
+  assert.match(exchange, /THEN GREATEST\(-v_difference, 0\) - share\.earlier_usd/);
+
+  const cancel = functionBody('cancel_ticket_atomic');
+  assert.match(cancel, /v_refund_total := round\(v_refund_tendered \/ v_rate, 2\);/);
+  assert.match(cancel, /THEN v_refund_total - share\.earlier_usd/);
+  for (const body of [exchange, cancel]) {
+    assert.match(body, /ticket_id, amount_usd, currency, tendered_amount, exchange_rate,/);
+    assert.doesNotMatch(body, /'USD',\s+part\.value->>'method'/);
+  }
+  assert.match(functionBody('cancel_ticket_atomic_v2'), /p_refund_parts,\s+p_currency\s+\);/);
+});
+
+test('shift ledgers report the tendered currency so drawers reconcile per currency', () => {
+  const dropAt = sql.indexOf('DROP FUNCTION IF EXISTS public.get_agent_shift_ledger(uuid, timestamptz, timestamptz);');
+  assert.ok(dropAt > 0 && dropAt < sql.indexOf('CREATE OR REPLACE FUNCTION public.get_agent_shift_ledger('));
+  const body = functionBody('get_agent_shift_ledger');
+  assert.match(body, /COALESCE\(pt\.currency, 'USD'\),\s+COALESCE\(pt\.tendered_amount, pt\.amount_usd\)/);
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS cash_by_currency jsonb NOT NULL DEFAULT '\{\}'::jsonb/);
+});
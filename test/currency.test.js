@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  allocateUsdShares,
+  convertBasket,
+  convertFromUsd,
+  convertTripPrices,
+  normalizeCurrency,
+} from '../lib/currency.js';
+
+const kwanza = { currency: 'AOA', rate: 912.345 };
+
+test('currencies default to kwanzas and reject unknown codes', () => {
+  assert.equal(normalizeCurrency(undefined), 'AOA');
+  assert.equal(normalizeCurrency(' usd '), 'USD');
+  assert.equal(normalizeCurrency('', 'USD'), 'USD');
+  assert.throws(() => normalizeCurrency('EUR'), /Unsupported currency: EUR/);
+});
+
+test('kwanza amounts are whole, dollar amounts keep cents', () => {
+  assert.equal(convertFromUsd(15.5, kwanza), 14141);
+  assert.equal(convertFromUsd(15.5, { currency: 'USD', rate: 1 }), 15.5);
+  assert.equal(convertFromUsd(null, kwanza), null);
+});
+
+test('trips keep their USD prices next to the converted ones', () => {
+  const [trip] = convertTripPrices([{ id: 'a', price_usd: 16.5, base_price_usd: 15 }], kwanza);
+  assert.equal(trip.price_usd, 16.5);
+  assert.equal(trip.price, 15054);
+  assert.equal(trip.base_price, 13685);
+  assert.equal(trip.currency, 'AOA');
+  assert.equal(trip.exchange_rate, 912.345);
+});
+
+test('basket totals are the sums of the converted lines', () => {
+  const basket = convertBasket({
+    currency: 'USD',
+    lines: [
+      { unit_price_usd: 10.01, price_usd: 9.01 },
+      { unit_price_usd: 10.01, price_usd: 9.01 },
+    ],
+    subtotal_usd: 20.02,
+    discount_usd: 2,
+    total_usd: 18.02,
+  }, kwanza);
+  assert.deepEqual(basket.lines.map((line) => line.price), [8220, 8220]);
+  assert.equal(basket.total, 16440);
+  assert.equal(basket.subtotal, 18266);
+  assert.equal(basket.discount, 1826);
+  assert.equal(basket.currency, 'AOA');
+  assert.equal(basket.total_usd, 18.02);
+});
+
+test('tendered parts are valued in USD to the cent', () => {
+  const shares = allocateUsdShares([5000, 10000], 16.44);
+  assert.deepEqual(shares, [5.48, 10.96]);
+  assert.deepEqual(allocateUsdShares([1, 1, 1], 10), [3.33, 3.33, 3.34]);
+  assert.deepEqual(allocateUsdShares([], 10), []);
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-delta-sync.sql');
+
+test('changes are only served below the oldest running transaction', () => {
+  const body = functionBody('get_sync_changes');
+  assert.match(body, /v_horizon xid8 := pg_snapshot_xmin\(pg_current_snapshot\(\)\)/);
+  assert.match(body, /\(c\.txid, c\.id\) > \(v_after_txid, v_after_id\)\s+AND c\.txid < v_horizon/);
+  assert.match(body, /ORDER BY c\.txid, c\.id\s+LIMIT p_limit \+ 1/);
+});
+
+test('missing or pruned cursors fall back to a full pull', () => {
+  const body = functionBody('get_sync_changes');
+  assert.match(body, /p_after_txid IS NULL OR \(v_floor IS NOT NULL AND p_after_txid::xid8 <= v_floor\)/);
+  assert.match(functionBody('prune_sync_changes'), /INSERT INTO public\.sync_change_floor/);
+});
+
+test('seat changes are logged for every overlapping trip of the bus', () => {
+  const body = functionBody('log_seat_sync_change');
+  assert.match(body, /CROSS JOIN LATERAL public\.get_overlapping_trip_ids\(changed\.id\)/);
+  assert.match(body, /v_trip_ids := v_trip_ids \|\| OLD\.trip_id/);
+  assert.match(sql, /AFTER INSERT OR DELETE OR UPDATE OF trip_id, seat_number, status ON public\.tickets/);
+  assert.match(sql, /AFTER INSERT OR DELETE ON public\.online_bookings/);
+});
+
+test('cached availability refreshes do not flood the trip log', () => {
+  assert.match(
+    functionBody('log_sync_change'),
+    /\(to_jsonb\(NEW\) - 'available_seats' - 'updated_at'\)\s+= \(to_jsonb\(OLD\) - 'available_seats' - 'updated_at'\)/
+  );
+});
+
+test('sync functions are only callable by the service role', () => {
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.get_sync_changes\(text, bigint, integer\)\s+TO service_role;/);
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.prune_sync_changes\(interval\)\s+FROM PUBLIC, anon, authenticated;/);
+});
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildExchangeCollection, computeExchangeFare } from '../lib/exchange.js';
+
+test('moving a paid ticket to a dearer trip collects the difference', () => {
+  assert.deepEqual(
+    computeExchangeFare({ pricePaid: '10000.00', newPrice: '12500.00', paymentStatus: 'paid' }),
+    {
+      from_price_usd: 10000,
+      to_price_usd: 12500,
+      fare_difference_usd: 2500,
+      collect_usd: 2500,
+      refund_usd: 0,
+    }
+  );
+});
+
+test('moving a paid ticket to a cheaper trip refunds the difference', () => {
+  const fare = computeExchangeFare({ pricePaid: 12500, newPrice: 10000, paymentStatus: 'paid' });
+  assert.equal(fare.fare_difference_usd, -2500);
+  assert.equal(fare.collect_usd, 0);
+  assert.equal(fare.refund_usd, 2500);
+});
+
+test('unpaid tickets move without settling money', () => {
+  const fare = computeExchangeFare({ pricePaid: 10000, newPrice: 12500, paymentStatus: 'pending' });
+  assert.equal(fare.fare_difference_usd, 2500);
+  assert.equal(fare.collect_usd, 0);
+  assert.equal(fare.refund_usd, 0);
+});
+
+test('fare differences are collected with counter payment methods only', () => {
+  assert.deepEqual(buildExchangeCollection({ paymentMethod: 'cash', amount: 2500 }), [
+    { method: 'cash', amount: 2500 },
+  ]);
+  assert.deepEqual(
+    buildExchangeCollection({
+      paymentMethod: 'tpa_dinheiro',
+      splits: [{ method: 'tpa', amount: 2000 }, { method: 'cash', amount: 500 }],
+      amount: 2500,
+    }),
+    [{ method: 'tpa', amount: 2000 }, { method: 'cash', amount: 500 }]
+  );
+  assert.deepEqual(buildExchangeCollection({ paymentMethod: null, amount: 0 }), []);
+  assert.throws(() => buildExchangeCollection({ paymentMethod: 'referencia', amount: 2500 }), /cash, TPA/);
+  assert.throws(
+    () => buildExchangeCollection({ paymentMethod: 'tpa_dinheiro', splits: [{ method: 'tpa', amount: 100 }], amount: 2500 }),
+    /must equal/
+  );
+});
+
+test('a split collection adds up in the tendered currency', () => {
+  assert.deepEqual(
+    buildExchangeCollection({
+      paymentMethod: 'tpa_dinheiro',
+      splits: [{ method: 'tpa', amount: 2000 }, { method: 'cash', amount: 281 }],
+      amount: 2281,
+      currency: 'AOA',
+    }),
+    [{ method: 'tpa', amount: 2000 }, { method: 'cash', amount: 281 }]
+  );
+  assert.throws(
+    () => buildExchangeCollection({
+      paymentMethod: 'tpa_dinheiro',
+      splits: [{ method: 'tpa', amount: 2000 }, { method: 'cash', amount: 279 }],
+      amount: 2281,
+      currency: 'AOA',
+    }),
+    /must equal 2281 AOA/
+  );
+});
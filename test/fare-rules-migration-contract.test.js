@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-fare-rules.sql');
+
+test('the last-seats rule reads the shared availability', () => {
+  const body = functionBody('get_trip_fares');
+  assert.match(body, /public\.get_trip_seat_availability\(p_trip_ids\)/);
+  assert.match(body, /WHEN 'last_seats' THEN req\.available_seats <= rule\.max_remaining_seats/);
+  assert.match(body, /GREATEST\(req\.base_price_usd \+ COALESCE\(SUM\(applied\.amount_usd\), 0\), 0\)/);
+});
+
+test('a booking fixes its fare for the rest of the transaction', () => {
+  const body = functionBody('booking_trip_fare');
+  assert.match(body, /current_setting\(v_setting, true\)/);
+  assert.match(body, /set_config\(v_setting, v_fare::text, true\)/);
+});
+
+test('both booking functions charge the fare and record the applied rules', () => {
+  for (const name of ['book_agent_ticket_atomic', 'book_mobile_basket_atomic']) {
+    const body = functionBody(name);
+    const fareAt = body.indexOf('public.booking_trip_fare(');
+    const insertAt = body.indexOf('INSERT INTO public.tickets (');
+    assert.ok(fareAt > 0 && insertAt > fareAt, name);
+    assert.match(body, /v_price := \(v_fare->>'fare_usd'\)::numeric;/);
+    assert.match(body.slice(insertAt), /base_price_usd,\s+fare_rules,/);
+    assert.match(body.slice(insertAt), /v_fare->'applied_rules'/);
+  }
+});
+
+test('only the service role can read or charge fares', () => {
+  for (const name of ['get_trip_fares', 'booking_trip_fare', 'book_agent_ticket_atomic', 'book_mobile_basket_atomic', 'exchange_ticket_atomic']) {
+    assert.match(sql, new RegExp(`REVOKE ALL ON FUNCTION public\\.${name}\\([\\s\\S]+?FROM PUBLIC, anon, authenticated`));
+    assert.match(sql, new RegExp(`GRANT EXECUTE ON FUNCTION public\\.${name}\\([\\s\\S]+?TO service_role`));
+  }
+});
+
+test('an exchange charges the fare of the target seat and records its rules', () => {
+  const body = functionBody('exchange_ticket_atomic');
+  assert.doesNotMatch(body, /tr\.price_usd/);
+  assert.match(body, /public\.booking_trip_fare\(\s*p_new_trip_id,\s*COALESCE\(NULLIF\(v_ticket\.seat_class, ''\), v_default_seat_class\)\s*\)/);
+  assert.match(body, /v_difference := v_price - v_ticket\.price_paid_usd;/);
+  assert.match(body, /base_price_usd = \(v_fare->>'base_price_usd'\)::numeric,\s+fare_rules = v_fare->'applied_rules'/);
+});
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyTripFares, indexTripFares, sortTripsByFare } from '../lib/fares.js';
+
+const weekendRule = {
+  id: 'rule-1',
+  name: 'Fim de semana',
+  kind: 'day_of_week',
+  adjustment_type: 'percentage',
+  adjustment_value: 10,
+  amount_usd: 1.5,
+};
+
+test('trips are priced at their fare and keep the base price and applied rules', () => {
+  const fares = indexTripFares([
+    { trip_id: 'a', seat_class: 'economy', base_price_usd: '15.00', fare_usd: '16.50', applied_rules: [weekendRule] },
+  ]);
+  const [trip] = applyTripFares([{ id: 'a', price_usd: '15.00', seat_class: 'economy' }], fares);
+  assert.equal(trip.price_usd, 16.5);
+  assert.equal(trip.base_price_usd, 15);
+  assert.deepEqual(trip.fare_rules, [weekendRule]);
+});
+
+test('a trip without a fare row sells at its base price', () => {
+  const [trip] = applyTripFares([{ id: 'b', price_usd: '20.00' }], indexTripFares([]));
+  assert.equal(trip.price_usd, 20);
+  assert.equal(trip.base_price_usd, 20);
+  assert.deepEqual(trip.fare_rules, []);
+});
+
+test('search results are re-sorted by fare, then by departure', () => {
+  const trips = [
+    { id: 'late', price_usd: 10, departure_time: '2026-10-20T10:00:00Z' },
+    { id: 'dear', price_usd: 18, departure_time: '2026-10-20T06:00:00Z' },
+    { id: 'early', price_usd: 10, departure_time: '2026-10-20T07:00:00Z' },
+  ];
+  assert.deepEqual(sortTripsByFare(trips).map((trip) => trip.id), ['early', 'late', 'dear']);
+  assert.deepEqual(sortTripsByFare(trips, { ascending: false }).map((trip) => trip.id), ['dear', 'early', 'late']);
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-group-agent-booking.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.book_agent_group_atomic');
+const functionEnd = sql.indexOf('$function$;', functionAt);
+const body = sql.slice(functionAt, functionEnd);
+
+test('each passenger is booked through the agent RPC inside the group transaction', () => {
+  assert.match(body, /FROM public\.book_agent_ticket_atomic_v2\(/);
+  assert.match(body, /p_idempotency_key \|\| ':' \|\| v_item\.ordinality::text/);
+  assert.doesNotMatch(body, /EXCEPTION\s+WHEN/);
+});
+
+test('a group key is recovered as a whole or rejected', () => {
+  assert.match(body, /hashtextextended\('booking:' \|\| p_booked_by::text \|\| ':' \|\| p_idempotency_key, 0\)/);
+  assert.match(body, /IF v_result\.was_idempotent IS DISTINCT FROM v_recovered THEN/);
+  assert.match(body, /v_group\.ticket_count <> v_item_count/);
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS booking_groups_booked_by_idempotency_key/);
+});
+
+test('group booking is only callable by the service role', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.book_agent_group_atomic\([\s\S]+?FROM PUBLIC, anon, authenticated;/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.book_agent_group_atomic\([\s\S]+?TO service_role;/);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_GROUP_BOOKING_PASSENGERS,
+  allocateGroupSplits,
+  normalizeGroupPassengers,
+} from '../lib/group-booking.js';
+
+test('group passengers keep their order and optional traveller data', () => {
+  assert.deepEqual(
+    normalizeGroupPassengers([
+      { passengerId: 'p-1', seatNumber: '4', ticketNumber: ' T-1 ' },
+      { passengerId: 'p-2', seatNumber: 5, seatClass: 'vip', companionName: 'Ana', companionPhone: '923' },
+    ]),
+    [
+      {
+        passenger_id: 'p-1', seat_number: 4, seat_class: null, ticket_number: 'T-1',
+        companion_name: null, companion_phone: null,
+      },
+      {
+        passenger_id: 'p-2', seat_number: 5, seat_class: 'vip', ticket_number: null,
+        companion_name: 'Ana', companion_phone: '923',
+      },
+    ]
+  );
+});
+
+test('group passengers reject repeated, co-pilot and malformed seats', () => {
+  assert.throws(() => normalizeGroupPassengers([]), /at least one passenger/);
+  assert.throws(() => normalizeGroupPassengers([{ seatNumber: 3 }]), /passengerId and seatNumber/);
+  assert.throws(() => normalizeGroupPassengers([{ passengerId: 'p', seatNumber: 'x' }]), /must be an integer/);
+  assert.throws(() => normalizeGroupPassengers([{ passengerId: 'p', seatNumber: 1 }]), /co-pilot/);
+  assert.throws(
+    () => normalizeGroupPassengers([
+      { passengerId: 'p-1', seatNumber: 3 },
+      { passengerId: 'p-2', seatNumber: 3 },
+    ]),
+    /repeated/
+  );
+  assert.throws(
+    () => normalizeGroupPassengers([{ passengerId: 'p', seatNumber: 3, companionPhone: '923' }]),
+    /requires a companion name/
+  );
+  const tooMany = Array.from({ length: MAX_GROUP_BOOKING_PASSENGERS + 1 }, (_, index) => ({
+    passengerId: 'p', seatNumber: index + 2,
+  }));
+  assert.throws(() => normalizeGroupPassengers(tooMany), /at most 20/);
+});
+
+test('a combined split is spread over the tickets in order', () => {
+  assert.deepEqual(
+    allocateGroupSplits(
+      [{ method: 'cash', amount: 50 }, { method: 'tpa', amount: 40 }],
+      [30, 30, 30]
+    ),
+    [
+      [{ method: 'cash', amount: 30 }],
+      [{ method: 'cash', amount: 20 }, { method: 'tpa', amount: 10 }],
+      [{ method: 'tpa', amount: 30 }],
+    ]
+  );
+});
+
+test('split allocation keeps every ticket exact to the cent', () => {
+  const allocation = allocateGroupSplits(
+    [{ method: 'cash', amount: 10 }, { method: 'tpa', amount: 20.01 }],
+    [10.01, 10.01, 9.99]
+  );
+  assert.deepEqual(
+    allocation.map((parts) => Math.round(parts.reduce((sum, part) => sum + part.amount, 0) * 100)),
+    [1001, 1001, 999]
+  );
+  assert.throws(
+    () => allocateGroupSplits([{ method: 'cash', amount: 50 }], [30, 30]),
+    /must equal 60.00/
+  );
+});
+
+test('kwanza splits may be a kwanza off and still cover every ticket', () => {
+  const allocation = allocateGroupSplits(
+    [{ method: 'cash', amount: 10000 }, { method: 'tpa', amount: 8281 }],
+    [9141, 9141],
+    'AOA'
+  );
+  assert.deepEqual(allocation, [
+    [{ method: 'cash', amount: 9141 }],
+    [{ method: 'cash', amount: 859 }, { method: 'tpa', amount: 8282 }],
+  ]);
+});
@@ -0,0 +1,18 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+// A migration's SQL and a reader for the body of a function it defines, from
+// CREATE OR REPLACE FUNCTION up to its closing $function$;. The opening
+// parenthesis keeps book_agent_ticket_atomic from matching _v2.
+export async function readMigration(fileName) {
+  const sql = await readFile(new URL(`../../${fileName}`, import.meta.url), 'utf8');
+
+  function functionBody(name) {
+    const functionAt = sql.indexOf(`CREATE OR REPLACE FUNCTION public.${name}(`);
+    const functionEnd = sql.indexOf('$function$;', functionAt);
+    assert.ok(functionAt >= 0 && functionEnd > functionAt, `${name} is defined`);
+    return sql.slice(functionAt, functionEnd);
+  }
+
+  return { sql, functionBody };
+}
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_CONNECTION_SETTINGS,
+  connectionError,
+  findItineraries,
+  matchesPlace,
+  narrowConnectionSettings,
+  normalizeConnectionSettings,
+  rankItineraries,
+} from '../lib/itineraries.js';
+
+function trip(id, origin, destination, departure, arrival, price, seats = 10) {
+  return {
+    id,
+    departure_time: `2026-10-20T${departure}:00Z`,
+    arrival_time: `2026-10-20T${arrival}:00Z`,
+    price_usd: price,
+    available_seats: seats,
+    routes: { origin_city: origin, destination_city: destination, origin_province: origin, destination_province: destination },
+  };
+}
+
+const direct = trip('direct', 'Luanda', 'Lubango', '06:00', '18:00', 30);
+const toBenguela = trip('lda-bgl', 'Luanda', 'Benguela', '06:00', '12:00', 12);
+const benguelaLubango = trip('bgl-lub', 'Benguela', 'Lubango', '13:00', '17:00', 10);
+const tooSoon = trip('bgl-lub-soon', 'Benguela', 'Lubango', '12:10', '16:10', 8);
+const tooLate = trip('bgl-lub-late', 'Benguela', 'Lubango', '19:00', '23:00', 8);
+const backToLuanda = trip('bgl-lda', 'Benguela', 'Luanda', '13:00', '19:00', 12);
+
+test('places match the city or the province, ignoring case', () => {
+  assert.equal(matchesPlace(direct, 'destination', 'lubANGO'), true);
+  assert.equal(matchesPlace({ routes: [{ origin_city: 'Kikolo', origin_province: 'Luanda' }] }, 'origin', 'luanda'), true);
+  assert.equal(matchesPlace(direct, 'origin', 'Huambo'), false);
+});
+
+test('connections change bus in the arrival city within the layover window', () => {
+  const itineraries = findItineraries({
+    firstLegs: [direct, toBenguela],
+    trips: [benguelaLubango, tooSoon, tooLate, backToLuanda],
+    destination: 'Lubango',
+  });
+  assert.deepEqual(itineraries.map((itinerary) => itinerary.trip_ids), [['direct'], ['lda-bgl', 'bgl-lub']]);
+
+  const connection = itineraries[1];
+  assert.deepEqual(connection.transfers, [{ city: 'Benguela', layover_minutes: 60 }]);
+  assert.equal(connection.duration_minutes, 660);
+  assert.equal(connection.price_usd, 22);
+  assert.equal(connection.departure_time, toBenguela.departure_time);
+  assert.equal(connection.arrival_time, benguelaLubango.arrival_time);
+});
+
+test('resolved destination routes end a journey instead of the city name', () => {
+  const itineraries = findItineraries({
+    firstLegs: [{ ...direct, route_id: 'lda-lub-route' }, toBenguela],
+    trips: [{ ...benguelaLubango, route_id: 'bgl-lub-route' }],
+    destination: 'Lubango',
+    destinationRouteIds: ['bgl-lub-route'],
+  });
+  assert.deepEqual(itineraries.map((itinerary) => itinerary.trip_ids), [['lda-bgl', 'bgl-lub']]);
+});
+
+test('every leg needs a seat for each passenger', () => {
+  const itineraries = findItineraries({
+    firstLegs: [toBenguela],
+    trips: [{ ...benguelaLubango, available_seats: 1 }],
+    destination: 'Lubango',
+    passengers: 2,
+  });
+  assert.deepEqual(itineraries, []);
+});
+
+test('journeys stop at the leg limit and never revisit a city', () => {
+  const huambo = trip('bgl-hbo', 'Benguela', 'Huambo', '13:00', '16:00', 7);
+  const huamboLubango = trip('hbo-lub', 'Huambo', 'Lubango', '17:00', '21:00', 9);
+  const luandaAgain = trip('lda-lub', 'Luanda', 'Lubango', '20:00', '23:59', 9);
+  const trips = [huambo, huamboLubango, backToLuanda, luandaAgain];
+
+  const threeLegs = findItineraries({ firstLegs: [toBenguela], trips, destination: 'Lubango' });
+  assert.deepEqual(threeLegs.map((itinerary) => itinerary.trip_ids), [['lda-bgl', 'bgl-hbo', 'hbo-lub']]);
+
+  const twoLegs = findItineraries({
+    firstLegs: [toBenguela],
+    trips,
+    destination: 'Lubango',
+    settings: { ...DEFAULT_CONNECTION_SETTINGS, max_legs: 2 },
+  });
+  assert.deepEqual(twoLegs, []);
+});
+
+test('itineraries rank by duration then price, or by price first', () => {
+  const itineraries = [
+    { trip_ids: ['a'], duration_minutes: 600, price_usd: 30, departure_time: '2026-10-20T06:00:00Z' },
+    { trip_ids: ['b', 'c'], duration_minutes: 600, price_usd: 22, departure_time: '2026-10-20T06:00:00Z' },
+    { trip_ids: ['d'], duration_minutes: 720, price_usd: 20, departure_time: '2026-10-20T05:00:00Z' },
+  ];
+  assert.deepEqual(rankItineraries(itineraries).map((itinerary) => itinerary.trip_ids[0]), ['b', 'a', 'd']);
+  assert.deepEqual(rankItineraries(itineraries, 'price').map((itinerary) => itinerary.trip_ids[0]), ['d', 'b', 'a']);
+});
+
+test('booked connections are checked with the same rules', () => {
+  assert.equal(connectionError([toBenguela, benguelaLubango]), null);
+  assert.match(connectionError([toBenguela, tooSoon]), /layover in Benguela must be between 30 and 360 minutes/);
+  assert.match(connectionError([direct, benguelaLubango]), /does not leave from Lubango/);
+  assert.match(connectionError([toBenguela, backToLuanda]), /passes through Luanda twice/);
+  assert.match(
+    connectionError([toBenguela, benguelaLubango], { ...DEFAULT_CONNECTION_SETTINGS, max_legs: 1 }),
+    /at most 1 legs/
+  );
+});
+
+test('searches may narrow the configured limits but not widen them', () => {
+  const settings = normalizeConnectionSettings({ min_layover_minutes: 45, max_layover_minutes: null });
+  assert.deepEqual(settings, { min_layover_minutes: 45, max_layover_minutes: 360, max_legs: 3 });
+  assert.deepEqual(
+    narrowConnectionSettings(settings, { minLayover: '15', maxLayover: '120', maxLegs: '5' }),
+    { min_layover_minutes: 45, max_layover_minutes: 120, max_legs: 3 }
+  );
+  assert.deepEqual(narrowConnectionSettings(settings, { maxLegs: '0' }).max_legs, 1);
+  assert.deepEqual(narrowConnectionSettings(settings), settings);
+});
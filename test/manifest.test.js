@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  THERMAL_LINE_WIDTH,
+  buildManifestRows,
+  formatManifestTime,
+  manifestToCsv,
+  manifestToThermalText,
+  summarizeManifest,
+} from '../lib/manifest.js';
+
+const trips = new Map([
+  ['trip-1', {
+    id: 'trip-1',
+    departure_time: '2026-10-20T07:00:00Z',
+    routes: { origin_city: 'Luanda', destination_city: 'Benguela' },
+  }],
+  ['trip-2', {
+    id: 'trip-2',
+    departure_time: '2026-10-20T07:00:00Z',
+    routes: [{ origin_city: 'Luanda', destination_city: 'Lobito' }],
+  }],
+]);
+
+const profiles = new Map([
+  ['user-1', { first_name: 'Ana', last_name: 'Silva', phone_number: '+244900000001' }],
+  ['user-2', { first_name: 'João', last_name: null, phone_number: '+244900000002' }],
+]);
+
+const tickets = [
+  { id: 't-3', ticket_number: 'TKT-3', trip_id: 'trip-2', passenger_id: 'user-2', seat_number: 7, status: 'active', payment_status: 'pending', payment_method: 'cash' },
+  { id: 't-1', ticket_number: 'TKT-1', trip_id: 'trip-1', passenger_id: 'user-1', seat_number: 2, status: 'used', payment_status: 'paid', payment_method: 'tpa', boarded_at: '2026-10-20T06:40:00Z' },
+  { id: 't-2', ticket_number: 'TKT-2', trip_id: 'trip-1', passenger_id: 'user-1', seat_number: 3, status: 'active', payment_status: 'paid', payment_method: 'tpa' },
+];
+
+function rows() {
+  return buildManifestRows({
+    tickets,
+    profilesById: profiles,
+    companionsByTicket: new Map([['t-2', { ticket_id: 't-2', name: 'Maria Costa', phone: null }]]),
+    tripsById: trips,
+  });
+}
+
+test('manifest rows are sorted by seat and use the companion name when present', () => {
+  const manifest = rows();
+  assert.deepEqual(manifest.map((row) => row.seat_number), [2, 3, 7]);
+
+  assert.equal(manifest[0].passenger_name, 'Ana Silva');
+  assert.equal(manifest[0].boarding_status, 'boarded');
+  assert.equal(manifest[0].segment, 'Luanda - Benguela');
+
+  assert.equal(manifest[1].passenger_name, 'Maria Costa');
+  assert.equal(manifest[1].phone, '+244900000001');
+  assert.equal(manifest[1].is_companion, true);
+
+  assert.equal(manifest[2].passenger_name, 'João');
+  assert.equal(manifest[2].segment, 'Luanda - Lobito');
+  assert.equal(manifest[2].boarding_status, 'not_boarded');
+
+  assert.deepEqual(summarizeManifest(manifest), { passengers: 3, boarded: 1, paid: 2, unpaid: 1 });
+});
+
+test('segment tickets show their stops and the time the bus leaves the first one', () => {
+  const [row] = buildManifestRows({
+    tickets: [{ ...tickets[2], origin_stop: 1, destination_stop: 2 }],
+    profilesById: profiles,
+    tripsById: new Map([['trip-1', { ...trips.get('trip-1'), route_id: 'route-1' }]]),
+    stopsByRoute: new Map([['route-1', [
+      { stop_order: 0, city: 'Luanda', arrival_offset_minutes: 0, departure_offset_minutes: 0 },
+      { stop_order: 1, city: 'Sumbe', arrival_offset_minutes: 300, departure_offset_minutes: 320 },
+      { stop_order: 2, city: 'Benguela', arrival_offset_minutes: 540, departure_offset_minutes: 540 },
+    ]]]),
+  });
+  assert.equal(row.segment, 'Sumbe - Benguela');
+  assert.equal(row.departure_time, '2026-10-20T12:20:00.000Z');
+});
+
+test('manifest CSV quotes separators and neutralises spreadsheet formulas', () => {
+  const csv = manifestToCsv([
+    { seat_number: 4, passenger_name: 'Silva, Ana "Nita"', phone: '+244900000001', payment_status: 'paid' },
+    { seat_number: 5, passenger_name: '=HYPERLINK("x")', phone: null, payment_status: 'pending' },
+  ]);
+  const lines = csv.split('\r\n');
+  assert.equal(lines[0], 'seat_number,passenger_name,phone,ticket_number,segment,departure_time,boarding_status,payment_status,payment_method');
+  assert.equal(lines[1], `4,"Silva, Ana ""Nita""",'+244900000001,,,,,paid,`);
+  assert.equal(lines[2], `5,"'=HYPERLINK(""x"")",,,,,,pending,`);
+  assert.equal(lines[3], '');
+});
+
+test('manifest times are shown in Luanda time', () => {
+  assert.equal(formatManifestTime('2026-10-20T07:00:00Z'), '2026-10-20 08:00');
+  assert.equal(formatManifestTime('2026-10-20T23:30:00Z'), '2026-10-21 00:30');
+  assert.equal(formatManifestTime(null), '');
+});
+
+test('thermal manifest fits an 80mm line and lists every passenger', () => {
+  const text = manifestToThermalText({
+    title: 'Luanda - Benguela',
+    departureTime: '2026-10-20T07:00:00Z',
+    busPlate: 'LD-12-34-AB',
+    rows: rows().map((row, index) => (
+      index === 0 ? { ...row, passenger_name: 'A very long passenger name that will not fit on one line' } : row
+    )),
+    printedAt: '2026-10-20T06:00:00Z',
+  });
+  const lines = text.split('\n');
+  assert.ok(lines.every((line) => line.length <= THERMAL_LINE_WIDTH));
+  assert.ok(lines.some((line) => line.includes('2026-10-20 08:00')));
+  assert.ok(lines.some((line) => line.startsWith('3    Maria Costa')));
+  assert.ok(lines.some((line) => line.includes('Passengers: 3  Boarded: 1')));
+  assert.ok(lines.some((line) => line.includes('Paid: 2  Due: 1')));
+});
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-atomic-mobile-booking.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic');
+const functionEnd = sql.indexOf('$function$;', functionAt);
+const body = sql.slice(functionAt, functionEnd);
+
+test('a retried basket is recovered before any seat is inserted', () => {
+  const lockAt = body.indexOf("hashtextextended('booking:' || p_passenger_id::text");
+  const recoverAt = body.indexOf('RETURN QUERY SELECT', lockAt);
+  const insertAt = body.indexOf('INSERT INTO public.tickets (');
+  assert.ok(functionAt > 0 && lockAt > 0 && recoverAt > lockAt && insertAt > recoverAt);
+  assert.match(body, /Idempotency key already belongs to another booking[\s\S]+ERRCODE = '23505'/);
+});
+
+test('every basket seat is inserted inside the one function call', () => {
+  const loopAt = body.indexOf('FOR v_item IN');
+  const insertAt = body.indexOf('INSERT INTO public.tickets (', loopAt);
+  const loopEnd = body.indexOf('END LOOP;', insertAt);
+  assert.ok(loopAt > 0 && insertAt > loopAt && loopEnd > insertAt);
+  assert.doesNotMatch(body, /EXCEPTION\s+WHEN/);
+});
+
+test('basket seats carry positional idempotency keys', () => {
+  assert.match(body, /p_idempotency_key \|\| ':' \|\| v_item\.ordinality::text/);
+});
+
+test('only the service role can execute the mobile basket RPC', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.book_mobile_basket_atomic[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.book_mobile_basket_atomic[\s\S]+TO service_role/);
+});
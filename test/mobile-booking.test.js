@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildMobileBasketItems, normalizeMobilePaymentMethod } from '../lib/mobile-booking.js';
+
+test('round-trip baskets keep outbound seats before return seats', () => {
+  assert.deepEqual(
+    buildMobileBasketItems({
+      outboundTrip: { id: 'out' },
+      outboundSeats: [4, '5'],
+      returnTrip: { id: 'back' },
+      returnSeats: [9],
+    }),
+    [
+      { leg: 'outbound', trip_id: 'out', seat_number: 4 },
+      { leg: 'outbound', trip_id: 'out', seat_number: 5 },
+      { leg: 'return', trip_id: 'back', seat_number: 9 },
+    ]
+  );
+});
+
+test('a return trip without seats is a one-way basket', () => {
+  const items = buildMobileBasketItems({
+    outboundTrip: { id: 'out' },
+    outboundSeats: [4],
+    returnTrip: { id: 'back' },
+    returnSeats: [],
+  });
+  assert.equal(items.length, 1);
+});
+
+test('invalid or repeated seats reject the whole basket', () => {
+  assert.throws(
+    () => buildMobileBasketItems({ outboundTrip: { id: 'out' }, outboundSeats: [4, 4] }),
+    /repeated/
+  );
+  assert.throws(
+    () => buildMobileBasketItems({ outboundTrip: { id: 'out' }, outboundSeats: ['x'] }),
+    /integers/
+  );
+  assert.throws(
+    () => buildMobileBasketItems({ outboundTrip: {}, outboundSeats: [4] }),
+    /outbound trip and seats are required/
+  );
+});
+
+test('oversized baskets are rejected before reaching the database', () => {
+  const outboundSeats = Array.from({ length: 21 }, (_, index) => index + 2);
+  assert.throws(
+    () => buildMobileBasketItems({ outboundTrip: { id: 'out' }, outboundSeats }),
+    /at most 20 seats/
+  );
+});
+
+test('connections book every trip of a leg in travel order', () => {
+  assert.deepEqual(
+    buildMobileBasketItems({
+      outboundLegs: [
+        { trip: { id: 'lda-bgl' }, seats: [4, 5] },
+        { trip: { id: 'bgl-lub' }, seats: [11, 12] },
+      ],
+      returnTrip: { id: 'back' },
+      returnSeats: [9, 10],
+    }),
+    [
+      { leg: 'outbound', trip_id: 'lda-bgl', seat_number: 4 },
+      { leg: 'outbound', trip_id: 'lda-bgl', seat_number: 5 },
+      { leg: 'outbound', trip_id: 'bgl-lub', seat_number: 11 },
+      { leg: 'outbound', trip_id: 'bgl-lub', seat_number: 12 },
+      { leg: 'return', trip_id: 'back', seat_number: 9 },
+      { leg: 'return', trip_id: 'back', seat_number: 10 },
+    ]
+  );
+});
+
+test('every trip of a connection needs the same number of seats', () => {
+  assert.throws(() => buildMobileBasketItems({
+    outboundLegs: [{ trip: { id: 'lda-bgl' }, seats: [4, 5] }, { trip: { id: 'bgl-lub' }, seats: [11] }],
+  }), /same number of seats/);
+  assert.throws(() => buildMobileBasketItems({
+    outboundLegs: [{ trip: { id: 'lda-bgl' }, seats: [4] }, { trip: { id: 'lda-bgl' }, seats: [5] }],
+  }), /Trip lda-bgl is repeated on the outbound leg/);
+  assert.throws(() => buildMobileBasketItems({
+    returnLegs: [{ trip: { id: 'back' } }],
+    outboundTrip: { id: 'out' },
+    outboundSeats: [1],
+  }), /Every return connection needs a trip and seats/);
+});
+
+test('a trip with stops books that segment for each of its seats', () => {
+  assert.deepEqual(
+    buildMobileBasketItems({
+      outboundTrip: { id: 'out', originStop: 1, destinationStop: '2' },
+      outboundSeats: [4],
+      returnTrip: { id: 'back' },
+      returnSeats: [9],
+    }),
+    [
+      { leg: 'outbound', trip_id: 'out', seat_number: 4, origin_stop: 1, destination_stop: 2 },
+      { leg: 'return', trip_id: 'back', seat_number: 9 },
+    ]
+  );
+  assert.throws(
+    () => buildMobileBasketItems({ outboundTrip: { id: 'out', originStop: 2, destinationStop: 1 }, outboundSeats: [4] }),
+    /must come before/
+  );
+});
+
+test('a mobile basket is only paid by reference', () => {
+  assert.equal(normalizeMobilePaymentMethod(undefined), 'referencia');
+  assert.equal(normalizeMobilePaymentMethod(' referencia '), 'referencia');
+  for (const method of ['cash', 'tpa', 'card', 'REFERENCIA']) {
+    assert.throws(() => normalizeMobilePaymentMethod(method), /paid by reference/);
+  }
+});
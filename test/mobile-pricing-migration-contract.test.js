@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-mobile-booking-pricing.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+test('the quoted total is checked after the basket is priced by the database', () => {
+  const wrapperAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.book_mobile_basket_atomic_v2');
+  const bookingAt = sql.indexOf('FROM public.book_mobile_basket_atomic(', wrapperAt);
+  const checkAt = sql.indexOf('abs(v_total - p_expected_total) > 0.01', bookingAt);
+  const wrapperEnd = sql.indexOf('$function$;', checkAt);
+  assert.ok(wrapperAt >= 0 && bookingAt > wrapperAt && checkAt > bookingAt && wrapperEnd > checkAt);
+  assert.doesNotMatch(sql.slice(wrapperAt, wrapperEnd), /EXCEPTION\s+WHEN/);
+  assert.match(sql, /Quoted price is no longer valid[\s\S]+ERRCODE = '55000'/);
+});
+
+test('only the service role can execute the priced mobile basket RPC', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.book_mobile_basket_atomic_v2[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.book_mobile_basket_atomic_v2[\s\S]+TO service_role/);
+});
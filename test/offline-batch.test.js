@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  classifyOfflineSaleError,
+  summarizeOfflineSaleResults,
+} from '../lib/offline-batch.js';
+
+test('offline sale errors split into seat conflicts, rejections and retries', () => {
+  assert.equal(
+    classifyOfflineSaleError({ code: '23505', message: 'Seat 14 is already booked on this bus' }),
+    'seat_conflict'
+  );
+  assert.equal(
+    classifyOfflineSaleError({ code: '23505', message: 'Seat currently reserved for an online payment' }),
+    'seat_conflict'
+  );
+  assert.equal(
+    classifyOfflineSaleError({ code: '23505', message: 'Idempotency key already belongs to another booking' }),
+    'rejected'
+  );
+  assert.equal(classifyOfflineSaleError({ code: '22023', message: 'Trip is not available for sale' }), 'rejected');
+  assert.equal(classifyOfflineSaleError({ code: 'P0002', message: 'Trip not found' }), 'rejected');
+  assert.equal(classifyOfflineSaleError({ code: 'PGRST202', message: 'function missing' }), 'failed');
+  assert.equal(classifyOfflineSaleError(new Error('fetch failed')), 'failed');
+});
+
+test('batch summaries count every outcome', () => {
+  assert.deepEqual(
+    summarizeOfflineSaleResults([
+      { status: 'created' },
+      { status: 'created' },
+      { status: 'recovered' },
+      { status: 'seat_conflict' },
+    ]),
+    { created: 2, recovered: 1, seat_conflict: 1, rejected: 0, failed: 0 }
+  );
+});
@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_MULTICAIXA_ENTITY,
+  createMockPaymentProvider,
+  createMulticaixaProvider,
+  createPaymentProvider,
+  withPaymentProviderRetry,
+} from '../lib/payment-providers.js';
+import { normalizePaymentWebhookEvent, verifyPaymentWebhook } from '../lib/payment-webhook.js';
+
+const secret = 'webhook-test-secret';
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+  };
+}
+
+test('the mock provider issues a reference and sends a webhook the server accepts', async () => {
+  const provider = createMockPaymentProvider({ webhookSecret: secret, now: () => now });
+  const created = await provider.createReference({ amount: 45.5, ticketIds: ['t1', 't2'], idempotencyKey: 'basket-1' });
+  assert.match(created.reference, /^\d{9}$/);
+  assert.equal(created.entity, provider.entity);
+
+  const retried = await provider.createReference({ amount: 45.5, ticketIds: ['t1', 't2'], idempotencyKey: 'basket-1' });
+  assert.equal(retried.reference, created.reference);
+  assert.equal((await provider.getReferenceStatus(created.reference)).status, 'pending');
+
+  const webhook = provider.pay(created.reference);
+  const rawBody = Buffer.from(webhook.rawBody);
+  assert.deepEqual(verifyPaymentWebhook({
+    rawBody,
+    timestamp: webhook.headers['X-Payment-Timestamp'],
+    signature: webhook.headers['X-Payment-Signature'],
+    secret,
+    now,
+  }), { valid: true });
+
+  const event = normalizePaymentWebhookEvent(JSON.parse(webhook.rawBody));
+  assert.equal(event.reference, created.reference);
+  assert.equal(event.amount, 45.5);
+  assert.equal(event.paid, true);
+
+  const status = await provider.getReferenceStatus(created.reference);
+  assert.equal(status.status, 'paid');
+  assert.equal(status.transactionId, event.transactionId);
+});
+
+test('mock references expire at their deadline and only paid ones refund', async () => {
+  const provider = createMockPaymentProvider({ now: () => now });
+  const expiring = await provider.createReference({ amount: 10, expiresAt: new Date(now - 1000).toISOString() });
+  assert.equal((await provider.getReferenceStatus(expiring.reference)).status, 'expired');
+  await assert.rejects(
+    provider.refund({ reference: expiring.reference, amount: 10 }),
+    { code: 'payment_provider_error' }
+  );
+
+  const paid = await provider.createReference({ amount: 20 });
+  provider.pay(paid.reference);
+  const first = await provider.refund({ reference: paid.reference, amount: 5, idempotencyKey: 'refund-c1' });
+  const again = await provider.refund({ reference: paid.reference, amount: 5, idempotencyKey: 'refund-c1' });
+  assert.equal(first.status, 'refunded');
+  assert.equal(again.refundId, first.refundId);
+
+  await assert.rejects(provider.getReferenceStatus('000000000'), { code: 'payment_provider_error' });
+});
+
+test('MULTICAIXA references are created with the idempotency key and the configured entity', async () => {
+  const calls = [];
+  const provider = createMulticaixaProvider({
+    apiUrl: 'https://pay.example.com/api/create-payment',
+    fetchImpl: async (url, options) => {
+      calls.push({ url, options });
+      return jsonResponse({ reference_number: 987654321 });
+    },
+  });
+
+  const created = await provider.createReference({
+    amount: 27000,
+    currency: 'AOA',
+    ticketIds: ['t1'],
+    idempotencyKey: 'basket-1',
+    passengerName: 'Ana',
+  });
+  assert.deepEqual(created, { reference: '987654321', entity: DEFAULT_MULTICAIXA_ENTITY, expiresAt: null });
+  assert.equal(calls[0].url, 'https://pay.example.com/api/create-payment');
+  assert.equal(calls[0].options.headers['Idempotency-Key'], 'basket-1');
+  assert.equal(JSON.parse(calls[0].options.body).ticket_id, 't1');
+  assert.equal(JSON.parse(calls[0].options.body).amount, 27000);
+  assert.equal(JSON.parse(calls[0].options.body).currency, 'AOA');
+});
+
+test('MULTICAIXA status and refund calls go next to create-payment', async () => {
+  const urls = [];
+  const provider = createMulticaixaProvider({
+    apiUrl: 'https://pay.example.com/api/create-payment',
+    fetchImpl: async (url) => {
+      urls.push(String(url));
+      return jsonResponse(
+        String(url).includes('payment-status')
+          ? { reference_number: '1', status: 'COMPLETED', amount: '30.00', transaction_id: 'mcx-9' }
+          : { refund_id: 'r-1', status: 'Pending' }
+      );
+    },
+  });
+
+  const status = await provider.getReferenceStatus('1');
+  assert.equal(status.status, 'paid');
+  assert.equal(status.amount, 30);
+  assert.equal(status.transactionId, 'mcx-9');
+  assert.deepEqual(await provider.refund({ reference: '1', amount: 5 }), { refundId: 'r-1', status: 'pending' });
+  assert.deepEqual(urls, [
+    'https://pay.example.com/api/payment-status?reference=1',
+    'https://pay.example.com/api/refund-payment',
+  ]);
+});
+
+test('MULTICAIXA failures surface as provider errors instead of a missing reference', async () => {
+  const failing = createMulticaixaProvider({ fetchImpl: async () => jsonResponse({}, 503) });
+  await assert.rejects(failing.createReference({ amount: 1 }), { code: 'payment_provider_error', message: /HTTP 503/ });
+
+  const empty = createMulticaixaProvider({ fetchImpl: async () => jsonResponse({ ok: true }) });
+  await assert.rejects(empty.createReference({ amount: 1 }), { code: 'payment_provider_error', message: /did not return/ });
+
+  const offline = createMulticaixaProvider({ fetchImpl: async () => { throw new TypeError('fetch failed'); } });
+  await assert.rejects(offline.createReference({ amount: 1 }), { code: 'payment_provider_error', message: /unreachable/ });
+});
+
+test('provider outages are retried but other errors are not', async () => {
+  let attempts = 0;
+  const result = await withPaymentProviderRetry(async () => {
+    attempts += 1;
+    if (attempts < 3) throw Object.assign(new Error('down'), { code: 'payment_provider_error' });
+    return 'ok';
+  }, { delayMs: 0 });
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(withPaymentProviderRetry(async () => {
+    attempts += 1;
+    throw Object.assign(new Error('constraint'), { code: '23505' });
+  }, { delayMs: 0 }), { code: '23505' });
+  assert.equal(attempts, 1);
+});
+
+test('the provider is chosen from the environment', () => {
+  assert.equal(createPaymentProvider({}).name, 'multicaixa');
+  assert.equal(createPaymentProvider({ MULTICAIXA_ENTITY: '5555' }).entity, '5555');
+  assert.equal(createPaymentProvider({ PAYMENT_PROVIDER: 'mock' }).name, 'mock');
+  assert.throws(() => createPaymentProvider({ PAYMENT_PROVIDER: 'paypal' }), /Unknown PAYMENT_PROVIDER/);
+});
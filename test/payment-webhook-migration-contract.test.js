@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-payment-webhook.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.settle_payment_reference');
+const functionEnd = sql.indexOf('$function$;', functionAt);
+const body = sql.slice(functionAt, functionEnd);
+
+test('every ticket of the reference is locked before the settlement is checked', () => {
+  const lockAt = body.indexOf('FOR UPDATE;');
+  const existingAt = body.indexOf('FROM public.payment_settlements s', lockAt);
+  const insertAt = body.indexOf('INSERT INTO public.payment_settlements (');
+  assert.ok(lockAt > 0 && existingAt > lockAt && insertAt > existingAt);
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS payment_settlements_provider_transaction_id_key/);
+});
+
+test('amount mismatches are rejected before any ticket is marked paid', () => {
+  const mismatchAt = body.indexOf('does not match the % due for this reference');
+  const ledgerAt = body.indexOf('INSERT INTO public.payment_transactions (');
+  const paidAt = body.indexOf("SET payment_status = 'paid'");
+  assert.ok(mismatchAt > 0 && ledgerAt > mismatchAt && paidAt > ledgerAt);
+  assert.match(body, /'referencia',\s+'completed'/);
+  assert.doesNotMatch(body, /EXCEPTION\s+WHEN/);
+});
+
+test('only the service role can settle references', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.settle_payment_reference[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.settle_payment_reference[\s\S]+TO service_role/);
+});
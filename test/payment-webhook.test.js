@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizePaymentWebhookEvent,
+  signPaymentWebhook,
+  verifyPaymentWebhook,
+} from '../lib/payment-webhook.js';
+
+const secret = 'webhook-test-secret';
+const rawBody = Buffer.from(JSON.stringify({
+  reference_number: '123456789',
+  transaction_id: 'mcx-1',
+  status: 'paid',
+  amount: 45.5,
+}));
+const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+const timestamp = String(now / 1000);
+
+test('webhook signatures cover the timestamp and the raw body', () => {
+  const signature = signPaymentWebhook(rawBody, timestamp, secret);
+  assert.deepEqual(verifyPaymentWebhook({ rawBody, timestamp, signature, secret, now }), { valid: true });
+  assert.deepEqual(
+    verifyPaymentWebhook({ rawBody, timestamp, signature: `sha256=${signature}`, secret, now }),
+    { valid: true }
+  );
+
+  const tampered = Buffer.from(rawBody.toString().replace('45.5', '4.55'));
+  assert.equal(verifyPaymentWebhook({ rawBody: tampered, timestamp, signature, secret, now }).reason, 'invalid_signature');
+  assert.equal(verifyPaymentWebhook({ rawBody, timestamp, signature: 'abc', secret, now }).reason, 'invalid_signature');
+  assert.equal(verifyPaymentWebhook({ rawBody, timestamp, signature, secret: 'other', now }).reason, 'invalid_signature');
+});
+
+test('webhooks are rejected without a secret, a signature or a fresh timestamp', () => {
+  const signature = signPaymentWebhook(rawBody, timestamp, secret);
+  assert.equal(verifyPaymentWebhook({ rawBody, timestamp, signature, secret: '', now }).reason, 'not_configured');
+  assert.equal(verifyPaymentWebhook({ rawBody, timestamp, secret, now }).reason, 'missing_signature');
+  assert.equal(verifyPaymentWebhook({ rawBody: undefined, timestamp, signature, secret, now }).reason, 'missing_signature');
+  assert.equal(
+    verifyPaymentWebhook({ rawBody, timestamp, signature, secret, now: now + 301_000 }).reason,
+    'stale_timestamp'
+  );
+});
+
+test('paid notifications are normalized with a rounded amount', () => {
+  assert.deepEqual(
+    normalizePaymentWebhookEvent({
+      reference: ' 123456789 ',
+      event_id: 'evt-9',
+      status: 'COMPLETED',
+      amount: '45.499',
+      paid_at: '2026-10-19T11:59:00Z',
+    }),
+    {
+      reference: '123456789',
+      transactionId: 'evt-9',
+      status: 'completed',
+      amount: 45.5,
+      paid: true,
+      paidAt: '2026-10-19T11:59:00.000Z',
+    }
+  );
+});
+
+test('other statuses need no amount and incomplete events are rejected', () => {
+  const expired = normalizePaymentWebhookEvent({ reference_number: '1', transaction_id: 't', status: 'expired' });
+  assert.equal(expired.paid, false);
+
+  assert.throws(() => normalizePaymentWebhookEvent({ transaction_id: 't', status: 'paid', amount: 1 }), /reference_number/);
+  assert.throws(() => normalizePaymentWebhookEvent({ reference: '1', status: 'paid', amount: 1 }), /transaction_id/);
+  assert.throws(() => normalizePaymentWebhookEvent({ reference: '1', transaction_id: 't', status: 'paid' }), /amount/);
+  assert.throws(
+    () => normalizePaymentWebhookEvent({ reference: '1', transaction_id: 't', status: 'paid', amount: 1, paid_at: 'soon' }),
+    /paid_at/
+  );
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  priceBasket,
+  quoteMatchesBasket,
+  signQuote,
+  verifyQuote,
+} from '../lib/pricing.js';
+
+const now = Date.parse('2026-10-19T08:00:00Z');
+const secret = 'test-quote-secret';
+const trip = {
+  id: 'out',
+  departure_time: '2026-10-20T06:00:00Z',
+  price_usd: '12000.00',
+  seat_class: 'business',
+  status: 'scheduled',
+  routes: { is_active: true },
+  buses: { is_active: true },
+};
+const items = [
+  { leg: 'outbound', trip_id: 'out', seat_number: 4 },
+  { leg: 'outbound', trip_id: 'out', seat_number: 5 },
+];
+
+test('basket prices come from the trip row, not the client', () => {
+  const quote = priceBasket({ items, tripsById: new Map([['out', trip]]), discountPercentage: 10, now });
+  assert.deepEqual(quote.lines[0], {
+    leg: 'outbound',
+    trip_id: 'out',
+    seat_number: 4,
+    seat_class: 'business',
+    unit_price_usd: 12000,
+    discount_usd: 1200,
+    price_usd: 10800,
+    fare_rules: [],
+  });
+  assert.equal(quote.subtotal_usd, 24000);
+  assert.equal(quote.discount_usd, 2400);
+  assert.equal(quote.total_usd, 21600);
+});
+
+test('closed, departed or deactivated trips cannot be quoted', () => {
+  const price = (overrides) => priceBasket({
+    items,
+    tripsById: new Map([['out', { ...trip, ...overrides }]]),
+    now,
+  });
+  assert.throws(() => price({ status: 'cancelled' }), /not available/);
+  assert.throws(() => price({ buses: { is_active: false } }), /not available/);
+  assert.throws(() => price({ departure_time: '2026-10-19T07:00:00Z' }), /departed/);
+  assert.throws(() => price({ price_usd: null }), /no sale price/);
+  assert.throws(() => priceBasket({ items, tripsById: new Map(), now }), /Trip not found/);
+});
+
+test('a signed quote verifies until it expires', () => {
+  const { quote, token } = signQuote({ total_usd: 100, lines: [] }, secret, { now, ttlSeconds: 60 });
+  assert.equal(quote.expires_at, '2026-10-19T08:01:00.000Z');
+  assert.deepEqual(verifyQuote(token, secret, now + 59_000), { valid: true, quote });
+  assert.deepEqual(verifyQuote(token, secret, now + 60_000), { valid: false, reason: 'expired' });
+});
+
+test('a tampered quote price or foreign signature is rejected', () => {
+  const { token } = signQuote({ total_usd: 100, lines: [] }, secret, { now });
+  const [payload, signature] = token.split('.');
+  const tamperedPayload = Buffer.from(JSON.stringify({
+    ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')),
+    total_usd: 1,
+  })).toString('base64url');
+
+  assert.equal(verifyQuote(`${tamperedPayload}.${signature}`, secret, now).reason, 'invalid_signature');
+  assert.equal(verifyQuote(token, 'other-secret', now).reason, 'invalid_signature');
+  assert.equal(verifyQuote('not-a-token', secret, now).reason, 'malformed');
+  assert.equal(verifyQuote(token, '', now).reason, 'not_configured');
+});
+
+test('a quote only confirms the seats and coupon it was issued for', () => {
+  const quote = { ...priceBasket({ items, tripsById: new Map([['out', trip]]), now }), coupon_code: 'NAWA10' };
+  assert.equal(quoteMatchesBasket(quote, items, 'NAWA10'), true);
+  assert.equal(quoteMatchesBasket(quote, items, null), false);
+  assert.equal(quoteMatchesBasket(quote, [items[1], items[0]], 'NAWA10'), false);
+  assert.equal(quoteMatchesBasket(quote, items.slice(0, 1), 'NAWA10'), false);
+});
+
+test('a segment quote only confirms the stops it was issued for', () => {
+  const segmentItems = items.map((item) => ({ ...item, origin_stop: 1, destination_stop: 2 }));
+  const quote = { ...priceBasket({ items: segmentItems, tripsById: new Map([['out', trip]]), now }), coupon_code: null };
+  assert.equal(quote.lines[0].origin_stop, 1);
+  assert.equal(quote.lines[0].destination_stop, 2);
+  assert.equal(quoteMatchesBasket(quote, segmentItems, null), true);
+  assert.equal(quoteMatchesBasket(quote, items, null), false);
+});
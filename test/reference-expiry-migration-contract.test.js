@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-reference-expiry.sql');
+
+test('the deadline is the earlier of the payment window and the departure cutoff', () => {
+  const body = functionBody('set_reference_payment_due');
+  assert.match(body, /LEAST\(\s+now\(\) \+ COALESCE\(v_settings\.payment_window[\s\S]+v_departure_time - COALESCE\(v_settings\.departure_cutoff/);
+  assert.match(body, /Too close to departure to pay by reference/);
+  assert.match(body, /NEW\.booking_source IS DISTINCT FROM 'mobile_app'\s+OR NEW\.payment_status IS DISTINCT FROM 'pending'/);
+  assert.doesNotMatch(body, /payment_method/);
+  assert.match(sql, /BEFORE INSERT ON public\.tickets\s+FOR EACH ROW EXECUTE FUNCTION public\.set_reference_payment_due\(\)/);
+});
+
+test('overdue tickets expire with their whole reference and skip locked rows', () => {
+  const body = functionBody('expire_overdue_reference_tickets');
+  assert.match(body, /tk\.payment_reference = ANY\(COALESCE\(v_overdue_references/);
+  assert.match(body, /FOR UPDATE OF tk SKIP LOCKED/);
+  assert.match(body, /tk\.payment_status = 'pending'/);
+  assert.equal(body.match(/tk\.booking_source = 'mobile_app'\s+AND tk\.payment_status = 'pending'/g).length, 2);
+  assert.doesNotMatch(body, /payment_method/);
+});
+
+test('expiry is audited, frees the seat and notifies the passenger in one transaction', () => {
+  const body = functionBody('expire_overdue_reference_tickets');
+  const auditAt = body.indexOf('INSERT INTO public.ticket_expirations (');
+  const releaseAt = body.indexOf("SET status = 'cancelled'", auditAt);
+  const notifyAt = body.indexOf('INSERT INTO public.passenger_notifications', releaseAt);
+  assert.ok(auditAt > 0 && releaseAt > auditAt && notifyAt > releaseAt);
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS ticket_expirations_ticket_id_key/);
+  assert.doesNotMatch(body, /EXCEPTION\s+WHEN/);
+});
+
+test('only the service role can run the sweep', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.expire_overdue_reference_tickets[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.expire_overdue_reference_tickets[\s\S]+TO service_role/);
+});
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { hasCronSecret, summarizeExpiredTickets } from '../lib/reference-expiry.js';
+
+test('the sweep accepts only the configured cron secret', () => {
+  assert.equal(hasCronSecret('Bearer s3cret', 's3cret'), true);
+  assert.equal(hasCronSecret('Bearer s3cret-but-longer', 's3cret'), false);
+  assert.equal(hasCronSecret('Bearer wrong!', 's3cret'), false);
+  assert.equal(hasCronSecret('s3cret', 's3cret'), false);
+  assert.equal(hasCronSecret(undefined, 's3cret'), false);
+  assert.equal(hasCronSecret('Bearer ', ''), false);
+});
+
+test('expired tickets are summarized per reference, passenger and trip', () => {
+  assert.deepEqual(
+    summarizeExpiredTickets([
+      { ticket_id: 't-1', passenger_id: 'p-1', trip_id: 'trip-1', payment_reference: '111' },
+      { ticket_id: 't-2', passenger_id: 'p-1', trip_id: 'trip-2', payment_reference: '111' },
+      { ticket_id: 't-3', passenger_id: 'p-2', trip_id: 'trip-1', payment_reference: null },
+    ]),
+    { tickets: 3, references: 1, passengers: 2, trips: 2 }
+  );
+  assert.deepEqual(summarizeExpiredTickets(), { tickets: 0, references: 0, passengers: 0, trips: 0 });
+});
@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-refund-policies.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+test('the applied refund policy is stored inside the cancellation transaction', () => {
+  const wrapperAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.cancel_ticket_atomic_v2');
+  const cancelAt = sql.indexOf('FROM public.cancel_ticket_atomic(', wrapperAt);
+  const snapshotAt = sql.indexOf('SET refund_policy = p_refund_policy', cancelAt);
+  const wrapperEnd = sql.indexOf('$function$;', snapshotAt);
+  assert.ok(wrapperAt >= 0 && cancelAt > wrapperAt && snapshotAt > cancelAt && wrapperEnd > snapshotAt);
+  assert.match(sql.slice(wrapperAt, wrapperEnd), /IF NOT v_result\.was_idempotent THEN/);
+  assert.doesNotMatch(sql.slice(wrapperAt, wrapperEnd), /EXCEPTION\s+WHEN/);
+});
+
+test('refund policies are private and only the service role can cancel', () => {
+  assert.match(sql, /ALTER TABLE public\.refund_policies ENABLE ROW LEVEL SECURITY/);
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.cancel_ticket_atomic_v2[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.cancel_ticket_atomic_v2[\s\S]+TO service_role/);
+});
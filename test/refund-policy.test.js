@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_REFUND_POLICY,
+  computeRefundQuote,
+  normalizeRefundTiers,
+  selectRefundPolicy,
+} from '../lib/refund-policy.js';
+
+const departureTime = '2026-10-22T08:00:00Z';
+const hoursBefore = (hours) => Date.parse(departureTime) - hours * 60 * 60 * 1000;
+const operatorPolicy = {
+  id: 'policy-1',
+  name: '48h/6h',
+  fee_usd: 0,
+  tiers: [
+    { min_hours_before: 6, refund_percentage: 50 },
+    { min_hours_before: 48, refund_percentage: 100 },
+  ],
+};
+
+test('refund tiers apply from the earliest cancellation window to the latest', () => {
+  const quote = (hours) => computeRefundQuote({
+    policy: operatorPolicy,
+    departureTime,
+    paidTotal: 10000,
+    now: hoursBefore(hours),
+  }).refundable_usd;
+
+  assert.equal(quote(72), 10000);
+  assert.equal(quote(48), 10000);
+  assert.equal(quote(47.9), 5000);
+  assert.equal(quote(6), 5000);
+  assert.equal(quote(5), 0);
+  assert.equal(quote(-1), 0);
+});
+
+test('a fixed fee is deducted only from refundable tickets and never below zero', () => {
+  const policy = { ...operatorPolicy, fee_usd: 500 };
+  assert.equal(computeRefundQuote({ policy, departureTime, paidTotal: 10000, now: hoursBefore(10) }).refundable_usd, 4500);
+  assert.equal(computeRefundQuote({ policy, departureTime, paidTotal: 300, now: hoursBefore(72) }).refundable_usd, 0);
+  assert.equal(computeRefundQuote({ policy, departureTime, paidTotal: 10000, now: hoursBefore(1) }).fee_usd, 0);
+});
+
+test('without an operator policy the ticket is fully refundable until departure', () => {
+  assert.equal(selectRefundPolicy([], {}), DEFAULT_REFUND_POLICY);
+  const before = computeRefundQuote({ departureTime, paidTotal: 8000, now: hoursBefore(0.5) });
+  const after = computeRefundQuote({ departureTime, paidTotal: 8000, now: hoursBefore(-0.5) });
+  assert.equal(before.refundable_usd, 8000);
+  assert.equal(after.refundable_usd, 0);
+});
+
+test('the most specific matching policy wins over broader ones', () => {
+  const policies = [
+    { id: 'company', company_id: 'c1', tiers: operatorPolicy.tiers },
+    { id: 'company-route', company_id: 'c1', route_id: 'r1', tiers: operatorPolicy.tiers },
+    { id: 'other-route', company_id: 'c1', route_id: 'r2', seat_class: 'vip', tiers: operatorPolicy.tiers },
+    { id: 'inactive', company_id: 'c1', route_id: 'r1', seat_class: 'economy', is_active: false, tiers: operatorPolicy.tiers },
+  ];
+  assert.equal(selectRefundPolicy(policies, { companyId: 'c1', routeId: 'r1', seatClass: 'economy' }).id, 'company-route');
+  assert.equal(selectRefundPolicy(policies, { companyId: 'c1', routeId: 'r3' }).id, 'company');
+  assert.equal(selectRefundPolicy(policies, { companyId: 'c2' }), DEFAULT_REFUND_POLICY);
+});
+
+test('payment method scoped policies and priority ties', () => {
+  const policies = [
+    { id: 'cash-low', payment_method: 'cash', priority: 2, tiers: operatorPolicy.tiers },
+    { id: 'cash-high', payment_method: 'cash', priority: 1, tiers: operatorPolicy.tiers },
+    { id: 'referencia', payment_method: 'referencia', tiers: operatorPolicy.tiers },
+  ];
+  assert.equal(selectRefundPolicy(policies, { paymentMethod: 'cash' }).id, 'cash-high');
+  assert.equal(selectRefundPolicy(policies, { paymentMethod: 'referencia' }).id, 'referencia');
+});
+
+test('invalid tiers are rejected', () => {
+  assert.throws(() => normalizeRefundTiers([]), /at least one tier/);
+  assert.throws(() => normalizeRefundTiers([{ min_hours_before: 1, refund_percentage: 120 }]), /0-100/);
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mirrorRefundSplits, summarizeTicketLedger } from '../lib/refunds.js';
+
+const splitSale = [
+  { amount_usd: '6000.00', payment_method: 'tpa', status: 'completed' },
+  { amount_usd: '4000.00', payment_method: 'cash', status: 'completed' },
+];
+
+test('ledger summary nets refunds and ignores pending or failed rows', () => {
+  assert.deepEqual(
+    summarizeTicketLedger([
+      ...splitSale,
+      { amount_usd: '-1000.00', payment_method: 'cash', status: 'refunded' },
+      { amount_usd: '5000.00', payment_method: 'referencia', status: 'failed' },
+    ]),
+    {
+      methods: [{ method: 'tpa', amount: 6000 }, { method: 'cash', amount: 3000 }],
+      paidTotal: 9000,
+    }
+  );
+});
+
+test('a full refund mirrors the original TPA/cash split', () => {
+  assert.deepEqual(mirrorRefundSplits(splitSale, 10000), [
+    { method: 'tpa', amount: 6000 },
+    { method: 'cash', amount: 4000 },
+  ]);
+});
+
+test('partial refunds keep proportions and always add up to the cent', () => {
+  const parts = mirrorRefundSplits([
+    { amount_usd: '33.33', payment_method: 'tpa', status: 'completed' },
+    { amount_usd: '66.67', payment_method: 'cash', status: 'completed' },
+  ], 10.01);
+  assert.equal(Math.round(parts.reduce((sum, part) => sum + part.amount, 0) * 100), 1001);
+  assert.deepEqual(parts.map((part) => part.method), ['tpa', 'cash']);
+});
+
+test('a refund cannot exceed what was collected', () => {
+  assert.throws(() => mirrorRefundSplits(splitSale, 10000.01), /cannot exceed/);
+  assert.throws(() => mirrorRefundSplits(splitSale, -1), /positive/);
+  assert.deepEqual(mirrorRefundSplits(splitSale, 0), []);
+});
+
+test('a refund is handed back in the tender currency at its rate', () => {
+  const sale = [
+    { amount_usd: '18.00', payment_method: 'tpa', status: 'completed' },
+    { amount_usd: '12.00', payment_method: 'cash', status: 'completed' },
+  ];
+  const parts = mirrorRefundSplits(sale, 30, { currency: 'AOA', rate: 912.345 });
+  assert.deepEqual(parts, [
+    { method: 'tpa', amount: 16422 },
+    { method: 'cash', amount: 10948 },
+  ]);
+  assert.equal(parts.reduce((sum, part) => sum + part.amount, 0), 27370);
+  assert.throws(() => mirrorRefundSplits(sale, 30.01, { currency: 'AOA', rate: 912.345 }), /cannot exceed/);
+});
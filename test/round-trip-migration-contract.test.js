@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-round-trips.sql');
+
+test('round-trip rules only apply when the fare is asked for a round trip', () => {
+  assert.match(sql, /kind IN \([^)]*'round_trip'\)/);
+  assert.match(functionBody('get_trip_fares'), /WHEN 'round_trip' THEN p_round_trip/);
+  assert.match(functionBody('booking_trip_fare'), /COALESCE\(p_seat_class, ''\) \|\| ':' \|\| p_round_trip::text/);
+});
+
+test('a round trip needs one trip per leg, back the other way, after arrival', () => {
+  const body = functionBody('is_round_trip_basket');
+  assert.match(body, /back_route\.origin_province = out_route\.destination_province/);
+  assert.match(body, /back_trip\.departure_time > out_trip\.arrival_time/);
+  assert.match(body, /cardinality\(outbound\.trip_ids\) = 1\s+AND cardinality\(inbound\.trip_ids\) = 1/);
+});
+
+test('the mobile basket decides once and prices every seat with it', () => {
+  const body = functionBody('book_mobile_basket_atomic');
+  const decideAt = body.indexOf('v_round_trip := public.is_round_trip_basket(p_items);');
+  const loopAt = body.indexOf('FOR v_item IN');
+  assert.ok(decideAt > 0 && loopAt > decideAt);
+  assert.match(body, /public\.booking_trip_fare\(\(v_item\.value->>'trip_id'\)::uuid, NULL, v_round_trip\)/);
+});
+
+test('old fare signatures are dropped and the new ones stay private', () => {
+  assert.match(sql, /DROP FUNCTION IF EXISTS public\.booking_trip_fare\(uuid, text\);/);
+  assert.match(sql, /DROP FUNCTION IF EXISTS public\.get_trip_fares\(uuid\[\], text\);/);
+  for (const name of ['get_trip_fares', 'booking_trip_fare', 'is_round_trip_basket', 'book_mobile_basket_atomic']) {
+    assert.match(sql, new RegExp(`REVOKE ALL ON FUNCTION public\\.${name}\\([\\s\\S]+?FROM PUBLIC, anon, authenticated`));
+    assert.match(sql, new RegExp(`GRANT EXECUTE ON FUNCTION public\\.${name}\\([\\s\\S]+?TO service_role`));
+  }
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isRoundTripBasket, isRoundTripPair, pairRoundTrips, roundTripDiscount } from '../lib/round-trip.js';
+
+const luandaBenguela = { origin_province: 'Luanda', destination_province: 'Benguela' };
+const benguelaLuanda = { origin_province: 'Benguela', destination_province: 'Luanda' };
+const roundTripRule = { kind: 'round_trip', amount_usd: -1.5 };
+
+const outbound = {
+  id: 'out',
+  departure_time: '2026-10-20T06:00:00Z',
+  arrival_time: '2026-10-20T13:00:00Z',
+  price_usd: 13.5,
+  fare_rules: [roundTripRule],
+  routes: luandaBenguela,
+};
+const sameDayBack = {
+  id: 'back-same-day',
+  departure_time: '2026-10-20T12:00:00Z',
+  arrival_time: '2026-10-20T19:00:00Z',
+  price_usd: 12,
+  fare_rules: [],
+  routes: benguelaLuanda,
+};
+const laterBack = {
+  id: 'back-later',
+  departure_time: '2026-10-22T08:00:00Z',
+  arrival_time: '2026-10-22T15:00:00Z',
+  price_usd: 13.5,
+  fare_rules: [roundTripRule, { kind: 'day_of_week', amount_usd: 1 }],
+  routes: [benguelaLuanda],
+};
+
+test('a return only pairs when it leaves after the outbound arrives, back the other way', () => {
+  assert.equal(isRoundTripPair(outbound, laterBack), true);
+  assert.equal(isRoundTripPair(outbound, sameDayBack), false);
+  assert.equal(isRoundTripPair(outbound, { ...laterBack, routes: luandaBenguela }), false);
+  assert.equal(isRoundTripPair(outbound, null), false);
+});
+
+test('pairs carry the combined price and the round-trip discount, cheapest first', () => {
+  const cheaperBack = { ...laterBack, id: 'back-cheap', departure_time: '2026-10-23T08:00:00Z', price_usd: 10 };
+  const pairs = pairRoundTrips([outbound], [sameDayBack, laterBack, cheaperBack]);
+  assert.deepEqual(pairs.map((pair) => pair.return_trip_id), ['back-cheap', 'back-later']);
+  assert.equal(pairs[1].price_usd, 27);
+  assert.equal(pairs[1].round_trip_discount_usd, 3);
+  assert.equal(roundTripDiscount(sameDayBack), 0);
+});
+
+test('a basket is a round trip only with one valid trip per leg', () => {
+  const tripsById = new Map([[outbound.id, outbound], [laterBack.id, laterBack], [sameDayBack.id, sameDayBack]]);
+  const basket = [
+    { leg: 'outbound', trip_id: 'out', seat_number: 4 },
+    { leg: 'return', trip_id: 'back-later', seat_number: 4 },
+  ];
+  assert.equal(isRoundTripBasket(basket, tripsById), true);
+  assert.equal(isRoundTripBasket(basket.slice(0, 1), tripsById), false);
+  assert.equal(isRoundTripBasket([...basket, { leg: 'return', trip_id: 'back-same-day', seat_number: 5 }], tripsById), false);
+});
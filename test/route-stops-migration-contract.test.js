@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-route-stops.sql');
+
+test('stop ranges overlap unless one ends where the other starts', () => {
+  const body = functionBody('stop_ranges_overlap');
+  assert.match(body, /COALESCE\(p_origin_stop, 0\) < COALESCE\(p_other_destination_stop, 2147483647\)/);
+  assert.match(body, /COALESCE\(p_other_origin_stop, 0\) < COALESCE\(p_destination_stop, 2147483647\)/);
+  assert.match(sql, /CHECK \(\s+\(origin_stop IS NULL AND destination_stop IS NULL\)\s+OR \(origin_stop >= 0 AND origin_stop < destination_stop\)/);
+});
+
+test('tickets of one trip share a seat by stop range, other trips by time', () => {
+  for (const name of ['get_trip_seat_availability', 'guard_seat_conflict']) {
+    const body = functionBody(name);
+    assert.match(body, /sibling\.departure_time < /, name);
+    assert.match(body, /sibling\.id <> (req|NEW)\.trip_id\s+OR public\.stop_ranges_overlap\(\s+tk\.origin_stop, tk\.destination_stop/, name);
+  }
+  assert.match(functionBody('guard_seat_conflict'), /Trip has no stops % and %/);
+  assert.match(sql, /BEFORE UPDATE OF trip_id, seat_number, status, origin_stop, destination_stop ON public\.tickets/);
+});
+
+test('holds of one trip share a seat by stop range like tickets', () => {
+  assert.match(sql, /ALTER TABLE public\.online_bookings\s+ADD COLUMN IF NOT EXISTS origin_stop integer,\s+ADD COLUMN IF NOT EXISTS destination_stop integer;/);
+  assert.match(sql, /DROP FUNCTION IF EXISTS public\.create_seat_hold\(uuid, uuid, integer, integer\);/);
+
+  const create = functionBody('create_seat_hold');
+  assert.match(create, /p_origin_stop integer DEFAULT NULL,\s+p_destination_stop integer DEFAULT NULL/);
+  assert.match(create, /Trip has no stops % and %/);
+  assert.match(create, /sibling\.id <> p_trip_id\s+OR public\.stop_ranges_overlap\(\s+tk\.origin_stop, tk\.destination_stop/);
+  assert.match(create, /sibling\.id <> p_trip_id\s+OR public\.stop_ranges_overlap\(\s+hold\.origin_stop, hold\.destination_stop/);
+  assert.match(create, /seat_number, origin_stop, destination_stop, expires_at/);
+
+  const guard = functionBody('guard_seat_hold');
+  assert.match(guard, /OLD\.origin_stop IS NOT DISTINCT FROM NEW\.origin_stop/);
+  assert.equal(
+    guard.match(/sibling\.id <> NEW\.trip_id\s+OR public\.stop_ranges_overlap\(\s+hold\.origin_stop, hold\.destination_stop/g).length,
+    2
+  );
+
+  for (const name of ['get_trip_seat_availability', 'book_agent_ticket_atomic']) {
+    assert.match(
+      functionBody(name),
+      /sibling\.id <> (req|p)(\.|_)trip_id\s+OR public\.stop_ranges_overlap\(\s+hold\.origin_stop, hold\.destination_stop/,
+      name
+    );
+  }
+});
+
+test('segments are priced from their own fare and refused without one', () => {
+  const fares = functionBody('get_trip_fares');
+  assert.match(fares, /WHEN p_origin_stop IS NULL THEN tr\.price_usd\s+ELSE segment\.price_usd/);
+  assert.match(fares, /get_trip_seat_availability\(p_trip_ids, p_origin_stop, p_destination_stop\)/);
+  assert.match(fares, /WHEN req\.base_price_usd IS NOT NULL\s+THEN GREATEST/);
+
+  const booking = functionBody('booking_trip_fare');
+  assert.match(booking, /COALESCE\(p_origin_stop::text, ''\) \|\| '-' \|\| COALESCE\(p_destination_stop::text, ''\)/);
+  assert.match(booking, /No fare between stops % and % of this trip/);
+});
+
+test('both booking paths store the segment and price it', () => {
+  const agent = functionBody('book_agent_ticket_atomic');
+  assert.match(agent, /v_existing\.origin_stop IS DISTINCT FROM p_origin_stop/);
+  assert.match(agent, /booking_trip_fare\(\s+p_trip_id,[\s\S]+?false,\s+p_origin_stop,\s+p_destination_stop\s+\)/);
+  assert.match(agent, /seat_number,\s+origin_stop,\s+destination_stop,/);
+
+  const mobile = functionBody('book_mobile_basket_atomic');
+  assert.match(mobile, /tk\.origin_stop IS DISTINCT FROM \(item\.value->>'origin_stop'\)::integer/);
+  assert.match(mobile, /NULL, v_round_trip, v_origin_stop, v_destination_stop/);
+  assert.match(mobile, /seat_number,\s+origin_stop,\s+destination_stop,/);
+
+  assert.match(functionBody('book_agent_ticket_atomic_v2'), /p_currency,\s+p_origin_stop,\s+p_destination_stop\s+\);/);
+  assert.match(functionBody('book_agent_group_atomic'), /p_currency,\s+p_origin_stop,\s+p_destination_stop\s+\);/);
+});
+
+test('old signatures are dropped and the new ones stay private', () => {
+  assert.match(sql, /DROP FUNCTION IF EXISTS public\.get_trip_seat_availability\(uuid\[\]\);/);
+  assert.match(sql, /DROP FUNCTION IF EXISTS public\.get_trip_fares\(uuid\[\], text, boolean\);/);
+  assert.match(sql, /DROP FUNCTION IF EXISTS public\.booking_trip_fare\(uuid, text, boolean\);/);
+  for (const name of [
+    'get_trip_seat_availability',
+    'get_trip_fares',
+    'booking_trip_fare',
+    'book_agent_ticket_atomic',
+    'book_agent_ticket_atomic_v2',
+    'book_agent_group_atomic',
+    'book_mobile_basket_atomic',
+    'create_seat_hold',
+  ]) {
+    assert.match(sql, new RegExp(`REVOKE ALL ON FUNCTION public\\.${name}\\([\\s\\S]+?FROM PUBLIC, anon, authenticated`));
+    assert.match(sql, new RegExp(`GRANT EXECUTE ON FUNCTION public\\.${name}\\([\\s\\S]+?TO service_role`));
+  }
+});
+
+test('an exchange keeps the segment, prices it and re-checks the seat along it', () => {
+  const dropAt = sql.indexOf(
+    'DROP FUNCTION IF EXISTS public.exchange_ticket_atomic(\n  uuid, uuid, uuid, integer, text, jsonb, jsonb, text\n);'
+  );
+  assert.ok(dropAt > 0 && dropAt < sql.indexOf('CREATE OR REPLACE FUNCTION public.exchange_ticket_atomic('));
+  const body = functionBody('exchange_ticket_atomic');
+  assert.match(body, /IF p_origin_stop IS NULL THEN\s+v_origin_stop := v_ticket\.origin_stop;/);
+  assert.match(body, /v_existing\.to_origin_stop IS DISTINCT FROM v_origin_stop/);
+  assert.match(body, /booking_trip_fare\(\s+p_new_trip_id,[\s\S]+?false,\s+v_origin_stop,\s+v_destination_stop\s+\)/);
+  assert.match(body, /origin_stop = v_origin_stop,\s+destination_stop = v_destination_stop,/);
+  assert.match(body, /COALESCE\('-' \|\| v_origin_stop::text \|\| '-' \|\| v_destination_stop::text, ''\)/);
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS to_origin_stop integer/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.exchange_ticket_atomic\(\s+uuid, uuid, uuid, integer, text, jsonb, jsonb, text, integer, integer\s+\) TO service_role/);
+});
+
+test('a mobile basket with any other payment method is refused', () => {
+  const body = functionBody('book_mobile_basket_atomic');
+  const checkAt = body.indexOf("IF p_payment_method <> 'referencia' THEN");
+  assert.ok(checkAt > 0 && checkAt < body.indexOf('INSERT INTO public.tickets ('));
+  assert.match(body, /Mobile bookings are paid by reference' USING ERRCODE = '22023'/);
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  findStopSegments,
+  normalizeStopRange,
+  scheduleStops,
+  segmentDepartures,
+  stopDepartureTime,
+  stopRangeLabel,
+  stopRangeParams,
+} from '../lib/route-stops.js';
+
+const stops = [
+  { stop_order: 2, city: 'Benguela', province: 'Benguela', arrival_offset_minutes: 540, departure_offset_minutes: 540 },
+  { stop_order: 0, city: 'Luanda', province: 'Luanda', arrival_offset_minutes: 0, departure_offset_minutes: 0 },
+  { stop_order: 1, city: 'Sumbe', province: 'Cuanza Sul', arrival_offset_minutes: 300, departure_offset_minutes: 320 },
+];
+
+test('a stop range needs both stops in travel order', () => {
+  assert.equal(normalizeStopRange({}), null);
+  assert.deepEqual(normalizeStopRange({ originStop: '0', destinationStop: 1 }), { origin_stop: 0, destination_stop: 1 });
+  assert.throws(() => normalizeStopRange({ originStop: 0 }), /given together/);
+  assert.throws(() => normalizeStopRange({ originStop: -1, destinationStop: 1 }), /non-negative integers/);
+  assert.throws(() => normalizeStopRange({ originStop: 1.5, destinationStop: 2 }), /non-negative integers/);
+  assert.throws(() => normalizeStopRange({ originStop: 2, destinationStop: 1 }), /must come before/);
+});
+
+test('whole-trip requests send no stop arguments to the database', () => {
+  assert.deepEqual(stopRangeParams(null), {});
+  assert.deepEqual(stopRangeParams({ origin_stop: 1, destination_stop: 2 }), { p_origin_stop: 1, p_destination_stop: 2 });
+});
+
+test('stops are scheduled from the trip departure in route order', () => {
+  const schedule = scheduleStops('2026-10-20T06:00:00Z', stops);
+  assert.deepEqual(schedule.map((stop) => stop.city), ['Luanda', 'Sumbe', 'Benguela']);
+  assert.equal(schedule[1].arrival_time, '2026-10-20T11:00:00.000Z');
+  assert.equal(schedule[1].departure_time, '2026-10-20T11:20:00.000Z');
+});
+
+test('a segment ticket leaves when the trip leaves its origin stop', () => {
+  assert.equal(stopDepartureTime('2026-10-20T06:00:00Z', stops, 1), '2026-10-20T11:20:00.000Z');
+  assert.equal(stopDepartureTime('2026-10-20T06:00:00Z', stops, null), '2026-10-20T06:00:00Z');
+  assert.equal(stopDepartureTime('2026-10-20T06:00:00Z', stops, 7), '2026-10-20T06:00:00Z');
+});
+
+test('segments run forward between stops matching the city or the province', () => {
+  assert.deepEqual(findStopSegments(stops, 'luanda', 'Benguela'), [{ origin_stop: 0, destination_stop: 2 }]);
+  assert.deepEqual(findStopSegments(stops, 'Cuanza', 'benguela'), [{ origin_stop: 1, destination_stop: 2 }]);
+  assert.deepEqual(findStopSegments(stops, 'Benguela', 'Luanda'), []);
+  assert.equal(stopRangeLabel(stops, { origin_stop: 1, destination_stop: 2 }), 'Sumbe - Benguela');
+  assert.equal(stopRangeLabel(stops, { origin_stop: null, destination_stop: null }), null);
+});
+
+test('segment departures board at the intermediate stop on the requested day', () => {
+  const trips = [
+    { id: 'early', route_id: 'r1', departure_time: '2026-10-20T06:00:00Z' },
+    { id: 'night', route_id: 'r1', departure_time: '2026-10-19T20:00:00Z' },
+    { id: 'late', route_id: 'r1', departure_time: '2026-10-20T22:00:00Z' },
+  ];
+  const departures = segmentDepartures({
+    trips,
+    stopsByRoute: new Map([['r1', stops]]),
+    segmentsByRoute: new Map([['r1', [{ origin_stop: 1, destination_stop: 2 }]]]),
+    from: '2026-10-20T00:00:00+01:00',
+    to: '2026-10-20T23:59:59.999+01:00',
+    now: Date.parse('2026-10-19T08:00:00Z'),
+  });
+
+  assert.deepEqual(departures.map((departure) => departure.trip.id), ['night', 'early']);
+  assert.deepEqual(departures[1].boarding, {
+    city: 'Sumbe',
+    province: 'Cuanza Sul',
+    departure_time: '2026-10-20T11:20:00.000Z',
+  });
+  assert.equal(departures[1].alighting.arrival_time, '2026-10-20T15:00:00.000Z');
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-sales-analytics.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.get_trip_sales_facts');
+const functionEnd = sql.indexOf('$function$;', functionAt);
+const body = sql.slice(functionAt, functionEnd);
+
+test('occupancy comes from shared-bus availability and excludes the co-pilot seat', () => {
+  assert.match(body, /public\.get_trip_seat_availability\(ARRAY\(SELECT s\.id FROM scoped s\)\)/);
+  assert.match(body, /tk\.seat_number <> public\.copilot_seat_number\(\)/);
+});
+
+test('sellable seats follow the bus layout, falling back to the capacity', () => {
+  assert.match(body, /public\.get_trip_seat_layout\(tr\.id\) AS layout/);
+  assert.match(body, /WHEN seat_layout\.layout IS NULL THEN GREATEST\(b\.capacity - 1, 0\)/);
+  assert.match(body, /COALESCE\(\(seat\.value->>'disabled'\)::boolean, false\) = false\s+AND \(seat\.value->>'number'\)::integer <> public\.copilot_seat_number\(\)/);
+  assert.match(body, /s\.sellable_seats::integer,/);
+});
+
+test('revenue is read from the ledger with refunds netted out', () => {
+  assert.match(body, /FROM public\.payment_transactions pt/);
+  assert.match(body, /pt\.status IN \('completed', 'refunded'\)/);
+});
+
+test('the sales channel comes from the role of whoever booked the ticket', () => {
+  assert.match(body, /CASE WHEN p\.role IN \('agent', 'admin'\) THEN 'counter' ELSE 'mobile_app' END/);
+  assert.doesNotMatch(body, /booking_source/);
+});
+
+test('ranges are bounded and only the service role can read analytics', () => {
+  assert.match(body, /interval '92 days'/);
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.get_trip_sales_facts[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.get_trip_sales_facts[\s\S]+TO service_role/);
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readMigration } from './helpers/migration-sql.js';
+
+const { sql, functionBody } = await readMigration('supabase-migration-seat-holds.sql');
+
+test('hold extension is owner-scoped, locked and capped from the first hold', () => {
+  const body = functionBody('extend_seat_hold');
+  assert.match(body, /hold\.passenger_id = p_passenger_id/);
+  assert.match(body, /pg_advisory_xact_lock\([\s\S]*?v_bus_id::text \|\| ':' \|\| v_hold\.seat_number::text/);
+  assert.match(body, /v_hold\.created_at \+ make_interval\(mins => p_max_total_minutes\)/);
+});
+
+test('ticket inserts consume the passenger hold and reject holds of others', () => {
+  const body = functionBody('guard_seat_hold');
+  const rejectAt = body.indexOf('hold.passenger_id IS DISTINCT FROM NEW.passenger_id');
+  const consumeAt = body.indexOf('DELETE FROM public.online_bookings hold');
+  assert.ok(rejectAt > 0 && consumeAt > rejectAt);
+  assert.match(body, /Seat currently reserved for an online payment[\s\S]+ERRCODE = '23505'/);
+  assert.match(sql, /CREATE TRIGGER guard_seat_hold_on_insert\s+BEFORE INSERT ON public\.tickets/);
+});
+
+test('only the service role can extend or release holds on behalf of a passenger', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.extend_seat_hold[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.release_seat_hold[\s\S]+FROM PUBLIC, anon, authenticated/);
+});
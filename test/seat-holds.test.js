@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_HOLD_MINUTES,
+  MAX_HOLD_MINUTES,
+  holdCoversItem,
+  isActiveHold,
+  normalizeHoldMinutes,
+  normalizeHoldSeatNumbers,
+  serializeHold,
+} from '../lib/seat-holds.js';
+
+test('hold duration defaults and is capped to the checkout window', () => {
+  assert.equal(normalizeHoldMinutes(undefined), DEFAULT_HOLD_MINUTES);
+  assert.equal(normalizeHoldMinutes('10'), 10);
+  assert.equal(normalizeHoldMinutes(MAX_HOLD_MINUTES), MAX_HOLD_MINUTES);
+  assert.equal(normalizeHoldMinutes(MAX_HOLD_MINUTES + 1), null);
+  assert.equal(normalizeHoldMinutes(0), null);
+  assert.equal(normalizeHoldMinutes('2.5'), null);
+});
+
+test('single and multi-seat hold requests normalize to unique integer seats', () => {
+  assert.deepEqual(normalizeHoldSeatNumbers({ seatNumber: '12' }), [12]);
+  assert.deepEqual(normalizeHoldSeatNumbers({ seatNumbers: [4, '5', 4] }), [4, 5]);
+  assert.equal(normalizeHoldSeatNumbers({ seatNumbers: [4, 'x'] }), null);
+  assert.equal(normalizeHoldSeatNumbers({ seatNumbers: [] }), null);
+  assert.equal(normalizeHoldSeatNumbers({}), null);
+});
+
+test('hold rows expose remaining seconds and never go negative', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const row = { id: 'hold-1', trip_id: 'trip-1', seat_number: '7', expires_at: '2026-10-19T12:05:00Z' };
+
+  assert.equal(isActiveHold(row, now), true);
+  assert.deepEqual(serializeHold(row, now), {
+    id: 'hold-1',
+    trip_id: 'trip-1',
+    seat_number: 7,
+    origin_stop: null,
+    destination_stop: null,
+    expires_at: '2026-10-19T12:05:00.000Z',
+    expires_in_seconds: 300,
+  });
+
+  const expired = { ...row, expires_at: '2026-10-19T11:59:00Z' };
+  assert.equal(isActiveHold(expired, now), false);
+  assert.equal(serializeHold(expired, now).expires_in_seconds, 0);
+});
+
+test('a hold covers basket items that ride within its stops', () => {
+  const wholeTrip = { trip_id: 'trip-1', seat_number: 7, origin_stop: null, destination_stop: null };
+  const segment = { ...wholeTrip, origin_stop: 1, destination_stop: 3 };
+
+  assert.equal(holdCoversItem(wholeTrip, { trip_id: 'trip-1', seat_number: 7 }), true);
+  assert.equal(holdCoversItem(wholeTrip, { trip_id: 'trip-1', seat_number: 7, origin_stop: 0, destination_stop: 1 }), true);
+  assert.equal(holdCoversItem(segment, { trip_id: 'trip-1', seat_number: 7, origin_stop: 2, destination_stop: 3 }), true);
+  assert.equal(holdCoversItem(segment, { trip_id: 'trip-1', seat_number: 7, origin_stop: 0, destination_stop: 2 }), false);
+  assert.equal(holdCoversItem(segment, { trip_id: 'trip-1', seat_number: 7 }), false);
+  assert.equal(holdCoversItem(segment, { trip_id: 'trip-1', seat_number: 8, origin_stop: 1, destination_stop: 3 }), false);
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-bus-seat-layouts.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+test('layouts are unique per bus model and a bus can override its model', () => {
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS bus_seat_layouts_make_model_key[\s\S]+\(lower\(make\), lower\(model\)\)/);
+  assert.match(sql, /ADD COLUMN IF NOT EXISTS seat_layout_id uuid REFERENCES public\.bus_seat_layouts/);
+  assert.match(sql, /layout\.id = b\.seat_layout_id[\s\S]+b\.seat_layout_id IS NULL/);
+});
+
+test('tickets and holds cannot use seats missing from or disabled in the layout', () => {
+  const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.guard_seat_layout');
+  const functionEnd = sql.indexOf('$function$;', functionAt);
+  const body = sql.slice(functionAt, functionEnd);
+  assert.match(body, /IF v_layout IS NULL THEN\s+RETURN NEW;/);
+  assert.match(body, /COALESCE\(\(seat\.value->>'disabled'\)::boolean, false\) = false/);
+  assert.match(body, /ERRCODE = '23514'/);
+  assert.match(sql, /CREATE TRIGGER guard_seat_layout_on_ticket\s+BEFORE INSERT OR UPDATE OF trip_id, seat_number ON public\.tickets/);
+  assert.match(sql, /CREATE TRIGGER guard_seat_layout_on_hold\s+BEFORE INSERT ON public\.online_bookings/);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildDefaultSeatLayout,
+  buildSeatMap,
+  isSellableLayoutSeat,
+  normalizeSeatLayout,
+  suggestAlternativeSeats,
+} from '../lib/seat-layout.js';
+
+const storedLayout = {
+  rows: 3,
+  columns: 5,
+  aisle_after_column: 2,
+  driver: { row: 0, column: 1 },
+  doors: [{ row: 0, column: 5 }, { row: 2, column: 5 }],
+  zones: [{ seat_class: 'vip', from_row: 1, to_row: 1 }],
+  seats: [
+    { number: 1, row: 0, column: 2 },
+    { number: 2, row: 1, column: 1 },
+    { number: 3, row: 1, column: 2 },
+    { number: 4, row: 1, column: 4, wheelchair_accessible: true },
+    { number: 5, row: 2, column: 1, disabled: true },
+    { number: 6, row: 2, column: 2, seat_class: 'economy' },
+  ],
+};
+
+test('default layout seats the co-pilot in front and passengers 2+2 behind', () => {
+  const layout = buildDefaultSeatLayout(10);
+  assert.equal(layout.columns, 4);
+  assert.equal(layout.aisle_after_column, 2);
+  assert.deepEqual(layout.seats[0], {
+    number: 1, row: 0, column: 2, seat_class: null, disabled: false, wheelchair_accessible: false,
+  });
+  assert.deepEqual(layout.seats.slice(1, 6).map(({ number, row, column }) => [number, row, column]), [
+    [2, 1, 1], [3, 1, 2], [4, 1, 3], [5, 1, 4], [6, 2, 1],
+  ]);
+  assert.equal(layout.rows, 4);
+});
+
+test('seat classes come from the seat first and then its zone', () => {
+  const layout = normalizeSeatLayout(storedLayout);
+  const classOf = (number) => layout.seats.find((seat) => seat.number === number).seat_class;
+  assert.equal(classOf(2), 'vip');
+  assert.equal(classOf(6), 'economy');
+  assert.equal(classOf(5), null);
+});
+
+test('overlapping, repeated or out-of-grid seats are rejected', () => {
+  const withSeats = (seats) => () => normalizeSeatLayout({ ...storedLayout, seats });
+  assert.throws(withSeats([{ number: 2, row: 1, column: 1 }, { number: 3, row: 1, column: 1 }]), /overlaps/);
+  assert.throws(withSeats([{ number: 2, row: 1, column: 1 }, { number: 2, row: 1, column: 2 }]), /repeated/);
+  assert.throws(withSeats([{ number: 2, row: 3, column: 1 }]), /outside/);
+  assert.throws(() => normalizeSeatLayout({ rows: 0, columns: 4, seats: [] }), /positive integer/);
+});
+
+test('only existing, enabled passenger seats are sellable', () => {
+  const layout = normalizeSeatLayout(storedLayout);
+  assert.equal(isSellableLayoutSeat(layout, 2), true);
+  assert.equal(isSellableLayoutSeat(layout, 1), false);
+  assert.equal(isSellableLayoutSeat(layout, 5), false);
+  assert.equal(isSellableLayoutSeat(layout, 7), false);
+});
+
+test('seat map merges occupancy with reserved and disabled seats', () => {
+  const map = buildSeatMap({
+    layout: normalizeSeatLayout(storedLayout),
+    occupiedSeats: [3, 5],
+    defaultSeatClass: 'standard',
+  });
+  assert.deepEqual(
+    map.seats.map((seat) => [seat.number, seat.status, seat.seat_class]),
+    [
+      [1, 'reserved', 'standard'],
+      [2, 'available', 'vip'],
+      [3, 'occupied', 'vip'],
+      [4, 'available', 'vip'],
+      [5, 'disabled', 'standard'],
+      [6, 'available', 'economy'],
+    ]
+  );
+  assert.equal(map.seats[3].wheelchair_accessible, true);
+  assert.equal(map.available_seats, 3);
+  assert.deepEqual(map.doors, [{ row: 0, column: 5 }, { row: 2, column: 5 }]);
+});
+
+test('alternative seats prefer the same class, then the nearest in the grid', () => {
+  const map = buildSeatMap({
+    layout: normalizeSeatLayout(storedLayout),
+    occupiedSeats: [3],
+    defaultSeatClass: 'standard',
+  });
+  assert.deepEqual(suggestAlternativeSeats(map, 3), [2, 4, 6]);
+  assert.deepEqual(suggestAlternativeSeats(map, 3, 1), [2]);
+  assert.deepEqual(suggestAlternativeSeats(map, 9), [6, 4, 2]);
+});
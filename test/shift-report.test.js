@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MAX_SHIFT_REPORT_DAYS,
+  buildShiftReport,
+  reconcileShiftCash,
+  resolveShiftRange,
+  startOfShiftDay,
+  summarizeShiftLedger,
+} from '../lib/shift-report.js';
+
+test('the open shift starts at the last close, or at Luanda midnight', () => {
+  const now = new Date('2026-10-19T15:00:00Z');
+  const open = resolveShiftRange({ lastClosedAt: '2026-10-19T08:30:00Z', now });
+  assert.equal(open.from.toISOString(), '2026-10-19T08:30:00.000Z');
+  assert.equal(open.to.toISOString(), now.toISOString());
+  assert.equal(open.open, true);
+
+  const first = resolveShiftRange({ now });
+  assert.equal(first.from.toISOString(), '2026-10-18T23:00:00.000Z');
+  assert.equal(startOfShiftDay(new Date('2026-10-19T23:30:00Z')).toISOString(), '2026-10-19T23:00:00.000Z');
+});
+
+test('explicit report ranges are validated and capped', () => {
+  const range = resolveShiftRange({ from: '2026-10-01T00:00:00Z', to: '2026-10-02T00:00:00Z' });
+  assert.equal(range.open, false);
+  assert.throws(() => resolveShiftRange({ from: 'yesterday' }), /from must be a valid date/);
+  assert.throws(
+    () => resolveShiftRange({ from: '2026-10-02T00:00:00Z', to: '2026-10-01T00:00:00Z' }),
+    /from must be before to/
+  );
+  assert.throws(
+    () => resolveShiftRange({ from: '2026-01-01T00:00:00Z', to: '2026-10-01T00:00:00Z' }),
+    new RegExp(`at most ${MAX_SHIFT_REPORT_DAYS} days`)
+  );
+});
+
+test('ledger rows are totalled per payment method with refunds netted out', () => {
+  const summary = summarizeShiftLedger([
+    { entry_type: 'sale', payment_method: 'cash', status: 'completed', amount_usd: 10 },
+    { entry_type: 'sale', payment_method: 'tpa', status: 'completed', amount_usd: 6.1 },
+    { entry_type: 'sale', payment_method: 'cash', status: 'completed', amount_usd: 3.9 },
+    { entry_type: 'refund', payment_method: 'cash', status: 'refunded', amount_usd: -2.5 },
+    { entry_type: 'exchange', payment_method: 'tpa', status: 'completed', amount_usd: 1.2 },
+    { entry_type: 'sale', payment_method: 'referencia', status: 'completed', amount_usd: 12 },
+  ]);
+
+  assert.deepEqual(summary.by_method.cash, { collected_usd: 13.9, refunded_usd: 2.5, net_usd: 11.4, transactions: 3 });
+  assert.deepEqual(summary.by_method.tpa, { collected_usd: 7.3, refunded_usd: 0, net_usd: 7.3, transactions: 2 });
+  assert.equal(summary.by_method.tpa_dinheiro.transactions, 0);
+  assert.equal(summary.by_method.referencia.net_usd, 12);
+  assert.deepEqual(summary.totals, { collected_usd: 33.2, refunded_usd: 2.5, net_usd: 30.7, transactions: 6 });
+  assert.equal(summary.expected_cash_usd, 11.4);
+  assert.deepEqual(summary.expected_cash, { USD: 11.4 });
+});
+
+test('the drawer is expected per tendered currency', () => {
+  const summary = summarizeShiftLedger([
+    { payment_method: 'cash', status: 'completed', amount_usd: 20, currency: 'AOA', tendered_amount: 18247, exchange_rate: 912.345 },
+    { payment_method: 'cash', status: 'completed', amount_usd: 5.5, currency: 'USD', tendered_amount: 5.5 },
+    { payment_method: 'cash', status: 'refunded', amount_usd: -2, currency: 'AOA', tendered_amount: -1825 },
+    { payment_method: 'tpa', status: 'completed', amount_usd: 10, currency: 'AOA', tendered_amount: 9123 },
+    { payment_method: 'cash', status: 'completed', amount_usd: 1.25 },
+  ]);
+  assert.deepEqual(summary.expected_cash, { AOA: 16422, USD: 6.75 });
+  assert.equal(summary.expected_cash_usd, 24.75);
+});
+
+test('the report separates refunds from voids and flags ledger gaps', () => {
+  const report = buildShiftReport({
+    agentId: 'agent-1',
+    range: { from: new Date('2026-10-19T06:00:00Z'), to: new Date('2026-10-19T14:00:00Z'), open: true },
+    cancellations: [
+      { id: 'c-1', ticket_id: 't-1', refund_amount_usd: '7.50', previous_payment_status: 'paid', tickets: { ticket_number: 'TKT-1', payment_method: 'cash' } },
+      { id: 'c-2', ticket_id: 't-2', refund_amount_usd: '0', previous_payment_status: 'pending', tickets: [{ ticket_number: 'TKT-2', payment_method: 'referencia' }] },
+    ],
+    referenceTickets: [
+      { price_paid_usd: 12, payment_status: 'paid' },
+      { price_paid_usd: 8.5, payment_status: 'pending' },
+    ],
+    gaps: [
+      { ticket_id: 't-3', ticket_number: 'TKT-3', payment_method: 'cash', price_paid_usd: 10, completed_rows: 0, ledger_total_usd: 0 },
+      { ticket_id: 't-4', ticket_number: 'TKT-4', payment_method: 'tpa', price_paid_usd: 10, completed_rows: 1, ledger_total_usd: 6 },
+    ],
+  });
+
+  assert.equal(report.from, '2026-10-19T06:00:00.000Z');
+  assert.equal(report.open_shift, true);
+  assert.deepEqual(report.refunds.map((entry) => [entry.ticket_number, entry.refund_amount_usd]), [['TKT-1', 7.5]]);
+  assert.deepEqual(report.voids.map((entry) => entry.ticket_number), ['TKT-2']);
+  assert.deepEqual(report.reference_sales, { issued: 2, issued_usd: 20.5, paid: 1, pending: 1 });
+  assert.deepEqual(report.ledger_gaps.map((gap) => gap.issue), ['missing_ledger', 'amount_mismatch']);
+  assert.equal(report.expected_cash_usd, 0);
+});
+
+test('declared cash is reconciled per currency in its smallest unit', () => {
+  assert.deepEqual(reconcileShiftCash({ USD: 11.4, AOA: 16422 }, { USD: '11.1', aoa: 16500 }), {
+    AOA: { expected: 16422, declared: 16500, variance: 78 },
+    USD: { expected: 11.4, declared: 11.1, variance: -0.3 },
+  });
+  assert.equal(reconcileShiftCash({ USD: 0.1 + 0.2 }, { USD: 0.3 }).USD.variance, 0);
+  assert.deepEqual(reconcileShiftCash({}, { USD: 2 }), { USD: { expected: 0, declared: 2, variance: 2 } });
+  assert.deepEqual(reconcileShiftCash({ AOA: 0 }, {}), {});
+  assert.throws(() => reconcileShiftCash({ AOA: 16422 }, { USD: 11.4 }), /must include the AOA counted/);
+  assert.throws(() => reconcileShiftCash({ USD: 10 }, { USD: -1 }), /non-negative/);
+  assert.throws(() => reconcileShiftCash({ USD: 10 }, { USD: null }), /non-negative/);
+  assert.throws(() => reconcileShiftCash({ USD: 10 }, { USD: 'lots' }), /non-negative/);
+  assert.throws(() => reconcileShiftCash({}, { EUR: 10 }), /Unsupported currency/);
+  assert.throws(() => reconcileShiftCash({ USD: 10 }, undefined), /each currency/);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_SYNC_LIMIT,
+  collapseSyncChanges,
+  decodeSyncCursor,
+  encodeSyncCursor,
+  normalizeSyncLimit,
+  syncTripTombstoneReason,
+} from '../lib/sync.js';
+
+test('sync cursors round-trip without losing 64-bit ids', () => {
+  const cursor = encodeSyncCursor({ txid: '9007199254740993', id: 42 });
+  assert.equal(cursor, '9007199254740993.42');
+  assert.deepEqual(decodeSyncCursor(cursor), { txid: '9007199254740993', id: '42' });
+  assert.equal(decodeSyncCursor(undefined), null);
+  assert.equal(decodeSyncCursor(''), null);
+  assert.throws(() => decodeSyncCursor('abc'), /malformed/);
+  assert.throws(() => decodeSyncCursor('12.-1'), /malformed/);
+});
+
+test('sync limits default and stay within bounds', () => {
+  assert.equal(normalizeSyncLimit(undefined), DEFAULT_SYNC_LIMIT);
+  assert.equal(normalizeSyncLimit('200'), 200);
+  assert.throws(() => normalizeSyncLimit('0'), /between 1 and 1000/);
+  assert.throws(() => normalizeSyncLimit('1001'), /between 1 and 1000/);
+});
+
+test('repeated changes collapse to the latest state of each entity', () => {
+  assert.deepEqual(
+    collapseSyncChanges([
+      { entity: 'trip_seats', entity_id: 'trip-a', op: 'upsert' },
+      { entity: 'trip', entity_id: 'trip-a', op: 'upsert' },
+      { entity: 'trip_seats', entity_id: 'trip-a', op: 'upsert' },
+      { entity: 'trip', entity_id: 'trip-b', op: 'upsert' },
+      { entity: 'trip', entity_id: 'trip-b', op: 'delete' },
+      { entity: 'route', entity_id: 'route-a', op: 'delete' },
+      { entity: 'route', entity_id: 'route-a', op: 'upsert' },
+      { entity: 'bus', entity_id: 'bus-a', op: 'upsert' },
+    ]),
+    {
+      trips: ['trip-a'],
+      deletedTrips: ['trip-b'],
+      routes: ['route-a'],
+      deletedRoutes: [],
+      buses: ['bus-a'],
+      deletedBuses: [],
+      seatTrips: ['trip-a'],
+    }
+  );
+});
+
+test('trips that left the sellable catalogue get a tombstone reason', () => {
+  const now = Date.parse('2026-10-19T08:00:00.000Z');
+  const trip = {
+    status: 'scheduled',
+    departure_time: '2026-10-19T10:00:00.000Z',
+    buses: { is_active: true },
+    routes: { is_active: true },
+  };
+  assert.equal(syncTripTombstoneReason(trip, now), null);
+  assert.equal(syncTripTombstoneReason(undefined, now), 'deleted');
+  assert.equal(syncTripTombstoneReason({ ...trip, status: 'cancelled' }, now), 'cancelled');
+  assert.equal(syncTripTombstoneReason({ ...trip, buses: { is_active: false } }, now), 'bus_inactive');
+  assert.equal(syncTripTombstoneReason({ ...trip, routes: { is_active: false } }, now), 'route_inactive');
+  assert.equal(
+    syncTripTombstoneReason({ ...trip, departure_time: '2026-10-19T07:00:00.000Z' }, now),
+    'departed'
+  );
+});
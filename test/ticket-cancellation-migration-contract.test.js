@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-ticket-cancellation.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.cancel_ticket_atomic');
+const functionEnd = sql.indexOf('$function$;', functionAt);
+const body = sql.slice(functionAt, functionEnd);
+
+test('a ticket is cancelled at most once and retries return the original', () => {
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS ticket_cancellations_ticket_id_key/);
+  const lockAt = body.indexOf('FOR UPDATE;');
+  const existingAt = body.indexOf('FROM public.ticket_cancellations c', lockAt);
+  const insertAt = body.indexOf('INSERT INTO public.ticket_cancellations (');
+  assert.ok(lockAt > 0 && existingAt > lockAt && insertAt > existingAt);
+});
+
+test('cancellation, refund ledger and seat release commit together', () => {
+  const cancellationAt = body.indexOf('INSERT INTO public.ticket_cancellations (');
+  const refundAt = body.indexOf('INSERT INTO public.payment_transactions (', cancellationAt);
+  const releaseAt = body.indexOf('UPDATE public.tickets tk', refundAt);
+  assert.ok(cancellationAt > 0 && refundAt > cancellationAt && releaseAt > refundAt);
+  assert.match(body, /-\(part\.value->>'amount'\)::numeric/);
+  assert.doesNotMatch(body, /EXCEPTION\s+WHEN/);
+});
+
+test('used tickets and refunds above the collected amount are rejected', () => {
+  assert.match(body, /A used ticket cannot be cancelled/);
+  assert.match(body, /Refund cannot exceed the amount collected/);
+  assert.match(body, /Refund parts must use the original payment methods/);
+});
+
+test('only the service role can execute the cancellation RPC', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.cancel_ticket_atomic[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.cancel_ticket_atomic[\s\S]+TO service_role/);
+});
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+const migrationUrl = new URL('../supabase-migration-ticket-exchange.sql', import.meta.url);
+const sql = await readFile(migrationUrl, 'utf8');
+
+const functionAt = sql.indexOf('CREATE OR REPLACE FUNCTION public.exchange_ticket_atomic');
+const functionEnd = sql.indexOf('$function$;', functionAt);
+const body = sql.slice(functionAt, functionEnd);
+
+test('a retried exchange is recovered before the ticket moves', () => {
+  assert.match(sql, /CREATE UNIQUE INDEX IF NOT EXISTS ticket_exchanges_ticket_idempotency_key/);
+  const recoverAt = body.indexOf('FROM public.ticket_exchanges ex');
+  const moveAt = body.indexOf('UPDATE public.tickets tk');
+  assert.ok(recoverAt > 0 && moveAt > recoverAt);
+});
+
+test('history, seat move and fare settlement commit together', () => {
+  const historyAt = body.indexOf('INSERT INTO public.ticket_exchanges (');
+  const moveAt = body.indexOf('UPDATE public.tickets tk', historyAt);
+  const ledgerAt = body.indexOf('INSERT INTO public.payment_transactions (', moveAt);
+  assert.ok(historyAt > 0 && moveAt > historyAt && ledgerAt > moveAt);
+  assert.match(body, /SET trip_id = p_new_trip_id,\s+seat_number = p_new_seat_number/);
+  assert.doesNotMatch(body, /EXCEPTION\s+WHEN/);
+});
+
+test('the fare difference must be settled exactly for paid tickets', () => {
+  assert.match(body, /Fare difference must be settled exactly/);
+  assert.match(body, /Only paid tickets settle a fare difference/);
+});
+
+test('only the service role can execute the exchange RPC', () => {
+  assert.match(sql, /REVOKE ALL ON FUNCTION public\.exchange_ticket_atomic[\s\S]+FROM PUBLIC, anon, authenticated/);
+  assert.match(sql, /GRANT EXECUTE ON FUNCTION public\.exchange_ticket_atomic[\s\S]+TO service_role/);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+
+import {
+  TICKET_QR_PREFIX,
+  isSignedTicketQr,
+  loadTicketQrKeys,
+  signTicketQr,
+  ticketQrExpiry,
+  verifyTicketQr,
+} from '../lib/ticket-qr.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+const ticket = {
+  ticketId: '6f1c2a9e-0d4b-4c6a-9f57-2b8e1d3c4a55',
+  tripId: '0b9d8c7e-6f5a-4b3c-8d2e-1f0a9b8c7d6e',
+  seatNumber: 14,
+  expiresAt: '2026-10-20T18:00:00.000Z',
+};
+const beforeExpiry = Date.parse('2026-10-19T08:00:00.000Z');
+
+test('a signed code carries the ticket, trip, seat and expiry', () => {
+  const code = signTicketQr(ticket, privateKey);
+  assert.equal(isSignedTicketQr(code), true);
+  assert.equal(code.length, 140);
+  assert.deepEqual(verifyTicketQr(code, publicKey, beforeExpiry), {
+    valid: true,
+    claims: {
+      ticket_id: ticket.ticketId,
+      trip_id: ticket.tripId,
+      seat_number: 14,
+      expires_at: ticket.expiresAt,
+    },
+  });
+});
+
+test('scanners can verify with the published PEM or JWK key', () => {
+  const code = signTicketQr(ticket, privateKey);
+  const pem = publicKey.export({ type: 'spki', format: 'pem' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  assert.equal(verifyTicketQr(code, pem, beforeExpiry).valid, true);
+  assert.equal(verifyTicketQr(code, jwk, beforeExpiry).valid, true);
+});
+
+test('forged, tampered and expired codes are rejected', () => {
+  const code = signTicketQr(ticket, privateKey);
+  const otherKey = generateKeyPairSync('ed25519').publicKey;
+  assert.equal(verifyTicketQr(code, otherKey, beforeExpiry).reason, 'invalid_signature');
+
+  const bytes = Buffer.from(code.slice(TICKET_QR_PREFIX.length), 'base64url');
+  bytes.writeUInt16BE(15, 32);
+  const tampered = TICKET_QR_PREFIX + bytes.toString('base64url');
+  assert.equal(verifyTicketQr(tampered, publicKey, beforeExpiry).reason, 'invalid_signature');
+
+  assert.equal(verifyTicketQr(`TKT-${ticket.tripId}-14`, publicKey).reason, 'malformed');
+  assert.equal(verifyTicketQr(`${TICKET_QR_PREFIX}abc`, publicKey).reason, 'malformed');
+  assert.equal(verifyTicketQr(code, null).reason, 'not_configured');
+  assert.equal(verifyTicketQr(code, publicKey, Date.parse(ticket.expiresAt)).reason, 'expired');
+});
+
+test('codes expire a day after the trip arrives by default', () => {
+  assert.equal(
+    ticketQrExpiry('2026-10-19T18:00:00.000Z').toISOString(),
+    '2026-10-20T18:00:00.000Z'
+  );
+  assert.throws(() => ticketQrExpiry(null), /arrival time/);
+});
+
+test('the signing key is loaded from an Ed25519 PEM with escaped newlines', () => {
+  assert.equal(loadTicketQrKeys(''), null);
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  const keys = loadTicketQrKeys(pem.replace(/\n/g, '\\n'));
+  assert.equal(verifyTicketQr(signTicketQr(ticket, keys.privateKey), keys.publicKey, beforeExpiry).valid, true);
+
+  const rsa = generateKeyPairSync('rsa', { modulusLength: 1024 }).privateKey;
+  assert.throws(() => loadTicketQrKeys(rsa.export({ type: 'pkcs8', format: 'pem' })), /Ed25519/);
+});